@@ -0,0 +1,545 @@
+/**
+ * AdminServer.js
+ *
+ * This module serves a local HTTP admin API for one Peer, so dashboards and
+ * scripts can inspect and steer it without scraping its log. It:
+ * 1. Listens on 127.0.0.1 by default; the API has no authentication, so only
+ *    bind it to an interface you trust. Requests must name the server itself
+ *    in their Host header, and POST bodies must be sent as application/json,
+ *    so a web page the operator visits cannot reach the API through DNS
+ *    rebinding or a cross-site form
+ * 2. Answers every request with JSON (except GET /metrics), and every failure
+ *    with { error: { code, message } } and a matching HTTP status
+ * 3. Exposes the peer's state:
+ *      GET  /status         - Identity, address and settings of the peer
+ *      GET  /routing-table  - Non-empty buckets, with their replacement caches
+ *      GET  /heartbeat      - Failure detector state and missed heartbeats per peer
+ *      GET  /connections    - Pooled connections and connection backoffs
+ *      GET  /metrics        - The peer's metrics in the Prometheus text format,
+ *                             for a Prometheus server to scrape
+ * 4. Accepts actions, each with a JSON body:
+ *      POST /join    { address: "ip:port" }      - Join the network through a peer
+ *      POST /ping    { peerID } or { address }   - Send a heartbeat and time it
+ *      POST /evict   { peerID }                  - Drop a peer from the routing table
+ *      POST /lookup  { targetID } or { key }     - Run a Find Node or Find Value lookup
+ *
+ * The response shapes are versioned by apiVersion in GET /status; fields are
+ * only ever added within a version.
+ */
+
+const http = require("http");
+const Singleton = require("./Singleton");
+
+const API_VERSION = 1;
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Creates an Error carrying an HTTP status and an API error code.
+ *
+ * @param {number} status - e.g. 404
+ * @param {string} code - e.g. "NOT_FOUND"
+ * @param {string} message
+ * @returns {Error}
+ */
+function createAdminError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Describes a routing table entry without internal fields.
+ *
+ * @param {Object} peer - { peerID, ip, port, senderName, lastSeen }
+ * @returns {Object}
+ */
+function describePeer(peer) {
+  return {
+    peerID: peer.peerID,
+    ip: peer.ip,
+    port: peer.port,
+    senderName: peer.senderName,
+    lastSeen: peer.lastSeen,
+  };
+}
+
+/**
+ * AdminServer class routes HTTP requests to one Peer.
+ */
+class AdminServer {
+  /**
+   * Creates the admin server for a peer. Call listen() to start serving.
+   *
+   * @param {Peer} peer - The peer to inspect and steer
+   */
+  constructor(peer) {
+    this.peer = peer;
+    this.server = null;
+    this.hosts = []; // Host header values naming this server, once listening
+    // "METHOD /path" -> handler(body) returning the response, or a Promise of it
+    this.routes = new Map([
+      ["GET /status", () => this.getStatus()],
+      ["GET /routing-table", () => this.getRoutingTable()],
+      ["GET /heartbeat", () => this.getHeartbeat()],
+      ["GET /connections", () => this.getConnections()],
+      ["GET /metrics", () => this.peer.metrics.render()],
+      ["POST /join", (body) => this.join(body)],
+      ["POST /ping", (body) => this.ping(body)],
+      ["POST /evict", (body) => this.evict(body)],
+      ["POST /lookup", (body) => this.lookup(body)],
+    ]);
+  }
+
+  /**
+   * Starts listening for HTTP requests.
+   *
+   * @param {number} port - TCP port to listen on (0 picks a free port)
+   * @param {string} [host="127.0.0.1"] - Interface to bind
+   * @returns {Promise<Object>} Resolves with the bound address { address, port }
+   */
+  listen(port, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((request, response) =>
+        this.handleRequest(request, response)
+      );
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener("error", reject);
+        const address = this.server.address();
+        const names = ["127.0.0.1", "localhost"];
+        if (!names.includes(host)) {
+          names.push(host.includes(":") ? `[${host}]` : host);
+        }
+        this.hosts = names.map((name) => `${name}:${address.port}`);
+        resolve(address);
+      });
+    });
+  }
+
+  /**
+   * Stops accepting requests and closes idle keep-alive connections.
+   *
+   * @returns {Promise<void>} Resolves once the server has closed
+   */
+  close() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      if (this.server.closeIdleConnections) {
+        this.server.closeIdleConnections();
+      }
+      this.server = null;
+    });
+  }
+
+  /**
+   * Handles one HTTP request.
+   * This function:
+   * 1. Answers 403 if the Host header does not name this server
+   * 2. Finds the route for the method and path, answering 400 for a path that
+   *    does not parse, 404 for an unknown path and 405 for a known path with
+   *    another method
+   * 3. Reads and parses the JSON body of a POST, answering 415 unless it is
+   *    sent as application/json
+   * 4. Runs the route's handler and answers with its result, or with the
+   *    error it threw
+   *
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  handleRequest(request, response) {
+    let path = request.url;
+    let handler = null;
+    Promise.resolve()
+      .then(() => {
+        if (!this.hosts.includes(request.headers.host)) {
+          throw createAdminError(
+            403,
+            "BAD_HOST",
+            `Host ${request.headers.host} is not this server`
+          );
+        }
+        try {
+          path = new URL(request.url, "http://localhost").pathname;
+        } catch (error) {
+          throw createAdminError(
+            400,
+            "BAD_REQUEST",
+            `Malformed request path: ${request.url}`
+          );
+        }
+        handler = this.routes.get(`${request.method} ${path}`);
+        if (!handler) {
+          const allowed = Array.from(this.routes.keys())
+            .filter((route) => route.endsWith(` ${path}`))
+            .map((route) => route.split(" ")[0]);
+          if (allowed.length > 0) {
+            response.setHeader("Allow", allowed.join(", "));
+            throw createAdminError(
+              405,
+              "METHOD_NOT_ALLOWED",
+              `${path} does not accept ${request.method}`
+            );
+          }
+          throw createAdminError(404, "NOT_FOUND", `No such endpoint: ${path}`);
+        }
+        return request.method === "POST" ? this.readBody(request) : {};
+      })
+      .then((body) => handler(body))
+      .then(
+        (result) => this.send(response, 200, result),
+        (error) => {
+          if (!error.status) {
+            this.peer.log.admin.error(
+              "request_failed",
+              `Admin request ${request.method} ${path} failed: ${error.stack}`,
+              { method: request.method, path, error }
+            );
+          }
+          this.send(response, error.status || 500, {
+            error: {
+              code: error.status ? error.code : "INTERNAL",
+              message: error.message,
+            },
+          });
+        }
+      );
+  }
+
+  /**
+   * Reads a request body and parses it as a JSON object.
+   *
+   * @param {http.IncomingMessage} request
+   * @returns {Promise<Object>} The parsed body, or {} for an empty one. Rejects
+   *                            with 415 UNSUPPORTED_MEDIA_TYPE, 413 BODY_TOO_LARGE
+   *                            or 400 BAD_JSON.
+   */
+  readBody(request) {
+    return new Promise((resolve, reject) => {
+      const type = (request.headers["content-type"] || "")
+        .split(";")[0]
+        .trim()
+        .toLowerCase();
+      if (type !== "application/json") {
+        request.resume(); // Discard the body
+        reject(
+          createAdminError(
+            415,
+            "UNSUPPORTED_MEDIA_TYPE",
+            "Request body must be sent as application/json"
+          )
+        );
+        return;
+      }
+      const chunks = [];
+      let size = 0;
+      request.on("data", (chunk) => {
+        size += chunk.length;
+        if (size <= MAX_BODY_SIZE) {
+          chunks.push(chunk);
+        }
+      });
+      request.on("end", () => {
+        if (size > MAX_BODY_SIZE) {
+          reject(
+            createAdminError(
+              413,
+              "BODY_TOO_LARGE",
+              `Request body exceeds ${MAX_BODY_SIZE} bytes`
+            )
+          );
+          return;
+        }
+        const text = Buffer.concat(chunks).toString("utf8").trim();
+        if (text === "") {
+          resolve({});
+          return;
+        }
+        let body;
+        try {
+          body = JSON.parse(text);
+        } catch (error) {
+          reject(createAdminError(400, "BAD_JSON", error.message));
+          return;
+        }
+        if (body === null || typeof body !== "object" || Array.isArray(body)) {
+          reject(
+            createAdminError(400, "BAD_JSON", "Request body must be an object")
+          );
+          return;
+        }
+        resolve(body);
+      });
+      request.on("error", reject);
+    });
+  }
+
+  /**
+   * Writes a JSON response, or a text one for a string body (the metrics).
+   *
+   * @param {http.ServerResponse} response
+   * @param {number} status
+   * @param {Object|string} body
+   */
+  send(response, status, body) {
+    const text =
+      typeof body === "string" ? body : JSON.stringify(body, null, 2) + "\n";
+    response.writeHead(status, {
+      "Content-Type":
+        typeof body === "string"
+          ? "text/plain; version=0.0.4; charset=utf-8"
+          : "application/json",
+      "Content-Length": Buffer.byteLength(text),
+    });
+    response.end(text);
+  }
+
+  /**
+   * Throws 503 NOT_RUNNING unless the peer has started and not stopped.
+   */
+  requireRunning() {
+    if (!this.peer.server) {
+      throw createAdminError(503, "NOT_RUNNING", "The peer is not running");
+    }
+  }
+
+  /**
+   * Returns a peer ID from a request body, checked to be a hex ID of the
+   * network's width.
+   *
+   * @param {Object} body
+   * @param {string} field - Name of the field holding the ID
+   * @returns {string} The ID in lower case
+   */
+  requireID(body, field) {
+    const value = body[field];
+    const digits = Singleton.getIDBits() / 4;
+    if (
+      typeof value !== "string" ||
+      !new RegExp(`^[0-9a-fA-F]{${digits}}$`).test(value)
+    ) {
+      throw createAdminError(
+        400,
+        "BAD_REQUEST",
+        `${field} must be a ${digits}-digit hex peer ID`
+      );
+    }
+    return value.toLowerCase();
+  }
+
+  /**
+   * Returns an address from a request body, checked to be "ip:port".
+   *
+   * @param {Object} body
+   * @returns {Object} { ip, port }
+   */
+  requireAddress(body) {
+    const match =
+      typeof body.address === "string" && body.address.match(/^(.+):(\d+)$/);
+    const port = match ? parseInt(match[2], 10) : -1;
+    if (!match || port < 1 || port > 65535) {
+      throw createAdminError(400, "BAD_REQUEST", 'address must be "ip:port"');
+    }
+    return { ip: match[1], port };
+  }
+
+  /**
+   * Returns a routing table entry, or throws 404 PEER_NOT_FOUND.
+   *
+   * @param {string} peerID
+   * @returns {Object}
+   */
+  requirePeer(peerID) {
+    const entry = this.peer
+      .getAllPeersArray()
+      .find((peer) => peer.peerID === peerID);
+    if (!entry) {
+      throw createAdminError(
+        404,
+        "PEER_NOT_FOUND",
+        `Peer ${peerID} is not in the routing table`
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * GET /status
+   *
+   * @returns {Object}
+   */
+  getStatus() {
+    const peer = this.peer;
+    return {
+      apiVersion: API_VERSION,
+      name: peer.name,
+      running: Boolean(peer.server),
+      peerID: peer.selfInfo ? peer.selfInfo.peerID : null,
+      ip: peer.ip,
+      port: peer.selfInfo ? peer.selfInfo.port : null,
+      publicKey: peer.identity.publicKey.toString("hex"),
+      idBits: Singleton.getIDBits(),
+      bucketSize: peer.bucketSize,
+      secure: peer.secure,
+      dataDir: peer.dataDir,
+      peers: peer.routingTable ? peer.getAllPeersArray().length : 0,
+    };
+  }
+
+  /**
+   * GET /routing-table
+   *
+   * @returns {Object} { k, buckets: [{ index, lastTouched, peers, replacements }] },
+   *                   listing only buckets that hold a peer or a candidate
+   */
+  getRoutingTable() {
+    this.requireRunning();
+    const table = this.peer.routingTable;
+    const buckets = [];
+    table.kBuckets.forEach((bucket, index) => {
+      const cache = table.replacementCaches[index];
+      if (bucket.length > 0 || cache.length > 0) {
+        buckets.push({
+          index,
+          lastTouched: table.bucketTouched[index],
+          peers: bucket.map(describePeer),
+          replacements: cache.map(describePeer),
+        });
+      }
+    });
+    return { k: table.k, buckets };
+  }
+
+  /**
+   * GET /heartbeat
+   *
+   * @returns {Object} { interval, threshold, peers: [{ peerID, ...state }] },
+   *                   with the state of Heartbeat.getPeerState(), or null for
+   *                   a peer no heartbeat cycle has reached yet
+   */
+  getHeartbeat() {
+    this.requireRunning();
+    const heartbeat = this.peer.heartbeat;
+    return {
+      interval: heartbeat.interval,
+      threshold: heartbeat.detector.threshold,
+      peers: this.peer.getAllPeersArray().map((peer) =>
+        Object.assign(
+          { peerID: peer.peerID },
+          heartbeat.getPeerState(peer.peerID) || {
+            phi: null,
+            meanInterval: null,
+            stdDeviation: null,
+            meanRTT: null,
+            samples: 0,
+            missed: 0,
+            suspect: false,
+            failedProbes: 0,
+            lastHeard: null,
+          }
+        )
+      ),
+    };
+  }
+
+  /**
+   * GET /connections
+   *
+   * @returns {Object} See ConnectionPool.getState()
+   */
+  getConnections() {
+    this.requireRunning();
+    return this.peer.pool.getState();
+  }
+
+  /**
+   * POST /join { address }
+   *
+   * @param {Object} body
+   * @returns {Promise<Object>} { peers }, the peers listed in the Welcome.
+   *                            Rejects with 502 JOIN_FAILED.
+   */
+  join(body) {
+    this.requireRunning();
+    const target = this.requireAddress(body);
+    return this.peer.join(target).then(
+      (peers) => ({
+        peers: peers.map(({ peerID, ip, port }) => ({ peerID, ip, port })),
+      }),
+      (error) => {
+        throw createAdminError(502, "JOIN_FAILED", error.message);
+      }
+    );
+  }
+
+  /**
+   * POST /ping { peerID } or { address }
+   *
+   * @param {Object} body
+   * @returns {Promise<Object>} { alive, rtt }; rtt is null if the peer did not answer
+   */
+  ping(body) {
+    this.requireRunning();
+    const target =
+      body.peerID !== undefined
+        ? this.requirePeer(this.requireID(body, "peerID"))
+        : this.requireAddress(body);
+    const sentAt = this.peer.clock.now();
+    return this.peer.pingPeer(target).then((alive) => ({
+      alive,
+      rtt: alive ? this.peer.clock.now() - sentAt : null,
+    }));
+  }
+
+  /**
+   * POST /evict { peerID }
+   *
+   * @param {Object} body
+   * @returns {Object} { evicted, promoted }; promoted is the candidate that took
+   *                   the freed slot from the replacement cache, if any
+   */
+  evict(body) {
+    this.requireRunning();
+    const peerID = this.requireID(body, "peerID");
+    this.requirePeer(peerID);
+    const { evicted, promoted } = this.peer.evictPeer(peerID);
+    return {
+      evicted: describePeer(evicted),
+      promoted: promoted ? describePeer(promoted) : null,
+    };
+  }
+
+  /**
+   * POST /lookup { targetID } or { key }
+   *
+   * @param {Object} body
+   * @returns {Promise<Object>} { peers } for a Find Node lookup, or
+   *                            { key, value } for a Find Value lookup
+   */
+  lookup(body) {
+    this.requireRunning();
+    if (body.key !== undefined) {
+      if (typeof body.key !== "string" || body.key === "") {
+        throw createAdminError(
+          400,
+          "BAD_REQUEST",
+          "key must be a non-empty string"
+        );
+      }
+      return this.peer
+        .findValue(body.key)
+        .then((value) => ({ key: body.key, value }));
+    }
+    const targetID = this.requireID(body, "targetID");
+    return this.peer
+      .findNode(targetID)
+      .then((peers) => ({ peers: peers.map(describePeer) }));
+  }
+}
+
+module.exports = AdminServer;
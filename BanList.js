@@ -0,0 +1,179 @@
+/**
+ * BanList.js
+ *
+ * This module keeps the hosts and peer IDs a peer refuses to deal with. It:
+ * 1. Holds bans by IP address or by peer ID, each permanent or until a time
+ * 2. Saves the list to a JSON file an operator can edit by hand, and reloads
+ *    that file whenever it changes on disk
+ * 3. Drops bans once they expire
+ *
+ * The file holds an array of bans, e.g.:
+ *   [
+ *     { "ip": "203.0.113.7", "reason": "scraping" },
+ *     { "peerID": "7cf2", "until": "2026-01-01T00:00:00.000Z", "reason": "spam" }
+ *   ]
+ * A ban without "until" is permanent.
+ */
+
+const fs = require("fs");
+const { systemClock } = require("./Clock");
+const { rootLogger } = require("./Logger");
+
+/**
+ * BanList class holds one peer's bans.
+ */
+class BanList {
+  /**
+   * Creates a ban list, loading the file if one is given and exists.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.file] - JSON file to persist bans in (in memory only by default)
+   * @param {Object} [options.clock=systemClock] - Clock used to expire bans
+   * @param {Logger} [options.logger] - Logger for loaded and added bans (see Logger.js)
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.clock = options.clock || systemClock;
+    this.logger = options.logger || rootLogger.child({ subsystem: "security" });
+    this.bans = []; // { ip?, peerID?, until?, reason }
+    this.loadedAt = 0; // Modification time of the file when it was last read
+    this.load();
+  }
+
+  /**
+   * Reads the ban file if it changed since it was last read. A file that
+   * cannot be parsed is reported and the current bans are kept.
+   */
+  load() {
+    if (!this.file) {
+      return;
+    }
+    let modified;
+    try {
+      modified = fs.statSync(this.file).mtimeMs;
+    } catch (error) {
+      return; // No ban file yet
+    }
+    if (modified === this.loadedAt) {
+      return;
+    }
+    this.loadedAt = modified;
+    try {
+      const bans = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      if (!Array.isArray(bans)) {
+        throw new Error("expected an array of bans");
+      }
+      this.bans = bans.filter((ban) => ban && (ban.ip || ban.peerID));
+      this.logger.info(
+        "bans_loaded",
+        `Loaded ${this.bans.length} ban(s) from ${this.file}`,
+        { count: this.bans.length, file: this.file }
+      );
+    } catch (error) {
+      this.logger.warn(
+        "ban_file_ignored",
+        `Ignoring ban file ${this.file}: ${error.message}`,
+        { file: this.file, error }
+      );
+    }
+  }
+
+  /**
+   * Writes the unexpired bans to the ban file.
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+    this.bans = this.bans.filter((ban) => !this.isExpired(ban));
+    fs.writeFileSync(this.file, JSON.stringify(this.bans, null, 2));
+    this.loadedAt = fs.statSync(this.file).mtimeMs;
+  }
+
+  /**
+   * Bans an IP address or peer ID.
+   *
+   * @param {Object} target - { ip } or { peerID }
+   * @param {Object} [options]
+   * @param {number} [options.duration] - Milliseconds the ban lasts (permanent by default)
+   * @param {string} [options.reason] - Why the target was banned
+   * @returns {Object} The ban
+   */
+  ban(target, options = {}) {
+    this.load();
+    const ban = target.ip ? { ip: target.ip } : { peerID: target.peerID };
+    if (options.duration) {
+      ban.until = new Date(this.clock.now() + options.duration).toISOString();
+    }
+    ban.reason = options.reason || "banned by operator";
+    this.bans = this.bans.filter((other) => !this.matches(other, ban));
+    this.bans.push(ban);
+    this.save();
+    this.logger.warn(
+      "banned",
+      `Banned ${ban.ip || ban.peerID}${
+        ban.until ? ` until ${ban.until}` : ""
+      }: ${ban.reason}`,
+      ban
+    );
+    return ban;
+  }
+
+  /**
+   * Lifts the bans on an IP address or peer ID.
+   *
+   * @param {Object} target - { ip } or { peerID }
+   * @returns {boolean} True if a ban was lifted
+   */
+  unban(target) {
+    this.load();
+    const count = this.bans.length;
+    this.bans = this.bans.filter((ban) => !this.matches(ban, target));
+    if (this.bans.length === count) {
+      return false;
+    }
+    this.save();
+    return true;
+  }
+
+  /**
+   * Returns the ban that applies to a host or peer, if any.
+   *
+   * @param {Object} target - { ip, peerID }, either of which may be missing
+   * @returns {Object|null} The ban, or null if the target is not banned
+   */
+  isBanned(target) {
+    this.load();
+    return (
+      this.bans.find(
+        (ban) => !this.isExpired(ban) && this.matches(ban, target)
+      ) || null
+    );
+  }
+
+  /**
+   * Returns true if a ban covers the IP address or peer ID of a target.
+   *
+   * @param {Object} ban
+   * @param {Object} target - { ip, peerID }
+   * @returns {boolean}
+   */
+  matches(ban, target) {
+    return (
+      (Boolean(ban.ip) && ban.ip === target.ip) ||
+      (Boolean(ban.peerID) && ban.peerID === target.peerID)
+    );
+  }
+
+  /**
+   * Returns true if a temporary ban has run out.
+   *
+   * @param {Object} ban
+   * @returns {boolean}
+   */
+  isExpired(ban) {
+    return Boolean(ban.until) && Date.parse(ban.until) <= this.clock.now();
+  }
+}
+
+module.exports = BanList;
@@ -0,0 +1,234 @@
+/**
+ * Clock.js
+ *
+ * This module provides the clocks that drive all peer timers:
+ * 1. systemClock - wall-clock time and Node's own timer functions
+ * 2. VirtualClock - a controllable clock for simulations, whose time only moves
+ *    when advance() is called, so runs are fast and repeatable
+ *
+ * Both expose the same interface: now(), setTimeout(), clearTimeout(),
+ * setInterval() and clearInterval().
+ */
+
+/**
+ * The real clock used by peers started from the command line.
+ */
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (handle) => clearTimeout(handle),
+  setInterval: (callback, delay) => setInterval(callback, delay),
+  clearInterval: (handle) => clearInterval(handle),
+};
+
+/**
+ * VirtualClock class keeps a queue of pending timers and fires them in time
+ * order as the clock is advanced. Timers due at the same time fire in the
+ * order they were scheduled.
+ */
+class VirtualClock {
+  /**
+   * Creates a virtual clock.
+   *
+   * @param {number} [startTime=0] - The initial time in milliseconds
+   */
+  constructor(startTime = 0) {
+    this.time = startTime;
+    this.nextId = 1;
+    this.timers = new Map(); // id -> { id, time, seq, callback, interval }
+    this.queue = []; // Binary min-heap of timers ordered by (time, seq)
+    this.seq = 0;
+  }
+
+  /**
+   * Returns the current virtual time in milliseconds.
+   *
+   * @returns {number}
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Schedules a callback to run once after the given delay.
+   *
+   * @param {Function} callback
+   * @param {number} delay - Delay in milliseconds
+   * @returns {number} A handle for clearTimeout()
+   */
+  setTimeout(callback, delay) {
+    return this.schedule(callback, delay, null);
+  }
+
+  /**
+   * Schedules a callback to run every interval milliseconds.
+   *
+   * @param {Function} callback
+   * @param {number} interval - Interval in milliseconds
+   * @returns {number} A handle for clearInterval()
+   */
+  setInterval(callback, interval) {
+    return this.schedule(callback, interval, Math.max(1, interval));
+  }
+
+  /**
+   * Cancels a timer created with setTimeout().
+   *
+   * @param {number} handle
+   */
+  clearTimeout(handle) {
+    this.timers.delete(handle);
+  }
+
+  /**
+   * Cancels a timer created with setInterval().
+   *
+   * @param {number} handle
+   */
+  clearInterval(handle) {
+    this.timers.delete(handle);
+  }
+
+  /**
+   * Adds a timer to the queue.
+   *
+   * @param {Function} callback
+   * @param {number} delay - Delay in milliseconds
+   * @param {number|null} interval - Repeat interval, or null for a one-shot timer
+   * @returns {number} The timer handle
+   */
+  schedule(callback, delay, interval) {
+    const timer = {
+      id: this.nextId++,
+      time: this.time + Math.max(0, delay || 0),
+      seq: this.seq++,
+      callback,
+      interval,
+    };
+    this.timers.set(timer.id, timer);
+    this.push(timer);
+    return timer.id;
+  }
+
+  /**
+   * Advances the clock by the given number of milliseconds, firing every timer
+   * that falls due. Pending promise callbacks are allowed to run after each
+   * timer, so async code scheduled by one timer is settled before the next fires.
+   *
+   * @param {number} ms - How far to advance the clock
+   * @returns {Promise<void>}
+   */
+  async advance(ms) {
+    const endTime = this.time + ms;
+    await flushPending();
+    for (;;) {
+      const timer = this.peek();
+      if (!timer || timer.time > endTime) {
+        break;
+      }
+      this.pop();
+      // Skip timers that were cleared, or rescheduled under the same id
+      if (this.timers.get(timer.id) !== timer) {
+        continue;
+      }
+      this.time = timer.time;
+      if (timer.interval === null) {
+        this.timers.delete(timer.id);
+      } else {
+        // Requeue an interval timer as a fresh entry under the same id
+        const next = Object.assign({}, timer, {
+          time: timer.time + timer.interval,
+          seq: this.seq++,
+        });
+        this.timers.set(timer.id, next);
+        this.push(next);
+      }
+      timer.callback();
+      await flushPending();
+    }
+    this.time = endTime;
+  }
+
+  /**
+   * Returns the number of timers still waiting to fire.
+   *
+   * @returns {number}
+   */
+  pendingTimers() {
+    return this.timers.size;
+  }
+
+  // ------------------------------
+  // Binary heap helpers
+  // ------------------------------
+
+  peek() {
+    return this.queue[0];
+  }
+
+  push(timer) {
+    const queue = this.queue;
+    queue.push(timer);
+    let i = queue.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!isEarlier(queue[i], queue[parent])) {
+        break;
+      }
+      [queue[i], queue[parent]] = [queue[parent], queue[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const queue = this.queue;
+    const top = queue[0];
+    const last = queue.pop();
+    if (queue.length > 0) {
+      queue[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < queue.length && isEarlier(queue[left], queue[smallest])) {
+          smallest = left;
+        }
+        if (right < queue.length && isEarlier(queue[right], queue[smallest])) {
+          smallest = right;
+        }
+        if (smallest === i) {
+          break;
+        }
+        [queue[i], queue[smallest]] = [queue[smallest], queue[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Orders timers by due time, then by scheduling order.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean} True if timer a fires before timer b
+ */
+function isEarlier(a, b) {
+  return a.time < b.time || (a.time === b.time && a.seq < b.seq);
+}
+
+/**
+ * Resolves once all currently queued promise callbacks have run.
+ *
+ * @returns {Promise<void>}
+ */
+function flushPending() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+module.exports = {
+  systemClock,
+  VirtualClock,
+};
@@ -0,0 +1,467 @@
+/**
+ * ConnectionPool.js
+ *
+ * This module keeps one long-lived connection per remote peer that:
+ * 1. Is opened on first use and reused by every later message to that peer
+ * 2. Carries requests in both directions: a connection another peer opened to
+ *    us is adopted once it identifies itself, so our requests reuse it too
+ * 3. Works as the RPC layer: each request gets a Transaction ID from
+ *    Singleton.getSequenceNumber(), and the promise returned by request()
+ *    settles when the response carrying that ID arrives, or when the request's
+ *    timeout and retry policy gives up on it
+ * 4. Backs off exponentially after failed connection attempts
+ * 5. Closes connections that have been idle for a while
+ *
+ * Connections are keyed by the peer's listening address "ip:port".
+ */
+
+const Singleton = require("./Singleton");
+const kPTP = require("./kPTP");
+const { systemClock } = require("./Clock");
+const { rootLogger } = require("./Logger");
+
+/**
+ * Creates an Error carrying a Node-style error code.
+ *
+ * @param {string} code - e.g. "ETIMEDOUT"
+ * @param {string} message
+ * @returns {Error}
+ */
+function createPoolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * ConnectionPool class owns the open connections of one peer.
+ */
+class ConnectionPool {
+  /**
+   * Creates a connection pool. Call start() to begin closing idle connections.
+   *
+   * @param {Object} options
+   * @param {Function} options.connect - Opens a connection whose decoded messages
+   *                                     are routed to handleResponse():
+   *                                     connect(port, ip, connectListener) -> socket
+   * @param {Object} [options.clock=systemClock] - Clock used for backoff and idle timers
+   * @param {number} [options.idleTimeout=60000] - Milliseconds before an unused connection is closed
+   * @param {number} [options.minBackoff=500] - Delay after the first failed connection attempt
+   * @param {number} [options.maxBackoff=30000] - Longest delay between connection attempts
+   * @param {Object} [options.policy] - Default request policy (see request()):
+   *                                    { timeout: 5000, retries: 1, retryDelay: 500 }
+   * @param {Logger} [options.logger] - Logger for retries and failed connections (see Logger.js)
+   * @param {Function} [options.write] - Writes an encoded message on a socket:
+   *                                     write(socket, message). Calls socket.write()
+   *                                     by default.
+   */
+  constructor(options) {
+    this.connect = options.connect;
+    this.writeMessage =
+      options.write || ((socket, message) => socket.write(message));
+    this.clock = options.clock || systemClock;
+    this.logger = options.logger || rootLogger.child({ subsystem: "wire" });
+    this.idleTimeout = options.idleTimeout || 60000;
+    this.minBackoff = options.minBackoff || 500;
+    this.maxBackoff = options.maxBackoff || 30000;
+    this.connections = new Map(); // "ip:port" -> connection
+    this.socketConnections = new Map(); // socket -> connection
+    this.failures = new Map(); // "ip:port" -> { count, retryAt }
+    this.policy = Object.assign(
+      { timeout: 5000, retries: 1, retryDelay: 500 },
+      options.policy
+    );
+    this.pending = new Map(); // Transaction ID -> outstanding request
+    this.timer = null;
+  }
+
+  /**
+   * Starts closing connections that have been idle for idleTimeout.
+   */
+  start() {
+    this.timer = this.clock.setInterval(
+      () => this.closeIdleConnections(),
+      this.idleTimeout / 2
+    );
+  }
+
+  /**
+   * Stops the idle timer, fails outstanding requests and closes every connection.
+   */
+  stop() {
+    if (this.timer !== null) {
+      this.clock.clearInterval(this.timer);
+      this.timer = null;
+    }
+    Array.from(this.pending.values()).forEach((request) => {
+      this.clock.clearTimeout(request.timer);
+      request.reject(createPoolError("ECANCELED", "Connection pool stopped"));
+    });
+    this.pending.clear();
+    Array.from(this.socketConnections.values()).forEach((connection) =>
+      connection.socket.destroy()
+    );
+  }
+
+  /**
+   * Returns the open connection to a peer, opening one if there is none.
+   *
+   * @param {Object} peer - { ip, port }
+   * @returns {Object} The connection
+   * @throws {Error} With code "EBACKOFF" while waiting to retry a failed peer
+   */
+  getConnection(peer) {
+    const address = `${peer.ip}:${peer.port}`;
+    const existing = this.connections.get(address);
+    if (existing) {
+      return existing;
+    }
+    const failure = this.failures.get(address);
+    if (failure && this.clock.now() < failure.retryAt) {
+      throw createPoolError(
+        "EBACKOFF",
+        `Not reconnecting to ${address} for another ${
+          failure.retryAt - this.clock.now()
+        } ms`
+      );
+    }
+
+    const connection = {
+      address,
+      socket: null,
+      connected: false,
+      queue: [], // Messages written before the connection was established
+      waiting: [], // Callers of open() waiting for the connection
+      lastUsed: this.clock.now(),
+    };
+    connection.socket = this.connect(peer.port, peer.ip, () => {
+      connection.connected = true;
+      this.failures.delete(address);
+      connection.queue.forEach((message) =>
+        this.writeMessage(connection.socket, message)
+      );
+      connection.queue = [];
+      connection.waiting.forEach((waiter) => waiter.resolve());
+      connection.waiting = [];
+    });
+    this.register(connection);
+    return connection;
+  }
+
+  /**
+   * Adopts a connection another peer opened to us, so requests to that peer
+   * reuse it instead of opening a second one. Ignored if we already have a
+   * connection to the peer.
+   *
+   * @param {Object} peer - The remote peer's listening address { ip, port }
+   * @param {net.Socket} socket - The accepted socket
+   */
+  adopt(peer, socket) {
+    const address = `${peer.ip}:${peer.port}`;
+    if (this.connections.has(address) || this.socketConnections.has(socket)) {
+      return;
+    }
+    this.failures.delete(address);
+    this.register({
+      address,
+      socket,
+      connected: true,
+      queue: [],
+      waiting: [],
+      lastUsed: this.clock.now(),
+    });
+  }
+
+  /**
+   * Adds a connection to the pool and cleans up when its socket closes.
+   *
+   * @param {Object} connection
+   */
+  register(connection) {
+    this.connections.set(connection.address, connection);
+    this.socketConnections.set(connection.socket, connection);
+    let lastError = null;
+    connection.socket.on("error", (err) => {
+      lastError = err;
+    });
+    connection.socket.on("close", () =>
+      this.handleClose(connection, lastError)
+    );
+  }
+
+  /**
+   * Waits until the connection to a peer is established.
+   *
+   * @param {Object} peer - { ip, port }
+   * @returns {Promise<void>} Rejects if the connection fails
+   */
+  open(peer) {
+    return new Promise((resolve, reject) => {
+      const connection = this.getConnection(peer);
+      if (connection.connected) {
+        resolve();
+      } else {
+        connection.waiting.push({ resolve, reject });
+      }
+    });
+  }
+
+  /**
+   * Sends a message that expects no response, such as a Store.
+   *
+   * @param {Object} peer - { ip, port }
+   * @param {Buffer} message
+   * @throws {Error} With code "EBACKOFF" while waiting to retry a failed peer
+   */
+  send(peer, message) {
+    this.write(this.getConnection(peer), message);
+  }
+
+  /**
+   * Sends a request and waits for the response carrying its Transaction ID.
+   * Each attempt waits policy.timeout for the response. An attempt that times
+   * out or whose connection fails is sent again after policy.retryDelay, with
+   * the same Transaction ID so a late answer to an earlier attempt still counts,
+   * until policy.retries retries have been made.
+   *
+   * @param {Object} peer - { ip, port }
+   * @param {Buffer|Function} message - The encoded request, or a function called
+   *                                    before each attempt to encode it anew
+   *                                    (e.g. a Hello with a fresh nonce); its
+   *                                    Transaction ID is set here
+   * @param {number} responseType - The kPTP message type expected in reply
+   * @param {Object} [policy] - Overrides for this request of the pool's policy:
+   *                            { timeout, retries, retryDelay } in milliseconds
+   * @returns {Promise<Object>} The decoded response. Rejects once every attempt
+   *                            has failed, or on an Error message reply.
+   */
+  request(peer, message, responseType, policy = {}) {
+    const { timeout, retries, retryDelay } = Object.assign(
+      {},
+      this.policy,
+      policy
+    );
+    const address = `${peer.ip}:${peer.port}`;
+    return new Promise((resolve, reject) => {
+      const request = {
+        transactionID: Singleton.getSequenceNumber() >>> 0,
+        address,
+        responseType,
+        resolve,
+        reject,
+        connection: null, // The connection the current attempt was sent on
+        inFlight: false,
+        attempts: 0,
+        timer: null,
+      };
+      const attempt = () => {
+        request.attempts++;
+        request.inFlight = true;
+        request.timer = this.clock.setTimeout(
+          () =>
+            request.fail(
+              createPoolError(
+                "ETIMEDOUT",
+                `No response from ${address} within ${timeout} ms`
+              )
+            ),
+          timeout
+        );
+        try {
+          const encoded = kPTP.setTransactionID(
+            typeof message === "function" ? message() : message,
+            request.transactionID
+          );
+          request.connection = this.getConnection(peer);
+          this.write(request.connection, encoded);
+        } catch (err) {
+          request.fail(err);
+        }
+      };
+      request.fail = (error) => {
+        if (!request.inFlight) {
+          return;
+        }
+        request.inFlight = false;
+        this.clock.clearTimeout(request.timer);
+        if (request.attempts <= retries) {
+          this.logger.debug(
+            "request_retried",
+            `Request ${request.transactionID} to ${address} failed (${error.message}); retrying`,
+            { transactionID: request.transactionID, address, error }
+          );
+          request.timer = this.clock.setTimeout(attempt, retryDelay);
+        } else {
+          this.pending.delete(request.transactionID);
+          reject(error);
+        }
+      };
+
+      this.pending.set(request.transactionID, request);
+      attempt();
+    });
+  }
+
+  /**
+   * Writes a message on a connection, queueing it until the connection is established.
+   *
+   * @param {Object} connection
+   * @param {Buffer} message
+   */
+  write(connection, message) {
+    connection.lastUsed = this.clock.now();
+    if (connection.connected) {
+      this.writeMessage(connection.socket, message);
+    } else {
+      connection.queue.push(message);
+    }
+  }
+
+  /**
+   * Records activity on a connection, so requests the other peer sends over an
+   * adopted connection keep it from being closed as idle.
+   *
+   * @param {net.Socket} socket
+   */
+  touch(socket) {
+    const connection = this.socketConnections.get(socket);
+    if (connection) {
+      connection.lastUsed = this.clock.now();
+    }
+  }
+
+  /**
+   * Settles the outstanding request a response (or Error message) answers,
+   * found by its Transaction ID. The response must come from the peer the
+   * request was sent to.
+   *
+   * @param {net.Socket} socket - The socket the message arrived on
+   * @param {Object} message - The decoded message
+   * @returns {boolean} False if no request was waiting for it
+   */
+  handleResponse(socket, message) {
+    const connection = this.socketConnections.get(socket);
+    const request = this.pending.get(message.transactionID);
+    if (!connection || !request || request.address !== connection.address) {
+      return false;
+    }
+    this.pending.delete(message.transactionID);
+    this.clock.clearTimeout(request.timer);
+    if (message.messageType === kPTP.MESSAGE_TYPE.ERROR) {
+      request.reject(
+        createPoolError(
+          message.error.code,
+          `${message.senderName} answered with Error ${message.error.code}: ${message.error.description}`
+        )
+      );
+    } else if (message.messageType === request.responseType) {
+      request.resolve(message);
+    } else {
+      request.reject(
+        createPoolError(
+          "EPROTO",
+          `Expected message type ${request.responseType} from ${connection.address}, got ${message.messageType}`
+        )
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Removes a closed connection, fails the request attempts sent on it and, if the
+   * connection was never established, backs off before the next attempt.
+   *
+   * @param {Object} connection
+   * @param {Error|null} error - The socket error that closed it, if any
+   */
+  handleClose(connection, error) {
+    if (this.connections.get(connection.address) === connection) {
+      this.connections.delete(connection.address);
+    }
+    this.socketConnections.delete(connection.socket);
+
+    const reason =
+      error ||
+      createPoolError(
+        "ECONNRESET",
+        `Connection to ${connection.address} closed`
+      );
+    Array.from(this.pending.values())
+      .filter((request) => request.connection === connection)
+      .forEach((request) => request.fail(reason));
+    connection.waiting.forEach((waiter) => waiter.reject(reason));
+    connection.waiting = [];
+
+    if (!connection.connected) {
+      const failure = this.failures.get(connection.address);
+      const count = (failure ? failure.count : 0) + 1;
+      const delay = Math.min(
+        this.maxBackoff,
+        this.minBackoff * Math.pow(2, count - 1)
+      );
+      this.failures.set(connection.address, {
+        count,
+        retryAt: this.clock.now() + delay,
+      });
+      this.logger.warn(
+        "connection_failed",
+        `Connection to ${connection.address} failed ${count} time(s); retrying after ${delay} ms`,
+        { address: connection.address, failures: count, retryAfter: delay }
+      );
+    }
+  }
+
+  /**
+   * Closes connections with no outstanding requests that have not been used
+   * for idleTimeout.
+   */
+  closeIdleConnections() {
+    const now = this.clock.now();
+    const busy = new Set(
+      Array.from(this.pending.values())
+        .filter((request) => request.inFlight)
+        .map((request) => request.connection)
+    );
+    this.connections.forEach((connection, address) => {
+      if (
+        connection.connected &&
+        !busy.has(connection) &&
+        now - connection.lastUsed >= this.idleTimeout
+      ) {
+        this.connections.delete(address);
+        connection.socket.end();
+      }
+    });
+  }
+
+  /**
+   * Describes the pool's connections and backoffs, e.g. for the admin API.
+   *
+   * @returns {Object} { connections: [{ address, connected, lastUsed, pending,
+   *                   queued }], backoffs: [{ address, failures, retryAt }] }
+   */
+  getState() {
+    const pending = new Map(); // "ip:port" -> outstanding requests
+    this.pending.forEach((request) => {
+      pending.set(request.address, (pending.get(request.address) || 0) + 1);
+    });
+    return {
+      connections: Array.from(this.connections.values()).map((connection) => ({
+        address: connection.address,
+        connected: connection.connected,
+        lastUsed: connection.lastUsed,
+        pending: pending.get(connection.address) || 0,
+        queued: connection.queue.length,
+      })),
+      backoffs: Array.from(this.failures.entries()).map(
+        ([address, failure]) => ({
+          address,
+          failures: failure.count,
+          retryAt: failure.retryAt,
+        })
+      ),
+    };
+  }
+}
+
+module.exports = ConnectionPool;
@@ -0,0 +1,523 @@
+/**
+ * Crawler.js
+ *
+ * This module maps a running network by walking it from one peer. It:
+ * 1. Asks a peer for its whole routing table with Routing Table messages,
+ *    a page at a time (see kPTP.createRoutingTableMessage())
+ * 2. Asks every peer listed there in turn, and the peers they list, until no
+ *    new addresses turn up or maxPeers peers have been asked
+ * 3. Builds the directed graph of who lists whom: a node per peer ID and an
+ *    edge per routing table entry, labelled with the bucket the entry sits in
+ *    and the XOR distance between the two IDs
+ * 4. Reports the peers that did not answer, each peer's empty buckets, and
+ *    whether the overlay is partitioned: the answering peers are split into
+ *    strongly connected components, and peers in different components cannot
+ *    all reach each other by following routing table entries
+ * 5. Renders the graph as Graphviz DOT (toDOT()); the graph itself is plain
+ *    JSON-ready data
+ *
+ * The crawler is not a peer: it listens on no port and joins no routing
+ * table. crawl.js is the command-line wrapper around this class.
+ *
+ * Usage:
+ *   const { Crawler, toDOT } = require("./Crawler");
+ *   const graph = await new Crawler().crawl("127.0.0.1:4000");
+ *   fs.writeFileSync("network.dot", toDOT(graph));
+ */
+
+const Singleton = require("./Singleton");
+const kPTP = require("./kPTP");
+const ConnectionPool = require("./ConnectionPool");
+const { systemClock } = require("./Clock");
+const { tcpTransport } = require("./Transport");
+const { createSecureTransport } = require("./SecureChannel");
+const { rootLogger } = require("./Logger");
+
+// Peers asked at the same time
+const DEFAULT_CONCURRENCY = 8;
+// Most peers asked in one crawl, so a huge network cannot keep it going forever
+const DEFAULT_MAX_PEERS = 10000;
+
+/**
+ * Parses a peer address.
+ *
+ * @param {string|Object} address - "ip:port" or { ip, port }
+ * @returns {Object} { ip, port }
+ */
+function parseAddress(address) {
+  if (typeof address !== "string") {
+    return address;
+  }
+  const separator = address.lastIndexOf(":");
+  return {
+    ip: address.slice(0, separator),
+    port: parseInt(address.slice(separator + 1), 10),
+  };
+}
+
+/**
+ * Returns where a peer sits in another peer's routing table.
+ *
+ * @param {string} fromID - The peer whose table lists the other
+ * @param {string} toID - The listed peer
+ * @param {number} idBits - Network-wide peer ID width
+ * @returns {Object} { bucket, distance } with the XOR distance as idBits / 4
+ *                   hex digits; the bucket is the number of leading bits the
+ *                   IDs share, as RoutingTable.getBucketIndex() computes it
+ */
+function locateEntry(fromID, toID, idBits) {
+  const distance = Singleton.getDistance(fromID, toID);
+  return {
+    bucket: distance === 0n ? 0 : idBits - distance.toString(2).length,
+    distance: distance.toString(16).padStart(idBits / 4, "0"),
+  };
+}
+
+/**
+ * Splits a directed graph into strongly connected components (Tarjan's
+ * algorithm, iterative so a long chain of peers cannot overflow the stack).
+ *
+ * @param {Array<string>} ids - The nodes
+ * @param {Map<string, Array<string>>} successors - Node -> nodes it has edges to
+ * @returns {Array<Array<string>>} The components, largest first, each sorted
+ */
+function findComponents(ids, successors) {
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+  ids.forEach((root) => {
+    if (index.has(root)) {
+      return;
+    }
+    const work = [{ id: root, next: 0 }];
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      if (frame.next === 0) {
+        index.set(frame.id, counter);
+        lowLink.set(frame.id, counter);
+        counter++;
+        stack.push(frame.id);
+        onStack.add(frame.id);
+      }
+      const targets = successors.get(frame.id) || [];
+      if (frame.next < targets.length) {
+        const target = targets[frame.next++];
+        if (!index.has(target)) {
+          work.push({ id: target, next: 0 });
+        } else if (onStack.has(target)) {
+          lowLink.set(
+            frame.id,
+            Math.min(lowLink.get(frame.id), index.get(target))
+          );
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].id;
+        lowLink.set(
+          parent,
+          Math.min(lowLink.get(parent), lowLink.get(frame.id))
+        );
+      }
+      if (lowLink.get(frame.id) === index.get(frame.id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.id);
+        components.push(component.sort());
+      }
+    }
+  });
+  return components.sort(
+    (a, b) => b.length - a.length || (a[0] < b[0] ? -1 : 1)
+  );
+}
+
+/**
+ * Escapes a string for a double-quoted Graphviz ID or label. Line breaks
+ * become \n, which Graphviz draws as centered line breaks.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function quoteDOT(text) {
+  return `"${String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")}"`;
+}
+
+/**
+ * Renders a crawled graph (see Crawler.crawl()) as a Graphviz digraph. Peers
+ * that did not answer are drawn dashed; when the overlay is partitioned,
+ * each component is drawn as a cluster of its own.
+ *
+ * @param {Object} graph
+ * @returns {string} e.g. for `dot -Tsvg network.dot -o network.svg`
+ */
+function toDOT(graph) {
+  const { summary } = graph;
+  const lines = [
+    "digraph kademlia {",
+    `  // Crawled from ${graph.start}: ${summary.answered} of ${summary.peers} peers answered, ${summary.edges} routing table entries, ${summary.components} component(s)`,
+    '  node [shape=box, fontname="monospace"];',
+    '  edge [fontname="monospace", fontsize=9];',
+  ];
+  const renderNode = (node, indent) => {
+    const label = [node.peerID, node.name, `${node.ip}:${node.port}`]
+      .filter((part) => part)
+      .join("\n");
+    const style =
+      node.status === "answered" ? "" : ", style=dashed, color=gray";
+    lines.push(
+      `${indent}${quoteDOT(node.peerID)} [label=${quoteDOT(label)}${style}];`
+    );
+  };
+  const nodes = new Map(graph.nodes.map((node) => [node.peerID, node]));
+  if (graph.components.length > 1) {
+    graph.components.forEach((component, i) => {
+      lines.push(`  subgraph cluster_${i} {`);
+      lines.push(`    label=${quoteDOT(`component ${i}`)};`);
+      component.forEach((peerID) => renderNode(nodes.get(peerID), "    "));
+      lines.push("  }");
+    });
+    graph.nodes
+      .filter((node) => node.status !== "answered")
+      .forEach((node) => renderNode(node, "  "));
+  } else {
+    graph.nodes.forEach((node) => renderNode(node, "  "));
+  }
+  graph.edges.forEach((edge) =>
+    lines.push(
+      `  ${quoteDOT(edge.from)} -> ${quoteDOT(edge.to)} [label=${quoteDOT(
+        `bucket ${edge.bucket}\nxor ${edge.distance}`
+      )}];`
+    )
+  );
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Crawler class walks a network through its peers' routing tables.
+ */
+class Crawler {
+  /**
+   * Creates a crawler.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.name="crawler"] - Sender name in its requests
+   * @param {Object} [options.transport=tcpTransport] - Transport used for all connections
+   * @param {boolean} [options.secure=false] - Encrypt every connection, as a
+   *                                           network of --secure peers requires
+   * @param {Object} [options.clock=systemClock] - Clock used for request timeouts
+   * @param {Object} [options.policy] - Request policy (see ConnectionPool.request())
+   * @param {number} [options.concurrency=8] - Peers asked at the same time
+   * @param {number} [options.maxPeers=10000] - Most peers asked in one crawl
+   * @param {Logger} [options.logger] - Logger for peers that fail to answer (see Logger.js)
+   */
+  constructor(options = {}) {
+    this.name = options.name || "crawler";
+    this.secure = Boolean(options.secure);
+    this.transport = this.secure
+      ? createSecureTransport(options.transport || tcpTransport, this.name)
+      : options.transport || tcpTransport;
+    this.clock = options.clock || systemClock;
+    this.policy = options.policy;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.maxPeers = options.maxPeers || DEFAULT_MAX_PEERS;
+    this.log =
+      options.logger ||
+      rootLogger.child({ subsystem: "lookup", crawler: this.name });
+    this.pool = null;
+  }
+
+  /**
+   * Crawls the network from one peer. This function:
+   * 1. Fetches the routing table of the start peer, then of every peer it
+   *    lists, concurrency peers at a time, each address once
+   * 2. Records a node for every peer that answered or was listed, and an
+   *    edge for every routing table entry
+   * 3. Splits the answering peers into strongly connected components
+   *
+   * @param {string|Object} start - "ip:port" or { ip, port } of any peer
+   * @returns {Promise<Object>} The graph:
+   *   {
+   *     start, idBits,
+   *     nodes: [{ peerID, name, ip, port, status, bucketSize, entries, emptyBuckets, error }],
+   *     edges: [{ from, to, bucket, distance }],
+   *     components: [[peerID, ...], ...],
+   *     summary: { peers, answered, unreachable, notCrawled, edges, components, partitioned }
+   *   }
+   *   status is "answered", "unreachable" (asked, but no answer from that ID)
+   *   or "not_crawled" (listed after maxPeers peers had been asked). Rejects
+   *   if the start peer does not answer.
+   */
+  crawl(start) {
+    const first = parseAddress(start);
+    this.pool = new ConnectionPool({
+      clock: this.clock,
+      logger: this.log.child({ subsystem: "wire" }),
+      policy: this.policy,
+      connect: (port, ip, connectListener) =>
+        this.connect(port, ip, connectListener),
+    });
+    const tables = new Map(); // peerID -> the routing table it listed
+    const listed = new Map(); // peerID -> { ip, port } it was listed with
+    const asked = new Map(); // "ip:port" -> { peerID } or { error }
+    const queue = [first];
+    asked.set(`${first.ip}:${first.port}`, null);
+
+    const visit = (target) => {
+      const address = `${target.ip}:${target.port}`;
+      return this.fetchTable(target).then(
+        (table) => {
+          asked.set(address, { peerID: table.peer.peerID });
+          // The same peer may be reached under two addresses, e.g. localhost
+          asked.set(`${table.peer.ip}:${table.peer.port}`, {
+            peerID: table.peer.peerID,
+          });
+          if (tables.has(table.peer.peerID)) {
+            return;
+          }
+          tables.set(table.peer.peerID, table);
+          table.entries.forEach((entry) => {
+            if (!listed.has(entry.peerID)) {
+              listed.set(entry.peerID, { ip: entry.ip, port: entry.port });
+            }
+            const entryAddress = `${entry.ip}:${entry.port}`;
+            if (!asked.has(entryAddress)) {
+              asked.set(entryAddress, null);
+              queue.push(entry);
+            }
+          });
+        },
+        (error) => {
+          asked.set(address, { error });
+          this.log.warn(
+            "crawl_failed",
+            `${address} did not list its routing table: ${error.message}`,
+            { address, error }
+          );
+        }
+      );
+    };
+
+    return new Promise((resolve) => {
+      let active = 0;
+      let visited = 0;
+      const next = () => {
+        while (
+          active < this.concurrency &&
+          queue.length > 0 &&
+          visited < this.maxPeers
+        ) {
+          active++;
+          visited++;
+          visit(queue.shift()).then(() => {
+            active--;
+            next();
+          });
+        }
+        if (active === 0) {
+          resolve();
+        }
+      };
+      next();
+    })
+      .then(() => {
+        const result = asked.get(`${first.ip}:${first.port}`);
+        if (result.error) {
+          throw result.error;
+        }
+        return this.buildGraph(first, tables, listed, asked);
+      })
+      .finally(() => {
+        this.pool.stop();
+        this.pool = null;
+      });
+  }
+
+  /**
+   * Opens a connection whose responses are handed to the connection pool.
+   * A connection carrying a message that does not decode is closed, which
+   * fails the requests waiting on it.
+   *
+   * @param {number} port
+   * @param {string} ip
+   * @param {Function} connectListener
+   * @returns {Object} The socket
+   */
+  connect(port, ip, connectListener) {
+    const socket = this.transport.connect(port, ip, connectListener);
+    const stream = new kPTP.StreamDecoder();
+    socket.on("data", (data) => {
+      try {
+        stream
+          .push(data)
+          .forEach((buffer) =>
+            this.pool.handleResponse(socket, kPTP.decodeMessage(buffer))
+          );
+      } catch (error) {
+        if (!(error instanceof kPTP.DecodeError)) {
+          throw error;
+        }
+        this.log.warn(
+          "invalid_message",
+          `Invalid message from ${ip}:${port}: ${error.code} ${error.message}`,
+          { address: `${ip}:${port}`, error }
+        );
+        socket.destroy();
+      }
+    });
+    return socket;
+  }
+
+  /**
+   * Fetches a peer's whole routing table, asking for the next page until
+   * every entry has been listed.
+   *
+   * @param {Object} target - { ip, port }
+   * @returns {Promise<Object>} { peer: { peerID, ip, port, name }, idBits,
+   *                            bucketSize, entries: [{ ip, port, peerID }] }
+   */
+  fetchTable(target) {
+    const entries = [];
+    const fetchPage = (start) =>
+      this.pool
+        .request(
+          target,
+          kPTP.createRoutingTableMessage(this.name, start),
+          kPTP.MESSAGE_TYPE.ROUTING_TABLE_RESPONSE
+        )
+        .then((response) => {
+          const [sender, ...page] = response.peers;
+          entries.push(...page);
+          const next = response.start + page.length;
+          if (page.length > 0 && next < response.total) {
+            return fetchPage(next);
+          }
+          this.log.debug(
+            "crawl_listed",
+            `${response.senderName} (${sender.peerID}) listed ${entries.length} peer(s)`,
+            { peerID: sender.peerID, entries: entries.length }
+          );
+          return {
+            peer: Object.assign({ name: response.senderName }, sender),
+            idBits: response.idBits,
+            bucketSize: response.bucketSize,
+            entries,
+          };
+        });
+    return fetchPage(0);
+  }
+
+  /**
+   * Turns the crawled routing tables into the graph crawl() resolves with.
+   *
+   * @param {Object} first - The start address { ip, port }
+   * @param {Map} tables - peerID -> table, for every peer that answered
+   * @param {Map} listed - peerID -> { ip, port }, for every listed peer
+   * @param {Map} asked - "ip:port" -> { peerID } or { error }, or null if not asked
+   * @returns {Object}
+   */
+  buildGraph(first, tables, listed, asked) {
+    const idBits = tables.values().next().value.idBits;
+    const nodes = [];
+    const edges = [];
+    tables.forEach((table, peerID) => {
+      const filled = new Set();
+      const seen = new Set(); // A table that changed between pages may repeat a peer
+      table.entries.forEach((entry) => {
+        if (seen.has(entry.peerID)) {
+          return;
+        }
+        seen.add(entry.peerID);
+        const { bucket, distance } = locateEntry(peerID, entry.peerID, idBits);
+        filled.add(bucket);
+        edges.push({ from: peerID, to: entry.peerID, bucket, distance });
+      });
+      nodes.push({
+        peerID,
+        name: table.peer.name,
+        ip: table.peer.ip,
+        port: table.peer.port,
+        status: "answered",
+        bucketSize: table.bucketSize,
+        entries: seen.size,
+        emptyBuckets: Array.from({ length: idBits }, (_, i) => i).filter(
+          (i) => !filled.has(i)
+        ),
+      });
+    });
+    listed.forEach((address, peerID) => {
+      if (tables.has(peerID)) {
+        return;
+      }
+      const result = asked.get(`${address.ip}:${address.port}`);
+      const node = {
+        peerID,
+        ip: address.ip,
+        port: address.port,
+        status: result ? "unreachable" : "not_crawled",
+      };
+      if (result) {
+        node.error = result.error
+          ? result.error.message
+          : `${address.ip}:${address.port} answered as ${result.peerID}`;
+      }
+      nodes.push(node);
+    });
+    nodes.sort((a, b) => (a.peerID < b.peerID ? -1 : 1));
+    edges.sort(
+      (a, b) =>
+        (a.from < b.from ? -1 : a.from > b.from ? 1 : 0) ||
+        a.bucket - b.bucket ||
+        (a.to < b.to ? -1 : 1)
+    );
+
+    // Only answering peers are known to list anyone, so only they are split
+    const successors = new Map();
+    edges
+      .filter((edge) => tables.has(edge.to))
+      .forEach((edge) => {
+        if (!successors.has(edge.from)) {
+          successors.set(edge.from, []);
+        }
+        successors.get(edge.from).push(edge.to);
+      });
+    const components = findComponents(Array.from(tables.keys()), successors);
+    const count = (status) =>
+      nodes.filter((node) => node.status === status).length;
+    return {
+      start: `${first.ip}:${first.port}`,
+      idBits,
+      nodes,
+      edges,
+      components,
+      summary: {
+        peers: nodes.length,
+        answered: count("answered"),
+        unreachable: count("unreachable"),
+        notCrawled: count("not_crawled"),
+        edges: edges.length,
+        components: components.length,
+        partitioned: components.length > 1,
+      },
+    };
+  }
+}
+
+module.exports = {
+  Crawler,
+  toDOT,
+  locateEntry,
+  findComponents,
+};
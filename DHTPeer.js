@@ -1,43 +1,139 @@
 /**
  * DHTpeer.js
  *
- * This module implements a Distributed Hash Table (DHT) peer node that can:
- * 1. Join an existing DHT network
- * 2. Handle incoming connections from other peers
- * 3. Maintain a routing table of known peers
- * 4. Send and receive heartbeat messages
- * 5. Exchange peer information through Hello/Welcome messages
+ * This module is the command-line entrypoint for a DHT peer. It:
+ * 1. Parses the command-line arguments
+ * 2. Starts a Peer (see Peer.js) on the given TCP port, or a random one
+ * 3. With a data directory, reloads the saved identity and rejoins through
+ *    the saved routing table
+ * 4. Joins an existing network through the bootstrap peers, if any are given,
+ *    retrying with backoff until one of them answers
+ * 5. Runs the lookup and storage commands requested on the command line
+ * 6. Serves the local HTTP admin API (see AdminServer.js), if an admin port is
+ *    given, including the peer's metrics for Prometheus at GET /metrics
+ *    (see Metrics.js); --metrics-file also writes them to a file at intervals
+ * 7. Reads commands from stdin (see Shell.js), if asked to with --shell
+ * 8. Leaves the network gracefully on SIGINT or SIGTERM, or on the quit command
+ *
+ * Everything the peer does is logged through Logger.js; --log-level and
+ * --log-format choose what is logged and whether as text or JSON lines.
  */
 
-const net = require("net");
-const fs = require("fs"); // Added for file writing
+const fs = require("fs");
 const Singleton = require("./Singleton");
-const RoutingTable = require("./RoutingTable");
-const kPTP = require("./kPTP");
-const Heartbeat = require("./Heartbeat");
+const Peer = require("./Peer");
+const AdminServer = require("./AdminServer");
+const Shell = require("./Shell");
+const { rootLogger } = require("./Logger");
 
 // ------------------------------
 // Parse command-line arguments
 // ------------------------------
 const args = process.argv.slice(2);
 let peerName = null;
-let targetPeer = null; // Expected format: { ip, port }
-
-// Parse command line arguments for peer name (-n) and target peer (-p)
+let bootstrapPeers = []; // Expected format: [{ ip, port }, ...]
+let bootstrapFile = null; // File listing more bootstrap peers, one "ip:port" per line
+let parallelBootstrap = false; // Try every bootstrap peer at once instead of in order
+let lookupTarget = null; // Peer ID to look up after joining
+let storeRequest = null; // Expected format: { key, value }
+let getRequest = null; // Key to fetch after joining
+let bucketSize = 1; // Routing table bucket capacity (k)
+let idBits = 16; // Network-wide peer ID width in bits
+let secure = false; // Encrypt every connection (must match the rest of the network)
+let banFile = null; // Hosts and peer IDs this peer refuses
+let dataDir = null; // Directory keeping the identity, ban list and routing table
+let port = 0; // TCP port to listen on (0 picks a free port)
+let refreshInterval = null; // Seconds a bucket may go untouched before it is refreshed
+let phiThreshold = null; // Failure detector suspicion level at which a peer is probed
+let adminPort = null; // Local port of the HTTP admin API (off by default)
+let shell = false; // Read commands from stdin
+let logLevel = null; // e.g. "info" or "info,heartbeat=debug" (see Logger.js)
+let logFormat = null; // "text" or "json"
+let metricsFile = null; // File the metrics are written to at intervals
+let metricsInterval = null; // Seconds between writes of the metrics file
+
+// Parse command line arguments for peer name (-n), bootstrap peers (-p, repeatable),
+// lookup target (-l), value to store (-s key=value), key to fetch (-g key), bucket
+// size (-k), ID width (-b), encrypted connections (--secure), ban list file
+// (--ban-file), data directory (--data-dir), listening port (--port), bootstrap
+// peer file (--bootstrap-file), parallel bootstrapping (--parallel-bootstrap),
+// bucket refresh interval in seconds (--refresh-interval), failure detector
+// threshold (--phi-threshold), HTTP admin API port (--admin-port), the
+// interactive command shell (--shell), log levels (--log-level), log
+// format (--log-format), metrics snapshot file (--metrics-file) and its
+// write interval in seconds (--metrics-interval)
 for (let i = 0; i < args.length; i++) {
   if (args[i] === "-n" && i + 1 < args.length) {
     peerName = args[i + 1]; // Store the peer name from the next argument
     i++; // Skip the next argument since we've used it
   } else if (args[i] === "-p" && i + 1 < args.length) {
-    // Parse the target peer address in format "ip:port"
-    const parts = args[i + 1].split(":");
-    if (parts.length === 2) {
-      targetPeer = {
-        ip: parts[0],
-        port: parseInt(parts[1], 10), // Convert port string to integer
+    // Parse a bootstrap peer address in format "ip:port"
+    const target = parseAddress(args[i + 1]);
+    if (target) {
+      bootstrapPeers.push(target);
+    }
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "-l" && i + 1 < args.length) {
+    lookupTarget = args[i + 1].toLowerCase(); // Hex peer ID to find
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "-s" && i + 1 < args.length) {
+    // Parse the value to store in format "key=value"
+    const separator = args[i + 1].indexOf("=");
+    if (separator > 0) {
+      storeRequest = {
+        key: args[i + 1].slice(0, separator),
+        value: args[i + 1].slice(separator + 1),
       };
     }
     i++; // Skip the next argument since we've used it
+  } else if (args[i] === "-g" && i + 1 < args.length) {
+    getRequest = args[i + 1];
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "-k" && i + 1 < args.length) {
+    bucketSize = parseInt(args[i + 1], 10);
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "-b" && i + 1 < args.length) {
+    idBits = parseInt(args[i + 1], 10);
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--secure") {
+    secure = true;
+  } else if (args[i] === "--ban-file" && i + 1 < args.length) {
+    banFile = args[i + 1];
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--data-dir" && i + 1 < args.length) {
+    dataDir = args[i + 1];
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--port" && i + 1 < args.length) {
+    port = Number(args[i + 1]);
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--bootstrap-file" && i + 1 < args.length) {
+    bootstrapFile = args[i + 1];
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--parallel-bootstrap") {
+    parallelBootstrap = true;
+  } else if (args[i] === "--refresh-interval" && i + 1 < args.length) {
+    refreshInterval = Number(args[i + 1]);
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--phi-threshold" && i + 1 < args.length) {
+    phiThreshold = Number(args[i + 1]);
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--admin-port" && i + 1 < args.length) {
+    adminPort = Number(args[i + 1]);
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--shell") {
+    shell = true;
+  } else if (args[i] === "--log-level" && i + 1 < args.length) {
+    logLevel = args[i + 1];
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--log-format" && i + 1 < args.length) {
+    logFormat = args[i + 1];
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--metrics-file" && i + 1 < args.length) {
+    metricsFile = args[i + 1];
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--metrics-interval" && i + 1 < args.length) {
+    metricsInterval = Number(args[i + 1]);
+    i++; // Skip the next argument since we've used it
   }
 }
 
@@ -46,444 +142,296 @@ if (!peerName) {
   console.error("Error: Peer name (-n) is required.");
   process.exit(1);
 }
+if (!(bucketSize >= 1)) {
+  console.error("Error: Bucket size (-k) must be a positive integer.");
+  process.exit(1);
+}
+if (bootstrapFile) {
+  // One "ip:port" per line; blank lines and lines starting with # are skipped
+  let lines;
+  try {
+    lines = fs.readFileSync(bootstrapFile, "utf8").split("\n");
+  } catch (error) {
+    console.error(
+      `Error: Cannot read bootstrap file (--bootstrap-file): ${error.message}`
+    );
+    process.exit(1);
+  }
+  lines
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .forEach((line) => {
+      const target = parseAddress(line);
+      if (target) {
+        bootstrapPeers.push(target);
+      } else {
+        console.error(
+          `Ignoring bootstrap file line "${line}": expected ip:port`
+        );
+      }
+    });
+}
+if (!(Number.isInteger(port) && port >= 0 && port <= 65535)) {
+  console.error("Error: Port (--port) must be an integer from 0 to 65535.");
+  process.exit(1);
+}
+if (refreshInterval !== null && !(refreshInterval > 0)) {
+  console.error(
+    "Error: Refresh interval (--refresh-interval) must be a positive number of seconds."
+  );
+  process.exit(1);
+}
+if (phiThreshold !== null && !(phiThreshold > 0)) {
+  console.error(
+    "Error: Failure detector threshold (--phi-threshold) must be a positive number."
+  );
+  process.exit(1);
+}
+if (
+  adminPort !== null &&
+  !(Number.isInteger(adminPort) && adminPort >= 0 && adminPort <= 65535)
+) {
+  console.error(
+    "Error: Admin port (--admin-port) must be an integer from 0 to 65535."
+  );
+  process.exit(1);
+}
+if (metricsInterval !== null && !(metricsInterval > 0)) {
+  console.error(
+    "Error: Metrics interval (--metrics-interval) must be a positive number of seconds."
+  );
+  process.exit(1);
+}
+if (logLevel !== null) {
+  try {
+    rootLogger.configure({ level: logLevel });
+  } catch (error) {
+    console.error(`Error: ${error.message} (--log-level).`);
+    process.exit(1);
+  }
+}
+if (logFormat !== null) {
+  try {
+    rootLogger.configure({ format: logFormat });
+  } catch (error) {
+    console.error(`Error: ${error.message} (--log-format).`);
+    process.exit(1);
+  }
+}
+if (!Singleton.ID_BITS_OPTIONS.includes(idBits)) {
+  console.error(
+    `Error: ID width (-b) must be one of ${Singleton.ID_BITS_OPTIONS.join(
+      ", "
+    )} bits.`
+  );
+  process.exit(1);
+}
 
 // ------------------------------
-// Initialize Singleton and start server
+// Initialize Singleton and start the peer
 // ------------------------------
 Singleton.init();
-
-// Create TCP server for incoming connections
-const server = net.createServer((socket) => {
-  handleIncomingConnection(socket);
+Singleton.setIDBits(idBits);
+
+const peer = new Peer({
+  name: peerName,
+  port,
+  bucketSize,
+  secure,
+  dataDir,
+  refreshInterval: refreshInterval && refreshInterval * 1000,
+  failureDetector: phiThreshold ? { threshold: phiThreshold } : undefined,
+  metricsFile,
+  metricsInterval: metricsInterval && metricsInterval * 1000,
+  // Without a data directory the ban list is kept in the working directory
+  banFile: banFile || (dataDir ? undefined : "banList.json"),
 });
-
-// Start the server on a random available port
-server.listen(0, () => {
-  const localIP = "127.0.0.1"; // Assumed IP for simplicity
-  const address = server.address();
-  const localPort = address.port; // Get the randomly assigned port
-
-  // Generate this peer's ID using Singleton.getPeerID
-  const myPeerID = Singleton.getPeerID(localIP, localPort);
-
-  console.log(
-    `This peer address is ${localIP}:${localPort} located at ${peerName} [${myPeerID}]`
-  );
-
-  // Initialize global state with this peer's information
-  global.selfInfo = {
-    senderName: peerName,
-    ip: localIP,
-    port: localPort,
-    peerID: myPeerID,
-  };
-  // Create a new routing table with this peer's ID
-  global.routingTable = new RoutingTable(myPeerID);
-
-  // If a target peer is specified, join the network
-  if (targetPeer) {
-    joinNetwork(targetPeer, global.selfInfo);
-  }
-
-  // Start the heartbeat mechanism to maintain peer connections
-  Heartbeat.startHeartbeat(
-    global.routingTable,
-    global.selfInfo,
-    sendHeartbeatToPeer
-  );
-});
-
-/**
- * Handles incoming connections from other peers.
- * This function sets up event handlers for:
- * 1. Data reception - processes incoming messages
- * 2. Error handling - handles socket errors
- * 3. Connection closure - handles peer disconnections
- *
- * @param {net.Socket} socket - The socket connection from the incoming peer
- */
-function handleIncomingConnection(socket) {
-  console.log(
-    `Incoming connection from ${socket.remoteAddress}:${socket.remotePort}`
-  );
-
-  socket.on("data", (data) => {
-    try {
-      // Decode the incoming message using kPTP protocol
-      const message = kPTP.decodeMessage(data);
-      console.log(
-        `Received message from ${message.senderName} (Type ${message.messageType})`
-      );
-      if (message.messageType === 4) {
-        // Process Hello message
-        // Create sender info object with fallback values from socket
-        const senderInfo = {
-          ip:
-            (message.selfInfo && message.selfInfo.ip) ||
-            socket.remoteAddress.replace("::ffff:", ""), // Remove IPv6 prefix if present
-          port:
-            (message.selfInfo && message.selfInfo.port) || socket.remotePort,
-          peerID:
-            message.selfInfo && message.selfInfo.peerID
-              ? message.selfInfo.peerID
-              : message.peers[0]?.peerID ||
-                Singleton.getPeerID(
-                  socket.remoteAddress.replace("::ffff:", ""),
-                  socket.remotePort
-                ),
-          senderName: message.senderName,
-          lastSeen: Singleton.getTimestamp(),
-        };
-
-        console.log(
-          `Adding connecting peer ${senderInfo.peerID} to routing table`
-        );
-        // Add the sender to our routing table
-        global.routingTable.pushBucket(senderInfo);
-
-        // Send back a Welcome message with the current peer list
-        const welcomeMsg = kPTP.createWelcomeMessage(
-          global.selfInfo.senderName,
-          getAllPeersArray()
-        );
-        socket.write(welcomeMsg);
-        console.log("\n✅ Routing Table After Processing Hello:");
-        logRoutingTable();
-      } else if (message.messageType === 6) {
-        // Process Heartbeat message
-        console.log(`Processing Heartbeat from ${message.senderName}`);
-        // Update the peer's last seen time if we have their ID
-        if (message.peers && message.peers[0] && message.peers[0].peerID) {
-          Heartbeat.handleHeartbeatResponse(message.peers[0].peerID);
-        }
-        // Send heartbeat response back to the sender
-        const heartbeatResponse = kPTP.createHeartbeatResponse(
-          global.selfInfo.senderName,
-          global.selfInfo.ip,
-          global.selfInfo.port,
-          global.selfInfo.peerID
-        );
-        socket.write(heartbeatResponse);
-      } else if (message.messageType === 8) {
-        // Process Heartbeat Response message
-        console.log(`Received Heartbeat Response from ${message.senderName}`);
-        // Update the peer's last seen time if we have their ID
-        if (message.peers && message.peers[0] && message.peers[0].peerID) {
-          Heartbeat.handleHeartbeatResponse(message.peers[0].peerID);
-        }
-      } else {
-        console.log("Unknown message type received.");
-      }
-    } catch (error) {
-      console.error("Error handling incoming data: ", error);
-    }
-  });
-
-  // Handle socket errors
-  socket.on("error", (err) => {
-    console.error("Socket error:", err);
-  });
-
-  // Handle peer disconnection
-  socket.on("close", () => {
-    console.log(
-      `Connection closed from ${socket.remoteAddress}:${socket.remotePort}`
+const log = peer.log;
+const admin = adminPort !== null ? new AdminServer(peer) : null;
+// Off by default: a peer started in the background (with &) that reads the
+// terminal would be stopped by the shell it was started from
+const commands = shell ? new Shell(peer, { onQuit: () => shutdown() }) : null;
+
+// Start the server on the requested port, or a random available one
+peer
+  .start()
+  .catch((error) => {
+    console.error(
+      `Error: Cannot listen on port ${port} (--port): ${error.message}`
     );
-  });
-}
-
-/**
- * Joins an existing network by connecting to a target peer.
- * This function:
- * 1. Creates a connection to the target peer
- * 2. Sends a Hello message with current peer information
- * 3. Processes the Welcome message response
- * 4. Initiates Hello messages to all known peers
- *
- * @param {Object} target - The target peer to connect to { ip, port }
- * @param {Object} selfInfo - This peer's information
- */
-function joinNetwork(target, selfInfo) {
-  const clientSocket = net.createConnection(
-    { host: target.ip, port: target.port },
-    () => {
-      console.log(
-        `Connected to target peer ${target.ip}:${
-          target.port
-        } at timestamp: ${Singleton.getTimestamp()}`
-      );
-      const helloMsg = kPTP.createHelloMessage(
-        global.selfInfo.senderName,
-        getAllPeersArray(), // Use the current peer list (may be empty initially)
-        global.selfInfo
+    process.exit(1);
+  })
+  .then(() => {
+    // Serve the admin API before joining, so scripts can watch the join
+    if (admin) {
+      return admin.listen(adminPort).then(
+        (address) => {
+          log.admin.info(
+            "admin_listening",
+            `Admin API listening on http://${address.address}:${address.port}`,
+            { address: address.address, port: address.port }
+          );
+        },
+        (error) => {
+          console.error(
+            `Error: Cannot serve the admin API (--admin-port): ${error.message}`
+          );
+          process.exit(1);
+        }
       );
-      clientSocket.write(helloMsg);
     }
-  );
-
-  clientSocket.on("data", (data) => {
-    try {
-      const message = kPTP.decodeMessage(data);
-      console.log(
-        `Received message from ${message.senderName} (Type ${message.messageType})`
+  })
+  .then(() => {
+    // Take commands while joining, since bootstrapping may retry for a while
+    if (commands) {
+      commands.start();
+    }
+    return peer.restore();
+  })
+  .then((restored) => {
+    if (dataDir && restored.length === 0 && bootstrapPeers.length === 0) {
+      log.join.warn(
+        "nothing_restored",
+        `No saved peer in ${dataDir} answered; use -p to join through a bootstrap peer`,
+        { dataDir }
       );
-      if (message.messageType === 2) {
-        // Process Welcome message
-        console.log(`Processing Welcome message from ${message.senderName}`);
-        // Use refreshBuckets() to update the DHT with received peers,
-        // but filter out our own info.
-        refreshBuckets(global.routingTable, message.peers);
-        console.log("\n✅ Routing Table After Welcome Message:");
-        global.routingTable.printRoutingTable();
-        sendHelloMessages();
+    }
+    // If bootstrap peers are given, join the network through one of them; a
+    // restarted peer that reached its saved peers has already rejoined
+    if (bootstrapPeers.length > 0) {
+      return peer
+        .bootstrap(bootstrapPeers, { parallel: parallelBootstrap })
+        .then(() => true);
+    }
+    return restored.length > 0;
+  })
+  .then((joined) => {
+    // Run the lookup and storage commands requested on the command line, if any
+    if (joined) {
+      if (lookupTarget) {
+        runLookup(lookupTarget);
       }
-    } catch (error) {
-      console.error("Error processing message:", error);
+      runStorageCommands();
     }
+  })
+  .catch((error) => {
+    log.join.error(
+      "bootstrap_failed",
+      `Error joining network: ${error.message}`,
+      { error }
+    );
   });
 
-  clientSocket.on("error", (err) => {
-    console.error("Error joining network:", err);
-  });
-
-  clientSocket.on("close", () => {
-    console.log(`Connection closed from ${target.ip}:${target.port}`);
-  });
-}
-
-/**
- * Sends Hello messages to all peers in the routing table.
- * This function:
- * 1. Collects all peers from the routing table
- * 2. Creates a connection to each peer
- * 3. Sends a Hello message with current peer information
- * 4. Handles responses and errors
- */
-function sendHelloMessages() {
-  const peers = [];
-  global.routingTable.kBuckets.forEach((bucket) => {
-    bucket.forEach((peer) => peers.push(peer));
-  });
-  console.log(`\n📤 Sending Hello messages to ${peers.length} peers...`);
-  peers.forEach((peer) => {
-    const client = new net.Socket();
-    const timeout = setTimeout(() => {
-      client.destroy();
-      console.log(`Connection timeout for peer ${peer.peerID}`);
-    }, 5000);
-    client.connect(peer.port, peer.ip, () => {
-      clearTimeout(timeout);
-      const helloMessage = kPTP.createHelloMessage(
-        global.selfInfo.senderName,
-        peers,
-        global.selfInfo
-      );
-      client.write(helloMessage);
+// On Ctrl+C or a termination signal, tell every peer in the routing table
+// with a Goodbye message, so they drop this peer at once, then exit
+["SIGINT", "SIGTERM"].forEach((signal) =>
+  process.once(signal, () => {
+    log.peer.info("signal", `Received ${signal}; leaving the network`, {
+      signal,
     });
-    client.on("data", (data) => {
-      try {
-        const response = kPTP.decodeMessage(data);
-        console.log(
-          `Received ${
-            response.messageType === 2 ? "Welcome" : "Unknown"
-          } message from ${response.senderName}`
-        );
-        logRoutingTable();
-      } catch (error) {
-        console.error(
-          `Error processing response from peer ${peer.peerID}:`,
-          error
-        );
-      }
-    });
-    client.on("error", (err) => {
-      clearTimeout(timeout);
-      console.error(`Error sending Hello to peer ${peer.peerID}:`, err.message);
-      client.destroy();
-    });
-    client.on("close", () => {
-      clearTimeout(timeout);
-      client.destroy();
-    });
-  });
-}
+    shutdown();
+  })
+);
 
 /**
- * Sends a heartbeat message to a peer.
- * This function:
- * 1. Creates a connection to the target peer
- * 2. Sends a heartbeat message
- * 3. Waits for and processes the heartbeat response
- * 4. Handles timeouts and errors
+ * Leaves the network, closes the admin API and the shell, and exits.
  *
- * @param {Object} peer - The peer to send heartbeat to
- * @param {Buffer} message - The heartbeat message to send
+ * @returns {Promise<void>}
  */
-function sendHeartbeatToPeer(peer, message) {
-  console.log(
-    `Attempting to send heartbeat to peer ${peer.peerID} at ${peer.ip}:${peer.port}`
+function shutdown() {
+  if (commands) {
+    commands.stop();
+  }
+  return Promise.all([peer.leave(), admin && admin.close()]).then(() =>
+    process.exit(0)
   );
-  const client = new net.Socket();
-  // Set a 5-second timeout for the connection
-  const timeout = setTimeout(() => {
-    client.destroy();
-    console.log(`Connection timeout for peer ${peer.peerID}`);
-  }, 5000);
-
-  // Connect to the peer and send the heartbeat message
-  client.connect(peer.port, peer.ip, () => {
-    clearTimeout(timeout);
-    client.write(message);
-    client.end(); // This is closing the connection before receiving response
-  });
-
-  // Handle incoming heartbeat response
-  client.on("data", (data) => {
-    try {
-      const response = kPTP.decodeMessage(data);
-      console.log(`Received heartbeat response from ${response.senderName}`);
-      if (response.messageType === 8) {
-        // Process Heartbeat Response
-        Heartbeat.handleHeartbeatResponse(response.peers[0]?.peerID);
-      }
-    } catch (error) {
-      console.error(`Error processing heartbeat response:`, error);
-    }
-  });
-
-  // Handle connection errors
-  client.on("error", (err) => {
-    clearTimeout(timeout);
-    console.error(
-      `Error sending heartbeat to peer ${peer.peerID}:`,
-      err.message
-    );
-    client.destroy();
-  });
-
-  // Handle connection closure
-  client.on("close", () => {
-    clearTimeout(timeout);
-    client.destroy();
-  });
 }
 
 /**
- * Processes a list of received peers and updates the current DHT routing table.
- * This function:
- * 1. Filters out the peer's own information
- * 2. Ensures each peer has a lastSeen timestamp
- * 3. Adds each peer to the routing table
+ * Parses a peer address in format "ip:port".
  *
- * @param {RoutingTable} routingTable - The current routing table instance
- * @param {Array} peers - Array of peer objects to process
+ * @param {string} address
+ * @returns {Object|null} { ip, port }, or null if the address is malformed
  */
-function refreshBuckets(routingTable, peers) {
-  console.log("Refreshing DHT buckets with received peers:");
-  console.log(peers);
-
-  peers.forEach((peer) => {
-    // Skip if this is our own peer info
-    if (peer.peerID === global.selfInfo.peerID) {
-      return;
-    }
-    // Set lastSeen timestamp if not present
-    if (!peer.lastSeen) {
-      peer.lastSeen = Singleton.getTimestamp();
-    }
-    // Add or update the peer in the routing table
-    routingTable.pushBucket(peer);
-  });
-
-  console.log("DHT Table after refresh:");
-  global.routingTable.printRoutingTable();
-  // Write the updated routing table to a JSON file
-  writeRoutingTableToFile();
+function parseAddress(address) {
+  const parts = address.split(":");
+  if (parts.length !== 2) {
+    return null;
+  }
+  return {
+    ip: parts[0],
+    port: parseInt(parts[1], 10), // Convert port string to integer
+  };
 }
 
 /**
- * Helper function to return a flattened array of all peers from the routing table.
- * This function:
- * 1. Collects all peers from all buckets
- * 2. Returns them as a single array
+ * Runs a lookup for the given target ID and logs the result.
  *
- * @returns {Array} Array of all peer objects
+ * @param {string} targetID - The peer ID to look up
  */
-function getAllPeersArray() {
-  const peers = [];
-  global.routingTable.kBuckets.forEach((bucket) => {
-    bucket.forEach((peer) => {
-      peers.push(peer);
-    });
+function runLookup(targetID) {
+  log.lookup.info("lookup_started", `Looking up peer ${targetID}...`, {
+    targetID,
   });
-  return peers;
+  peer
+    .findNode(targetID)
+    .then((peers) => {
+      const peerIDs = peers.map((peer) => peer.peerID);
+      log.lookup.info(
+        "lookup_result",
+        `Lookup for ${targetID} returned: ${peerIDs.join(", ") || "[none]"}`,
+        { targetID, peers: peerIDs }
+      );
+    })
+    .catch((error) => {
+      log.lookup.error(
+        "lookup_failed",
+        `Lookup for ${targetID} failed: ${error.message}`,
+        { targetID, error }
+      );
+    });
 }
 
 /**
- * Logs the routing table details to the console and writes them to a JSON file.
- * The JSON file is named based on the peer's ID.
+ * Runs the Store and Find Value operations requested on the command line.
  */
-function logRoutingTable() {
-  console.log("----- ROUTING TABLE -----");
-  const routingTableData = {
-    peer: global.selfInfo,
-    buckets: [],
-  };
-  // Iterate through each bucket in the routing table
-  global.routingTable.kBuckets.forEach((bucket, bucketIndex) => {
-    if (bucket.length === 0) {
-      console.log(`Bucket ${bucketIndex}: [empty]`);
-      routingTableData.buckets.push({ bucketIndex, peers: [] });
-    } else {
-      console.log(`Bucket ${bucketIndex}:`);
-      const bucketPeers = [];
-      bucket.forEach((peer) => {
-        const peerInfo = {
-          peerID: peer.peerID,
-          ip: peer.ip,
-          port: peer.port,
-          lastSeen: peer.lastSeen,
-        };
-        console.log(
-          `  PeerID: ${peer.peerID}, IP: ${peer.ip}, Port: ${peer.port}, LastSeen: ${peer.lastSeen}`
+function runStorageCommands() {
+  if (storeRequest) {
+    peer
+      .storeValue(storeRequest.key, storeRequest.value)
+      .then((peerIDs) => {
+        log.lookup.info(
+          "store_result",
+          `Stored "${storeRequest.key}" on: ${peerIDs.join(", ") || "[none]"}`,
+          { key: storeRequest.key, peers: peerIDs }
+        );
+      })
+      .catch((error) => {
+        log.lookup.error(
+          "store_failed",
+          `Store for "${storeRequest.key}" failed: ${error.message}`,
+          { key: storeRequest.key, error }
+        );
+      });
+  }
+  if (getRequest) {
+    peer
+      .findValue(getRequest)
+      .then((value) => {
+        log.lookup.info(
+          "get_result",
+          value === null
+            ? `Value for "${getRequest}" not found`
+            : `Value for "${getRequest}": ${value}`,
+          { key: getRequest, value }
+        );
+      })
+      .catch((error) => {
+        log.lookup.error(
+          "get_failed",
+          `Find Value for "${getRequest}" failed: ${error.message}`,
+          { key: getRequest, error }
         );
-        bucketPeers.push(peerInfo);
       });
-      routingTableData.buckets.push({ bucketIndex, peers: bucketPeers });
-    }
-  });
-  console.log("-------------------------");
-
-  // Write routing table data to a JSON file
-  writeRoutingTableToFile(routingTableData);
-}
-
-/**
- * Writes the given routing table data to a JSON file.
- * If no data is provided, it builds the data from the global routing table.
- *
- * The file is named using the peer's ID (e.g., routingTable_7cf2.json).
- *
- * @param {Object} [data] - Optional routing table data object.
- */
-function writeRoutingTableToFile(data) {
-  let routingTableData = data;
-  if (!routingTableData) {
-    routingTableData = {
-      peer: global.selfInfo,
-      buckets: [],
-    };
-    global.routingTable.kBuckets.forEach((bucket, bucketIndex) => {
-      const bucketPeers = bucket.map((peer) => ({
-        peerID: peer.peerID,
-        ip: peer.ip,
-        port: peer.port,
-        lastSeen: peer.lastSeen,
-      }));
-      routingTableData.buckets.push({ bucketIndex, peers: bucketPeers });
-    });
   }
-  const fileName = `routingTable_${global.selfInfo.peerID}.json`;
-  fs.writeFileSync(fileName, JSON.stringify(routingTableData, null, 2));
-  console.log(`Routing table saved to ${fileName}`);
 }
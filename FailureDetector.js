@@ -0,0 +1,212 @@
+/**
+ * FailureDetector.js
+ *
+ * This module implements a phi-accrual failure detector (Hayashibara et al.,
+ * "The φ Accrual Failure Detector"). For each watched peer it:
+ * 1. Records when its heartbeat responses arrive, and their round-trip times
+ * 2. Keeps a sliding window of the intervals between arrivals, whose mean and
+ *    spread reflect the peer's RTT, jitter and past losses
+ * 3. Computes phi, the level of suspicion that the peer has failed:
+ *    -log10 of the probability that its next response arrives even later
+ *    than now, if intervals are normally distributed as in the window
+ *
+ * A phi of 1 means a 10% chance that the peer is merely late, 2 means 1%, and
+ * 8 means one in 10^8. A peer whose responses have often been late or lost has
+ * a wide spread of intervals, so it is suspected later than one that always
+ * answers on time.
+ */
+
+const { systemClock } = require("./Clock");
+
+/**
+ * Returns the probability that a normally distributed value exceeds x, using
+ * the logistic approximation of the normal CDF (accurate to about 10^-4).
+ *
+ * @param {number} x
+ * @param {number} mean
+ * @param {number} stdDeviation
+ * @returns {number}
+ */
+function probabilityLater(x, mean, stdDeviation) {
+  const y = (x - mean) / stdDeviation;
+  const e = Math.exp(-y * (1.5976 + 0.070566 * y * y));
+  return x > mean ? e / (1 + e) : 1 - 1 / (1 + e);
+}
+
+/**
+ * FailureDetector class keeps the arrival history of every watched peer.
+ */
+class FailureDetector {
+  /**
+   * Creates a failure detector.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.threshold=8] - Phi at which a peer is suspected
+   * @param {number} [options.windowSize=100] - Arrival intervals kept per peer
+   * @param {number} [options.minStdDeviation=500] - Smallest spread assumed, in
+   *                                                 milliseconds, so a peer that
+   *                                                 always answered on time is not
+   *                                                 suspected for slight lateness
+   * @param {number} [options.firstInterval=20000] - Interval expected before any was
+   *                                                 measured (the heartbeat interval)
+   * @param {Object} [options.clock=systemClock] - Clock arrivals are timed with
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold || 8;
+    this.windowSize = options.windowSize || 100;
+    this.minStdDeviation = options.minStdDeviation || 500;
+    this.firstInterval = options.firstInterval || 20000;
+    this.clock = options.clock || systemClock;
+    // peerID -> { intervals, lastArrival, rtts, skipInterval }
+    this.peers = new Map();
+  }
+
+  /**
+   * Starts watching a peer, as if a response had arrived now. Its window starts
+   * with two intervals around firstInterval, so phi is defined until real ones
+   * are measured. Does nothing for a peer already watched.
+   *
+   * @param {string} peerID
+   */
+  watch(peerID) {
+    if (this.peers.has(peerID)) {
+      return;
+    }
+    const spread = this.firstInterval / 10;
+    this.peers.set(peerID, {
+      intervals: [this.firstInterval - spread, this.firstInterval + spread],
+      lastArrival: this.clock.now(),
+      rtts: [],
+      // The watch started at a request, not an arrival, so the time to the
+      // first response is not an interval between responses
+      skipInterval: true,
+    });
+  }
+
+  /**
+   * Records a heartbeat response from a peer, starting to watch it if needed.
+   *
+   * @param {string} peerID
+   * @param {number} [rtt] - Milliseconds between the request and the response
+   */
+  heartbeat(peerID, rtt) {
+    this.watch(peerID);
+    const record = this.peers.get(peerID);
+    const now = this.clock.now();
+    if (!record.skipInterval) {
+      record.intervals.push(now - record.lastArrival);
+      if (record.intervals.length > this.windowSize) {
+        record.intervals.shift();
+      }
+    }
+    record.skipInterval = false;
+    record.lastArrival = now;
+    if (rtt !== undefined) {
+      record.rtts.push(rtt);
+      if (record.rtts.length > this.windowSize) {
+        record.rtts.shift();
+      }
+    }
+  }
+
+  /**
+   * Records that a watched peer is alive by other evidence than a response to
+   * one of our heartbeats, e.g. another peer reached it. Its suspicion starts
+   * over, but no interval is measured from it.
+   *
+   * @param {string} peerID
+   */
+  confirm(peerID) {
+    const record = this.peers.get(peerID);
+    if (record) {
+      record.lastArrival = this.clock.now();
+      record.skipInterval = true;
+    }
+  }
+
+  /**
+   * Stops watching a peer and forgets its history.
+   *
+   * @param {string} peerID
+   */
+  remove(peerID) {
+    this.peers.delete(peerID);
+  }
+
+  /**
+   * Returns the current suspicion level of a peer.
+   *
+   * @param {string} peerID
+   * @returns {number} Phi, or 0 for a peer that is not watched
+   */
+  phi(peerID) {
+    const record = this.peers.get(peerID);
+    if (!record) {
+      return 0;
+    }
+    const { mean, stdDeviation } = this.getDistribution(record);
+    const elapsed = this.clock.now() - record.lastArrival;
+    const later = probabilityLater(elapsed, mean, stdDeviation);
+    // Far in the tail the probability rounds to 0; cap phi instead of Infinity
+    return later > 0 ? Math.min(-Math.log10(later), 100) : 100;
+  }
+
+  /**
+   * Returns true if a peer's phi has reached the threshold.
+   *
+   * @param {string} peerID
+   * @returns {boolean}
+   */
+  isSuspect(peerID) {
+    return this.phi(peerID) >= this.threshold;
+  }
+
+  /**
+   * Returns what the detector knows about a peer.
+   *
+   * @param {string} peerID
+   * @returns {Object|null} { phi, meanInterval, stdDeviation, meanRTT, samples },
+   *                        or null for a peer that is not watched. meanRTT is
+   *                        null until a round trip has been measured.
+   */
+  getStats(peerID) {
+    const record = this.peers.get(peerID);
+    if (!record) {
+      return null;
+    }
+    const { mean, stdDeviation } = this.getDistribution(record);
+    return {
+      phi: this.phi(peerID),
+      meanInterval: mean,
+      stdDeviation,
+      meanRTT:
+        record.rtts.length > 0
+          ? record.rtts.reduce((sum, rtt) => sum + rtt, 0) / record.rtts.length
+          : null,
+      samples: record.intervals.length,
+    };
+  }
+
+  /**
+   * Returns the mean and standard deviation of a peer's arrival intervals.
+   *
+   * @param {Object} record
+   * @returns {Object} { mean, stdDeviation }
+   */
+  getDistribution(record) {
+    const count = record.intervals.length;
+    const mean =
+      record.intervals.reduce((sum, value) => sum + value, 0) / count;
+    const variance =
+      record.intervals.reduce(
+        (sum, value) => sum + (value - mean) * (value - mean),
+        0
+      ) / count;
+    return {
+      mean,
+      stdDeviation: Math.max(Math.sqrt(variance), this.minStdDeviation),
+    };
+  }
+}
+
+module.exports = FailureDetector;
@@ -2,18 +2,29 @@
  * Heartbeat.js
  *
  * This module implements a heartbeat mechanism for the DHT network that:
- * 1. Periodically sends heartbeat messages to all peers
- * 2. Tracks missed heartbeats for each peer
- * 3. Removes peers that miss too many heartbeats
- * 4. Updates peer lastSeen timestamps on successful responses
+ * 1. Periodically sends heartbeat messages to the peers it has not heard from
+ *    within the last interval; any other message from a peer shows it is alive
+ *    too, so a busy network needs few heartbeats
+ * 2. Feeds the arrival times and round trips of their responses to a failure
+ *    detector (see FailureDetector.js), which adapts to each peer's link
+ * 3. Marks a peer suspect once the detector's suspicion level (phi) reaches its
+ *    threshold, and asks other peers to probe it before giving up on it
+ * 4. Removes suspects that no indirect probe reaches in PROBE_ROUNDS rounds in
+ *    a row, so one unlucky round on a lossy link does not evict a live peer
+ * 5. Updates peer lastSeen timestamps whenever a peer is heard from
+ *
+ * Each peer owns its own Heartbeat instance, so several peers can run in one process.
  */
 
 const kPTP = require("./kPTP");
 const singleton = require("./Singleton");
+const { systemClock } = require("./Clock");
+const FailureDetector = require("./FailureDetector");
+const { rootLogger } = require("./Logger");
+const { MetricsRegistry } = require("./Metrics");
 
-// Object to keep track of missed heartbeat counts for each peer (keyed by peerID)
-// Used to detect and remove inactive peers from the network
-let missedCounts = {};
+// Failed indirect probe rounds in a row after which a suspect is removed
+const PROBE_ROUNDS = 2;
 
 /**
  * Extracts all peers from the routing table.
@@ -35,94 +46,382 @@ function getAllPeers(routingTable) {
 }
 
 /**
- * Starts the heartbeat process.
- * This function:
- * 1. Sets up an interval to send heartbeats every 20 seconds
- * 2. Sends heartbeat messages to all peers in the routing table
- * 3. Tracks missed heartbeats for each peer
- * 4. Removes peers that miss 3 consecutive heartbeats
- *
- * @param {Object} routingTable - Your routing table instance
- * @param {Object} selfInfo - An object containing sender information:
- *                            { senderName, ip, port, peerID }
- * @param {Function} sendFunction - A callback to send a message to a peer.
- *                                  Should be called as: sendFunction(peer, message)
+ * Heartbeat class monitors the liveness of the peers in one routing table.
  */
-function startHeartbeat(routingTable, selfInfo, sendFunction) {
-  // Set up interval to run heartbeat cycle every 20 seconds
-  setInterval(() => {
-    console.log(`\nHeartbeat cycle at timestamp: ${singleton.getTimestamp()}`);
+class Heartbeat {
+  /**
+   * Creates the heartbeat monitor for a peer.
+   *
+   * @param {Object} routingTable - Your routing table instance
+   * @param {Object} selfInfo - An object containing sender information:
+   *                            { senderName, ip, port, peerID }
+   * @param {Function} sendFunction - A callback to send a heartbeat to a peer.
+   *                                  Called as sendFunction(peer, message), it returns a
+   *                                  Promise resolving to true if the peer answered
+   *                                  within the request timeout and false otherwise
+   * @param {Object} [options]
+   * @param {Object} [options.clock=systemClock] - Clock used to schedule heartbeat cycles
+   * @param {number} [options.interval=20000] - Heartbeat interval in milliseconds
+   * @param {Object} [options.failureDetector] - Failure detector settings (see
+   *                                             FailureDetector): { threshold,
+   *                                             windowSize, minStdDeviation }
+   * @param {Function} [options.probeFunction] - Asks other peers whether a suspect is
+   *                                             alive. Called as probeFunction(peer), it
+   *                                             returns a Promise resolving to true if
+   *                                             any of them reached it. Suspects are
+   *                                             removed without a probe by default.
+   * @param {Logger} [options.logger] - Logger for cycles, suspicions and removals (see Logger.js)
+   * @param {MetricsRegistry} [options.metrics] - Registry for heartbeat counts, round trips,
+   *                                              suspicions and removals (see Metrics.js)
+   */
+  constructor(routingTable, selfInfo, sendFunction, options = {}) {
+    this.routingTable = routingTable;
+    this.selfInfo = selfInfo;
+    this.sendFunction = sendFunction;
+    this.clock = options.clock || systemClock;
+    this.interval = options.interval || 20000; // heartbeat interval: 20 seconds
+    this.logger =
+      options.logger || rootLogger.child({ subsystem: "heartbeat" });
+    this.probeFunction =
+      options.probeFunction || (() => Promise.resolve(false));
+    this.detector = new FailureDetector(
+      Object.assign(
+        { clock: this.clock, firstInterval: this.interval },
+        options.failureDetector
+      )
+    );
+    this.suspects = new Set(); // Peer IDs being probed indirectly
+    this.failedProbes = new Map(); // peerID -> failed probe rounds since it was last heard from
+    this.lastHeard = new Map(); // peerID -> when its last message other than a heartbeat response arrived
+    this.missed = new Map(); // peerID -> heartbeats in a row it has not answered
+    this.timer = null;
+    this.registerMetrics(options.metrics || new MetricsRegistry());
+  }
+
+  /**
+   * Registers the heartbeat monitor's metrics.
+   *
+   * @param {MetricsRegistry} metrics
+   */
+  registerMetrics(metrics) {
+    this.counters = {
+      sent: metrics.counter("dht_heartbeats_sent_total", "Heartbeats sent"),
+      skipped: metrics.counter(
+        "dht_heartbeats_skipped_total",
+        "Heartbeats not sent because the peer was heard from recently"
+      ),
+      missed: metrics.counter(
+        "dht_heartbeats_missed_total",
+        "Heartbeats that got no response"
+      ),
+      suspected: metrics.counter(
+        "dht_peers_suspected_total",
+        "Times a peer's phi reached the threshold and it was probed"
+      ),
+      probesFailed: metrics.counter(
+        "dht_probe_rounds_failed_total",
+        "Indirect probe rounds that reached no suspect"
+      ),
+      evicted: metrics.counter(
+        "dht_peers_evicted_total",
+        "Peers removed after failing heartbeats and indirect probes"
+      ),
+    };
+    this.rttHistogram = metrics.histogram(
+      "dht_heartbeat_rtt_seconds",
+      "Round trip from a heartbeat to its response"
+    );
+    metrics.gauge("dht_heartbeat_suspects", "Peers being probed indirectly", {
+      collect: (gauge) => gauge.set({}, this.suspects.size),
+    });
+  }
+
+  /**
+   * Starts the heartbeat process.
+   * This function:
+   * 1. Sets up an interval to send heartbeats every 20 seconds
+   * 2. Sends heartbeat messages to the peers in the routing table that have
+   *    been silent for an interval
+   * 3. Records the round trip of every response in the failure detector
+   * 4. Checks each peer's suspicion level at every cycle and whenever a heartbeat
+   *    goes unanswered, removing suspects no indirect probe reaches; the routing
+   *    table refills the freed slot from the bucket's replacement cache
+   */
+  start() {
+    // Set up interval to run a heartbeat cycle every 20 seconds
+    this.timer = this.clock.setInterval(() => this.runCycle(), this.interval);
+  }
+
+  /**
+   * Stops sending heartbeats.
+   */
+  stop() {
+    if (this.timer !== null) {
+      this.clock.clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Runs one heartbeat cycle over all peers in the routing table.
+   */
+  runCycle() {
     // Get all peers from the routing table
-    const peers = getAllPeers(routingTable);
+    const peers = getAllPeers(this.routingTable);
+    const timestamp = singleton.getTimestamp();
+    this.logger.debug(
+      "heartbeat_cycle",
+      `\nHeartbeat cycle at timestamp: ${timestamp}`,
+      { timestamp, peers: peers.length }
+    );
+    // Forget peers that left the table since the last cycle, so one that comes
+    // back starts with a fresh history
+    new Set([...this.detector.peers.keys(), ...this.lastHeard.keys()]).forEach(
+      (peerID) => {
+        if (!this.routingTable.hasPeer(peerID)) {
+          this.forgetPeer(peerID);
+        }
+      }
+    );
+    let skipped = 0;
     peers.forEach((peer) => {
+      // A peer is watched from its first heartbeat, as if it had just answered
+      this.detector.watch(peer.peerID);
+      // A peer heard from since the last cycle needs no heartbeat. It counts as
+      // an arrival now, as a prompt response would, so the failure detector
+      // keeps measuring intervals of about one cycle while traffic flows.
+      if (this.heardRecently(peer.peerID)) {
+        this.detector.heartbeat(peer.peerID);
+        skipped++;
+        this.counters.skipped.inc();
+        return;
+      }
+      this.checkPeer(peer);
       // Create a heartbeat message (Message Type 6)
       const heartbeatMsg = kPTP.createHeartbeatMessage(
-        selfInfo.senderName,
-        selfInfo.ip,
-        selfInfo.port,
-        selfInfo.peerID
+        this.selfInfo.senderName,
+        this.selfInfo.ip,
+        this.selfInfo.port,
+        this.selfInfo.peerID
       );
-      // Send the heartbeat message to the peer
-      sendFunction(peer, heartbeatMsg);
-      console.log(`Sent heartbeat to peer ${peer.peerID}`);
-
-      // Update missed heartbeat count for this peer
-      if (missedCounts[peer.peerID] === undefined) {
-        // Initialize count if this is the first missed heartbeat
-        missedCounts[peer.peerID] = 1;
-      } else {
-        // Increment the missed count
-        missedCounts[peer.peerID]++;
-      }
-      console.log(
-        `Peer ${peer.peerID} has missed ${
-          missedCounts[peer.peerID]
-        } heartbeat(s).`
+      // Send the heartbeat message to the peer, timing the round trip
+      this.logger.debug(
+        "heartbeat_sent",
+        `Sent heartbeat to peer ${peer.peerID}`,
+        { peerID: peer.peerID }
       );
+      const sentAt = this.clock.now();
+      this.counters.sent.inc();
+      this.sendFunction(peer, heartbeatMsg).then((answered) => {
+        if (this.timer === null) {
+          return; // Stopped while the heartbeat was in flight
+        }
+        if (answered) {
+          this.handleHeartbeatResponse(peer.peerID, this.clock.now() - sentAt);
+        } else if (this.routingTable.hasPeer(peer.peerID)) {
+          this.counters.missed.inc();
+          this.missed.set(peer.peerID, (this.missed.get(peer.peerID) || 0) + 1);
+          this.checkPeer(peer);
+        }
+      });
+    });
+    if (skipped > 0) {
+      this.logger.debug(
+        "heartbeats_skipped",
+        `Skipped heartbeats to ${skipped} recently heard peer(s)`,
+        { count: skipped }
+      );
+    }
+  }
 
-      // Remove the peer if it has missed 3 or more heartbeats
-      if (missedCounts[peer.peerID] >= 3) {
-        console.log(`Removing peer ${peer.peerID} due to missed heartbeats.`);
-        routingTable.removePeer(peer.peerID);
-        // Clean up the missed count for this peer
-        delete missedCounts[peer.peerID];
+  /**
+   * Checks a peer's suspicion level. This function:
+   * 1. Does nothing while phi is below the failure detector's threshold
+   * 2. Otherwise marks the peer suspect and asks other peers to probe it, since
+   *    only our own link to it may be failing
+   * 3. Clears the suspicion if any of them reached the peer. If none did, the
+   *    peer is probed again at its next check, and removed from the routing
+   *    table once PROBE_ROUNDS rounds in a row have failed.
+   *
+   * @param {Object} peer - The peer to check
+   */
+  checkPeer(peer) {
+    if (
+      this.suspects.has(peer.peerID) ||
+      !this.routingTable.hasPeer(peer.peerID)
+    ) {
+      return; // Already being probed, or already removed, e.g. after a failed ping
+    }
+    const phi = this.detector.phi(peer.peerID);
+    if (phi < this.detector.threshold) {
+      return;
+    }
+    this.suspects.add(peer.peerID);
+    this.counters.suspected.inc();
+    this.logger.warn(
+      "peer_suspect",
+      `Peer ${peer.peerID} is suspect (phi ${phi.toFixed(
+        2
+      )}); probing it through other peers.`,
+      { peerID: peer.peerID, phi }
+    );
+    this.probeFunction(peer).then((alive) => {
+      if (this.timer === null || !this.suspects.has(peer.peerID)) {
+        return; // Stopped, or the peer answered us in the meantime
+      }
+      this.suspects.delete(peer.peerID);
+      if (alive) {
+        this.logger.info(
+          "suspicion_cleared",
+          `Peer ${peer.peerID} was reached indirectly; keeping it.`,
+          { peerID: peer.peerID, reason: "probe" }
+        );
+        this.failedProbes.delete(peer.peerID);
+        this.detector.confirm(peer.peerID);
+        return;
       }
+      const failed = (this.failedProbes.get(peer.peerID) || 0) + 1;
+      this.counters.probesFailed.inc();
+      if (failed < PROBE_ROUNDS) {
+        this.logger.warn(
+          "probe_failed",
+          `No indirect probe reached peer ${peer.peerID} (round ${failed} of ${PROBE_ROUNDS}).`,
+          { peerID: peer.peerID, round: failed, rounds: PROBE_ROUNDS }
+        );
+        this.failedProbes.set(peer.peerID, failed);
+        return;
+      }
+      const finalPhi = this.detector.phi(peer.peerID);
+      this.logger.warn(
+        "peer_failed",
+        `Removing peer ${peer.peerID}: phi ${finalPhi.toFixed(
+          2
+        )} and no indirect probe reached it.`,
+        { peerID: peer.peerID, phi: finalPhi }
+      );
+      this.counters.evicted.inc();
+      this.routingTable.removePeer(peer.peerID);
+      this.forgetPeer(peer.peerID);
     });
-  }, 20000); // heartbeat interval: 20 seconds
-}
+  }
 
-/**
- * Resets the missed heartbeat count for a peer when a heartbeat response is received.
- * This function:
- * 1. Resets the missed count to 0
- * 2. Updates the peer's lastSeen timestamp in the routing table
- *
- * @param {string} peerID - The ID of the peer that responded
- */
-function handleHeartbeatResponse(peerID) {
-  console.log(`Received heartbeat response from peer ${peerID}`);
-  // Reset the missed count for this peer
-  missedCounts[peerID] = 0;
-
-  // Update the lastSeen timestamp for the peer in the global routing table
-  if (global.routingTable) {
-    // Search through all buckets for the peer
-    global.routingTable.kBuckets.forEach((bucket) => {
-      bucket.forEach((peer) => {
-        if (peer.peerID === peerID) {
-          // Update the lastSeen timestamp to current time
-          peer.lastSeen = singleton.getTimestamp();
-          console.log(
-            `Updated lastSeen for peer ${peerID} to ${peer.lastSeen}`
-          );
-        }
-      });
+  /**
+   * Forgets the failure detector history of a peer that left the routing table
+   * for another reason, e.g. because it said goodbye.
+   *
+   * @param {string} peerID
+   */
+  forgetPeer(peerID) {
+    this.detector.remove(peerID);
+    this.suspects.delete(peerID);
+    this.failedProbes.delete(peerID);
+    this.lastHeard.delete(peerID);
+    this.missed.delete(peerID);
+  }
+
+  /**
+   * Describes what the heartbeat knows about a peer, e.g. for the admin API.
+   *
+   * @param {string} peerID
+   * @returns {Object|null} The failure detector's stats (see
+   *                        FailureDetector.getStats()) plus { missed, suspect,
+   *                        failedProbes, lastHeard }, or null for a peer that
+   *                        is not watched yet
+   */
+  getPeerState(peerID) {
+    const stats = this.detector.getStats(peerID);
+    if (!stats) {
+      return null;
+    }
+    return Object.assign(stats, {
+      missed: this.missed.get(peerID) || 0,
+      suspect: this.suspects.has(peerID),
+      failedProbes: this.failedProbes.get(peerID) || 0,
+      lastHeard: this.lastHeard.has(peerID) ? this.lastHeard.get(peerID) : null,
     });
   }
+
+  /**
+   * Returns true if a peer was heard from within the last heartbeat interval,
+   * by any message other than a response to our heartbeat.
+   *
+   * @param {string} peerID
+   * @returns {boolean}
+   */
+  heardRecently(peerID) {
+    const heard = this.lastHeard.get(peerID);
+    return heard !== undefined && this.clock.now() - heard < this.interval;
+  }
+
+  /**
+   * Records a message from a peer in the routing table, other than a response
+   * to our own heartbeat, over a connection that proved its ID. This function:
+   * 1. Notes when the peer was last heard from, so the next heartbeat cycle
+   *    can skip it
+   * 2. Clears the peer's suspicion, if it was suspect
+   * 3. Updates the peer's lastSeen timestamp in the routing table and moves it
+   *    to the most-recently seen end of its bucket
+   * Heartbeat responses are left out: counting them would skip every other
+   * heartbeat, and the failure detector would never time two in a row.
+   *
+   * @param {string} peerID - The ID of the peer the message came from
+   */
+  recordActivity(peerID) {
+    if (!this.routingTable.touchPeer(peerID)) {
+      return; // Not in the routing table
+    }
+    this.lastHeard.set(peerID, this.clock.now());
+    this.missed.delete(peerID);
+    this.failedProbes.delete(peerID);
+    if (this.suspects.delete(peerID)) {
+      this.logger.info(
+        "suspicion_cleared",
+        `Peer ${peerID} was heard from; no longer suspect.`,
+        { peerID, reason: "message" }
+      );
+      this.detector.confirm(peerID);
+    }
+  }
+
+  /**
+   * Records the response to one of our heartbeats.
+   * This function:
+   * 1. Records its round trip in the failure detector
+   * 2. Clears the peer's suspicion, if it was suspect
+   * 3. Updates the peer's lastSeen timestamp in the routing table and moves it
+   *    to the most-recently seen end of its bucket
+   *
+   * @param {string} peerID - The ID of the peer that responded
+   * @param {number} rtt - Milliseconds from our heartbeat to its response
+   */
+  handleHeartbeatResponse(peerID, rtt) {
+    this.logger.debug(
+      "heartbeat_response",
+      `Received heartbeat response from peer ${peerID}`,
+      { peerID, rtt }
+    );
+    this.detector.heartbeat(peerID, rtt);
+    this.rttHistogram.observe({}, rtt / 1000);
+    this.missed.delete(peerID);
+    this.failedProbes.delete(peerID);
+    if (this.suspects.delete(peerID)) {
+      this.logger.info(
+        "suspicion_cleared",
+        `Peer ${peerID} is no longer suspect.`,
+        { peerID, reason: "heartbeat" }
+      );
+    }
+
+    // Update the lastSeen timestamp for the peer in the routing table,
+    // which also moves it to the most-recently seen end of its bucket
+    if (this.routingTable.touchPeer(peerID)) {
+      this.logger.debug(
+        "last_seen_updated",
+        `Updated lastSeen for peer ${peerID} to ${singleton.getTimestamp()}`,
+        { peerID, lastSeen: singleton.getTimestamp() }
+      );
+    }
+  }
 }
 
-// Export the heartbeat functions
-module.exports = {
-  startHeartbeat,
-  handleHeartbeatResponse,
-};
+module.exports = Heartbeat;
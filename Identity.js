@@ -0,0 +1,139 @@
+/**
+ * Identity.js
+ *
+ * This module gives each peer a signing identity that:
+ * 1. Holds an Ed25519 keypair, created from a 32-byte seed
+ * 2. Derives the peer ID from the public key (Singleton.getPeerIDFromPublicKey),
+ *    so no peer can claim an ID without holding the matching private key
+ * 3. Signs kPTP messages and verifies the signatures of other peers
+ * 4. Can be saved to a file, so a peer keeps its ID across restarts
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const Singleton = require("./Singleton");
+
+// DER prefixes that wrap a raw 32-byte Ed25519 key as SPKI (public) or PKCS#8 (private)
+const SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+const PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
+
+// Sizes in bytes of a raw Ed25519 public key and signature
+const PUBLIC_KEY_LENGTH = 32;
+const SIGNATURE_LENGTH = 64;
+
+/**
+ * Identity class holds one peer's keypair.
+ */
+class Identity {
+  /**
+   * Creates an identity from a private key seed. Use Identity.generate() for a
+   * new random identity.
+   *
+   * @param {Buffer} seed - 32-byte Ed25519 private key seed
+   */
+  constructor(seed) {
+    this.seed = seed;
+    this.privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([PKCS8_PREFIX, seed]),
+      format: "der",
+      type: "pkcs8",
+    });
+    // The raw public key is the tail of its SPKI encoding
+    this.publicKey = crypto
+      .createPublicKey(this.privateKey)
+      .export({ format: "der", type: "spki" })
+      .slice(SPKI_PREFIX.length);
+  }
+
+  /**
+   * Creates a new identity with a random keypair.
+   *
+   * @returns {Identity}
+   */
+  static generate() {
+    return new Identity(crypto.randomBytes(32));
+  }
+
+  /**
+   * Loads the identity saved in a file, or saves one there if the file does
+   * not exist yet. The file holds the private key seed, so it is only readable
+   * by its owner.
+   *
+   * @param {string} file - JSON file { seed, publicKey }, both hex
+   * @param {Identity} [identity] - Identity to save if there is no file yet
+   *                                (a new random one by default)
+   * @returns {Identity}
+   * @throws {Error} If the file exists but does not hold a 32-byte seed
+   */
+  static loadOrCreate(file, identity) {
+    if (fs.existsSync(file)) {
+      const seed = Buffer.from(
+        JSON.parse(fs.readFileSync(file, "utf8")).seed || "",
+        "hex"
+      );
+      if (seed.length !== 32) {
+        throw new Error(`${file} does not hold a 32-byte identity seed`);
+      }
+      return new Identity(seed);
+    }
+    const created = identity || Identity.generate();
+    fs.writeFileSync(
+      file,
+      JSON.stringify(
+        {
+          seed: created.seed.toString("hex"),
+          publicKey: created.publicKey.toString("hex"),
+        },
+        null,
+        2
+      ),
+      { mode: 0o600 }
+    );
+    return created;
+  }
+
+  /**
+   * Returns the peer ID this identity's public key maps to.
+   *
+   * @returns {string} Hex peer ID of the network-wide ID width
+   */
+  getPeerID() {
+    return Singleton.getPeerIDFromPublicKey(this.publicKey);
+  }
+
+  /**
+   * Signs data with the private key.
+   *
+   * @param {Buffer} data
+   * @returns {Buffer} 64-byte Ed25519 signature
+   */
+  sign(data) {
+    return crypto.sign(null, data, this.privateKey);
+  }
+
+  /**
+   * Checks a signature made by the holder of a public key.
+   *
+   * @param {Buffer} publicKey - 32-byte raw Ed25519 public key
+   * @param {Buffer} data - The signed data
+   * @param {Buffer} signature - 64-byte signature
+   * @returns {boolean} True if the signature is valid
+   */
+  static verify(publicKey, data, signature) {
+    try {
+      const key = crypto.createPublicKey({
+        key: Buffer.concat([SPKI_PREFIX, publicKey]),
+        format: "der",
+        type: "spki",
+      });
+      return crypto.verify(null, data, key, signature);
+    } catch (e) {
+      return false; // Not a valid Ed25519 public key
+    }
+  }
+}
+
+Identity.PUBLIC_KEY_LENGTH = PUBLIC_KEY_LENGTH;
+Identity.SIGNATURE_LENGTH = SIGNATURE_LENGTH;
+
+module.exports = Identity;
@@ -0,0 +1,71 @@
+/**
+ * KeyValueStore.js
+ *
+ * This module implements the per-peer key/value store for the DHT network that:
+ * 1. Holds the values this peer is responsible for
+ * 2. Tags each entry with its key ID in the peer ID space
+ * 3. Records when each entry was stored
+ */
+
+const singleton = require("./Singleton");
+const { rootLogger } = require("./Logger");
+
+/**
+ * KeyValueStore class keeps the values placed on this peer by STORE messages.
+ * Entries are keyed by the original key string so two keys whose IDs collide
+ * in the ID space do not overwrite each other.
+ */
+class KeyValueStore {
+  /**
+   * Creates an empty store.
+   *
+   * @param {Object} [options]
+   * @param {Logger} [options.logger] - Logger for stored values (see Logger.js)
+   */
+  constructor(options = {}) {
+    this.entries = new Map(); // key -> { keyID, value, storedAt }
+    this.logger = options.logger || rootLogger.child({ subsystem: "lookup" });
+  }
+
+  /**
+   * Stores (or replaces) a value under the given key.
+   *
+   * @param {string} key - The key to store the value under
+   * @param {string} value - The value to store
+   */
+  put(key, value) {
+    const entry = {
+      keyID: singleton.getKeyID(key),
+      value,
+      storedAt: singleton.getTimestamp(),
+    };
+    this.entries.set(key, entry);
+    this.logger.info("value_stored", `Stored key "${key}" [${entry.keyID}]`, {
+      key,
+      keyID: entry.keyID,
+    });
+  }
+
+  /**
+   * Returns the value stored under the given key.
+   *
+   * @param {string} key - The key to look up
+   * @returns {string|null} The stored value, or null if this peer does not hold it
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Checks if a value is stored under the given key.
+   *
+   * @param {string} key - The key to check for
+   * @returns {boolean} True if this peer holds the key
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+}
+
+module.exports = KeyValueStore;
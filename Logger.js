@@ -0,0 +1,312 @@
+/**
+ * Logger.js
+ *
+ * This module implements the structured logger every other module logs through. It:
+ * 1. Gives every record a level (debug, info, warn, error), a subsystem tag,
+ *    an event name and fields, besides the human-readable message
+ * 2. Filters records by level, with an optional level per subsystem, e.g.
+ *    "info,heartbeat=debug,wire=warn"
+ * 3. Writes records either as text (the message alone, as the peer always
+ *    printed it) or as JSON lines, one object per record, for tests and log
+ *    pipelines to match on event names and fields rather than on prose
+ *
+ * Subsystems:
+ *   peer      - Starting, stopping and local state (routing table dumps, stored values)
+ *   join      - Join, bootstrap, restore, bucket refresh and leave
+ *   routing   - Routing table admission, eviction and replacement
+ *   heartbeat - Heartbeat cycles, the failure detector and indirect probes
+ *   wire      - Connections, messages received and request retries
+ *   lookup    - Find Node, Find Value, Store and topology crawls (see Crawler.js)
+ *   security  - Rejected handshakes, rate limits and bans
+ *   admin     - The admin API and shell
+ *
+ * Loggers are cheap to derive: child() adds fields (such as the peer's name)
+ * and a subsystem tag, and shares its parent's configuration, so configure()
+ * on the root logger changes the output of every logger derived from it.
+ */
+
+const { systemClock } = require("./Clock");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const SUBSYSTEMS = [
+  "peer",
+  "join",
+  "routing",
+  "heartbeat",
+  "wire",
+  "lookup",
+  "security",
+  "admin",
+];
+const FORMATS = ["text", "json"];
+
+/**
+ * Creates an Error carrying a Node-style error code.
+ *
+ * @param {string} message
+ * @returns {Error} With code "EINVAL"
+ */
+function createLoggerError(message) {
+  const error = new Error(message);
+  error.code = "EINVAL";
+  return error;
+}
+
+/**
+ * Parses a level spec: a default level, optionally followed by per-subsystem
+ * levels, e.g. "info,heartbeat=debug,wire=warn" or "heartbeat=debug".
+ *
+ * @param {string} spec
+ * @returns {Object} { level, subsystems: { subsystem: level } }; level is
+ *                   undefined if the spec only names subsystems
+ * @throws {Error} With code "EINVAL" for an unknown level or subsystem
+ */
+function parseLevels(spec) {
+  const result = { level: undefined, subsystems: {} };
+  String(spec)
+    .split(",")
+    .map((part) => part.trim())
+    .filter((part) => part)
+    .forEach((part) => {
+      const [name, level] = part.includes("=")
+        ? part.split("=").map((half) => half.trim())
+        : [null, part];
+      if (!(level in LEVELS)) {
+        throw createLoggerError(
+          `Unknown log level "${level}"; expected one of ${Object.keys(
+            LEVELS
+          ).join(", ")}`
+        );
+      }
+      if (name === null) {
+        result.level = level;
+      } else if (SUBSYSTEMS.includes(name)) {
+        result.subsystems[name] = level;
+      } else {
+        throw createLoggerError(
+          `Unknown log subsystem "${name}"; expected one of ${SUBSYSTEMS.join(
+            ", "
+          )}`
+        );
+      }
+    });
+  return result;
+}
+
+/**
+ * Turns field values that do not serialize well into plain data: Errors
+ * become { code, message }.
+ *
+ * @param {Object} fields
+ * @returns {Object}
+ */
+function plainFields(fields) {
+  const plain = {};
+  Object.keys(fields).forEach((key) => {
+    const value = fields[key];
+    plain[key] =
+      value instanceof Error
+        ? Object.assign(value.code ? { code: value.code } : {}, {
+            message: value.message,
+          })
+        : value;
+  });
+  return plain;
+}
+
+/**
+ * Writes a formatted record to the console. Looked up at every call, so a
+ * test that replaces console.log also silences the logger.
+ *
+ * @param {string} line
+ * @param {string} level
+ * @param {string} format
+ */
+function consoleSink(line, level, format) {
+  if (format === "text" && LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Logger class writes records for one subsystem, with a set of fields added
+ * to every record.
+ */
+class Logger {
+  /**
+   * Creates a root logger.
+   *
+   * @param {Object} [options] - See configure()
+   */
+  constructor(options = {}) {
+    // Shared by this logger and every child derived from it
+    this.config = {
+      level: "info",
+      subsystems: {},
+      format: "text",
+      sink: consoleSink,
+      clock: systemClock,
+    };
+    this.fields = {};
+    this.subsystem = null;
+    this.clock = null; // Overrides config.clock when set, e.g. a peer's virtual clock
+    this.configure(options);
+  }
+
+  /**
+   * Changes the configuration of this logger and every logger derived from it.
+   *
+   * @param {Object} options
+   * @param {string} [options.level="info"] - Lowest level written, or a spec with
+   *                                          per-subsystem levels (see parseLevels())
+   * @param {string} [options.format="text"] - "text" or "json"
+   * @param {Function} [options.sink] - Writes a formatted record: sink(line, level, format).
+   *                                    Writes to the console by default.
+   * @param {Object} [options.clock=systemClock] - Clock that timestamps JSON records
+   * @throws {Error} With code "EINVAL" for an unknown level, subsystem or format
+   */
+  configure(options) {
+    if (options.level !== undefined) {
+      const { level, subsystems } = parseLevels(options.level);
+      this.config.level = level || this.config.level;
+      this.config.subsystems = subsystems;
+    }
+    if (options.format !== undefined) {
+      if (!FORMATS.includes(options.format)) {
+        throw createLoggerError(
+          `Unknown log format "${options.format}"; expected ${FORMATS.join(
+            " or "
+          )}`
+        );
+      }
+      this.config.format = options.format;
+    }
+    if (options.sink) {
+      this.config.sink = options.sink;
+    }
+    if (options.clock) {
+      this.config.clock = options.clock;
+    }
+  }
+
+  /**
+   * Derives a logger that shares this one's configuration.
+   *
+   * @param {Object} [fields] - Fields added to every record; a subsystem field
+   *                            sets the subsystem tag instead
+   * @param {Object} [options]
+   * @param {Object} [options.clock] - Clock that timestamps this logger's records
+   * @returns {Logger}
+   */
+  child(fields = {}, options = {}) {
+    const child = Object.create(Logger.prototype);
+    const own = Object.assign({}, fields);
+    child.config = this.config;
+    child.subsystem = own.subsystem || this.subsystem;
+    delete own.subsystem;
+    child.fields = Object.assign({}, this.fields, own);
+    child.clock = options.clock || this.clock;
+    return child;
+  }
+
+  /**
+   * Returns true if records of a level would be written by this logger.
+   *
+   * @param {string} level
+   * @returns {boolean}
+   */
+  isEnabled(level) {
+    const threshold =
+      (this.subsystem && this.config.subsystems[this.subsystem]) ||
+      this.config.level;
+    return LEVELS[level] >= LEVELS[threshold];
+  }
+
+  /**
+   * Writes a record, if its level passes the filter.
+   *
+   * @param {string} level - "debug", "info", "warn" or "error"
+   * @param {string} event - Stable snake_case name of what happened, e.g. "peer_removed"
+   * @param {string} message - Human-readable text; may span several lines
+   * @param {Object} [fields] - Machine-readable details, e.g. { peerID }
+   */
+  log(level, event, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    const format = this.config.format;
+    let line = message;
+    if (format === "json") {
+      const record = Object.assign(
+        {
+          time: (this.clock || this.config.clock).now(),
+          level,
+          subsystem: this.subsystem,
+          event,
+        },
+        this.fields,
+        plainFields(fields),
+        { msg: message.trim() }
+      );
+      line = JSON.stringify(record);
+    }
+    this.config.sink(line, level, format);
+  }
+
+  /**
+   * Writes a debug record: routine traffic, such as each message handled.
+   *
+   * @param {string} event
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  debug(event, message, fields) {
+    this.log("debug", event, message, fields);
+  }
+
+  /**
+   * Writes an info record: a change of state, such as a peer added.
+   *
+   * @param {string} event
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  info(event, message, fields) {
+    this.log("info", event, message, fields);
+  }
+
+  /**
+   * Writes a warn record: something failed or was refused, but the peer carries on.
+   *
+   * @param {string} event
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  warn(event, message, fields) {
+    this.log("warn", event, message, fields);
+  }
+
+  /**
+   * Writes an error record: an unexpected failure.
+   *
+   * @param {string} event
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  error(event, message, fields) {
+    this.log("error", event, message, fields);
+  }
+}
+
+// The logger modules use when they are not given one
+const rootLogger = new Logger();
+
+module.exports = {
+  Logger,
+  rootLogger,
+  parseLevels,
+  LEVELS,
+  SUBSYSTEMS,
+};
@@ -0,0 +1,411 @@
+/**
+ * Metrics.js
+ *
+ * This module implements the metrics registry a peer's modules count into. It:
+ * 1. Holds counters (values that only go up, e.g. messages sent), gauges
+ *    (values that go up and down, e.g. peers in a bucket) and histograms
+ *    (distributions, e.g. heartbeat round trips), each optionally split by labels
+ * 2. Lets a gauge read its value when the registry is read, instead of being
+ *    updated at every change, e.g. the fill of each routing table bucket
+ * 3. Renders every metric in the Prometheus text exposition format (version 0.0.4),
+ *    for a scraper or a snapshot file
+ *
+ * Each peer owns its own registry, so several peers can run in one process.
+ */
+
+const fs = require("fs");
+
+// Histogram bucket bounds, in seconds, used when none are given
+const DEFAULT_BUCKETS = [
+  0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+/**
+ * Creates an Error carrying a Node-style error code.
+ *
+ * @param {string} message
+ * @returns {Error} With code "EINVAL"
+ */
+function createMetricsError(message) {
+  const error = new Error(message);
+  error.code = "EINVAL";
+  return error;
+}
+
+/**
+ * Formats a number as Prometheus expects, e.g. +Inf for Infinity.
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  if (value === -Infinity) {
+    return "-Inf";
+  }
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+/**
+ * Formats a label set as {name="value",...}, or "" for no labels.
+ *
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map(
+    (name) =>
+      `${name}="${String(labels[name])
+        .replace(/\\/g, "\\\\")
+        .replace(/\n/g, "\\n")
+        .replace(/"/g, '\\"')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Metric class holds the values of one metric, one per label set. Counter,
+ * Gauge and Histogram add the ways of changing them.
+ */
+class Metric {
+  /**
+   * @param {string} type - "counter", "gauge" or "histogram"
+   * @param {string} name - e.g. "dht_messages_sent_total"
+   * @param {string} help - One line describing the metric
+   * @param {Array<string>} labelNames - Labels every value is split by, e.g. ["type"]
+   */
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // Label values joined by "\n" -> { labels, value }
+  }
+
+  /**
+   * Returns the entry for a label set, creating it with an initial value.
+   *
+   * @param {Object} labels - One value for each of labelNames
+   * @param {Function} initial - Returns the value of a new entry
+   * @returns {Object} { labels, value }
+   * @throws {Error} With code "EINVAL" if the labels do not match labelNames
+   */
+  entry(labels, initial) {
+    const names = Object.keys(labels);
+    if (
+      names.length !== this.labelNames.length ||
+      !this.labelNames.every((name) => name in labels)
+    ) {
+      throw createMetricsError(
+        `${this.name} takes labels [${this.labelNames.join(
+          ", "
+        )}], got [${names.join(", ")}]`
+      );
+    }
+    const key = this.labelNames.map((name) => labels[name]).join("\n");
+    let entry = this.values.get(key);
+    if (!entry) {
+      const ordered = {};
+      this.labelNames.forEach((name) => (ordered[name] = String(labels[name])));
+      entry = { labels: ordered, value: initial() };
+      this.values.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Returns the value for a label set.
+   *
+   * @param {Object} [labels]
+   * @returns {*} A number, a histogram's { buckets, sum, count }, or undefined
+   *              if nothing was recorded for the labels
+   */
+  get(labels = {}) {
+    const key = this.labelNames.map((name) => labels[name]).join("\n");
+    const entry = this.values.get(key);
+    return entry ? entry.value : undefined;
+  }
+
+  /**
+   * Renders the metric's sample lines.
+   *
+   * @returns {Array<string>}
+   */
+  renderSamples() {
+    if (this.values.size === 0 && this.labelNames.length === 0) {
+      return [`${this.name} 0`];
+    }
+    return Array.from(this.values.values()).map(
+      (entry) =>
+        `${this.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`
+    );
+  }
+}
+
+/**
+ * Counter class counts something that only goes up.
+ */
+class Counter extends Metric {
+  /**
+   * Adds to the counter.
+   *
+   * @param {Object} [labels]
+   * @param {number} [amount=1] - Must not be negative
+   */
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) {
+      throw createMetricsError(`${this.name} cannot decrease`);
+    }
+    this.entry(labels, () => 0).value += amount;
+  }
+}
+
+/**
+ * Gauge class holds a value that goes up and down. A gauge given a collect
+ * function is cleared and refilled by it every time the registry is read.
+ */
+class Gauge extends Metric {
+  /**
+   * Sets the gauge.
+   *
+   * @param {Object} labels
+   * @param {number} value
+   */
+  set(labels, value) {
+    this.entry(labels, () => 0).value = value;
+  }
+
+  /**
+   * Adds to the gauge.
+   *
+   * @param {Object} [labels]
+   * @param {number} [amount=1] - Negative to subtract
+   */
+  inc(labels = {}, amount = 1) {
+    this.entry(labels, () => 0).value += amount;
+  }
+}
+
+/**
+ * Histogram class counts observations into cumulative buckets, as Prometheus
+ * histograms do, along with their sum and count.
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {Array<string>} labelNames
+   * @param {Array<number>} buckets - Upper bounds, in increasing order
+   */
+  constructor(name, help, labelNames, buckets) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Records an observation.
+   *
+   * @param {Object} labels
+   * @param {number} value
+   */
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({
+      buckets: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.value.buckets[index]++;
+      }
+    });
+    entry.value.sum += value;
+    entry.value.count++;
+  }
+
+  /**
+   * Renders the _bucket, _sum and _count sample lines of each label set.
+   *
+   * @returns {Array<string>}
+   */
+  renderSamples() {
+    const entries =
+      this.values.size === 0 && this.labelNames.length === 0
+        ? [
+            {
+              labels: {},
+              value: { buckets: this.buckets.map(() => 0), sum: 0, count: 0 },
+            },
+          ]
+        : Array.from(this.values.values());
+    const lines = [];
+    entries.forEach(({ labels, value }) => {
+      this.buckets
+        .concat(Infinity)
+        .forEach((bound, index) =>
+          lines.push(
+            `${this.name}_bucket${formatLabels(
+              Object.assign({}, labels, { le: formatValue(bound) })
+            )} ${bound === Infinity ? value.count : value.buckets[index]}`
+          )
+        );
+      lines.push(
+        `${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`
+      );
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * MetricsRegistry class holds the metrics of one peer.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map(); // Name -> Metric, in registration order
+    this.collectors = new Map(); // Name -> collect function of a gauge
+  }
+
+  /**
+   * Registers a metric, or returns the one already registered under its name,
+   * e.g. when a restarted module registers its metrics again.
+   *
+   * @param {Metric} metric
+   * @returns {Metric}
+   * @throws {Error} With code "EINVAL" if the name is taken by another type
+   */
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (!existing) {
+      this.metrics.set(metric.name, metric);
+      return metric;
+    }
+    if (existing.type !== metric.type) {
+      throw createMetricsError(
+        `${metric.name} is already registered as a ${existing.type}`
+      );
+    }
+    return existing;
+  }
+
+  /**
+   * Registers a counter.
+   *
+   * @param {string} name - Ends in _total by convention
+   * @param {string} help
+   * @param {Object} [options]
+   * @param {Array<string>} [options.labels=[]] - Label names
+   * @returns {Counter}
+   */
+  counter(name, help, options = {}) {
+    return this.register(
+      new Counter("counter", name, help, options.labels || [])
+    );
+  }
+
+  /**
+   * Registers a gauge.
+   *
+   * @param {string} name
+   * @param {string} help
+   * @param {Object} [options]
+   * @param {Array<string>} [options.labels=[]] - Label names
+   * @param {Function} [options.collect] - Called as collect(gauge) whenever the
+   *                                       registry is read, after the gauge is
+   *                                       cleared, to set its current values.
+   *                                       Replaces the collect function of a
+   *                                       gauge registered again.
+   * @returns {Gauge}
+   */
+  gauge(name, help, options = {}) {
+    const gauge = this.register(
+      new Gauge("gauge", name, help, options.labels || [])
+    );
+    if (options.collect) {
+      this.collectors.set(name, options.collect);
+    }
+    return gauge;
+  }
+
+  /**
+   * Registers a histogram.
+   *
+   * @param {string} name - Names a measurement in base units, e.g. _seconds
+   * @param {string} help
+   * @param {Object} [options]
+   * @param {Array<string>} [options.labels=[]] - Label names
+   * @param {Array<number>} [options.buckets] - Upper bounds, in increasing order;
+   *                                            1 ms to 10 s by default
+   * @returns {Histogram}
+   */
+  histogram(name, help, options = {}) {
+    return this.register(
+      new Histogram(
+        name,
+        help,
+        options.labels || [],
+        options.buckets || DEFAULT_BUCKETS
+      )
+    );
+  }
+
+  /**
+   * Returns a registered metric, with its collected gauges up to date.
+   *
+   * @param {string} name
+   * @returns {Metric|undefined}
+   */
+  getMetric(name) {
+    this.collect();
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Refills every gauge that has a collect function.
+   */
+  collect() {
+    this.collectors.forEach((collect, name) => {
+      const gauge = this.metrics.get(name);
+      gauge.values.clear();
+      collect(gauge);
+    });
+  }
+
+  /**
+   * Renders every metric in the Prometheus text exposition format.
+   *
+   * @returns {string}
+   */
+  render() {
+    this.collect();
+    const lines = [];
+    this.metrics.forEach((metric) => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.renderSamples());
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Writes render() to a file. The text is written to a temporary file that
+   * then replaces the old one, so a reader never sees a partial snapshot.
+   *
+   * @param {string} fileName
+   */
+  writeFile(fileName) {
+    const temporary = `${fileName}.tmp`;
+    fs.writeFileSync(temporary, this.render());
+    fs.renameSync(temporary, fileName);
+  }
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+};
@@ -0,0 +1,2414 @@
+/**
+ * Peer.js
+ *
+ * This module implements a Distributed Hash Table (DHT) peer node that can:
+ * 1. Join an existing DHT network through one of several bootstrap peers,
+ *    retrying with backoff, and again whenever its routing table empties
+ * 2. Handle incoming connections from other peers
+ * 3. Maintain a routing table of known peers
+ * 4. Send and receive heartbeat messages
+ * 5. Exchange peer information through Hello/Welcome messages, signed with the
+ *    peer's Ed25519 identity (see Identity.js), from whose public key its ID is derived
+ * 6. Locate peers by ID with an iterative Find Node lookup
+ * 7. Store values on, and fetch them from, the peers closest to the key
+ * 8. Rate-limit each remote host, and ban hosts that keep misbehaving
+ *    (see RateLimiter.js and BanList.js)
+ * 9. Keep its identity and routing table in a data directory, so a restarted
+ *    peer comes back with the same ID and rejoins through its saved peers
+ * 10. Leave with a signed Goodbye message, so other peers drop it at once
+ * 11. Detect failed peers adaptively from heartbeat round trips, probing a
+ *     suspect through other peers before dropping it (see FailureDetector.js)
+ * 12. Count messages and bytes on the wire, decode failures, routing table fill
+ *     and heartbeat health in a metrics registry (see Metrics.js), optionally
+ *     written to a snapshot file at intervals
+ * 13. List its routing table, page by page, to anyone who asks with a Routing
+ *     Table message, so a crawler can map the network (see Crawler.js)
+ *
+ * All state lives on the Peer instance, and the transport and clock are injected,
+ * so many peers can run in one process (see Simulator.js) or be embedded in other
+ * tools. DHTPeer.js is the command-line wrapper around this class.
+ *
+ * Usage:
+ *   const peer = new Peer({ name: "Peer1" });
+ *   peer.on("peerAdded", (info) => ...);
+ *   await peer.start();
+ *   await peer.join("127.0.0.1:4000");
+ *   const closest = await peer.findNode("7cf2");
+ *   await peer.leave(); // or stop(), without telling other peers
+ */
+
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Singleton = require("./Singleton");
+const RoutingTable = require("./RoutingTable");
+const kPTP = require("./kPTP");
+const Heartbeat = require("./Heartbeat");
+const KeyValueStore = require("./KeyValueStore");
+const { systemClock } = require("./Clock");
+const { tcpTransport } = require("./Transport");
+const ConnectionPool = require("./ConnectionPool");
+const Identity = require("./Identity");
+const { createSecureTransport } = require("./SecureChannel");
+const RateLimiter = require("./RateLimiter");
+const BanList = require("./BanList");
+const { rootLogger, SUBSYSTEMS } = require("./Logger");
+const { MetricsRegistry } = require("./Metrics");
+
+// Lookup parameters: number of parallel Find Node requests per round (alpha)
+// and number of closest peers a lookup converges on (k)
+const LOOKUP_ALPHA = 3;
+const LOOKUP_K = 8;
+// Number of recent Hello nonces remembered to refuse replayed Hellos
+const MAX_SEEN_NONCES = 1024;
+// Longest leave() waits for its Goodbye messages to be sent before stopping
+const GOODBYE_TIMEOUT = 1000;
+// Peers asked to probe a suspect on our behalf
+const PROBE_FANOUT = 3;
+// How long a host that keeps misbehaving is banned: 10 minutes
+const DEFAULT_BAN_DURATION = 10 * 60 * 1000;
+// Delay before the second round of bootstrap attempts, doubled each round up to the maximum
+const DEFAULT_BOOTSTRAP_MIN_BACKOFF = 1000;
+const DEFAULT_BOOTSTRAP_MAX_BACKOFF = 60000;
+// Buckets untouched for this long are refreshed with a random-ID lookup
+const DEFAULT_REFRESH_INTERVAL = 60 * 60 * 1000;
+// Longest time between checks for stale buckets
+const REFRESH_CHECK_INTERVAL = 60000;
+// Files kept in the data directory, next to routingTable_<id>.json
+const IDENTITY_FILE = "identity.json";
+const BAN_FILE = "banList.json";
+// How often the metrics snapshot file is rewritten
+const DEFAULT_METRICS_INTERVAL = 15000;
+// kPTP message type -> its name as a metric label, e.g. 10 -> "find_node"
+const MESSAGE_TYPE_NAMES = new Map(
+  Object.entries(kPTP.MESSAGE_TYPE).map(([name, type]) => [
+    type,
+    name.toLowerCase(),
+  ])
+);
+
+/**
+ * Parses a peer address.
+ *
+ * @param {string|Object} address - "ip:port" or { ip, port }
+ * @returns {Object} { ip, port }
+ */
+function parseAddress(address) {
+  if (typeof address !== "string") {
+    return address;
+  }
+  const separator = address.lastIndexOf(":");
+  return {
+    ip: address.slice(0, separator),
+    port: parseInt(address.slice(separator + 1), 10),
+  };
+}
+
+/**
+ * Returns the IP address at the other end of a connection, without the
+ * IPv4-mapped IPv6 prefix.
+ *
+ * @param {net.Socket} socket
+ * @returns {string}
+ */
+function getRemoteIP(socket) {
+  return (socket.remoteAddress || "").replace("::ffff:", "");
+}
+
+/**
+ * Peer class holds one DHT node: its server, routing table, key/value store
+ * and heartbeat monitor.
+ *
+ * Events:
+ *   "peerAdded" (peer, bucketIndex) - a peer entered the routing table
+ *   "peerEvicted" (peer, bucketIndex) - a peer left the routing table, e.g. after
+ *                                       missed heartbeats or a failed ping
+ *   "messageReceived" (message) - a kPTP message was decoded, on any connection
+ *   "peerBanned" (ban) - a host or peer ID was banned (see banPeer())
+ */
+class Peer extends EventEmitter {
+  /**
+   * Creates a peer. Call start() to start its server.
+   *
+   * @param {Object} options
+   * @param {string} options.name - The peer name sent in every message
+   * @param {Identity} [options.identity] - Signing keypair the peer ID is derived
+   *                                        from (a new one is generated by default)
+   * @param {string} [options.dataDir] - Directory for identity.json, banList.json and
+   *                                     routingTable_<id>.json. An identity saved
+   *                                     there is used instead of options.identity,
+   *                                     and restore() reloads the routing table.
+   * @param {string} [options.ip="127.0.0.1"] - The IP address other peers reach this peer at
+   * @param {number} [options.port=0] - The port to listen on (0 picks a free port)
+   * @param {number} [options.bucketSize=1] - Routing table bucket capacity (k)
+   * @param {Object} [options.transport=tcpTransport] - Transport used for all connections
+   * @param {boolean} [options.secure=false] - Encrypt every connection (see SecureChannel.js);
+   *                                           all peers of a network must agree
+   * @param {Object} [options.clock=systemClock] - Clock used for all timers
+   * @param {Function} [options.random=Math.random] - Random source for bootstrap backoff jitter
+   *                                                  and bucket refresh IDs
+   * @param {number} [options.refreshInterval=3600000] - Milliseconds a bucket may go
+   *                                                     untouched before it is
+   *                                                     refreshed (see refreshStaleBuckets())
+   * @param {boolean} [options.saveRoutingTable=true] - Write routingTable_<id>.json on updates
+   *                                                   (to the data directory, or the
+   *                                                   working directory without one)
+   * @param {Object} [options.admission] - Routing table admission limits (see RoutingTable):
+   *                                       { maxPerIP, maxPerSubnet, subnetBits }
+   * @param {Object|boolean} [options.rateLimit] - Per-host limits (see RateLimiter):
+   *                                               { limits, strikeLimit, strikeWindow },
+   *                                               or false to turn rate limiting off
+   * @param {number} [options.banDuration=600000] - Milliseconds a host is banned for
+   *                                                once it collects strikeLimit strikes
+   * @param {string} [options.banFile] - JSON file the ban list is kept in (see BanList);
+   *                                     banList.json in the data directory, or in
+   *                                     memory only without one
+   * @param {Object} [options.requestPolicy] - Timeout and retries for every request
+   *                                           (see ConnectionPool.request()):
+   *                                           { timeout: 5000, retries: 1, retryDelay: 500 }
+   * @param {Object} [options.failureDetector] - Failure detector settings (see FailureDetector):
+   *                                             { threshold: 8, windowSize: 100,
+   *                                               minStdDeviation: 500 }
+   * @param {Logger} [options.logger] - Logger every record of this peer goes through,
+   *                                    tagged with the peer's name (see Logger.js)
+   * @param {MetricsRegistry} [options.metrics] - Registry this peer and its routing table
+   *                                              and heartbeat monitor count into (see
+   *                                              Metrics.js); a new one by default
+   * @param {string} [options.metricsFile] - File the metrics are written to, in the
+   *                                         Prometheus text format, while the peer runs
+   * @param {number} [options.metricsInterval=15000] - Milliseconds between writes of metricsFile
+   */
+  constructor(options) {
+    super();
+    this.name = options.name;
+    this.ip = options.ip || "127.0.0.1"; // Assumed IP for simplicity
+    this.port = options.port || 0;
+    this.bucketSize = options.bucketSize || 1;
+    this.secure = Boolean(options.secure);
+    this.transport = this.secure
+      ? createSecureTransport(options.transport || tcpTransport, this.name)
+      : options.transport || tcpTransport;
+    this.clock = options.clock || systemClock;
+    // One logger per subsystem, e.g. this.log.heartbeat, all tagged with our name
+    const logger = (options.logger || rootLogger).child(
+      { peer: this.name },
+      { clock: this.clock }
+    );
+    this.log = {};
+    SUBSYSTEMS.forEach((subsystem) => {
+      this.log[subsystem] = logger.child({ subsystem });
+    });
+    this.saveRoutingTable = options.saveRoutingTable !== false;
+    this.requestPolicy = options.requestPolicy;
+    this.failureDetector = options.failureDetector;
+    this.admission = options.admission || {};
+    this.dataDir = options.dataDir || null;
+    if (this.dataDir) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+    this.identity = this.dataDir
+      ? Identity.loadOrCreate(
+          path.join(this.dataDir, IDENTITY_FILE),
+          options.identity
+        )
+      : options.identity || Identity.generate();
+    this.rateLimiter =
+      options.rateLimit === false
+        ? null
+        : new RateLimiter(
+            Object.assign({ clock: this.clock }, options.rateLimit)
+          );
+    this.banDuration = options.banDuration || DEFAULT_BAN_DURATION;
+    this.banList = new BanList({
+      file:
+        options.banFile ||
+        (this.dataDir ? path.join(this.dataDir, BAN_FILE) : null),
+      clock: this.clock,
+      logger: this.log.security,
+    });
+    this.server = null;
+    this.selfInfo = null;
+    this.routingTable = null;
+    this.store = null;
+    this.heartbeat = null;
+    this.pool = null;
+    this.sockets = new Set(); // Open connections, closed by stop()
+    // Socket -> peer ID the other end proved it owns with a signed Hello or Welcome
+    this.verifiedPeers = new WeakMap();
+    this.helloNonces = new Set(); // Nonces of our Hellos still awaiting a Welcome
+    this.seenNonces = new Set(); // Recent nonces of Hellos and Goodbyes we received
+    this.closingSockets = new WeakSet(); // Connections we answered with an Error message
+    this.random = options.random || Math.random;
+    this.bootstrapPeers = []; // Addresses bootstrap() was last given, used to rejoin
+    this.bootstrapOptions = {};
+    this.bootstrapping = null; // Promise of the bootstrap in progress
+    this.bootstrapTimer = null; // Backoff timer between bootstrap rounds
+    this.bootstrapWake = null; // Ends the current backoff early, on stop()
+    this.refreshInterval = options.refreshInterval || DEFAULT_REFRESH_INTERVAL;
+    this.refreshTimer = null;
+    this.refreshing = null; // Promise of the bucket refresh in progress
+    this.metrics = options.metrics || new MetricsRegistry();
+    this.metricsFile = options.metricsFile || null;
+    this.metricsInterval = options.metricsInterval || DEFAULT_METRICS_INTERVAL;
+    this.metricsTimer = null;
+    this.registerMetrics();
+  }
+
+  /**
+   * Registers the metrics of this peer's connections; the routing table and
+   * heartbeat monitor register their own in the same registry.
+   * Messages are counted as kPTP messages, before any encryption.
+   */
+  registerMetrics() {
+    this.counters = {
+      messagesSent: this.metrics.counter(
+        "dht_messages_sent_total",
+        "kPTP messages sent, by message type",
+        { labels: ["type"] }
+      ),
+      messagesReceived: this.metrics.counter(
+        "dht_messages_received_total",
+        "kPTP messages received and decoded, by message type",
+        { labels: ["type"] }
+      ),
+      bytesSent: this.metrics.counter(
+        "dht_sent_bytes_total",
+        "Bytes of kPTP messages sent"
+      ),
+      bytesReceived: this.metrics.counter(
+        "dht_received_bytes_total",
+        "Bytes received on kPTP connections"
+      ),
+      decodeFailures: this.metrics.counter(
+        "dht_decode_failures_total",
+        "Received messages that failed to decode, by kPTP error code",
+        { labels: ["code"] }
+      ),
+    };
+    this.metrics.gauge("dht_connections_open", "Open kPTP connections", {
+      collect: (gauge) => gauge.set({}, this.sockets.size),
+    });
+  }
+
+  /**
+   * Starts the server and initializes this peer's state.
+   * This function:
+   * 1. Listens for incoming connections on the configured port
+   * 2. Derives the peer ID from the identity's public key
+   * 3. Creates the routing table, key/value store, connection pool and heartbeat monitor
+   * 4. Starts the heartbeat mechanism and the periodic bucket refresh
+   * 5. Writes the metrics snapshot file at every metricsInterval, if there is one
+   *
+   * @returns {Promise<Object>} Resolves with this peer's selfInfo once it is listening.
+   *                            Rejects if the server cannot listen, e.g. with
+   *                            EADDRINUSE when the port is taken.
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      // Create server for incoming connections
+      this.server = this.transport.createServer((socket) => {
+        this.trackSocket(socket);
+        this.handleIncomingConnection(socket);
+      });
+      const onError = (error) => {
+        this.server = null;
+        reject(error);
+      };
+      this.server.once("error", onError);
+
+      this.server.listen(this.port, () => {
+        this.server.removeListener("error", onError);
+        const localPort = this.server.address().port; // Get the assigned port
+
+        // Derive this peer's ID from its public key
+        const myPeerID = this.identity.getPeerID();
+
+        this.log.peer.info(
+          "started",
+          `This peer address is ${this.ip}:${localPort} located at ${this.name} [${myPeerID}]`,
+          { ip: this.ip, port: localPort, peerID: myPeerID }
+        );
+
+        this.selfInfo = {
+          senderName: this.name,
+          ip: this.ip,
+          port: localPort,
+          peerID: myPeerID,
+        };
+        // Create a new routing table with this peer's ID. Full buckets ping their
+        // least-recently seen peer before letting a newcomer in, peers learned
+        // from other peers are greeted before they are trusted, and banned peers
+        // are never let in.
+        this.routingTable = new RoutingTable(
+          myPeerID,
+          Object.assign(
+            {
+              k: this.bucketSize,
+              // A peer heard from within a heartbeat interval needs no ping
+              pingFunction: (peer) =>
+                this.heartbeat.heardRecently(peer.peerID) ||
+                this.pingPeer(peer),
+              verifyFunction: (peer) => this.verifyPeer(peer),
+              banFunction: (peer) => Boolean(this.banList.isBanned(peer)),
+              clock: this.clock,
+              logger: this.log.routing,
+              metrics: this.metrics,
+            },
+            this.admission
+          )
+        );
+        this.routingTable.on("peerAdded", (peer, bucketIndex) =>
+          this.emit("peerAdded", peer, bucketIndex)
+        );
+        this.routingTable.on("peerRemoved", (peer, bucketIndex) => {
+          this.emit("peerEvicted", peer, bucketIndex);
+          // Checked once a replacement has had the chance to take the slot
+          this.clock.setTimeout(() => this.rebootstrapIfEmpty(), 0);
+        });
+        // Create the local key/value store for values placed on this peer
+        this.store = new KeyValueStore({ logger: this.log.lookup });
+
+        // Keep one connection per remote peer; messages on pooled connections
+        // are handled like those on incoming ones
+        this.pool = new ConnectionPool({
+          clock: this.clock,
+          logger: this.log.wire,
+          policy: this.requestPolicy,
+          write: (socket, message) => this.write(socket, message),
+          connect: (port, ip, connectListener) => {
+            const socket = this.connect(port, ip, connectListener);
+            this.onMessage(socket, (message) =>
+              this.handleMessage(socket, message)
+            );
+            return socket;
+          },
+        });
+        this.pool.start();
+
+        // Start the heartbeat mechanism to maintain peer connections
+        this.heartbeat = new Heartbeat(
+          this.routingTable,
+          this.selfInfo,
+          (peer, message) => this.sendHeartbeatToPeer(peer, message),
+          {
+            clock: this.clock,
+            logger: this.log.heartbeat,
+            metrics: this.metrics,
+            failureDetector: this.failureDetector,
+            probeFunction: (peer) => this.probeIndirectly(peer),
+          }
+        );
+        this.heartbeat.start();
+
+        // Look up a random ID in the range of every bucket left untouched
+        // for refreshInterval, so distant buckets fill in and stay fresh
+        this.refreshTimer = this.clock.setInterval(
+          () => this.refreshStaleBuckets(),
+          Math.min(this.refreshInterval, REFRESH_CHECK_INTERVAL)
+        );
+
+        // Keep the metrics snapshot file current, if there is one
+        if (this.metricsFile) {
+          this.writeMetricsFile();
+          this.metricsTimer = this.clock.setInterval(
+            () => this.writeMetricsFile(),
+            this.metricsInterval
+          );
+        }
+
+        resolve(this.selfInfo);
+      });
+    });
+  }
+
+  /**
+   * Stops the peer.
+   * This function:
+   * 1. Stops the heartbeat mechanism, the bucket refresh, the connection pool
+   *    and any bootstrap retries
+   * 2. Saves the routing table, for restore() on the next start, and writes
+   *    a last metrics snapshot
+   * 3. Closes every open connection
+   * 4. Stops accepting new connections
+   *
+   * @returns {Promise<void>} Resolves once the server has closed
+   */
+  stop() {
+    if (this.heartbeat) {
+      this.heartbeat.stop();
+    }
+    if (this.refreshTimer) {
+      this.clock.clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+    if (this.metricsTimer) {
+      this.clock.clearInterval(this.metricsTimer);
+      this.metricsTimer = null;
+      this.writeMetricsFile();
+    }
+    if (this.routingTable) {
+      this.writeRoutingTableToFile();
+    }
+    if (this.pool) {
+      this.pool.stop();
+    }
+    if (this.bootstrapWake) {
+      this.clock.clearTimeout(this.bootstrapTimer);
+      this.bootstrapWake();
+    }
+    this.sockets.forEach((socket) => socket.destroy());
+    this.sockets.clear();
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Leaves the network gracefully.
+   * This function:
+   * 1. Opens a connection to every peer in the routing table, waiting at most
+   *    GOODBYE_TIMEOUT
+   * 2. Sends a signed Goodbye message on every open connection, so each peer
+   *    drops this one at once instead of once its heartbeats fail. Peers
+   *    that list this one without being listed back are reached too, over the
+   *    connections their heartbeats and lookups opened.
+   * 3. Stops the peer (see stop())
+   * Each connection gets its own nonce, so a peer reached on two connections
+   * does not take the second Goodbye for a replay.
+   *
+   * @returns {Promise<void>} Resolves once the peer has stopped
+   */
+  leave() {
+    if (!this.server) {
+      return this.stop();
+    }
+    const opened = this.getAllPeersArray().map((peer) =>
+      this.pool
+        .open(peer)
+        .catch((error) =>
+          this.log.join.warn(
+            "goodbye_unreachable",
+            `Error connecting to peer ${peer.peerID} to say goodbye: ${error.message}`,
+            { peerID: peer.peerID, error }
+          )
+        )
+    );
+    let timer = null;
+    const timeout = new Promise((resolve) => {
+      timer = this.clock.setTimeout(resolve, GOODBYE_TIMEOUT);
+    });
+    return Promise.race([Promise.all(opened), timeout]).then(() => {
+      this.clock.clearTimeout(timer);
+      // An encrypted connection still agreeing on keys has no channel binding
+      // to sign the Goodbye over yet, so it is closed without one
+      const ready = Array.from(this.sockets).filter(
+        (socket) => socket.established !== false
+      );
+      this.log.join.info(
+        "leaving",
+        `Saying goodbye on ${ready.length} connection(s)`,
+        { connections: ready.length }
+      );
+      ready.forEach((socket) =>
+        this.write(
+          socket,
+          kPTP.createGoodbyeMessage(
+            this.selfInfo.senderName,
+            this.selfInfo.ip,
+            this.selfInfo.port,
+            this.selfInfo.peerID,
+            this.identity,
+            crypto.randomBytes(kPTP.NONCE_LENGTH)
+          )
+        )
+      );
+      return this.stop();
+    });
+  }
+
+  /**
+   * Opens a connection to another peer through the transport and tracks it,
+   * so stop() can close it.
+   *
+   * @param {number} port
+   * @param {string} ip
+   * @param {Function} connectListener - Called once the connection is established
+   * @returns {Object} The socket
+   */
+  connect(port, ip, connectListener) {
+    const socket = this.transport.connect(port, ip, connectListener);
+    this.trackSocket(socket);
+    return socket;
+  }
+
+  /**
+   * Remembers an open socket until it closes.
+   *
+   * @param {Object} socket
+   */
+  trackSocket(socket) {
+    this.sockets.add(socket);
+    socket.on("close", () => this.sockets.delete(socket));
+  }
+
+  /**
+   * Calls a handler with each kPTP message received on a socket.
+   * TCP may split a message across reads or deliver several in one, so the
+   * reads are reassembled with a kPTP.StreamDecoder first, then decoded.
+   * A message that fails to decode is answered with an Error message (unless
+   * it claimed to be one) and the connection is closed, since the rest of the
+   * stream can no longer be trusted; it also counts as a strike against the sender.
+   *
+   * @param {net.Socket} socket
+   * @param {Function} handler - Called as handler(message) for each decoded message
+   */
+  onMessage(socket, handler) {
+    const stream = new kPTP.StreamDecoder();
+    let failed = false;
+    socket.on("data", (data) => {
+      this.counters.bytesReceived.inc({}, data.length);
+      if (failed) {
+        return;
+      }
+      try {
+        stream.push(data).forEach((buffer) => {
+          const message = this.decode(buffer, socket.channelBinding);
+          if (message.messageType === kPTP.MESSAGE_TYPE.ERROR) {
+            this.log.wire.warn(
+              "error_received",
+              `Received Error ${message.error.code} from ${message.senderName}: ${message.error.description}`,
+              {
+                from: message.senderName,
+                code: message.error.code,
+                description: message.error.description,
+              }
+            );
+          }
+          handler(message);
+        });
+      } catch (error) {
+        if (!(error instanceof kPTP.DecodeError)) {
+          throw error;
+        }
+        failed = true;
+        this.counters.decodeFailures.inc({ code: error.code });
+        this.log.wire.warn(
+          "invalid_message",
+          `Invalid message from ${socket.remoteAddress}:${socket.remotePort}: ${error.code} ${error.message}`,
+          {
+            remoteAddress: socket.remoteAddress,
+            remotePort: socket.remotePort,
+            error,
+          }
+        );
+        this.sendError(socket, error.code, error.message, 0);
+        this.penalize(getRemoteIP(socket), `malformed message (${error.code})`);
+      }
+    });
+  }
+
+  /**
+   * Answers a peer with an Error message and closes the connection. Messages
+   * still arriving on the connection are ignored.
+   *
+   * @param {net.Socket} socket
+   * @param {string} code - One of kPTP.ERROR_CODE
+   * @param {string} description - Human-readable detail
+   * @param {number} transactionID - The Transaction ID of the offending message,
+   *                                 or 0 if it could not be read
+   */
+  sendError(socket, code, description, transactionID) {
+    this.closingSockets.add(socket);
+    const message = kPTP.setTransactionID(
+      kPTP.createErrorMessage(this.selfInfo.senderName, code, description),
+      transactionID
+    );
+    this.countSent(message);
+    socket.end(message);
+  }
+
+  /**
+   * Sends the response to a request, tagged with the request's Transaction ID.
+   *
+   * @param {net.Socket} socket - The connection the request arrived on
+   * @param {Object} request - The decoded request
+   * @param {Buffer} response - The encoded response
+   */
+  reply(socket, request, response) {
+    this.write(socket, kPTP.setTransactionID(response, request.transactionID));
+  }
+
+  /**
+   * Writes an encoded kPTP message on a connection. Every message this peer
+   * sends goes through here, or through countSent(), to be counted.
+   * A Hello, Welcome or Goodbye sent on an encrypted connection is signed
+   * again over the connection's channel binding, so it cannot be relayed
+   * through another key exchange (see SecureChannel.js).
+   *
+   * @param {net.Socket} socket
+   * @param {Buffer} message
+   */
+  write(socket, message) {
+    if (
+      socket.channelBinding &&
+      kPTP.SIGNED_TYPES.includes(message.readUInt8(1))
+    ) {
+      kPTP.signMessage(message, this.identity, socket.channelBinding);
+    }
+    this.countSent(message);
+    socket.write(message);
+  }
+
+  /**
+   * Counts an encoded kPTP message as sent, by its message type.
+   *
+   * @param {Buffer} message
+   */
+  countSent(message) {
+    const type = message.readUInt8(1);
+    this.counters.messagesSent.inc({
+      type: MESSAGE_TYPE_NAMES.get(type) || String(type),
+    });
+    this.counters.bytesSent.inc({}, message.length);
+  }
+
+  /**
+   * Decodes a kPTP message, counts it and emits it as "messageReceived".
+   *
+   * @param {Buffer} data
+   * @param {Buffer} [channelBinding] - Binding of the encrypted connection it
+   *                                    arrived on, if any
+   * @returns {Object} The decoded message
+   * @throws {kPTP.DecodeError} If the message is malformed
+   */
+  decode(data, channelBinding) {
+    const message = kPTP.decodeMessage(data, { channelBinding });
+    this.counters.messagesReceived.inc({
+      type: MESSAGE_TYPE_NAMES.get(message.messageType),
+    });
+    this.emit("messageReceived", message);
+    return message;
+  }
+
+  /**
+   * Handles incoming connections from other peers.
+   * This function sets up event handlers for:
+   * 1. Error handling - handles socket errors
+   * 2. Connection closure - handles peer disconnections
+   * 3. Data reception - processes incoming messages
+   * Connections from a banned host are refused with an Error message, and
+   * connections beyond the host's rate limit are closed straight away.
+   *
+   * @param {net.Socket} socket - The socket connection from the incoming peer
+   */
+  handleIncomingConnection(socket) {
+    const remote = {
+      remoteAddress: socket.remoteAddress,
+      remotePort: socket.remotePort,
+    };
+    this.log.wire.debug(
+      "connection_accepted",
+      `Incoming connection from ${remote.remoteAddress}:${remote.remotePort}`,
+      remote
+    );
+
+    // Handle socket errors
+    socket.on("error", (err) => {
+      this.log.wire.warn(
+        "socket_error",
+        `Socket error: ${err.message}`,
+        Object.assign({ error: err }, remote)
+      );
+    });
+
+    // Handle peer disconnection
+    socket.on("close", () => {
+      this.log.wire.debug(
+        "connection_closed",
+        `Connection closed from ${remote.remoteAddress}:${remote.remotePort}`,
+        remote
+      );
+    });
+
+    const ip = getRemoteIP(socket);
+    const ban = this.banList.isBanned({ ip });
+    if (ban) {
+      this.log.security.info(
+        "connection_refused",
+        `Refusing connection from banned host ${ip}: ${ban.reason}`,
+        { ip, reason: ban.reason }
+      );
+      this.sendError(
+        socket,
+        kPTP.ERROR_CODE.BANNED,
+        `${ip} is banned${ban.until ? ` until ${ban.until}` : ""}`,
+        0
+      );
+      return;
+    }
+    if (this.rateLimiter && !this.rateLimiter.take(ip, "connection")) {
+      this.log.security.info(
+        "connection_refused",
+        `Refusing connection from ${ip}: too many connections`,
+        { ip, reason: "too many connections" }
+      );
+      socket.destroy();
+      this.penalize(ip, "too many connections");
+      return;
+    }
+
+    this.onMessage(socket, (message) => this.handleMessage(socket, message));
+  }
+
+  /**
+   * Handles a message received on any connection, incoming or pooled.
+   * Connections carry messages both ways, so this function:
+   * 1. Hands responses and Error messages to the connection pool, which
+   *    matches them to the requests we sent
+   * 2. Refuses requests beyond the sender's rate limit for their type
+   * 3. Checks that a Hello comes from the owner of the peer ID it claims
+   * 4. Answers requests from the other peer, adopting the connection into
+   *    the pool once the peer has said where it listens
+   *
+   * @param {net.Socket} socket - The connection the message arrived on
+   * @param {Object} message - The decoded message
+   */
+  handleMessage(socket, message) {
+    if (this.closingSockets.has(socket)) {
+      return;
+    }
+    try {
+      this.log.wire.debug(
+        "message_received",
+        `Received message from ${message.senderName} (Type ${message.messageType})`,
+        {
+          from: message.senderName,
+          messageType: message.messageType,
+          transactionID: message.transactionID,
+        }
+      );
+      this.pool.touch(socket);
+      // A Welcome answering one of our Hellos proves who is at the other end
+      if (
+        message.messageType === kPTP.MESSAGE_TYPE.WELCOME &&
+        this.helloNonces.has(message.nonce)
+      ) {
+        this.verifiedPeers.set(socket, this.getSenderID(message));
+      }
+      // Any message over a connection that proved its sender's ID shows that
+      // the sender is alive, so the heartbeat monitor need not ask it. The
+      // monitor times responses to its own heartbeats itself, and a Goodbye
+      // removes its sender anyway.
+      if (
+        this.verifiedPeers.has(socket) &&
+        message.messageType !== kPTP.MESSAGE_TYPE.HEARTBEAT_RESPONSE &&
+        message.messageType !== kPTP.MESSAGE_TYPE.GOODBYE
+      ) {
+        this.heartbeat.recordActivity(this.verifiedPeers.get(socket));
+      }
+      // Responses and Error messages answer requests we sent on this connection
+      // (Error messages are logged by onMessage and never answered)
+      if (
+        message.messageType === kPTP.MESSAGE_TYPE.ERROR ||
+        Object.values(kPTP.RESPONSE_TYPE).includes(message.messageType)
+      ) {
+        if (
+          !this.pool.handleResponse(socket, message) &&
+          message.messageType !== kPTP.MESSAGE_TYPE.ERROR
+        ) {
+          this.log.wire.debug(
+            "response_ignored",
+            `Ignoring unexpected response type ${message.messageType} from ${message.senderName}`,
+            { from: message.senderName, messageType: message.messageType }
+          );
+        }
+        return;
+      }
+      // Every request counts against its sender's limit for that message type
+      if (!this.checkRateLimit(socket, message)) {
+        return;
+      }
+      // A Key Exchange only reaches us unencrypted when we run without encryption
+      if (
+        message.messageType === kPTP.MESSAGE_TYPE.KEY_EXCHANGE &&
+        !this.secure
+      ) {
+        this.log.security.warn(
+          "encryption_refused",
+          `Rejecting encrypted connection from ${message.senderName}: this peer runs without --secure`,
+          { from: message.senderName }
+        );
+        this.sendError(
+          socket,
+          kPTP.ERROR_CODE.ENCRYPTION_DISABLED,
+          `${this.selfInfo.senderName} does not accept encrypted connections; start every peer without --secure`,
+          message.transactionID
+        );
+        return;
+      }
+      // Peers on a different ID width cannot share our routing table, so they are
+      // turned away at Hello (and any other message they send is refused). A
+      // Routing Table request carries no peer IDs, so a crawler need not know
+      // the width before asking; it learns it from the response.
+      if (
+        message.idBits !== Singleton.getIDBits() &&
+        message.messageType !== kPTP.MESSAGE_TYPE.ROUTING_TABLE
+      ) {
+        this.log.security.warn(
+          "id_width_mismatch",
+          `Rejecting message from ${message.senderName}: ID width ${
+            message.idBits
+          } bits does not match ${Singleton.getIDBits()} bits`,
+          {
+            from: message.senderName,
+            idBits: message.idBits,
+            expected: Singleton.getIDBits(),
+          }
+        );
+        this.sendError(
+          socket,
+          kPTP.ERROR_CODE.ID_WIDTH_MISMATCH,
+          `Expected ${Singleton.getIDBits()}-bit peer IDs, got ${
+            message.idBits
+          }`,
+          message.transactionID
+        );
+        return;
+      }
+      // The Hello signature was checked when it was decoded; the claimed peer ID
+      // must also be the one the signing key maps to, and the nonce must be new
+      if (
+        message.messageType === kPTP.MESSAGE_TYPE.HELLO &&
+        !this.verifyHello(socket, message)
+      ) {
+        return;
+      }
+      // A Goodbye is not answered: its sender is leaving the network
+      if (message.messageType === kPTP.MESSAGE_TYPE.GOODBYE) {
+        this.handleGoodbye(socket, message);
+        return;
+      }
+      // A request tells us where the sender listens, so our own requests to it
+      // can reuse this connection
+      this.adoptConnection(
+        socket,
+        message.messageType === kPTP.MESSAGE_TYPE.HELLO
+          ? message.selfInfo
+          : message.peers[0]
+      );
+      if (message.messageType === 4) {
+        // Process Hello message
+        // Create sender info object with the verified ID, the address the
+        // connection came from, and the port the sender says it listens on
+        const senderInfo = {
+          ip: getRemoteIP(socket),
+          port:
+            (message.selfInfo && message.selfInfo.port) || socket.remotePort,
+          peerID: this.verifiedPeers.get(socket),
+          senderName: message.senderName,
+          lastSeen: Singleton.getTimestamp(),
+        };
+
+        this.log.join.info(
+          "hello_received",
+          `Adding connecting peer ${senderInfo.peerID} to routing table`,
+          {
+            peerID: senderInfo.peerID,
+            ip: senderInfo.ip,
+            port: senderInfo.port,
+            name: senderInfo.senderName,
+          }
+        );
+        // Add the sender to our routing table
+        this.routingTable.pushBucket(senderInfo);
+        this.heartbeat.recordActivity(senderInfo.peerID);
+
+        // Send back a Welcome message with the current peer list
+        const welcomeMsg = kPTP.createWelcomeMessage(
+          this.selfInfo.senderName,
+          this.getPeersToList(senderInfo.peerID),
+          this.identity,
+          Buffer.from(message.nonce, "hex")
+        );
+        this.reply(socket, message, welcomeMsg);
+        this.logRoutingTable("Routing Table After Processing Hello:");
+      } else if (message.messageType === 6) {
+        // Process Heartbeat message (its sender was recorded as heard from
+        // above, if this connection proved its ID)
+        this.log.heartbeat.debug(
+          "heartbeat_received",
+          `Processing Heartbeat from ${message.senderName}`,
+          { from: message.senderName }
+        );
+        // Send heartbeat response back to the sender
+        const heartbeatResponse = kPTP.createHeartbeatResponse(
+          this.selfInfo.senderName,
+          this.selfInfo.ip,
+          this.selfInfo.port,
+          this.selfInfo.peerID
+        );
+        this.reply(socket, message, heartbeatResponse);
+      } else if (message.messageType === kPTP.MESSAGE_TYPE.PROBE) {
+        this.handleProbe(socket, message);
+      } else if (message.messageType === kPTP.MESSAGE_TYPE.ROUTING_TABLE) {
+        this.handleRoutingTableRequest(socket, message);
+      } else if (message.messageType === kPTP.MESSAGE_TYPE.FIND_NODE) {
+        // Process Find Node message
+        this.log.lookup.debug(
+          "find_node_received",
+          `Processing Find Node for ${message.targetID} from ${message.senderName}`,
+          { from: message.senderName, targetID: message.targetID }
+        );
+        this.reply(
+          socket,
+          message,
+          kPTP.createFindNodeResponse(
+            this.selfInfo.senderName,
+            this.getClosestPeersFor(message.targetID, message.peers[0])
+          )
+        );
+        this.addRequesterToRoutingTable(socket, message);
+      } else if (message.messageType === kPTP.MESSAGE_TYPE.STORE) {
+        // Process Store message
+        this.log.lookup.debug(
+          "store_received",
+          `Processing Store for key "${message.key}" from ${message.senderName}`,
+          { from: message.senderName, key: message.key }
+        );
+        this.store.put(message.key, message.value);
+        this.addRequesterToRoutingTable(socket, message);
+      } else if (message.messageType === kPTP.MESSAGE_TYPE.FIND_VALUE) {
+        // Process Find Value message: return the value if we hold it,
+        // otherwise the closest peers to the key like Find Node
+        this.log.lookup.debug(
+          "find_value_received",
+          `Processing Find Value for key "${message.key}" from ${message.senderName}`,
+          { from: message.senderName, key: message.key }
+        );
+        const value = this.store.get(message.key);
+        this.reply(
+          socket,
+          message,
+          kPTP.createFindValueResponse(
+            this.selfInfo.senderName,
+            message.key,
+            value,
+            value === null
+              ? this.getClosestPeersFor(
+                  Singleton.getKeyID(message.key),
+                  message.peers[0]
+                )
+              : []
+          )
+        );
+        this.addRequesterToRoutingTable(socket, message);
+      } else {
+        // Not a request this peer knows how to answer
+        this.log.wire.warn(
+          "unexpected_type",
+          `Unexpected message type ${message.messageType} received.`,
+          { from: message.senderName, messageType: message.messageType }
+        );
+        this.sendError(
+          socket,
+          kPTP.ERROR_CODE.UNEXPECTED_TYPE,
+          `Message type ${message.messageType} is not a request`,
+          message.transactionID
+        );
+        this.penalize(getRemoteIP(socket), "unexpected message type");
+      }
+    } catch (error) {
+      this.log.wire.error(
+        "handler_failed",
+        `Error handling incoming data: ${error.stack || error.message}`,
+        { error }
+      );
+    }
+  }
+
+  /**
+   * Returns the peer ID of a Hello or Welcome sender, derived from its public key.
+   *
+   * @param {Object} message - The decoded Hello or Welcome
+   * @returns {string}
+   */
+  getSenderID(message) {
+    return Singleton.getPeerIDFromPublicKey(
+      Buffer.from(message.publicKey, "hex")
+    );
+  }
+
+  /**
+   * Checks the identity a Hello claims. Its signature was verified by the
+   * decoder, so the sender owns the public key; this function:
+   * 1. Refuses a Hello whose selfInfo claims a peer ID other than the one
+   *    derived from that key
+   * 2. Refuses a Hello whose nonce was seen before, since it is a replay
+   * 3. Refuses a Hello from a banned peer ID
+   * 4. Otherwise records the connection as verified for that peer ID
+   * A refused Hello is answered with an Error message and the connection closed;
+   * a forged or replayed one also counts as a strike against the sender.
+   *
+   * @param {net.Socket} socket - The connection the Hello arrived on
+   * @param {Object} message - The decoded Hello
+   * @returns {boolean} True if the Hello was accepted
+   */
+  verifyHello(socket, message) {
+    const peerID = this.getSenderID(message);
+    const claimed = message.selfInfo && message.selfInfo.peerID;
+    if (claimed && claimed !== peerID) {
+      this.log.security.warn(
+        "hello_rejected",
+        `Rejecting Hello from ${message.senderName}: claims peer ID ${claimed}, but its key maps to ${peerID}`,
+        { from: message.senderName, reason: "bad identity", claimed, peerID }
+      );
+      this.sendError(
+        socket,
+        kPTP.ERROR_CODE.BAD_IDENTITY,
+        `Peer ID ${claimed} does not belong to the signing key`,
+        message.transactionID
+      );
+      this.penalize(getRemoteIP(socket), "forged peer ID");
+      return false;
+    }
+    if (this.seenNonces.has(message.nonce)) {
+      this.log.security.warn(
+        "hello_rejected",
+        `Rejecting Hello from ${message.senderName}: nonce ${message.nonce} was already used`,
+        { from: message.senderName, reason: "replayed nonce", peerID }
+      );
+      this.sendError(
+        socket,
+        kPTP.ERROR_CODE.REPLAYED_NONCE,
+        "Hello nonce was already used",
+        message.transactionID
+      );
+      this.penalize(getRemoteIP(socket), "replayed Hello");
+      return false;
+    }
+    const ban = this.banList.isBanned({ peerID });
+    if (ban) {
+      this.log.security.warn(
+        "hello_rejected",
+        `Rejecting Hello from ${message.senderName}: peer ${peerID} is banned (${ban.reason})`,
+        { from: message.senderName, reason: "banned", peerID }
+      );
+      this.sendError(
+        socket,
+        kPTP.ERROR_CODE.BANNED,
+        `Peer ${peerID} is banned${ban.until ? ` until ${ban.until}` : ""}`,
+        message.transactionID
+      );
+      return false;
+    }
+    this.rememberNonce(message.nonce);
+    this.verifiedPeers.set(socket, peerID);
+    return true;
+  }
+
+  /**
+   * Records the nonce of a Hello or Goodbye we accepted, so a replay of the
+   * message is refused.
+   *
+   * @param {string} nonce - The nonce (hex)
+   */
+  rememberNonce(nonce) {
+    this.seenNonces.add(nonce);
+    if (this.seenNonces.size > MAX_SEEN_NONCES) {
+      // Sets iterate in insertion order, so this forgets the oldest nonce
+      this.seenNonces.delete(this.seenNonces.values().next().value);
+    }
+  }
+
+  /**
+   * Handles a Goodbye from a peer that is leaving the network. Its signature
+   * was checked when it was decoded; this function:
+   * 1. Refuses a Goodbye whose peer entry names a peer ID other than the one
+   *    derived from the signing key, or whose nonce was seen before
+   * 2. Removes the sender from the routing table right away, instead of once
+   *    its heartbeats fail, which lets a replacement take its slot
+   * 3. Clears the sender's failure detector history
+   * A refused Goodbye is answered with an Error message and counts as a strike
+   * against the sender.
+   *
+   * @param {net.Socket} socket - The connection the Goodbye arrived on
+   * @param {Object} message - The decoded Goodbye
+   */
+  handleGoodbye(socket, message) {
+    const peerID = this.getSenderID(message);
+    const sender = message.peers[0];
+    if (!sender || sender.peerID !== peerID) {
+      this.log.security.warn(
+        "goodbye_rejected",
+        `Rejecting Goodbye from ${message.senderName}: its key maps to ${peerID}, not the peer it names`,
+        { from: message.senderName, reason: "bad identity", peerID }
+      );
+      this.sendError(
+        socket,
+        kPTP.ERROR_CODE.BAD_IDENTITY,
+        "Goodbye is not signed by the peer it names",
+        message.transactionID
+      );
+      this.penalize(getRemoteIP(socket), "forged Goodbye");
+      return;
+    }
+    if (this.seenNonces.has(message.nonce)) {
+      this.log.security.warn(
+        "goodbye_rejected",
+        `Rejecting Goodbye from ${message.senderName}: nonce ${message.nonce} was already used`,
+        { from: message.senderName, reason: "replayed nonce", peerID }
+      );
+      this.sendError(
+        socket,
+        kPTP.ERROR_CODE.REPLAYED_NONCE,
+        "Goodbye nonce was already used",
+        message.transactionID
+      );
+      this.penalize(getRemoteIP(socket), "replayed Goodbye");
+      return;
+    }
+    this.rememberNonce(message.nonce);
+    this.log.join.info(
+      "goodbye_received",
+      `Peer ${peerID} (${message.senderName}) said goodbye`,
+      { peerID, name: message.senderName }
+    );
+    if (this.routingTable.hasPeer(peerID)) {
+      this.routingTable.removePeer(peerID);
+      this.logRoutingTable();
+    }
+    this.heartbeat.forgetPeer(peerID);
+  }
+
+  /**
+   * Handles a Probe: another peer suspects the peer named in it and asks
+   * whether we can reach it. This function:
+   * 1. Pings the probed peer (we are alive ourselves if the probe names us),
+   *    but only if our routing table lists it at the address the probe names,
+   *    so a Probe cannot make us send traffic to an arbitrary address
+   * 2. Answers with a Probe Response telling whether it answered
+   *
+   * @param {net.Socket} socket - The connection the Probe arrived on
+   * @param {Object} message - The decoded Probe, naming the probed peer as peers[1]
+   */
+  handleProbe(socket, message) {
+    const target = message.peers[1];
+    if (!target) {
+      this.sendError(
+        socket,
+        kPTP.ERROR_CODE.BAD_FIELD,
+        "Probe names no peer to probe",
+        message.transactionID
+      );
+      return;
+    }
+    this.log.heartbeat.debug(
+      "probe_received",
+      `Processing Probe of ${target.peerID} from ${message.senderName}`,
+      { from: message.senderName, peerID: target.peerID }
+    );
+    const known = this.routingTable.getPeer(target.peerID);
+    let reached;
+    if (target.peerID === this.selfInfo.peerID) {
+      reached = Promise.resolve(true);
+    } else if (known && known.ip === target.ip && known.port === target.port) {
+      reached = this.pingPeer(known);
+    } else {
+      this.log.heartbeat.debug(
+        "probe_unknown",
+        `Not probing ${target.peerID} at ${target.ip}:${target.port}: not in the routing table at that address`,
+        { peerID: target.peerID, ip: target.ip, port: target.port }
+      );
+      reached = Promise.resolve(false);
+    }
+    reached.then((alive) => {
+      this.log.heartbeat.debug(
+        "probe_answered",
+        `Probe of ${target.peerID}: ${alive ? "answered" : "no answer"}`,
+        { peerID: target.peerID, alive }
+      );
+      if (!socket.destroyed) {
+        this.reply(
+          socket,
+          message,
+          kPTP.createProbeResponse(this.selfInfo.senderName, target, alive)
+        );
+      }
+    });
+  }
+
+  /**
+   * Handles a Routing Table message by listing one page of the routing table:
+   * the entries of every bucket, in bucket order, from the requested index
+   * on. The requester is not added to the routing table; it need not be a peer.
+   *
+   * @param {net.Socket} socket - The connection the request arrived on
+   * @param {Object} message - The decoded Routing Table message
+   */
+  handleRoutingTableRequest(socket, message) {
+    // Table sizes are sent as 2-byte fields
+    const entries = this.getRoutingTableData()
+      .buckets.flatMap((bucket) => bucket.peers)
+      .slice(0, 0xffff);
+    const start = Math.min(message.start, entries.length);
+    const page = entries.slice(start, start + kPTP.ROUTING_TABLE_PAGE_SIZE);
+    this.log.peer.debug(
+      "routing_table_listed",
+      `Listing routing table entries ${start} to ${start + page.length} of ${
+        entries.length
+      } to ${message.senderName}`,
+      { from: message.senderName, start, count: page.length }
+    );
+    this.reply(
+      socket,
+      message,
+      kPTP.createRoutingTableResponse(
+        this.selfInfo.senderName,
+        this.selfInfo,
+        page,
+        { bucketSize: this.routingTable.k, total: entries.length, start }
+      )
+    );
+  }
+
+  /**
+   * Takes a token from the sender's rate limit for a request's message type.
+   * A request beyond the limit is answered with an Error message, the
+   * connection is closed, and the sender gets a strike.
+   *
+   * @param {net.Socket} socket - The connection the request arrived on
+   * @param {Object} message - The decoded request
+   * @returns {boolean} True if the request is within the limit
+   */
+  checkRateLimit(socket, message) {
+    const ip = getRemoteIP(socket);
+    if (!this.rateLimiter || this.rateLimiter.take(ip, message.messageType)) {
+      return true;
+    }
+    this.log.security.warn(
+      "rate_limited",
+      `Rate limiting ${message.senderName} at ${ip}: too many messages of type ${message.messageType}`,
+      { from: message.senderName, ip, messageType: message.messageType }
+    );
+    this.sendError(
+      socket,
+      kPTP.ERROR_CODE.RATE_LIMITED,
+      `Too many type ${message.messageType} messages from ${ip}`,
+      message.transactionID
+    );
+    this.penalize(ip, `rate limit for type ${message.messageType} exceeded`);
+    return false;
+  }
+
+  /**
+   * Records a strike against a host, banning it for banDuration once it has
+   * collected too many (see RateLimiter.strike()).
+   *
+   * @param {string} ip - The misbehaving host
+   * @param {string} reason - What it did
+   */
+  penalize(ip, reason) {
+    this.log.security.warn("strike", `Strike against ${ip}: ${reason}`, {
+      ip,
+      reason,
+    });
+    if (this.rateLimiter && this.rateLimiter.strike(ip)) {
+      this.banPeer(
+        { ip },
+        {
+          duration: this.banDuration,
+          reason: `repeated misbehavior, last: ${reason}`,
+        }
+      );
+    }
+  }
+
+  /**
+   * Bans a host or peer ID (see BanList.ban()), closes its connections and
+   * removes it from the routing table.
+   *
+   * @param {Object} target - { ip } or { peerID }
+   * @param {Object} [options] - { duration, reason }; permanent by default
+   * @returns {Object} The ban
+   */
+  banPeer(target, options) {
+    const ban = this.banList.ban(target, options);
+    this.sockets.forEach((socket) => {
+      if (
+        this.banList.matches(ban, {
+          ip: getRemoteIP(socket),
+          peerID: this.verifiedPeers.get(socket),
+        })
+      ) {
+        socket.destroy();
+      }
+    });
+    if (this.routingTable) {
+      this.getAllPeersArray()
+        .filter((peer) => this.banList.matches(ban, peer))
+        .forEach((peer) => this.routingTable.removePeer(peer.peerID));
+    }
+    this.emit("peerBanned", ban);
+    return ban;
+  }
+
+  /**
+   * Removes a peer from the routing table on an operator's request, together
+   * with its heartbeat history. Unlike banPeer(), the peer may come back the
+   * next time it is heard from.
+   *
+   * @param {string} peerID
+   * @returns {Object|null} { evicted, promoted }: the removed entry and the
+   *                        candidate promoted into its slot (or null), or null
+   *                        if the peer was not in the routing table
+   */
+  evictPeer(peerID) {
+    const evicted = this.getAllPeersArray().find(
+      (peer) => peer.peerID === peerID
+    );
+    if (!evicted) {
+      return null;
+    }
+    this.log.routing.info(
+      "peer_evicted",
+      `Evicting peer ${peerID} on request`,
+      {
+        peerID,
+      }
+    );
+    const promoted = this.routingTable.removePeer(peerID);
+    this.heartbeat.forgetPeer(peerID);
+    this.logRoutingTable();
+    return { evicted, promoted };
+  }
+
+  /**
+   * Returns true if a connection's other end proved, with a signed Hello or
+   * Welcome, that it owns the peer ID a message names as its sender.
+   *
+   * @param {net.Socket} socket
+   * @param {Object} [sender] - The sender entry of the message { ip, port, peerID }
+   * @returns {boolean}
+   */
+  isVerifiedSender(socket, sender) {
+    return Boolean(sender) && this.verifiedPeers.get(socket) === sender.peerID;
+  }
+
+  /**
+   * Adds an incoming connection to the connection pool under the listening
+   * address the sender gave, if that address is on the host the connection
+   * came from.
+   *
+   * @param {net.Socket} socket - The incoming connection
+   * @param {Object} [sender] - The sender's claimed address { ip, port }
+   */
+  adoptConnection(socket, sender) {
+    if (sender && sender.port && sender.ip === getRemoteIP(socket)) {
+      this.pool.adopt(sender, socket);
+    }
+  }
+
+  /**
+   * Returns the closest known peers to a target ID for a Find Node or Find Value
+   * response, leaving out the requester itself.
+   *
+   * @param {string} targetID - The peer ID or key ID being looked up
+   * @param {Object} [requester] - The requesting peer { ip, port, peerID }
+   * @returns {Array} Up to LOOKUP_K peers, nearest first
+   */
+  getClosestPeersFor(targetID, requester) {
+    return this.routingTable
+      .getClosestPeers(targetID, LOOKUP_K + 1)
+      .filter((peer) => !requester || peer.peerID !== requester.peerID)
+      .slice(0, LOOKUP_K);
+  }
+
+  /**
+   * Adds the sender of a lookup or storage request to the routing table.
+   * The requester is evidently alive, so it is a candidate for its bucket,
+   * but only if the connection proved it owns the peer ID it names.
+   *
+   * @param {net.Socket} socket - The connection the request arrived on
+   * @param {Object} message - The decoded request carrying the sender as peers[0]
+   */
+  addRequesterToRoutingTable(socket, message) {
+    const requester = message.peers[0];
+    if (
+      this.isVerifiedSender(socket, requester) &&
+      requester.peerID !== this.selfInfo.peerID
+    ) {
+      requester.senderName = message.senderName;
+      requester.lastSeen = Singleton.getTimestamp();
+      this.routingTable.pushBucket(requester);
+    }
+  }
+
+  /**
+   * Joins an existing network by connecting to a target peer.
+   * This function:
+   * 1. Opens a pooled connection to the target peer
+   * 2. Sends a signed Hello message with current peer information
+   * 3. Processes the Welcome message response, whose signature must answer our Hello
+   * 4. Adds the target peer to the routing table, under the ID its Welcome proved
+   * 5. Greets every peer the Welcome lists with a Hello of its own, adding each
+   *    one whose Welcome proves the ID it was listed under
+   * 6. Looks up its own ID, which fills the buckets nearest to it and
+   *    introduces it to its neighbours
+   *
+   * @param {string|Object} address - The target peer as "ip:port" or { ip, port }
+   * @returns {Promise<Array>} Resolves with the peers listed in the Welcome message,
+   *                           once they have been verified; rejects if the target
+   *                           cannot be reached or never welcomes us
+   */
+  join(address) {
+    const target = parseAddress(address);
+
+    return this.pool
+      .open(target)
+      .then(() => {
+        this.log.join.info(
+          "connected",
+          `Connected to target peer ${target.ip}:${
+            target.port
+          } at timestamp: ${Singleton.getTimestamp()}`,
+          { ip: target.ip, port: target.port }
+        );
+        // Use the current peer list (may be empty initially)
+        return this.sendHello(target, this.getPeersToList());
+      })
+      .then((message) => {
+        if (message.idBits !== Singleton.getIDBits()) {
+          this.log.security.warn(
+            "id_width_mismatch",
+            `Rejecting Welcome from ${message.senderName}: ID width ${
+              message.idBits
+            } bits does not match ${Singleton.getIDBits()} bits`,
+            { from: message.senderName, idBits: message.idBits }
+          );
+          throw new Error(`ID width mismatch with ${message.senderName}`);
+        }
+        // Process Welcome message
+        this.log.join.info(
+          "welcome_received",
+          `Processing Welcome message from ${message.senderName}`,
+          { from: message.senderName, peers: message.peers.length }
+        );
+        // The Welcome answered our Hello, so the target owns the ID it signed with
+        this.routingTable.pushBucket({
+          ip: target.ip,
+          port: target.port,
+          peerID: this.getSenderID(message),
+          senderName: message.senderName,
+          lastSeen: Singleton.getTimestamp(),
+        });
+        // Use refreshBuckets() to update the DHT with received peers,
+        // but filter out our own info.
+        return this.refreshBuckets(this.routingTable, message.peers)
+          .then(() => {
+            this.routingTable.printRoutingTable(
+              "Routing Table After Welcome Message:"
+            );
+            // The standard Kademlia join step: a lookup for our own ID
+            return this.findNode(this.selfInfo.peerID);
+          })
+          .then(() => {
+            this.routingTable.printRoutingTable(
+              "Routing Table After Self-Lookup:"
+            );
+            return message.peers;
+          });
+      })
+      .catch((err) => {
+        this.log.join.warn(
+          "join_failed",
+          `Error joining network: ${err.message}`,
+          { ip: target.ip, port: target.port, error: err }
+        );
+        throw err;
+      });
+  }
+
+  /**
+   * Joins the network through a list of bootstrap peers, retrying until one
+   * of them welcomes us. The list is remembered, and the peer bootstraps again
+   * by itself whenever its routing table empties (see rebootstrapIfEmpty()).
+   * This function:
+   * 1. Tries the bootstrap peers one at a time in order, or all at once with
+   *    options.parallel; the round succeeds as soon as one sends a Welcome
+   * 2. When a whole round fails, waits and tries again. The wait starts at
+   *    minBackoff and doubles each round up to maxBackoff, and each wait is
+   *    jittered to between half and all of that, so restarted peers do not
+   *    retry in lockstep
+   * A call while a bootstrap is running updates the list and joins that run.
+   *
+   * @param {Array} addresses - Bootstrap peers as "ip:port" or { ip, port }
+   * @param {Object} [options]
+   * @param {boolean} [options.parallel=false] - Try every bootstrap peer at once
+   * @param {number} [options.minBackoff=1000] - Milliseconds before the second round
+   * @param {number} [options.maxBackoff=60000] - Longest wait between rounds
+   * @param {number} [options.maxRounds=Infinity] - Rounds to try before giving up
+   * @returns {Promise<Array>} Resolves with the peers listed in the first Welcome
+   *                           (see join()); rejects once maxRounds rounds have
+   *                           failed, or with code "ECANCELED" if the peer stops
+   */
+  bootstrap(addresses, options = {}) {
+    this.bootstrapPeers = addresses.map(parseAddress);
+    this.bootstrapOptions = options;
+    if (!this.bootstrapping) {
+      this.bootstrapping = this.runBootstrap().finally(() => {
+        this.bootstrapping = null;
+      });
+    }
+    return this.bootstrapping;
+  }
+
+  /**
+   * Runs bootstrap rounds with backoff until one succeeds (see bootstrap()).
+   *
+   * @returns {Promise<Array>}
+   */
+  async runBootstrap() {
+    const minBackoff =
+      this.bootstrapOptions.minBackoff || DEFAULT_BOOTSTRAP_MIN_BACKOFF;
+    const maxBackoff =
+      this.bootstrapOptions.maxBackoff || DEFAULT_BOOTSTRAP_MAX_BACKOFF;
+    const maxRounds = this.bootstrapOptions.maxRounds || Infinity;
+    let backoff = minBackoff;
+    for (let round = 1; ; round++) {
+      try {
+        return await this.bootstrapRound();
+      } catch (error) {
+        if (!this.server) {
+          const stopped = new Error("Peer stopped before it could bootstrap");
+          stopped.code = "ECANCELED";
+          throw stopped;
+        }
+        if (round >= maxRounds) {
+          throw error;
+        }
+        const delay = Math.round(backoff / 2 + (this.random() * backoff) / 2);
+        this.log.join.warn(
+          "bootstrap_retry",
+          `Bootstrap round ${round} failed (${error.message}); retrying in ${delay} ms`,
+          { round, delay, error }
+        );
+        await new Promise((resolve) => {
+          this.bootstrapWake = resolve;
+          this.bootstrapTimer = this.clock.setTimeout(resolve, delay);
+        });
+        this.bootstrapWake = null;
+        backoff = Math.min(backoff * 2, maxBackoff);
+      }
+    }
+  }
+
+  /**
+   * Tries every bootstrap peer once, in order or all at once.
+   *
+   * @returns {Promise<Array>} The peers listed in the first Welcome
+   * @throws {Error} If no bootstrap peer welcomed us; error.errors holds each failure
+   */
+  async bootstrapRound() {
+    const peers = this.bootstrapPeers;
+    const errors = [];
+    if (!this.server) {
+      throw new Error("peer is stopped");
+    }
+    if (this.bootstrapOptions.parallel) {
+      try {
+        return await Promise.any(peers.map((peer) => this.join(peer)));
+      } catch (error) {
+        errors.push(...(error.errors || [error]));
+      }
+    } else {
+      for (const peer of peers) {
+        try {
+          return await this.join(peer);
+        } catch (error) {
+          errors.push(error);
+        }
+      }
+    }
+    const error = new Error(
+      `none of ${peers.length} bootstrap peer(s) welcomed us`
+    );
+    error.errors = errors;
+    throw error;
+  }
+
+  /**
+   * Starts bootstrapping again when the routing table has emptied, e.g.
+   * because every peer missed its heartbeats, so the peer does not stay cut off.
+   */
+  rebootstrapIfEmpty() {
+    if (
+      !this.server ||
+      this.bootstrapping ||
+      this.bootstrapPeers.length === 0 ||
+      this.getAllPeersArray().length > 0
+    ) {
+      return;
+    }
+    this.log.join.warn(
+      "rejoining",
+      "Routing table is empty; bootstrapping again"
+    );
+    this.bootstrap(this.bootstrapPeers, this.bootstrapOptions).catch((error) =>
+      this.log.join.error(
+        "rejoin_failed",
+        `Error rejoining network: ${error.message}`,
+        { error }
+      )
+    );
+  }
+
+  /**
+   * Refreshes the buckets that have not been touched for refreshInterval.
+   * This function:
+   * 1. Finds the stale buckets: no peer entered them and no lookup targeted
+   *    their range for refreshInterval
+   * 2. Looks up a random ID in the range of each, one at a time; peers that
+   *    answer the lookup are added to the routing table
+   * A refresh still running when the next check is due is not doubled up.
+   *
+   * @returns {Promise<Array<number>>} Resolves with the indexes of the refreshed buckets
+   */
+  refreshStaleBuckets() {
+    if (this.refreshing) {
+      return this.refreshing;
+    }
+    const stale = this.routingTable.getStaleBuckets(this.refreshInterval);
+    if (stale.length === 0) {
+      return Promise.resolve([]);
+    }
+    this.log.join.info(
+      "buckets_refreshing",
+      `Refreshing stale bucket(s) ${stale.join(", ")}`,
+      { buckets: stale }
+    );
+    this.refreshing = stale
+      .reduce(
+        (previous, bucketIndex) =>
+          previous.then(() => {
+            if (!this.server) {
+              return null; // Stopped while refreshing
+            }
+            return this.findNode(
+              this.routingTable.getRandomIDInBucket(bucketIndex, this.random)
+            );
+          }),
+        Promise.resolve()
+      )
+      .catch((error) =>
+        this.log.join.warn(
+          "refresh_failed",
+          `Error refreshing buckets: ${error.message}`,
+          { error }
+        )
+      )
+      .then(() => {
+        this.refreshing = null;
+        return stale;
+      });
+    return this.refreshing;
+  }
+
+  /**
+   * Checks that a peer another peer told us about owns the ID it was listed
+   * under, for the routing table's verifyFunction.
+   * This function:
+   * 1. Sends the peer a Hello message with current peer information over its
+   *    pooled connection, which also introduces us to it
+   * 2. Derives the peer's ID from the key that signed its Welcome
+   * 3. Reports whether that is the listed ID; a peer that does not answer, or
+   *    answers with another ID, is not verified
+   *
+   * @param {Object} peer - The listed peer { ip, port, peerID }
+   * @returns {Promise<boolean>} True if the peer proved the listed ID
+   */
+  verifyPeer(peer) {
+    return this.sendHello(peer, this.getPeersToList(peer.peerID))
+      .then((response) => {
+        this.log.join.debug(
+          "hello_answered",
+          `Received Welcome message from ${response.senderName}`,
+          { from: response.senderName, verifying: peer.peerID }
+        );
+        const peerID = this.getSenderID(response);
+        if (peerID !== peer.peerID) {
+          this.log.security.warn(
+            "listed_id_mismatch",
+            `Peer at ${peer.ip}:${peer.port} was listed as ${peer.peerID}, but its key maps to ${peerID}`,
+            { ip: peer.ip, port: peer.port, listed: peer.peerID, peerID }
+          );
+          return false;
+        }
+        return true;
+      })
+      .catch((err) => {
+        this.log.wire.warn(
+          "hello_failed",
+          `Error sending Hello to peer ${peer.peerID}: ${err.message}`,
+          { peerID: peer.peerID, error: err }
+        );
+        return false;
+      });
+  }
+
+  /**
+   * Sends a signed Hello message to a peer and waits for its Welcome.
+   * The Hello carries a fresh random nonce, and the Welcome must be signed over
+   * that same nonce, so an old Welcome replayed by someone else is refused.
+   * A retried Hello gets a new nonce too, so a peer that did get the first
+   * one does not refuse the retry as a replay; a Welcome answering any of
+   * them is accepted.
+   *
+   * @param {Object} peer - The peer to greet { ip, port }
+   * @param {Array} peers - The peers to list in the Hello
+   * @returns {Promise<Object>} The decoded Welcome
+   */
+  sendHello(peer, peers) {
+    const nonces = []; // Hex nonces of every attempt
+    const createHello = () => {
+      const nonce = crypto.randomBytes(kPTP.NONCE_LENGTH);
+      nonces.push(nonce.toString("hex"));
+      this.helloNonces.add(nonce.toString("hex"));
+      return kPTP.createHelloMessage(
+        this.selfInfo.senderName,
+        peers,
+        this.selfInfo,
+        this.identity,
+        nonce
+      );
+    };
+    return this.pool
+      .request(peer, createHello, kPTP.MESSAGE_TYPE.WELCOME)
+      .finally(() =>
+        nonces.forEach((nonceHex) => this.helloNonces.delete(nonceHex))
+      )
+      .then((message) => {
+        if (!nonces.includes(message.nonce)) {
+          const error = new Error(
+            `Welcome from ${message.senderName} was not signed for our Hello`
+          );
+          error.code = kPTP.ERROR_CODE.REPLAYED_NONCE;
+          throw error;
+        }
+        return message;
+      });
+  }
+
+  /**
+   * Sends a heartbeat message to a peer.
+   * This function:
+   * 1. Sends the heartbeat message over the peer's pooled connection
+   * 2. Waits for the heartbeat response, within the request policy's timeout and retries
+   * 3. Reports whether the peer answered, so the heartbeat monitor can count misses
+   *
+   * @param {Object} peer - The peer to send heartbeat to
+   * @param {Buffer} message - The heartbeat message to send
+   * @returns {Promise<boolean>} True if the peer answered with a Heartbeat Response
+   */
+  sendHeartbeatToPeer(peer, message) {
+    this.log.heartbeat.debug(
+      "heartbeat_sending",
+      `Attempting to send heartbeat to peer ${peer.peerID} at ${peer.ip}:${peer.port}`,
+      { peerID: peer.peerID, ip: peer.ip, port: peer.port }
+    );
+    return this.pool
+      .request(peer, message, kPTP.MESSAGE_TYPE.HEARTBEAT_RESPONSE)
+      .then((response) => {
+        this.log.heartbeat.debug(
+          "heartbeat_answered",
+          `Received heartbeat response from ${response.senderName}`,
+          { peerID: peer.peerID, from: response.senderName }
+        );
+        return true;
+      })
+      .catch((err) => {
+        this.log.heartbeat.warn(
+          "heartbeat_unanswered",
+          `Error sending heartbeat to peer ${peer.peerID}: ${err.message}`,
+          { peerID: peer.peerID, error: err }
+        );
+        return false;
+      });
+  }
+
+  /**
+   * Sends a request message to a single peer and waits for its response.
+   * This function:
+   * 1. Sends the request message over the peer's pooled connection
+   * 2. Resolves with the decoded response of the expected response type
+   * 3. Resolves with null on timeout or error, so a failed peer never stalls a lookup
+   *
+   * @param {Object} peer - The peer to query { ip, port, peerID }
+   * @param {Buffer} message - The encoded request message
+   * @param {number} responseType - The kPTP message type expected in reply
+   * @param {Object} [policy] - Timeout and retries for this request (see ConnectionPool.request())
+   * @returns {Promise<Object|null>} The decoded response, or null if the peer did not answer
+   */
+  sendRequest(peer, message, responseType, policy) {
+    return this.pool
+      .request(peer, message, responseType, policy)
+      .catch((err) => {
+        this.log.wire.warn(
+          "request_failed",
+          `Error sending request to peer ${peer.peerID}: ${err.message}`,
+          { peerID: peer.peerID, error: err }
+        );
+        return null;
+      });
+  }
+
+  /**
+   * Checks whether a peer is alive by sending it a heartbeat and waiting for the response.
+   * A response from a different peer ID at the peer's address does not count.
+   *
+   * @param {Object} peer - The peer to ping { ip, port, peerID }; without a
+   *                        peerID, any peer answering at the address counts
+   * @returns {Promise<boolean>} True if the peer answered with a Heartbeat Response
+   */
+  pingPeer(peer) {
+    const heartbeatMsg = kPTP.createHeartbeatMessage(
+      this.selfInfo.senderName,
+      this.selfInfo.ip,
+      this.selfInfo.port,
+      this.selfInfo.peerID
+    );
+    return this.sendRequest(
+      peer,
+      heartbeatMsg,
+      kPTP.MESSAGE_TYPE.HEARTBEAT_RESPONSE
+    ).then(
+      (response) =>
+        response !== null &&
+        (!peer.peerID ||
+          (response.peers.length > 0 &&
+            response.peers[0].peerID === peer.peerID))
+    );
+  }
+
+  /**
+   * Asks other peers whether a suspect peer is alive, so a peer whose link to
+   * us alone is failing is not dropped. This function:
+   * 1. Sends a Probe to the PROBE_FANOUT peers closest to the suspect, which
+   *    are the likeliest to know it
+   * 2. Gives each as long as its own ping of the suspect may take, plus one
+   *    request timeout, and does not retry
+   * 3. Resolves true as soon as any of them reached the suspect
+   *
+   * @param {Object} suspect - The suspect peer { ip, port, peerID }
+   * @returns {Promise<boolean>} True if another peer reached the suspect; false
+   *                             if none did, or there is no other peer to ask
+   */
+  probeIndirectly(suspect) {
+    const helpers = this.routingTable
+      .getClosestPeers(suspect.peerID, PROBE_FANOUT + 1)
+      .filter((peer) => peer.peerID !== suspect.peerID)
+      .slice(0, PROBE_FANOUT);
+    if (helpers.length === 0) {
+      return Promise.resolve(false);
+    }
+    const { timeout, retries, retryDelay } = this.pool.policy;
+    const policy = {
+      timeout: (timeout + retryDelay) * (retries + 1) + timeout,
+      retries: 0,
+    };
+    const helperIDs = helpers.map((peer) => peer.peerID);
+    this.log.heartbeat.info(
+      "probe_sent",
+      `Probing ${suspect.peerID} through ${helperIDs.join(", ")}`,
+      { peerID: suspect.peerID, helpers: helperIDs }
+    );
+    return new Promise((resolve) => {
+      let pending = helpers.length;
+      helpers.forEach((helper) => {
+        const probe = kPTP.createProbeMessage(
+          this.selfInfo.senderName,
+          this.selfInfo.ip,
+          this.selfInfo.port,
+          this.selfInfo.peerID,
+          { ip: suspect.ip, port: suspect.port, peerID: suspect.peerID }
+        );
+        this.sendRequest(
+          helper,
+          probe,
+          kPTP.MESSAGE_TYPE.PROBE_RESPONSE,
+          policy
+        ).then((response) => {
+          pending--;
+          if (response && response.alive) {
+            resolve(true);
+          } else if (pending === 0) {
+            resolve(false);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Performs an iterative Kademlia lookup for the peers closest to a target ID.
+   * This function:
+   * 1. Seeds a shortlist with the closest peers from the local routing table
+   * 2. Sends Find Node (or Find Value, if a key is given) requests to up to
+   *    LOOKUP_ALPHA unqueried shortlist peers in parallel
+   * 3. Merges the returned peers into the shortlist and adds responders to the routing table
+   * 4. Stops once the LOOKUP_K closest peers in the shortlist have all been queried,
+   *    or as soon as a peer returns the requested value
+   *
+   * @param {string} targetID - The peer ID (or key ID) to look up
+   * @param {string} [key] - The key to request with Find Value instead of Find Node
+   * @returns {Promise<Object>} { peers, value } where peers are the LOOKUP_K closest
+   *                            responsive peers, nearest first, and value is the
+   *                            found value (or null)
+   */
+  async iterativeLookup(targetID, key) {
+    const shortlist = new Map(); // peerID -> peer
+    const queried = new Set([this.selfInfo.peerID]);
+    const failed = new Set();
+
+    const addCandidate = (peer) => {
+      if (peer.peerID !== this.selfInfo.peerID && !shortlist.has(peer.peerID)) {
+        shortlist.set(peer.peerID, peer);
+      }
+    };
+    // Returns the closest live candidates, nearest first
+    const closestCandidates = () =>
+      Array.from(shortlist.values())
+        .filter((peer) => !failed.has(peer.peerID))
+        .sort((a, b) => Singleton.compareDistance(targetID, a, b))
+        .slice(0, LOOKUP_K);
+    // Builds the request for one round of the lookup
+    const createRequest = () =>
+      key === undefined
+        ? kPTP.createFindNodeMessage(
+            this.selfInfo.senderName,
+            this.selfInfo.ip,
+            this.selfInfo.port,
+            this.selfInfo.peerID,
+            targetID
+          )
+        : kPTP.createFindValueMessage(
+            this.selfInfo.senderName,
+            this.selfInfo.ip,
+            this.selfInfo.port,
+            this.selfInfo.peerID,
+            key
+          );
+    const responseType =
+      key === undefined
+        ? kPTP.MESSAGE_TYPE.FIND_NODE_RESPONSE
+        : kPTP.MESSAGE_TYPE.FIND_VALUE_RESPONSE;
+
+    if (targetID !== this.selfInfo.peerID) {
+      this.routingTable.touchBucket(this.routingTable.getBucketIndex(targetID));
+    }
+    this.routingTable.getClosestPeers(targetID, LOOKUP_K).forEach(addCandidate);
+
+    for (;;) {
+      const round = closestCandidates()
+        .filter((peer) => !queried.has(peer.peerID))
+        .slice(0, LOOKUP_ALPHA);
+      if (round.length === 0) {
+        break; // Converged: every one of the k closest has been queried
+      }
+      round.forEach((peer) => queried.add(peer.peerID));
+
+      const responses = await Promise.all(
+        round.map((peer) =>
+          this.sendRequest(peer, createRequest(), responseType)
+        )
+      );
+      let value = null;
+      responses.forEach((response, i) => {
+        if (response === null) {
+          failed.add(round[i].peerID);
+          return;
+        }
+        // A peer that answered is alive, so it is a routing table candidate,
+        // once it proves the ID it was listed under
+        round[i].lastSeen = Singleton.getTimestamp();
+        this.routingTable.pushUnverified(round[i]);
+        if (response.value !== null) {
+          value = response.value;
+        }
+        response.peers.forEach(addCandidate);
+      });
+      if (value !== null) {
+        return { peers: closestCandidates(), value };
+      }
+    }
+
+    return { peers: closestCandidates(), value: null };
+  }
+
+  /**
+   * Finds the LOOKUP_K peers closest to a target ID.
+   *
+   * @param {string} targetID - The peer ID to look up
+   * @returns {Promise<Array>} The closest responsive peers, nearest first
+   */
+  async findNode(targetID) {
+    const result = await this.iterativeLookup(targetID);
+    return result.peers;
+  }
+
+  /**
+   * Stores a value in the DHT.
+   * This function:
+   * 1. Maps the key into the peer ID space with Singleton.getKeyID
+   * 2. Looks up the LOOKUP_K peers closest to that key ID
+   * 3. Sends a Store message to each of them
+   * 4. Also keeps a copy locally when this peer is among the closest
+   *
+   * @param {string} key - The key to store the value under
+   * @param {string} value - The value to store
+   * @returns {Promise<Array>} The peer IDs the value was placed on
+   */
+  async storeValue(key, value) {
+    const keyID = Singleton.getKeyID(key);
+    const closest = await this.findNode(keyID);
+    const storedOn = [];
+
+    // Keep a local copy if we are closer than the farthest of the closest peers
+    const farthest = closest[closest.length - 1];
+    if (
+      closest.length < LOOKUP_K ||
+      Singleton.getDistance(keyID, this.selfInfo.peerID) <
+        Singleton.getDistance(keyID, farthest.peerID)
+    ) {
+      this.store.put(key, value);
+      storedOn.push(this.selfInfo.peerID);
+    }
+
+    closest.forEach((peer) => {
+      this.sendStoreToPeer(peer, key, value);
+      storedOn.push(peer.peerID);
+    });
+    return storedOn;
+  }
+
+  /**
+   * Retrieves a value from the DHT, checking the local store first.
+   *
+   * @param {string} key - The key to look up
+   * @returns {Promise<string|null>} The value, or null if no peer holds it
+   */
+  async findValue(key) {
+    if (this.store.has(key)) {
+      return this.store.get(key);
+    }
+    const result = await this.iterativeLookup(Singleton.getKeyID(key), key);
+    return result.value;
+  }
+
+  /**
+   * Sends a Store message to a peer over its pooled connection.
+   *
+   * @param {Object} peer - The peer to store the value on
+   * @param {string} key - The key to store the value under
+   * @param {string} value - The value to store
+   */
+  sendStoreToPeer(peer, key, value) {
+    try {
+      this.pool.send(
+        peer,
+        kPTP.createStoreMessage(
+          this.selfInfo.senderName,
+          this.selfInfo.ip,
+          this.selfInfo.port,
+          this.selfInfo.peerID,
+          key,
+          value
+        )
+      );
+      this.log.lookup.debug(
+        "store_sent",
+        `Sent Store for key "${key}" to peer ${peer.peerID}`,
+        { key, peerID: peer.peerID }
+      );
+    } catch (err) {
+      this.log.lookup.warn(
+        "store_failed",
+        `Error sending Store to peer ${peer.peerID}: ${err.message}`,
+        { key, peerID: peer.peerID, error: err }
+      );
+    }
+  }
+
+  /**
+   * Processes a list of received peers and updates the current DHT routing table.
+   * This function:
+   * 1. Filters out the peer's own information
+   * 2. Ensures each peer has a lastSeen timestamp
+   * 3. Adds each peer to the routing table once it has verified its ID
+   *    (see RoutingTable.pushUnverified())
+   *
+   * @param {RoutingTable} routingTable - The current routing table instance
+   * @param {Array} peers - Array of peer objects to process
+   * @returns {Promise<void>} Resolves once every peer has been verified or refused
+   */
+  refreshBuckets(routingTable, peers) {
+    this.log.join.debug(
+      "peers_received",
+      `Refreshing DHT buckets with received peers: ${
+        peers.map((peer) => peer.peerID).join(", ") || "(none)"
+      }`,
+      { peers: peers.map((peer) => peer.peerID) }
+    );
+
+    const verifications = peers
+      // Skip if this is our own peer info
+      .filter((peer) => peer.peerID !== this.selfInfo.peerID)
+      .map((peer) => {
+        // Set lastSeen timestamp if not present
+        if (!peer.lastSeen) {
+          peer.lastSeen = Singleton.getTimestamp();
+        }
+        // Add the peer to the routing table if it proves its ID
+        return routingTable.pushUnverified(peer);
+      });
+
+    return Promise.all(verifications).then(() => {
+      this.routingTable.printRoutingTable("DHT Table after refresh:");
+      // Write the updated routing table to a JSON file
+      this.writeRoutingTableToFile();
+    });
+  }
+
+  /**
+   * Rejoins the network through the routing table saved by an earlier run,
+   * without a bootstrap address.
+   * This function:
+   * 1. Reads routingTable_<id>.json from the data directory
+   * 2. Greets each saved peer with a signed Hello (see verifyPeer()), which
+   *    pings it and checks that it still owns its ID at the saved address
+   * 3. Adds the peers that answer to the routing table and drops the rest
+   * Peers that answer also learn our current address from the Hello.
+   *
+   * @returns {Promise<Array>} Resolves with the saved peers that answered; empty
+   *                           without a data directory or a saved table
+   */
+  restore() {
+    const saved = this.readRoutingTableFile();
+    if (saved.length === 0) {
+      return Promise.resolve([]);
+    }
+    this.log.join.info(
+      "restoring",
+      `Re-validating ${saved.length} peer(s) from the saved routing table`,
+      { saved: saved.length }
+    );
+    return Promise.all(
+      saved.map((peer) =>
+        this.routingTable
+          .pushUnverified(peer)
+          .then((answered) => (answered ? peer : null))
+      )
+    ).then((peers) => {
+      const restored = peers.filter(Boolean);
+      this.log.join.info(
+        "restored",
+        `Restored ${restored.length} of ${saved.length} saved peer(s)`,
+        { restored: restored.length, saved: saved.length }
+      );
+      this.logRoutingTable();
+      return restored;
+    });
+  }
+
+  /**
+   * Reads the peers of the routing table saved in the data directory.
+   * Entries that do not fit this peer's ID width, and a file that cannot be
+   * parsed, are skipped with a message.
+   *
+   * @returns {Array} Saved peers { ip, port, peerID }
+   */
+  readRoutingTableFile() {
+    const fileName = this.getRoutingTableFile();
+    if (!this.dataDir || !fs.existsSync(fileName)) {
+      return [];
+    }
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(fileName, "utf8"));
+    } catch (error) {
+      this.log.join.warn(
+        "saved_table_ignored",
+        `Ignoring saved routing table ${fileName}: ${error.message}`,
+        { file: fileName, error }
+      );
+      return [];
+    }
+    return (data.buckets || [])
+      .flatMap((bucket) => bucket.peers || [])
+      .filter(
+        (peer) =>
+          typeof peer.peerID === "string" &&
+          peer.peerID.length === this.selfInfo.peerID.length &&
+          peer.peerID !== this.selfInfo.peerID &&
+          typeof peer.ip === "string" &&
+          Number.isInteger(peer.port)
+      )
+      .map((peer) => ({ ip: peer.ip, port: peer.port, peerID: peer.peerID }));
+  }
+
+  /**
+   * Returns the path of this peer's routing table file.
+   *
+   * @returns {string} routingTable_<id>.json, in the data directory if there is one
+   */
+  getRoutingTableFile() {
+    return path.join(
+      this.dataDir || ".",
+      `routingTable_${this.selfInfo.peerID}.json`
+    );
+  }
+
+  /**
+   * Helper function to return a flattened array of all peers from the routing table.
+   * This function:
+   * 1. Collects all peers from all buckets
+   * 2. Returns them as a single array
+   *
+   * @returns {Array} Array of all peer objects
+   */
+  getAllPeersArray() {
+    const peers = [];
+    this.routingTable.kBuckets.forEach((bucket) => {
+      bucket.forEach((peer) => {
+        peers.push(peer);
+      });
+    });
+    return peers;
+  }
+
+  /**
+   * Returns the peers to list in a Hello or Welcome: the whole routing table,
+   * or, if it holds more peers than one message can list (kPTP.MAX_PEERS),
+   * the ones closest to the recipient, leaving out the recipient itself.
+   *
+   * @param {string} [recipientID] - The recipient's peer ID; our own if unknown
+   * @returns {Array} Array of peer objects
+   */
+  getPeersToList(recipientID) {
+    const peers = this.getAllPeersArray();
+    if (peers.length <= kPTP.MAX_PEERS) {
+      return peers;
+    }
+    return this.routingTable
+      .getClosestPeers(recipientID || this.selfInfo.peerID, kPTP.MAX_PEERS + 1)
+      .filter((peer) => peer.peerID !== recipientID)
+      .slice(0, kPTP.MAX_PEERS);
+  }
+
+  /**
+   * Returns the routing table as plain data. It is logged by logRoutingTable(),
+   * saved by writeRoutingTableToFile() and listed to Routing Table requests.
+   *
+   * @returns {Object} { peer: selfInfo, buckets: [{ bucketIndex, peers: [{ peerID, ip, port, lastSeen }] }] },
+   *                   with every bucket listed, empty or not
+   */
+  getRoutingTableData() {
+    return {
+      peer: this.selfInfo,
+      buckets: this.routingTable.kBuckets.map((bucket, bucketIndex) => ({
+        bucketIndex,
+        peers: bucket.map((peer) => ({
+          peerID: peer.peerID,
+          ip: peer.ip,
+          port: peer.port,
+          lastSeen: peer.lastSeen,
+        })),
+      })),
+    };
+  }
+
+  /**
+   * Logs the routing table details as one "routing_table" record and writes
+   * them to a JSON file. The JSON file is named based on the peer's ID.
+   *
+   * @param {string} [heading] - Printed above the table, e.g. what changed it
+   */
+  logRoutingTable(heading) {
+    const lines = heading ? [heading] : [];
+    lines.push("----- ROUTING TABLE -----");
+    const routingTableData = this.getRoutingTableData();
+    routingTableData.buckets.forEach(({ bucketIndex, peers }) => {
+      if (peers.length === 0) {
+        lines.push(`Bucket ${bucketIndex}: [empty]`);
+      } else {
+        lines.push(`Bucket ${bucketIndex}:`);
+        peers.forEach((peer) =>
+          lines.push(
+            `  PeerID: ${peer.peerID}, IP: ${peer.ip}, Port: ${peer.port}, LastSeen: ${peer.lastSeen}`
+          )
+        );
+      }
+    });
+    lines.push("-------------------------");
+    this.log.peer.info("routing_table", lines.join("\n"), {
+      heading,
+      buckets: routingTableData.buckets
+        .filter((bucket) => bucket.peers.length > 0)
+        .map((bucket) => ({
+          index: bucket.bucketIndex,
+          peers: bucket.peers.map((peer) => peer.peerID),
+        })),
+    });
+
+    // Write routing table data to a JSON file
+    this.writeRoutingTableToFile(routingTableData);
+  }
+
+  /**
+   * Writes the given routing table data to a JSON file.
+   * If no data is provided, it reads it with getRoutingTableData().
+   * Does nothing when the peer was created with saveRoutingTable: false.
+   *
+   * The file is named using the peer's ID (e.g., routingTable_7cf2.json) and
+   * kept in the data directory, if there is one (see getRoutingTableFile()).
+   *
+   * @param {Object} [data] - Optional routing table data object.
+   */
+  writeRoutingTableToFile(data) {
+    if (!this.saveRoutingTable) {
+      return;
+    }
+    const routingTableData = data || this.getRoutingTableData();
+    const fileName = this.getRoutingTableFile();
+    fs.writeFileSync(fileName, JSON.stringify(routingTableData, null, 2));
+    this.log.peer.debug(
+      "routing_table_saved",
+      `Routing table saved to ${fileName}`,
+      { file: fileName }
+    );
+  }
+
+  /**
+   * Writes the metrics to metricsFile in the Prometheus text format (see
+   * MetricsRegistry.writeFile()). A failed write is logged and retried at the
+   * next interval.
+   */
+  writeMetricsFile() {
+    try {
+      this.metrics.writeFile(this.metricsFile);
+    } catch (error) {
+      this.log.peer.warn(
+        "metrics_write_failed",
+        `Error writing metrics to ${this.metricsFile}: ${error.message}`,
+        { file: this.metricsFile, error }
+      );
+    }
+  }
+}
+
+module.exports = Peer;
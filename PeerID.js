@@ -3,13 +3,13 @@
  *
  * This module generates a unique peer ID based on the peer's IP address and port number.
  * The peer ID is generated by using the Blake2s256 hashing algorithm to produce a hash
- * of the input string "IP:port". The first 4 hex characters of the hash (16 bits) are used
- * as the peer ID.
+ * of the input string "IP:port". The first bits / 4 hex characters of the hash are used
+ * as the peer ID (16 bits, i.e. 4 hex characters, by default).
  */
 
 const crypto = require("crypto");
 
-function getPeerID(ip, port) {
+function getPeerID(ip, port, bits = 16) {
   // Concatenate the IP address and port number to form a unique input string.
   const input = `${ip}:${port}`;
 
@@ -17,8 +17,8 @@ function getPeerID(ip, port) {
   // Note: Make sure your Node.js version supports 'blake2s256'
   const hash = crypto.createHash("blake2s256").update(input).digest("hex");
 
-  // Extract the first 4 hex characters (16 bits) as the peer ID.
-  return hash.slice(0, 4);
+  // Extract the first bits / 4 hex characters as the peer ID.
+  return hash.slice(0, bits / 4);
 }
 
 module.exports = {
@@ -0,0 +1,147 @@
+/**
+ * RateLimiter.js
+ *
+ * This module limits how fast each remote host may use a peer. It:
+ * 1. Keeps one token bucket per remote IP address and kind of traffic
+ *    (incoming connections, and each kPTP request type), refilled at a steady
+ *    rate up to a burst size
+ * 2. Counts strikes against a remote for misbehavior: exceeded limits,
+ *    malformed messages and forged identities
+ * 3. Reports when a remote collects too many strikes within a window, so the
+ *    peer can ban it (see BanList.js)
+ *
+ * Buckets are keyed by IP address rather than connection, so opening more
+ * connections does not buy a remote more requests.
+ */
+
+const kPTP = require("./kPTP");
+const { systemClock } = require("./Clock");
+
+// Default limits per remote IP address: tokens added per second, and the most
+// tokens a bucket holds. Generous enough for a handful of peers sharing a host.
+const DEFAULT_LIMITS = {
+  connection: { rate: 5, burst: 50 },
+  [kPTP.MESSAGE_TYPE.HELLO]: { rate: 2, burst: 20 },
+  [kPTP.MESSAGE_TYPE.HEARTBEAT]: { rate: 5, burst: 50 },
+  [kPTP.MESSAGE_TYPE.FIND_NODE]: { rate: 20, burst: 100 },
+  [kPTP.MESSAGE_TYPE.STORE]: { rate: 10, burst: 50 },
+  [kPTP.MESSAGE_TYPE.FIND_VALUE]: { rate: 20, burst: 100 },
+  [kPTP.MESSAGE_TYPE.GOODBYE]: { rate: 1, burst: 10 },
+  [kPTP.MESSAGE_TYPE.PROBE]: { rate: 2, burst: 10 },
+  [kPTP.MESSAGE_TYPE.ROUTING_TABLE]: { rate: 1, burst: 10 },
+};
+// Remotes tracked before idle ones are forgotten
+const MAX_REMOTES = 4096;
+
+/**
+ * RateLimiter class holds the token buckets and strikes of every remote host.
+ */
+class RateLimiter {
+  /**
+   * Creates a rate limiter.
+   *
+   * @param {Object} [options]
+   * @param {Object} [options.limits] - Limits overriding DEFAULT_LIMITS, keyed by
+   *                                    "connection" or kPTP message type:
+   *                                    { [type]: { rate, burst } }
+   * @param {number} [options.strikeLimit=5] - Strikes within strikeWindow that get a remote banned
+   * @param {number} [options.strikeWindow=60000] - Milliseconds a strike counts for
+   * @param {Object} [options.clock=systemClock] - Clock used to refill buckets
+   */
+  constructor(options = {}) {
+    this.limits = Object.assign({}, DEFAULT_LIMITS, options.limits);
+    this.strikeLimit = options.strikeLimit || 5;
+    this.strikeWindow = options.strikeWindow || 60000;
+    this.clock = options.clock || systemClock;
+    this.remotes = new Map(); // ip -> { buckets: { [type]: { tokens, updated } }, strikes: [times] }
+  }
+
+  /**
+   * Takes one token from a remote's bucket for a kind of traffic.
+   * Traffic without a configured limit is always allowed.
+   *
+   * @param {string} ip - The remote IP address
+   * @param {string|number} type - "connection" or a kPTP message type
+   * @returns {boolean} True if the traffic is within its limit
+   */
+  take(ip, type) {
+    const limit = this.limits[type];
+    if (!limit) {
+      return true;
+    }
+    const now = this.clock.now();
+    const remote = this.getRemote(ip);
+    const bucket = remote.buckets[type] || {
+      tokens: limit.burst,
+      updated: now,
+    };
+    // Refill for the time since the bucket was last used
+    bucket.tokens = Math.min(
+      limit.burst,
+      bucket.tokens + ((now - bucket.updated) / 1000) * limit.rate
+    );
+    bucket.updated = now;
+    remote.buckets[type] = bucket;
+    if (bucket.tokens < 1) {
+      return false;
+    }
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Records a strike against a remote.
+   *
+   * @param {string} ip - The remote IP address
+   * @returns {boolean} True if the remote has reached the strike limit; its
+   *                    strikes are cleared, so the next ban needs a new series
+   */
+  strike(ip) {
+    const now = this.clock.now();
+    const remote = this.getRemote(ip);
+    remote.strikes = remote.strikes
+      .filter((time) => now - time < this.strikeWindow)
+      .concat(now);
+    if (remote.strikes.length < this.strikeLimit) {
+      return false;
+    }
+    remote.strikes = [];
+    return true;
+  }
+
+  /**
+   * Returns the state of a remote, creating it on first use. When too many
+   * remotes are tracked, those without recent strikes are forgotten first;
+   * their buckets would have refilled anyway.
+   *
+   * @param {string} ip
+   * @returns {Object}
+   */
+  getRemote(ip) {
+    let remote = this.remotes.get(ip);
+    if (!remote) {
+      if (this.remotes.size >= MAX_REMOTES) {
+        this.prune();
+      }
+      remote = { buckets: {}, strikes: [] };
+      this.remotes.set(ip, remote);
+    }
+    return remote;
+  }
+
+  /**
+   * Forgets remotes that have no strikes within the strike window.
+   */
+  prune() {
+    const now = this.clock.now();
+    this.remotes.forEach((remote, ip) => {
+      if (!remote.strikes.some((time) => now - time < this.strikeWindow)) {
+        this.remotes.delete(ip);
+      }
+    });
+  }
+}
+
+RateLimiter.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+module.exports = RateLimiter;
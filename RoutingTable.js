@@ -5,39 +5,162 @@
  * 1. Maintains k-buckets for storing peer information
  * 2. Handles peer addition and removal
  * 3. Implements XOR-based distance metrics for peer placement
- * 4. Manages peer updates and replacements based on activity
+ * 4. Keeps long-lived peers, holding newcomers in per-bucket replacement caches
+ * 5. Applies admission policies that make it hard for one attacker to fill the
+ *    table (an eclipse attack): limits on peers per IP address and per subnet
+ *    in each bucket, verification of peers learned second-hand before they
+ *    are inserted, and a ban list (see BanList.js)
+ * 6. Tracks when each bucket was last touched, so stale buckets can be
+ *    refreshed with a lookup for a random ID in their range
  */
 
+const EventEmitter = require("events");
 const singleton = require("./Singleton");
+const { systemClock } = require("./Clock");
+const { rootLogger } = require("./Logger");
+const { MetricsRegistry } = require("./Metrics");
+
+/**
+ * Returns the subnet an IPv4 address belongs to, as a number.
+ *
+ * @param {string} ip - Dotted-decimal IPv4 address
+ * @param {number} bits - Subnet prefix length, e.g. 24 for a /24
+ * @returns {number}
+ */
+function getSubnet(ip, bits) {
+  const value = ip
+    .split(".")
+    .reduce((acc, part) => acc * 256 + (parseInt(part, 10) || 0), 0);
+  return Math.floor(value / Math.pow(2, 32 - bits));
+}
 
 /**
  * RoutingTable class implements a Kademlia-style routing table with k-buckets.
- * Each bucket stores peers based on their XOR distance from this peer's ID.
+ * Each bucket stores peers based on their XOR distance from this peer's ID,
+ * ordered from least-recently seen (head) to most-recently seen (tail).
+ *
+ * Emits "peerAdded" (peer, bucketIndex) when a peer enters a bucket and
+ * "peerRemoved" (peer, bucketIndex) when one leaves it.
  */
-class RoutingTable {
+class RoutingTable extends EventEmitter {
   /**
-   * Creates a new routing table with 16 k-buckets.
-   * Each bucket can store one peer (k=1) as per assignment requirements.
+   * Creates a new routing table with one k-bucket per ID bit
+   * (16 for the default 16-bit IDs).
+   * Each bucket holds up to k peers (k=1 by default as per assignment requirements)
+   * plus a replacement cache of candidates that did not fit.
    *
    * @param {string} peerID - The ID of this peer
+   * @param {Object} [options]
+   * @param {number} [options.k=1] - Bucket capacity
+   * @param {number} [options.replacementCacheSize=k] - Capacity of each bucket's replacement cache
+   * @param {Function} [options.pingFunction] - Checks whether a peer is alive.
+   *                                            Called as pingFunction(peer) and
+   *                                            must return a Promise<boolean>.
+   * @param {Function} [options.verifyFunction] - Checks that a peer learned second-hand
+   *                                              owns the ID it was listed under (see
+   *                                              pushUnverified()). Called as
+   *                                              verifyFunction(peer) and must return a
+   *                                              Promise<boolean>; a throw counts as false.
+   * @param {Function} [options.banFunction] - Checks a peer against the ban list.
+   *                                           Called as banFunction(peer) and returns
+   *                                           true if the peer must not be admitted.
+   * @param {number} [options.maxPerIP=Infinity] - Most peers with one IP address in a bucket
+   * @param {number} [options.maxPerSubnet=Infinity] - Most peers from one subnet in a bucket
+   * @param {number} [options.subnetBits=24] - Prefix length of the subnets maxPerSubnet counts
+   * @param {Object} [options.clock=systemClock] - Clock used to time when buckets were touched
+   * @param {Logger} [options.logger] - Logger for admissions and evictions (see Logger.js)
+   * @param {MetricsRegistry} [options.metrics] - Registry for the fill of each bucket and
+   *                                              the peers added and removed (see Metrics.js)
    */
-  constructor(peerID) {
+  constructor(peerID, options = {}) {
+    super();
     this.peerID = peerID; // The ID of this peer
-    this.kBuckets = Array(16)
+    this.idBits = peerID.length * 4; // ID width, which sets the bucket count
+    this.k = options.k || 1; // Bucket capacity
+    this.replacementCacheSize = options.replacementCacheSize || this.k;
+    this.pingFunction = options.pingFunction || null;
+    this.verifyFunction = options.verifyFunction || null;
+    this.banFunction = options.banFunction || null;
+    this.maxPerIP = options.maxPerIP || Infinity;
+    this.maxPerSubnet = options.maxPerSubnet || Infinity;
+    this.subnetBits = options.subnetBits || 24;
+    this.clock = options.clock || systemClock;
+    this.logger = options.logger || rootLogger.child({ subsystem: "routing" });
+    this.kBuckets = Array(this.idBits)
+      .fill(null)
+      .map(() => []); // One k-bucket per ID bit, each with capacity k
+    this.replacementCaches = Array(this.idBits)
       .fill(null)
-      .map(() => []); // 16 k-buckets, each with capacity k = 1
+      .map(() => []); // Candidates for each bucket, most-recently seen last
+    // Clock time each bucket last gained a peer or had a lookup in its range
+    this.bucketTouched = Array(this.idBits).fill(this.clock.now());
+    this.pendingPings = new Set(); // IDs of head peers currently being pinged
+    this.pendingVerifications = new Set(); // IDs of second-hand peers being verified
+    this.registerMetrics(options.metrics || new MetricsRegistry());
+  }
+
+  /**
+   * Registers the routing table's metrics. Bucket fill is read from the
+   * buckets whenever the registry is read; every bucket is listed, so empty
+   * ones show up as 0.
+   *
+   * @param {MetricsRegistry} metrics
+   */
+  registerMetrics(metrics) {
+    metrics
+      .gauge("dht_routing_table_bucket_capacity", "Peers each bucket holds (k)")
+      .set({}, this.k);
+    metrics.gauge("dht_routing_table_peers", "Peers in each bucket", {
+      labels: ["bucket"],
+      collect: (gauge) =>
+        this.kBuckets.forEach((bucket, index) =>
+          gauge.set({ bucket: index }, bucket.length)
+        ),
+    });
+    metrics.gauge(
+      "dht_routing_table_replacements",
+      "Candidates in each bucket's replacement cache",
+      {
+        labels: ["bucket"],
+        collect: (gauge) =>
+          this.replacementCaches.forEach((cache, index) =>
+            gauge.set({ bucket: index }, cache.length)
+          ),
+      }
+    );
+    this.addedCounter = metrics.counter(
+      "dht_routing_table_peers_added_total",
+      "Peers that entered a bucket, including promoted replacements"
+    );
+    this.removedCounter = metrics.counter(
+      "dht_routing_table_peers_removed_total",
+      "Peers removed from a bucket, for any reason"
+    );
   }
 
   /**
    * Adds a peer to the appropriate k-bucket based on XOR distance.
-   * If the bucket is full, uses tie-breaker rules to decide whether to replace existing peer.
+   * This function:
+   * 1. Moves an already known peer to the tail of its bucket (most-recently seen),
+   *    or removes it if it has been banned since it was added
+   * 2. Refuses a new peer that is banned, or that the bucket's IP address and
+   *    subnet limits do not admit
+   * 3. Appends a new peer if the bucket has room
+   * 4. Otherwise keeps the new peer in the replacement cache and pings the
+   *    least-recently seen peer; it is only replaced if the ping fails
+   *
+   * Only call this for peers that proved their ID directly; use pushUnverified()
+   * for peers another peer told us about.
    *
    * @param {Object} peer - The peer object to add (must have peerID, ip, port, senderName, lastSeen)
    */
   pushBucket(peer) {
     // Validate peer object
     if (!peer || !peer.peerID) {
-      console.error("Invalid peer object or missing peerID");
+      this.logger.error(
+        "invalid_peer",
+        "Invalid peer object or missing peerID"
+      );
       return;
     }
 
@@ -49,83 +172,355 @@ class RoutingTable {
     // Get the appropriate bucket index based on XOR distance
     const bucketIndex = this.getBucketIndex(peer.peerID);
     if (bucketIndex === -1) {
-      console.error(`Invalid bucket index for peer ${peer.peerID}`);
+      this.logger.error(
+        "invalid_bucket",
+        `Invalid bucket index for peer ${peer.peerID}`,
+        { peerID: peer.peerID }
+      );
       return;
     }
 
     const bucket = this.kBuckets[bucketIndex];
+    const existingIndex = bucket.findIndex((p) => p.peerID === peer.peerID);
 
-    if (bucket.length === 0) {
-      // If the bucket is empty, add the peer
+    if (existingIndex !== -1 && this.banFunction && this.banFunction(peer)) {
+      this.logger.info(
+        "banned_peer_removed",
+        `Removing banned peer ${peer.peerID}`,
+        { peerID: peer.peerID }
+      );
+      this.removePeer(peer.peerID);
+      return;
+    }
+    if (existingIndex !== -1) {
+      // Known peer: refresh its details and move it to the tail
+      const existingPeer = bucket.splice(existingIndex, 1)[0];
+      bucket.push(Object.assign(existingPeer, peer));
+      return;
+    }
+    const refusal = this.checkAdmission(bucketIndex, peer);
+    if (refusal) {
+      this.logger.info(
+        "peer_refused",
+        `Not admitting peer ${peer.peerID} to bucket ${bucketIndex}: ${refusal}`,
+        {
+          peerID: peer.peerID,
+          ip: peer.ip,
+          bucket: bucketIndex,
+          reason: refusal,
+        }
+      );
+    } else if (bucket.length < this.k) {
+      // If the bucket has room, add the peer
       bucket.push(peer);
-      console.log(`Added peer ${peer.peerID} to bucket ${bucketIndex}`);
+      this.logger.info(
+        "peer_added",
+        `Added peer ${peer.peerID} to bucket ${bucketIndex}`,
+        {
+          peerID: peer.peerID,
+          ip: peer.ip,
+          port: peer.port,
+          bucket: bucketIndex,
+        }
+      );
+      this.touchBucket(bucketIndex);
+      this.addedCounter.inc();
+      this.emit("peerAdded", peer, bucketIndex);
     } else {
-      const existingPeer = bucket[0];
-      console.log(`Bucket ${bucketIndex} is full. Evaluating tie-breaker...`);
+      // Bucket is full: long-lived peers are preferred, so the newcomer waits
+      // in the replacement cache while the least-recently seen peer is checked
+      this.addToReplacementCache(bucketIndex, peer);
+      this.logger.info(
+        "replacement_cached",
+        `Bucket ${bucketIndex} is full. Peer ${peer.peerID} added to replacement cache.`,
+        { peerID: peer.peerID, bucket: bucketIndex }
+      );
+      this.pingLeastRecentlySeen(bucketIndex);
+    }
+  }
 
-      // Use comparePeerDistance to decide if the new peer should replace the existing one
-      if (this.comparePeerDistance(existingPeer, peer)) {
-        console.log(
-          `Replacing peer ${existingPeer.peerID} with ${peer.peerID} in bucket ${bucketIndex} (closer or more recently seen)`
-        );
-        bucket[0] = peer;
-      } else {
-        console.log(
-          `Peer ${peer.peerID} is not closer or more recent than the existing peer ${existingPeer.peerID}. No update.`
-        );
+  /**
+   * Adds a peer learned second-hand, from a Welcome or a lookup response.
+   * The listing is only another peer's claim, so with a verifyFunction the peer
+   * is contacted first and inserted only if it proves the ID it was listed under.
+   * A peer already in the table keeps the address it was verified at: a listing
+   * with a different address is ignored, so gossip cannot redirect long-lived
+   * entries.
+   *
+   * @param {Object} peer - The listed peer { ip, port, peerID }
+   * @returns {Promise<boolean>} True if the peer is in the table afterwards
+   */
+  pushUnverified(peer) {
+    if (!peer || !peer.peerID || peer.peerID === this.peerID) {
+      return Promise.resolve(false);
+    }
+    if (this.banFunction && this.banFunction(peer)) {
+      return Promise.resolve(false); // Not worth contacting
+    }
+    const known = this.kBuckets
+      .flat()
+      .find((entry) => entry.peerID === peer.peerID);
+    if (known) {
+      const sameAddress = known.ip === peer.ip && known.port === peer.port;
+      if (sameAddress) {
+        this.touchPeer(peer.peerID);
       }
+      return Promise.resolve(sameAddress);
+    }
+    if (!this.verifyFunction) {
+      this.pushBucket(peer);
+      return Promise.resolve(this.hasPeer(peer.peerID));
+    }
+    if (this.pendingVerifications.has(peer.peerID)) {
+      return Promise.resolve(false);
+    }
+    this.pendingVerifications.add(peer.peerID);
+    // A verifyFunction that throws counts as a failed verification too
+    return new Promise((resolve) => resolve(this.verifyFunction(peer)))
+      .catch(() => false)
+      .then((verified) => {
+        this.pendingVerifications.delete(peer.peerID);
+        if (!verified) {
+          this.logger.warn(
+            "peer_unverified",
+            `Not adding peer ${peer.peerID} at ${peer.ip}:${peer.port}: it could not be verified`,
+            { peerID: peer.peerID, ip: peer.ip, port: peer.port }
+          );
+          return false;
+        }
+        this.pushBucket(peer);
+        return this.hasPeer(peer.peerID);
+      });
+  }
+
+  /**
+   * Checks a new peer against the ban list and a bucket's IP address and
+   * subnet limits.
+   *
+   * @param {number} bucketIndex - The bucket the peer belongs to
+   * @param {Object} peer - The candidate { ip, port, peerID }
+   * @returns {string|null} Why the peer is refused, or null if it is admitted
+   */
+  checkAdmission(bucketIndex, peer) {
+    if (this.banFunction && this.banFunction(peer)) {
+      return "peer is banned";
+    }
+    const others = this.kBuckets[bucketIndex].filter(
+      (entry) => entry.peerID !== peer.peerID
+    );
+    if (
+      others.filter((entry) => entry.ip === peer.ip).length >= this.maxPerIP
+    ) {
+      return `bucket already holds ${this.maxPerIP} peer(s) at ${peer.ip}`;
+    }
+    const subnet = getSubnet(peer.ip, this.subnetBits);
+    if (
+      others.filter((entry) => getSubnet(entry.ip, this.subnetBits) === subnet)
+        .length >= this.maxPerSubnet
+    ) {
+      return `bucket already holds ${this.maxPerSubnet} peer(s) from ${peer.ip}/${this.subnetBits}`;
+    }
+    return null;
+  }
+
+  /**
+   * Adds a candidate to a bucket's replacement cache.
+   * A candidate already in the cache is moved to the tail; when the cache is full
+   * the oldest candidate is dropped.
+   *
+   * @param {number} bucketIndex - The bucket the candidate belongs to
+   * @param {Object} peer - The candidate peer
+   */
+  addToReplacementCache(bucketIndex, peer) {
+    const cache = this.replacementCaches[bucketIndex].filter(
+      (p) => p.peerID !== peer.peerID
+    );
+    cache.push(peer);
+    if (cache.length > this.replacementCacheSize) {
+      cache.shift();
     }
+    this.replacementCaches[bucketIndex] = cache;
+  }
+
+  /**
+   * Pings the least-recently seen peer of a full bucket.
+   * If it answers it moves to the tail of the bucket; if not it is removed and
+   * replaced by the most recent candidate from the replacement cache.
+   * Without a ping function the existing peer is always kept.
+   *
+   * @param {number} bucketIndex - The index of the full bucket
+   */
+  pingLeastRecentlySeen(bucketIndex) {
+    const head = this.kBuckets[bucketIndex][0];
+    if (!this.pingFunction || !head || this.pendingPings.has(head.peerID)) {
+      return;
+    }
+    this.pendingPings.add(head.peerID);
+    Promise.resolve(this.pingFunction(head))
+      .catch(() => false)
+      .then((alive) => {
+        this.pendingPings.delete(head.peerID);
+        if (alive) {
+          this.touchPeer(head.peerID);
+        } else {
+          this.logger.info(
+            "head_unresponsive",
+            `Least-recently seen peer ${head.peerID} did not answer ping.`,
+            { peerID: head.peerID, bucket: bucketIndex }
+          );
+          this.removePeer(head.peerID);
+        }
+      });
+  }
+
+  /**
+   * Marks a peer as seen: updates its lastSeen timestamp and moves it to the
+   * tail of its bucket.
+   *
+   * @param {string} peerID - The ID of the peer that was heard from
+   * @returns {boolean} True if the peer is in the routing table
+   */
+  touchPeer(peerID) {
+    const bucketIndex = this.getBucketIndex(peerID);
+    if (bucketIndex === -1) {
+      return false;
+    }
+    const bucket = this.kBuckets[bucketIndex];
+    const index = bucket.findIndex((peer) => peer.peerID === peerID);
+    if (index === -1) {
+      return false;
+    }
+    const peer = bucket.splice(index, 1)[0];
+    peer.lastSeen = singleton.getTimestamp();
+    bucket.push(peer);
+    return true;
+  }
+
+  /**
+   * Marks a bucket as touched now. Called when a peer enters the bucket and by
+   * lookups for an ID in its range; heartbeats to peers already in the bucket
+   * do not count, since they find no new peers.
+   *
+   * @param {number} bucketIndex
+   */
+  touchBucket(bucketIndex) {
+    if (bucketIndex >= 0 && bucketIndex < this.idBits) {
+      this.bucketTouched[bucketIndex] = this.clock.now();
+    }
+  }
+
+  /**
+   * Returns the buckets that have not been touched for a while, farthest first.
+   *
+   * @param {number} maxAge - Milliseconds since the last touch that make a bucket stale
+   * @returns {Array<number>} Indexes of the stale buckets
+   */
+  getStaleBuckets(maxAge) {
+    const now = this.clock.now();
+    return this.bucketTouched
+      .map((touched, index) => (now - touched >= maxAge ? index : -1))
+      .filter((index) => index !== -1);
+  }
+
+  /**
+   * Returns a random ID in a bucket's range: it shares the first bucketIndex
+   * bits with this peer's ID, differs in the next one, and is random after that.
+   *
+   * @param {number} bucketIndex
+   * @param {Function} [random=Math.random] - Random source returning [0, 1)
+   * @returns {string} A hex ID of the same width as this peer's
+   */
+  getRandomIDInBucket(bucketIndex, random = Math.random) {
+    const ownBits = singleton.Hex2Bin(this.peerID);
+    let bits = ownBits.slice(0, bucketIndex);
+    bits += ownBits[bucketIndex] === "0" ? "1" : "0";
+    while (bits.length < this.idBits) {
+      bits += random() < 0.5 ? "0" : "1";
+    }
+    return bits
+      .match(/.{4}/g)
+      .map((nibble) => parseInt(nibble, 2).toString(16))
+      .join("");
   }
 
   /**
    * Removes a peer from its bucket.
+   * The freed slot is refilled with the most recently seen candidate from the
+   * bucket's replacement cache that the bucket's limits admit, if there is one.
    *
    * @param {string} peerID - The ID of the peer to remove
+   * @returns {Object|null} The candidate promoted into the bucket, if any
    */
   removePeer(peerID) {
     try {
       const bucketIndex = this.getBucketIndex(peerID);
       if (bucketIndex !== -1) {
+        const removed = this.kBuckets[bucketIndex].find(
+          (peer) => peer.peerID === peerID
+        );
         // Filter out the peer with matching ID
         this.kBuckets[bucketIndex] = this.kBuckets[bucketIndex].filter(
           (peer) => peer.peerID !== peerID
         );
-        console.log(`Removed peer ${peerID} from bucket ${bucketIndex}`);
+        this.replacementCaches[bucketIndex] = this.replacementCaches[
+          bucketIndex
+        ].filter((peer) => peer.peerID !== peerID);
+        this.logger.info(
+          "peer_removed",
+          `Removed peer ${peerID} from bucket ${bucketIndex}`,
+          { peerID, bucket: bucketIndex }
+        );
+        if (removed) {
+          this.removedCounter.inc();
+          this.emit("peerRemoved", removed, bucketIndex);
+        }
+
+        // Promote the most recently seen candidate into the freed slot
+        const bucket = this.kBuckets[bucketIndex];
+        const cache = this.replacementCaches[bucketIndex];
+        const replacement = cache
+          .slice()
+          .reverse()
+          .find((peer) => !this.checkAdmission(bucketIndex, peer));
+        if (bucket.length < this.k && replacement) {
+          cache.splice(cache.indexOf(replacement), 1);
+          bucket.push(replacement);
+          this.logger.info(
+            "peer_promoted",
+            `Promoted peer ${replacement.peerID} from replacement cache to bucket ${bucketIndex}`,
+            { peerID: replacement.peerID, bucket: bucketIndex }
+          );
+          this.touchBucket(bucketIndex);
+          this.addedCounter.inc();
+          this.emit("peerAdded", replacement, bucketIndex);
+          return replacement;
+        }
       }
     } catch (error) {
-      console.error(`Error removing peer ${peerID}:`, error);
+      this.logger.error(
+        "remove_failed",
+        `Error removing peer ${peerID}: ${error.message}`,
+        { peerID, error }
+      );
     }
+    return null;
   }
 
   /**
-   * Returns the closest peer(s) based on XOR distance.
-   * Currently returns only the closest peer (k=1) as per assignment requirements.
+   * Returns the closest peer(s) to a target ID based on XOR distance.
+   * Returns only the closest peer by default (k=1) as per assignment requirements;
+   * lookups ask for more.
    *
    * @param {string} targetID - The target peer ID to find closest peer to
-   * @returns {Array} Array containing the closest peer
+   * @param {number} [count=1] - The maximum number of peers to return
+   * @returns {Array} Array containing the closest peers, nearest first
    */
-  getClosestPeers(targetID) {
+  getClosestPeers(targetID, count = 1) {
     // Flatten all k-buckets into a single array
     let allPeers = this.kBuckets.flat();
-    // Sort peers by XOR distance
-    allPeers.sort((a, b) => {
-      const distanceA = parseInt(
-        singleton.XORing(
-          singleton.Hex2Bin(this.peerID),
-          singleton.Hex2Bin(a.peerID)
-        ),
-        2
-      );
-      const distanceB = parseInt(
-        singleton.XORing(
-          singleton.Hex2Bin(this.peerID),
-          singleton.Hex2Bin(b.peerID)
-        ),
-        2
-      );
-      return distanceA - distanceB;
-    });
-    return allPeers.slice(0, 1); // Return the closest peer (k = 1)
+    // Sort peers by XOR distance to the target
+    allPeers.sort((a, b) => singleton.compareDistance(targetID, a, b));
+    return allPeers.slice(0, count);
   }
 
   /**
@@ -133,7 +528,7 @@ class RoutingTable {
    * Uses XOR distance to determine which bucket a peer belongs to.
    *
    * @param {string} peerID - The peer ID to compute bucket index for
-   * @returns {number} The bucket index (0-15) or -1 if error
+   * @returns {number} The bucket index (0 to idBits - 1) or -1 if error
    */
   getBucketIndex(peerID) {
     try {
@@ -146,71 +541,37 @@ class RoutingTable {
       const index = xorResult.indexOf("1");
       return index === -1 ? 0 : index;
     } catch (error) {
-      console.error(
-        `Error calculating bucket index for peer ${peerID}:`,
-        error
+      this.logger.error(
+        "invalid_bucket",
+        `Error calculating bucket index for peer ${peerID}: ${error.message}`,
+        { peerID, error }
       );
       return -1;
     }
   }
 
-  /**
-   * Compares two peers to determine which should be kept in the bucket.
-   * Uses XOR distance and lastSeen timestamp for tie-breaking.
-   *
-   * @param {Object} existingPeer - The peer currently in the bucket
-   * @param {Object} newPeer - The new peer being considered
-   * @returns {boolean} True if new peer should replace existing peer
-   */
-  comparePeerDistance(existingPeer, newPeer) {
-    try {
-      // Convert all peer IDs to binary for XOR comparison
-      const thisPeerBinary = singleton.Hex2Bin(this.peerID);
-      const existingPeerBinary = singleton.Hex2Bin(existingPeer.peerID);
-      const newPeerBinary = singleton.Hex2Bin(newPeer.peerID);
-
-      // Compute XOR distances
-      const distanceExisting = parseInt(
-        singleton.XORing(thisPeerBinary, existingPeerBinary),
-        2
-      );
-      const distanceNew = parseInt(
-        singleton.XORing(thisPeerBinary, newPeerBinary),
-        2
-      );
-
-      // Compare distances
-      if (distanceNew < distanceExisting) {
-        return true; // New peer is closer
-      } else if (distanceNew === distanceExisting) {
-        // Tie-breaker: use lastSeen timestamps (more recent means higher value)
-        if (newPeer.lastSeen > existingPeer.lastSeen) {
-          return true;
-        } else {
-          return false;
-        }
-      } else {
-        return false;
-      }
-    } catch (error) {
-      console.error(`Error comparing peer distances:`, error);
-      return false;
-    }
-  }
-
   /**
    * Prints the current state of the routing table.
    * Shows all non-empty buckets and their contents.
+   *
+   * @param {string} [heading] - Printed above the table, e.g. what changed it
    */
-  printRoutingTable() {
-    console.log("\nRouting Table:");
+  printRoutingTable(heading) {
+    const buckets = [];
+    const lines = heading
+      ? [`\n${heading}`, "\nRouting Table:"]
+      : ["\nRouting Table:"];
     this.kBuckets.forEach((bucket, index) => {
       if (bucket.length > 0) {
-        console.log(
-          `Bucket ${index}: ${bucket.map((p) => p.peerID).join(", ")}`
-        );
+        const peerIDs = bucket.map((p) => p.peerID);
+        buckets.push({ index, peers: peerIDs });
+        lines.push(`Bucket ${index}: ${peerIDs.join(", ")}`);
       }
     });
+    this.logger.info("routing_table", lines.join("\n"), {
+      heading,
+      buckets,
+    });
   }
 
   /**
@@ -224,6 +585,21 @@ class RoutingTable {
       bucket.some((peer) => peer.peerID === peerID)
     );
   }
+
+  /**
+   * Looks up a peer's routing table entry.
+   *
+   * @param {string} peerID - The peer ID to look up
+   * @returns {Object|null} The entry { ip, port, peerID, ... }, or null if absent
+   */
+  getPeer(peerID) {
+    const bucketIndex = this.getBucketIndex(peerID);
+    return (
+      (bucketIndex !== -1 &&
+        this.kBuckets[bucketIndex].find((peer) => peer.peerID === peerID)) ||
+      null
+    );
+  }
 }
 
 module.exports = RoutingTable;
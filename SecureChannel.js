@@ -0,0 +1,410 @@
+/**
+ * SecureChannel.js
+ *
+ * This module wraps a transport (see Transport.js) so that every connection:
+ * 1. Starts with a Key Exchange message (kPTP Message Type 22) from each end,
+ *    carrying a fresh X25519 public key; the connecting end sends first
+ * 2. Derives one key per direction from the X25519 shared secret with HKDF,
+ *    and a channel binding: the SHA-256 hash of both exchange keys
+ * 3. Seals every later write in its own ChaCha20-Poly1305 frame, so messages
+ *    can neither be read nor altered on the path:
+ *      4 bytes: Frame Length (ciphertext plus 16-byte tag)
+ *      variable: Ciphertext | Tag
+ *    Each direction numbers its frames, and the frame number is the AEAD nonce,
+ *    so dropped, reordered or replayed frames fail authentication too.
+ *
+ * Peers on both sides of a connection must agree on encryption. A secure peer
+ * answers a plaintext kPTP message with an Error message (ENCRYPTION_REQUIRED),
+ * and a plaintext peer answers a Key Exchange with one (ENCRYPTION_DISABLED),
+ * so a mismatched connection fails with that code instead of garbage.
+ *
+ * The Key Exchange itself is not signed. Instead, the Hello, Welcome and
+ * Goodbye sent on the connection are signed over its channel binding (see
+ * kPTP.signMessage), so a relay that runs one key exchange with each end
+ * cannot pass them on: each end's binding covers different keys.
+ */
+
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const kPTP = require("./kPTP");
+
+// DER prefix that wraps a raw 32-byte X25519 public key as SPKI
+const X25519_SPKI_PREFIX = Buffer.from("302a300506032b656e032100", "hex");
+const CIPHER = "chacha20-poly1305";
+const TAG_LENGTH = 16;
+const FRAME_HEADER_LENGTH = 4;
+// HKDF context, so these keys are never reused for another purpose
+const KEY_INFO = Buffer.from("kPTP secure channel v1", "utf8");
+
+/**
+ * Creates an Error carrying a code, for connections that fail in the channel.
+ *
+ * @param {string} code - One of kPTP.ERROR_CODE, or a Node-style code such as "EBADMSG"
+ * @param {string} message
+ * @returns {Error}
+ */
+function createChannelError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Returns the 12-byte AEAD nonce for a frame number.
+ *
+ * @param {bigint} counter
+ * @returns {Buffer}
+ */
+function frameNonce(counter) {
+  const nonce = Buffer.alloc(12);
+  nonce.writeBigUInt64BE(counter, 4);
+  return nonce;
+}
+
+/**
+ * SecureSocket class is one end of an encrypted connection. It wraps a
+ * transport socket and behaves like one: "data" events carry decrypted bytes,
+ * and write() and end() encrypt.
+ */
+class SecureSocket extends EventEmitter {
+  /**
+   * @param {Object} socket - The transport socket to encrypt
+   * @param {Object} options
+   * @param {boolean} options.initiator - True on the end that opened the connection
+   * @param {string} options.name - Sender name used in Key Exchange and Error messages
+   */
+  constructor(socket, options) {
+    super();
+    this.socket = socket;
+    this.initiator = options.initiator;
+    this.name = options.name;
+    this.keyPair = crypto.generateKeyPairSync("x25519");
+    this.exchangeKey = this.keyPair.publicKey
+      .export({ format: "der", type: "spki" })
+      .slice(X25519_SPKI_PREFIX.length);
+    this.sendKey = null;
+    this.receiveKey = null;
+    this.channelBinding = null; // Hash of both exchange keys, once agreed
+    this.sendCounter = 0n;
+    this.receiveCounter = 0n;
+    this.established = false;
+    this.failed = false;
+    this.queue = []; // Writes made before the keys were agreed
+    this.endRequested = false;
+    this.buffered = Buffer.alloc(0);
+
+    socket.on("data", (data) => this.receive(data));
+    socket.on("end", () => this.emit("end"));
+    socket.on("error", (error) => this.emit("error", error));
+    socket.on("close", (hadError) => this.emit("close", hadError));
+  }
+
+  get remoteAddress() {
+    return this.socket.remoteAddress;
+  }
+
+  get remotePort() {
+    return this.socket.remotePort;
+  }
+
+  get destroyed() {
+    return this.socket.destroyed;
+  }
+
+  /**
+   * Sends our Key Exchange message. The initiator calls this once connected;
+   * the other end calls it after receiving the initiator's.
+   */
+  sendKeyExchange() {
+    this.socket.write(
+      kPTP.createKeyExchangeMessage(this.name, this.exchangeKey)
+    );
+  }
+
+  /**
+   * Encrypts and sends data, queueing it until the keys are agreed.
+   *
+   * @param {Buffer|string} data
+   * @returns {boolean} False if the socket can no longer write
+   */
+  write(data) {
+    if (this.failed || this.destroyed) {
+      return false;
+    }
+    if (!this.established) {
+      this.queue.push(Buffer.from(data));
+      return true;
+    }
+    return this.socket.write(this.seal(Buffer.from(data)));
+  }
+
+  /**
+   * Half-closes the connection after sending any final data.
+   *
+   * @param {Buffer|string} [data]
+   */
+  end(data) {
+    if (data !== undefined) {
+      this.write(data);
+    }
+    if (this.established) {
+      this.socket.end();
+    } else {
+      this.endRequested = true;
+    }
+  }
+
+  /**
+   * Closes the connection immediately.
+   */
+  destroy() {
+    this.socket.destroy();
+  }
+
+  /**
+   * Handles bytes from the transport: the other end's Key Exchange message
+   * first, then sealed frames.
+   *
+   * @param {Buffer} data
+   */
+  receive(data) {
+    if (this.failed) {
+      return;
+    }
+    this.buffered = Buffer.concat([this.buffered, data]);
+    if (!this.established) {
+      this.receiveKeyExchange();
+    }
+    if (this.established) {
+      this.receiveFrames();
+    }
+  }
+
+  /**
+   * Reads the first kPTP message of the connection. A Key Exchange completes
+   * the handshake; an Error means the other end refused encryption; anything
+   * else is a plaintext peer, which is told that encryption is required.
+   */
+  receiveKeyExchange() {
+    if (this.buffered.length < kPTP.HEADER_LENGTH) {
+      return;
+    }
+    const length = this.buffered.readUInt32BE(6);
+    if (this.buffered.length < length && length <= kPTP.MAX_MESSAGE_LENGTH) {
+      return; // Wait for the rest of the message
+    }
+    let message;
+    try {
+      message = kPTP.decodeMessage(this.buffered);
+    } catch (error) {
+      if (!(error instanceof kPTP.DecodeError)) {
+        throw error;
+      }
+      this.refuse(error.code, error.message, 0);
+      return;
+    }
+    this.buffered = this.buffered.slice(length);
+
+    if (message.messageType === kPTP.MESSAGE_TYPE.ERROR) {
+      this.fail(
+        createChannelError(
+          message.error.code,
+          `${message.senderName} refused the encrypted connection: ${message.error.description}`
+        )
+      );
+    } else if (message.messageType !== kPTP.MESSAGE_TYPE.KEY_EXCHANGE) {
+      this.refuse(
+        kPTP.ERROR_CODE.ENCRYPTION_REQUIRED,
+        `${this.name} only accepts encrypted connections; start every peer with --secure`,
+        message.transactionID
+      );
+    } else {
+      try {
+        this.deriveKeys(Buffer.from(message.exchangeKey, "hex"));
+      } catch (error) {
+        this.fail(
+          createChannelError(
+            "EPROTO",
+            `Key exchange with ${message.senderName} failed: ${error.message}`
+          )
+        );
+        return;
+      }
+      if (!this.initiator) {
+        this.sendKeyExchange();
+      }
+      this.established = true;
+      this.queue.forEach((data) => this.socket.write(this.seal(data)));
+      this.queue = [];
+      if (this.endRequested) {
+        this.socket.end();
+      }
+      this.emit("connect");
+    }
+  }
+
+  /**
+   * Derives the key for each direction from the X25519 shared secret. Both
+   * exchange keys, initiator's first, salt the derivation, and their hash is
+   * the connection's channel binding.
+   *
+   * @param {Buffer} remoteKey - The other end's raw X25519 public key
+   * @throws {Error} If the key is not a usable X25519 key
+   */
+  deriveKeys(remoteKey) {
+    const secret = crypto.diffieHellman({
+      privateKey: this.keyPair.privateKey,
+      publicKey: crypto.createPublicKey({
+        key: Buffer.concat([X25519_SPKI_PREFIX, remoteKey]),
+        format: "der",
+        type: "spki",
+      }),
+    });
+    const salt = this.initiator
+      ? Buffer.concat([this.exchangeKey, remoteKey])
+      : Buffer.concat([remoteKey, this.exchangeKey]);
+    const keys = Buffer.from(
+      crypto.hkdfSync("sha256", secret, salt, KEY_INFO, 64)
+    );
+    const initiatorKey = keys.slice(0, 32); // Initiator to responder
+    const responderKey = keys.slice(32); // Responder to initiator
+    this.sendKey = this.initiator ? initiatorKey : responderKey;
+    this.receiveKey = this.initiator ? responderKey : initiatorKey;
+    this.channelBinding = crypto.createHash("sha256").update(salt).digest();
+  }
+
+  /**
+   * Encrypts data into one frame.
+   *
+   * @param {Buffer} data
+   * @returns {Buffer}
+   */
+  seal(data) {
+    const cipher = crypto.createCipheriv(
+      CIPHER,
+      this.sendKey,
+      frameNonce(this.sendCounter++),
+      { authTagLength: TAG_LENGTH }
+    );
+    const sealed = Buffer.concat([
+      cipher.update(data),
+      cipher.final(),
+      cipher.getAuthTag(),
+    ]);
+    const header = Buffer.alloc(FRAME_HEADER_LENGTH);
+    header.writeUInt32BE(sealed.length, 0);
+    return Buffer.concat([header, sealed]);
+  }
+
+  /**
+   * Decrypts every complete frame received and emits the plaintext as "data".
+   * A frame that fails authentication closes the connection.
+   */
+  receiveFrames() {
+    while (!this.failed && this.buffered.length >= FRAME_HEADER_LENGTH) {
+      const length = this.buffered.readUInt32BE(0);
+      if (
+        length < TAG_LENGTH ||
+        length > kPTP.MAX_MESSAGE_LENGTH + TAG_LENGTH
+      ) {
+        this.fail(
+          createChannelError("EBADMSG", `Invalid frame length ${length}`)
+        );
+        return;
+      }
+      if (this.buffered.length < FRAME_HEADER_LENGTH + length) {
+        return; // Wait for the rest of the frame
+      }
+      const sealed = this.buffered.slice(
+        FRAME_HEADER_LENGTH,
+        FRAME_HEADER_LENGTH + length
+      );
+      this.buffered = this.buffered.slice(FRAME_HEADER_LENGTH + length);
+      let data;
+      try {
+        const decipher = crypto.createDecipheriv(
+          CIPHER,
+          this.receiveKey,
+          frameNonce(this.receiveCounter++),
+          { authTagLength: TAG_LENGTH }
+        );
+        decipher.setAuthTag(sealed.slice(length - TAG_LENGTH));
+        data = Buffer.concat([
+          decipher.update(sealed.slice(0, length - TAG_LENGTH)),
+          decipher.final(),
+        ]);
+      } catch (error) {
+        this.fail(
+          createChannelError(
+            "EBADMSG",
+            `Frame from ${this.remoteAddress}:${this.remotePort} failed authentication`
+          )
+        );
+        return;
+      }
+      this.emit("data", data);
+    }
+  }
+
+  /**
+   * Answers a peer that did not start with a Key Exchange with a plaintext
+   * Error message and closes the connection once it has been sent.
+   *
+   * @param {string} code - One of kPTP.ERROR_CODE
+   * @param {string} description
+   * @param {number} transactionID - Transaction ID of the offending message, or 0
+   */
+  refuse(code, description, transactionID) {
+    this.failed = true;
+    this.socket.end(
+      kPTP.setTransactionID(
+        kPTP.createErrorMessage(this.name, code, description),
+        transactionID
+      )
+    );
+    this.emit("error", createChannelError(code, description));
+  }
+
+  /**
+   * Stops processing the connection, emits the error and closes the socket.
+   *
+   * @param {Error} error
+   */
+  fail(error) {
+    this.failed = true;
+    this.emit("error", error);
+    this.socket.destroy();
+  }
+}
+
+/**
+ * Wraps a transport so every connection it opens or accepts is encrypted.
+ *
+ * @param {Object} transport - A transport with createServer() and connect()
+ * @param {string} name - Sender name used in Key Exchange and Error messages
+ * @returns {Object} A transport with createServer() and connect()
+ */
+function createSecureTransport(transport, name) {
+  return {
+    createServer: (connectionListener) =>
+      transport.createServer((socket) =>
+        connectionListener(new SecureSocket(socket, { initiator: false, name }))
+      ),
+    connect: (port, host, connectListener) => {
+      let secure = null;
+      const socket = transport.connect(port, host, () =>
+        secure.sendKeyExchange()
+      );
+      secure = new SecureSocket(socket, { initiator: true, name });
+      if (connectListener) {
+        secure.once("connect", connectListener);
+      }
+      return secure;
+    },
+  };
+}
+
+module.exports = {
+  SecureSocket,
+  createSecureTransport,
+};
@@ -0,0 +1,432 @@
+/**
+ * Shell.js
+ *
+ * This module runs an interactive command shell for one Peer, so a live
+ * topology can be inspected and steered from a terminal. It:
+ * 1. Reads one command per line from an input stream (stdin by default)
+ * 2. Runs it against the peer's routing table, heartbeat monitor and join logic
+ * 3. Writes the result, or "Error: ..." if the command failed, to an output
+ *    stream (stdout by default), then prompts for the next command
+ *
+ * Commands:
+ *   help                    List the commands
+ *   table                   Show the routing table by bucket, with replacement caches
+ *   peers                   List known peers with their heartbeat state
+ *   ping <id|ip:port>       Send a heartbeat and time the response
+ *   join <ip:port>          Join the network through a peer
+ *   lookup <id>             Find the peers closest to an ID
+ *   evict <id>              Drop a peer from the routing table
+ *   stats                   Summarize the peer's state
+ *   quit                    Leave the network and exit
+ *
+ * The peer's own log goes to the console as well, so command output may be
+ * interleaved with it.
+ */
+
+const readline = require("readline");
+const Singleton = require("./Singleton");
+
+/**
+ * Formats a peer as "peerID ip:port (name)".
+ *
+ * @param {Object} peer - { peerID, ip, port, senderName }
+ * @returns {string}
+ */
+function formatPeer(peer) {
+  const name = peer.senderName ? ` (${peer.senderName})` : "";
+  return `${peer.peerID} ${peer.ip}:${peer.port}${name}`;
+}
+
+/**
+ * Shell class reads commands for one Peer.
+ */
+class Shell {
+  /**
+   * Creates the shell for a peer. Call start() to begin reading commands.
+   *
+   * @param {Peer} peer - The peer to inspect and steer
+   * @param {Object} [options]
+   * @param {stream.Readable} [options.input=process.stdin] - Where commands are read from
+   * @param {stream.Writable} [options.output=process.stdout] - Where results are written
+   * @param {Function} [options.onQuit] - Called by quit, and when the input ends;
+   *                                      returns a Promise. Leaves the network
+   *                                      (peer.leave()) by default.
+   */
+  constructor(peer, options = {}) {
+    this.peer = peer;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.onQuit = options.onQuit || (() => this.peer.leave());
+    this.readline = null;
+    this.quitting = null; // Promise of the quit in progress
+    // Command name -> { usage, description, run(args) returning text or a Promise of it }
+    this.commands = new Map([
+      [
+        "help",
+        {
+          usage: "help",
+          description: "List the commands",
+          run: () => this.help(),
+        },
+      ],
+      [
+        "table",
+        {
+          usage: "table",
+          description: "Show the routing table by bucket",
+          run: () => this.table(),
+        },
+      ],
+      [
+        "peers",
+        {
+          usage: "peers",
+          description: "List known peers with their heartbeat state",
+          run: () => this.peers(),
+        },
+      ],
+      [
+        "ping",
+        {
+          usage: "ping <id|ip:port>",
+          description: "Send a heartbeat and time the response",
+          run: (args) => this.ping(args),
+        },
+      ],
+      [
+        "join",
+        {
+          usage: "join <ip:port>",
+          description: "Join the network through a peer",
+          run: (args) => this.join(args),
+        },
+      ],
+      [
+        "lookup",
+        {
+          usage: "lookup <id>",
+          description: "Find the peers closest to an ID",
+          run: (args) => this.lookup(args),
+        },
+      ],
+      [
+        "evict",
+        {
+          usage: "evict <id>",
+          description: "Drop a peer from the routing table",
+          run: (args) => this.evict(args),
+        },
+      ],
+      [
+        "stats",
+        {
+          usage: "stats",
+          description: "Summarize the peer's state",
+          run: () => this.stats(),
+        },
+      ],
+      [
+        "quit",
+        {
+          usage: "quit",
+          description: "Leave the network and exit",
+          run: () => this.quit(),
+        },
+      ],
+    ]);
+  }
+
+  /**
+   * Starts reading commands, one per line. Commands run one at a time, in the
+   * order they were typed; the input ending counts as quit.
+   */
+  start() {
+    this.readline = readline.createInterface({
+      input: this.input,
+      output: this.output,
+      prompt: `${this.peer.name}> `,
+      terminal: Boolean(this.output.isTTY),
+    });
+    let queue = Promise.resolve();
+    this.readline.on("line", (line) => {
+      queue = queue.then(() =>
+        this.execute(line).then((text) => {
+          if (text) {
+            this.output.write(`${text}\n`);
+          }
+          if (!this.quitting) {
+            this.readline.prompt();
+          }
+        })
+      );
+    });
+    this.readline.on("close", () => {
+      queue.then(() => this.quit());
+    });
+    // On a terminal, readline takes Ctrl+C itself instead of raising SIGINT
+    this.readline.on("SIGINT", () => this.quit());
+    this.readline.prompt();
+  }
+
+  /**
+   * Stops reading commands.
+   */
+  stop() {
+    if (this.readline) {
+      const rl = this.readline;
+      this.readline = null;
+      rl.removeAllListeners("close");
+      rl.close();
+    }
+  }
+
+  /**
+   * Runs one command line.
+   *
+   * @param {string} line - e.g. "ping 7cf2"
+   * @returns {Promise<string>} The command's output, or "Error: ..." if it
+   *                            failed; never rejects
+   */
+  execute(line) {
+    const [name, ...args] = line.trim().split(/\s+/);
+    if (!name) {
+      return Promise.resolve("");
+    }
+    const command = this.commands.get(name.toLowerCase());
+    return Promise.resolve()
+      .then(() => {
+        if (!command) {
+          throw new Error(`Unknown command "${name}"; type help for a list`);
+        }
+        if (name.toLowerCase() !== "quit" && !this.peer.server) {
+          throw new Error("The peer is not running");
+        }
+        return command.run(args);
+      })
+      .catch((error) => `Error: ${error.message}`);
+  }
+
+  /**
+   * Returns a peer ID argument, checked to be a hex ID of the network's width.
+   *
+   * @param {Array<string>} args
+   * @param {string} usage - Shown if the argument is missing or malformed
+   * @returns {string} The ID in lower case
+   */
+  requireID(args, usage) {
+    const digits = Singleton.getIDBits() / 4;
+    if (
+      args.length !== 1 ||
+      !new RegExp(`^[0-9a-fA-F]{${digits}}$`).test(args[0])
+    ) {
+      throw new Error(`Usage: ${usage} (a ${digits}-digit hex peer ID)`);
+    }
+    return args[0].toLowerCase();
+  }
+
+  /**
+   * Returns an "ip:port" argument as { ip, port }, or null if it is not one.
+   *
+   * @param {string} arg
+   * @returns {Object|null}
+   */
+  parseAddress(arg) {
+    const match = arg.match(/^(.+):(\d+)$/);
+    const port = match ? parseInt(match[2], 10) : -1;
+    return match && port >= 1 && port <= 65535 ? { ip: match[1], port } : null;
+  }
+
+  /**
+   * help
+   *
+   * @returns {string}
+   */
+  help() {
+    const width = Math.max(
+      ...Array.from(this.commands.values()).map(
+        (command) => command.usage.length
+      )
+    );
+    return Array.from(this.commands.values())
+      .map(
+        (command) => `  ${command.usage.padEnd(width)}  ${command.description}`
+      )
+      .join("\n");
+  }
+
+  /**
+   * table
+   *
+   * @returns {string}
+   */
+  table() {
+    const table = this.peer.routingTable;
+    const lines = [
+      `Routing table of ${this.peer.selfInfo.peerID} (k = ${table.k}):`,
+    ];
+    table.kBuckets.forEach((bucket, index) => {
+      const cache = table.replacementCaches[index];
+      if (bucket.length === 0 && cache.length === 0) {
+        return;
+      }
+      lines.push(`Bucket ${index}:`);
+      bucket.forEach((peer) => lines.push(`  ${formatPeer(peer)}`));
+      cache.forEach((peer) =>
+        lines.push(`  ${formatPeer(peer)} [replacement]`)
+      );
+    });
+    if (lines.length === 1) {
+      lines.push("(empty)");
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * peers
+   *
+   * @returns {string}
+   */
+  peers() {
+    const peers = this.peer.getAllPeersArray();
+    if (peers.length === 0) {
+      return "No known peers";
+    }
+    return peers
+      .map((peer) => {
+        const state = this.peer.heartbeat.getPeerState(peer.peerID);
+        if (!state) {
+          return `${formatPeer(peer)}  not checked yet`;
+        }
+        const rtt =
+          state.meanRTT === null ? "-" : `${Math.round(state.meanRTT)} ms`;
+        const suspect = state.suspect ? "  SUSPECT" : "";
+        return `${formatPeer(peer)}  phi ${state.phi.toFixed(
+          2
+        )}  rtt ${rtt}  missed ${state.missed}${suspect}`;
+      })
+      .join("\n");
+  }
+
+  /**
+   * ping <id|ip:port>
+   *
+   * @param {Array<string>} args
+   * @returns {Promise<string>}
+   */
+  ping(args) {
+    const address = args.length === 1 ? this.parseAddress(args[0]) : null;
+    let target = address;
+    if (!target) {
+      const peerID = this.requireID(args, "ping <id|ip:port>");
+      target = this.peer
+        .getAllPeersArray()
+        .find((peer) => peer.peerID === peerID);
+      if (!target) {
+        throw new Error(`Peer ${peerID} is not in the routing table`);
+      }
+    }
+    const sentAt = this.peer.clock.now();
+    return this.peer.pingPeer(target).then((alive) => {
+      const name = target.peerID || args[0];
+      return alive
+        ? `${name} answered in ${this.peer.clock.now() - sentAt} ms`
+        : `${name} did not answer`;
+    });
+  }
+
+  /**
+   * join <ip:port>
+   *
+   * @param {Array<string>} args
+   * @returns {Promise<string>}
+   */
+  join(args) {
+    const target = args.length === 1 ? this.parseAddress(args[0]) : null;
+    if (!target) {
+      throw new Error("Usage: join <ip:port>");
+    }
+    return this.peer
+      .join(target)
+      .then(
+        (peers) =>
+          `Joined through ${args[0]}; it listed ${peers.length} peer(s). ${
+            this.peer.getAllPeersArray().length
+          } peer(s) now known.`
+      );
+  }
+
+  /**
+   * lookup <id>
+   *
+   * @param {Array<string>} args
+   * @returns {Promise<string>}
+   */
+  lookup(args) {
+    const targetID = this.requireID(args, "lookup <id>");
+    return this.peer.findNode(targetID).then((peers) => {
+      if (peers.length === 0) {
+        return `Lookup for ${targetID} found no peers`;
+      }
+      return [`Closest peers to ${targetID}:`]
+        .concat(peers.map((peer) => `  ${formatPeer(peer)}`))
+        .join("\n");
+    });
+  }
+
+  /**
+   * evict <id>
+   *
+   * @param {Array<string>} args
+   * @returns {string}
+   */
+  evict(args) {
+    const peerID = this.requireID(args, "evict <id>");
+    const result = this.peer.evictPeer(peerID);
+    if (!result) {
+      throw new Error(`Peer ${peerID} is not in the routing table`);
+    }
+    return result.promoted
+      ? `Evicted ${peerID}; promoted ${result.promoted.peerID} from the replacement cache`
+      : `Evicted ${peerID}`;
+  }
+
+  /**
+   * stats
+   *
+   * @returns {string}
+   */
+  stats() {
+    const peer = this.peer;
+    const table = peer.routingTable;
+    const { connections, backoffs } = peer.pool.getState();
+    const peerIDs = peer.getAllPeersArray().map((entry) => entry.peerID);
+    return [
+      `Peer:        ${peer.name} ${peer.selfInfo.peerID} ${peer.ip}:${peer.selfInfo.port}`,
+      `Peers:       ${peerIDs.length} in ${
+        table.kBuckets.filter((bucket) => bucket.length > 0).length
+      } bucket(s), ${table.replacementCaches.flat().length} replacement(s)`,
+      `Suspects:    ${
+        peerIDs.filter((peerID) => peer.heartbeat.suspects.has(peerID)).length
+      }`,
+      `Connections: ${
+        connections.filter((connection) => connection.connected).length
+      } open, ${backoffs.length} backing off`,
+      `Stored keys: ${peer.store.entries.size}`,
+    ].join("\n");
+  }
+
+  /**
+   * quit
+   *
+   * @returns {Promise<string>}
+   */
+  quit() {
+    if (!this.quitting) {
+      this.stop();
+      this.quitting = Promise.resolve(this.onQuit());
+    }
+    return this.quitting.then(() => "");
+  }
+}
+
+module.exports = Shell;
@@ -0,0 +1,313 @@
+/**
+ * Simulator.js
+ *
+ * This module runs many DHT peers inside one process that:
+ * 1. Share a VirtualClock instead of wall-clock timers
+ * 2. Talk over a VirtualNetwork instead of TCP sockets
+ * 3. Draw every random choice (latencies, timer starts, bootstrap picks,
+ *    backoff jitter, peer keys) from one seeded generator, so a given seed
+ *    always gives the same run
+ *
+ * Join, churn and eviction scenarios that take minutes with real processes
+ * run in seconds, because virtual time only passes when run() is called.
+ */
+
+const Singleton = require("./Singleton");
+const Peer = require("./Peer");
+const Identity = require("./Identity");
+const { VirtualClock } = require("./Clock");
+const { VirtualNetwork } = require("./Transport");
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32).
+ *
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} A function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Simulator class owns the virtual clock, the virtual network and the peers.
+ */
+class Simulator {
+  /**
+   * Creates a simulator. Only one simulator should run at a time, because it
+   * points the shared Singleton timestamps at its own virtual clock.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.seed=1] - Seed for every random choice in the run
+   * @param {number} [options.bucketSize=1] - Routing table bucket capacity (k) for every peer
+   * @param {number} [options.idBits=16] - Network-wide peer ID width
+   * @param {number} [options.minLatency=5] - Minimum one-way latency in milliseconds
+   * @param {number} [options.maxLatency=50] - Maximum one-way latency in milliseconds
+   */
+  constructor(options = {}) {
+    this.seed = options.seed === undefined ? 1 : options.seed;
+    this.bucketSize = options.bucketSize || 1;
+    this.random = createRandom(this.seed);
+    // Peer keys come from a stream of their own, so adding a peer's key does
+    // not shift the latencies and picks drawn for the rest of the run
+    this.keyRandom = createRandom(this.seed ^ 0x5eed);
+    this.clock = new VirtualClock();
+    this.network = new VirtualNetwork({
+      clock: this.clock,
+      random: this.random,
+      minLatency: options.minLatency,
+      maxLatency: options.maxLatency,
+    });
+    this.peers = [];
+    this.crashed = new Set(); // Peers that have been crashed or stopped
+    this.peerOptions = new Map(); // Peer -> options it was created with, for restartPeer()
+
+    Singleton.init(this.clock, this.random);
+    Singleton.setIDBits(options.idBits || 16);
+  }
+
+  /**
+   * Adds a peer on its own virtual host and, if a bootstrap peer is given,
+   * joins the network through it. The peer starts once the clock runs.
+   *
+   * @param {Peer} [bootstrapPeer] - A running peer to join through
+   * @param {Object} [peerOptions] - Extra Peer options for this peer, e.g. { secure: true };
+   *                                 peerOptions.ip places it on a chosen host
+   * @returns {Peer} The new peer
+   */
+  addPeer(bootstrapPeer, peerOptions = {}) {
+    const index = this.peers.length + 1;
+    const ip =
+      peerOptions.ip ||
+      `10.${(index >> 16) & 255}.${(index >> 8) & 255}.${index & 255}`;
+    // Seed each keypair from the run's generator, so peer IDs repeat with the seed
+    const seed = Buffer.from(
+      Array.from({ length: 32 }, () => Math.floor(this.keyRandom() * 256))
+    );
+    const options = Object.assign(
+      {
+        name: `peer${index}`,
+        identity: new Identity(seed),
+        ip,
+        bucketSize: this.bucketSize,
+        transport: this.network.createTransport(ip),
+        clock: this.clock,
+        random: this.random,
+        saveRoutingTable: false,
+      },
+      peerOptions
+    );
+    const peer = new Peer(options);
+    this.peerOptions.set(peer, options);
+    peer
+      .start()
+      .then(() => bootstrapPeer && peer.join(bootstrapPeer.selfInfo))
+      .catch((error) => {
+        peer.log.join.warn(
+          "join_failed",
+          `Peer ${peer.name} failed to join: ${error.message}`,
+          { error }
+        );
+      });
+    this.peers.push(peer);
+    return peer;
+  }
+
+  /**
+   * Grows the network by the given number of peers, each joining through a
+   * randomly chosen live peer, with a pause between joins.
+   *
+   * @param {number} count - Number of peers to add
+   * @param {number} [joinInterval=500] - Virtual milliseconds between joins
+   * @returns {Promise<void>}
+   */
+  async join(count, joinInterval = 500) {
+    for (let i = 0; i < count; i++) {
+      const live = this.livePeers();
+      this.addPeer(live.length > 0 ? this.pick(live) : undefined);
+      await this.run(joinInterval);
+    }
+  }
+
+  /**
+   * Crashes a peer: its host stops accepting and answering connections and
+   * its heartbeat stops. Other peers only learn of it through failed heartbeats.
+   *
+   * @param {Peer} peer - The peer to crash
+   */
+  crashPeer(peer) {
+    this.network.crashHost(peer.ip);
+    peer.heartbeat.stop();
+    this.crashed.add(peer);
+  }
+
+  /**
+   * Makes a peer's link lossy: each message to or from it is dropped with the
+   * given probability (see VirtualNetwork.setLossRate()), but it keeps running.
+   *
+   * @param {Peer} peer - The peer whose link degrades
+   * @param {number} rate - Probability that a message is dropped (0 restores the link)
+   */
+  degradePeer(peer, rate) {
+    this.network.setLossRate(peer.ip, rate);
+  }
+
+  /**
+   * Stops a peer gracefully with Peer.stop(): its connections close and its
+   * server stops listening.
+   *
+   * @param {Peer} peer - The peer to stop
+   * @returns {Promise<void>}
+   */
+  stopPeer(peer) {
+    this.crashed.add(peer);
+    return this.runUntil(peer.stop());
+  }
+
+  /**
+   * Makes a peer leave the network with Peer.leave(): it says goodbye to every
+   * peer in its routing table, then stops.
+   *
+   * @param {Peer} peer - The peer that leaves
+   * @returns {Promise<void>}
+   */
+  leavePeer(peer) {
+    this.crashed.add(peer);
+    return this.runUntil(peer.leave());
+  }
+
+  /**
+   * Restarts a peer the way a new process would: the peer is stopped, then a
+   * fresh Peer with the same options starts on the same host and port and
+   * restores what it saved (see Peer.restore()). Only a peer created with a
+   * dataDir (and saveRoutingTable: true) gets its routing table back.
+   *
+   * @param {Peer} peer - The peer to restart
+   * @returns {Promise<Peer>} The restarted peer, once its restore has finished
+   */
+  async restartPeer(peer) {
+    const options = Object.assign({}, this.peerOptions.get(peer), {
+      port: peer.selfInfo.port,
+    });
+    await this.stopPeer(peer);
+    const restarted = new Peer(options);
+    this.peerOptions.set(restarted, options);
+    this.peers.push(restarted);
+    await this.runUntil(restarted.start());
+    await this.runUntil(restarted.restore());
+    return restarted;
+  }
+
+  /**
+   * Advances virtual time, running everything that falls due.
+   *
+   * @param {number} ms - Virtual milliseconds to run for
+   * @returns {Promise<void>}
+   */
+  run(ms) {
+    return this.clock.advance(ms);
+  }
+
+  /**
+   * Runs the clock until a promise settles, for example a lookup started on a peer.
+   *
+   * @param {Promise} promise - The promise to wait for
+   * @param {number} [timeout=60000] - Virtual milliseconds to wait before giving up
+   * @returns {Promise<*>} The promise's result
+   */
+  async runUntil(promise, timeout = 60000) {
+    let settled = false;
+    const tracked = promise.finally(() => {
+      settled = true;
+    });
+    for (let waited = 0; !settled && waited < timeout; waited += 100) {
+      await this.run(100);
+    }
+    if (!settled) {
+      throw new Error(`Promise did not settle within ${timeout} ms`);
+    }
+    return tracked;
+  }
+
+  /**
+   * Returns the peers that have not been crashed.
+   *
+   * @returns {Array<Peer>}
+   */
+  livePeers() {
+    return this.peers.filter((peer) => !this.crashed.has(peer));
+  }
+
+  /**
+   * Picks a random element using the simulator's seeded generator.
+   *
+   * @param {Array} items
+   * @returns {*}
+   */
+  pick(items) {
+    return items[Math.floor(this.random() * items.length)];
+  }
+
+  /**
+   * Summarizes the state of the network.
+   *
+   * @returns {Object} Peer counts, routing table fill and stale entries
+   *                   (routing table entries that point at crashed peers)
+   */
+  stats() {
+    const live = this.livePeers();
+    const crashedIDs = new Set(
+      Array.from(this.crashed).map((peer) => peer.selfInfo.peerID)
+    );
+    let entries = 0;
+    let staleEntries = 0;
+    let filledBuckets = 0;
+    live.forEach((peer) => {
+      peer.routingTable.kBuckets.forEach((bucket) => {
+        if (bucket.length > 0) {
+          filledBuckets++;
+        }
+        bucket.forEach((entry) => {
+          entries++;
+          if (crashedIDs.has(entry.peerID)) {
+            staleEntries++;
+          }
+        });
+      });
+    });
+    return {
+      time: this.clock.now(),
+      peers: this.peers.length,
+      livePeers: live.length,
+      crashedPeers: this.crashed.size,
+      averageTableSize: live.length ? entries / live.length : 0,
+      averageFilledBuckets: live.length ? filledBuckets / live.length : 0,
+      staleEntries,
+    };
+  }
+
+  /**
+   * Returns every live peer's routing table as peer IDs, for comparing runs.
+   *
+   * @returns {Array<Object>} [{ peerID, buckets: [[peerID, ...], ...] }]
+   */
+  snapshot() {
+    return this.livePeers().map((peer) => ({
+      peerID: peer.selfInfo.peerID,
+      buckets: peer.routingTable.kBuckets.map((bucket) =>
+        bucket.map((entry) => entry.peerID)
+      ),
+    }));
+  }
+}
+
+module.exports = {
+  Simulator,
+  createRandom,
+};
@@ -1,23 +1,26 @@
 const crypto = require("crypto"); // Required for hashing
+const { systemClock } = require("./Clock");
 
 let sequenceNumber;
-let timer;
+let clock = systemClock; // Source of time for timestamps
+let timerStart; // Timestamp value at the moment init() was called
+let clockStart; // Clock time (ms) at the moment init() was called
+let idBits = 16; // Network-wide peer ID width in bits
 const timerInterval = 5; // Changed from 10ms to 5ms as per assignment requirements
 
-function timerRun() {
-  timer++;
-  if (timer >= 0xffffffff) {
-    // 32-bit overflow prevention: Reset timer if overflow is reached.
-    timer = Math.floor(1000 * Math.random());
-  }
-}
+// Supported peer ID widths (all fit within the 256-bit Blake2s256 digest)
+const ID_BITS_OPTIONS = [16, 64, 160, 256];
 
 module.exports = {
+  ID_BITS_OPTIONS,
+
   // Initializes sequenceNumber and timer.
-  init: function () {
-    timer = Math.floor(1000 * Math.random()); // Random start for timer
-    setInterval(timerRun, timerInterval); // Timer increments every 5ms
-    sequenceNumber = Math.floor(1000 * Math.random()); // Random start for sequence
+  // A VirtualClock and seeded random source can be passed in for simulations.
+  init: function (timeSource = systemClock, random = Math.random) {
+    clock = timeSource;
+    clockStart = clock.now();
+    timerStart = Math.floor(1000 * random()); // Random start for timer
+    sequenceNumber = Math.floor(1000 * random()); // Random start for sequence
   },
 
   // Returns the next sequence number.
@@ -25,16 +28,51 @@ module.exports = {
     return ++sequenceNumber;
   },
 
-  // Returns the current timer value.
+  // Returns the current timer value, which advances by one every 5ms of clock time.
   getTimestamp: function () {
-    return timer;
+    const ticks = Math.floor((clock.now() - clockStart) / timerInterval);
+    // 32-bit overflow prevention: wrap around instead of exceeding 0xffffffff.
+    return (timerStart + ticks) % 0xffffffff;
+  },
+
+  // Sets the network-wide peer ID width. Must be one of ID_BITS_OPTIONS.
+  setIDBits: function (bits) {
+    if (!ID_BITS_OPTIONS.includes(bits)) {
+      throw new Error(
+        `Unsupported ID width ${bits}; expected one of ${ID_BITS_OPTIONS.join(
+          ", "
+        )}`
+      );
+    }
+    idBits = bits;
   },
 
-  // Generates a 16-bit (2-byte) hash-based Peer ID.
+  // Returns the network-wide peer ID width in bits.
+  getIDBits: function () {
+    return idBits;
+  },
+
+  // Generates a hash-based Peer ID of the configured width (16 bits by default).
   getPeerID: function (IP, port) {
     const input = `${IP}:${port}`;
     const hash = crypto.createHash("blake2s256").update(input).digest("hex");
-    return hash.slice(0, 4); // Use first 4 hex characters (16 bits)
+    return hash.slice(0, idBits / 4); // Use the first idBits / 4 hex characters
+  },
+
+  // Derives a peer ID of the configured width from an Ed25519 public key
+  // (see Identity.js), so only the key's holder can use that ID.
+  getPeerIDFromPublicKey: function (publicKey) {
+    const hash = crypto
+      .createHash("blake2s256")
+      .update(publicKey)
+      .digest("hex");
+    return hash.slice(0, idBits / 4); // Use the first idBits / 4 hex characters
+  },
+
+  // Maps a storage key into the same ID space as peer IDs.
+  getKeyID: function (key) {
+    const hash = crypto.createHash("blake2s256").update(key).digest("hex");
+    return hash.slice(0, idBits / 4); // Use the first idBits / 4 hex characters
   },
 
   // Converts a Hex string into a binary string.
@@ -53,4 +91,17 @@ module.exports = {
     }
     return ans;
   },
+
+  // Computes the XOR distance between two hex peer IDs as a BigInt,
+  // since IDs wider than 53 bits do not fit in a Number.
+  getDistance: function (a, b) {
+    return BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  },
+
+  // Sort comparator ordering two peers by XOR distance to a target ID.
+  compareDistance: function (targetID, a, b) {
+    const distanceA = this.getDistance(targetID, a.peerID);
+    const distanceB = this.getDistance(targetID, b.peerID);
+    return distanceA < distanceB ? -1 : distanceA > distanceB ? 1 : 0;
+  },
 };
@@ -0,0 +1,423 @@
+/**
+ * Transport.js
+ *
+ * This module provides the transports peers use to open and accept connections:
+ * 1. tcpTransport - real TCP sockets from Node's net module
+ * 2. VirtualNetwork - an in-memory network for simulations, with per-message
+ *    latency driven by a VirtualClock, hosts that can be crashed, and lossy hosts
+ *
+ * A transport exposes:
+ *   createServer(connectionListener) -> server with listen(port, callback), address(), close()
+ *   connect(port, host, connectListener) -> socket
+ * Sockets emit "connect", "data", "end", "error" and "close", and support
+ * write(), end() and destroy(), like net.Socket.
+ */
+
+const net = require("net");
+const EventEmitter = require("events");
+
+/**
+ * The real transport used by peers started from the command line.
+ */
+const tcpTransport = {
+  createServer: (connectionListener) => net.createServer(connectionListener),
+  connect: (port, host, connectListener) =>
+    net.createConnection({ port, host }, connectListener),
+};
+
+/**
+ * Creates an Error carrying a Node-style error code.
+ *
+ * @param {string} code - e.g. "ECONNREFUSED"
+ * @param {string} address - The "ip:port" the error relates to
+ * @returns {Error}
+ */
+function createSocketError(code, address) {
+  const error = new Error(`${code} ${address}`);
+  error.code = code;
+  return error;
+}
+
+/**
+ * VirtualSocket class is one end of an in-memory connection.
+ * Data written to it reaches the other end after the network latency, in order.
+ */
+class VirtualSocket extends EventEmitter {
+  /**
+   * @param {VirtualNetwork} network - The network carrying this socket's traffic
+   * @param {string} localAddress
+   * @param {string} remoteAddress
+   * @param {number} remotePort
+   */
+  constructor(network, localAddress, remoteAddress, remotePort) {
+    super();
+    this.network = network;
+    this.localAddress = localAddress;
+    this.remoteAddress = remoteAddress;
+    this.remotePort = remotePort;
+    this.peer = null; // The socket at the other end, once connected
+    this.writableEnded = false;
+    this.readableEnded = false;
+    this.destroyed = false;
+    this.lastDeliveryTime = 0; // Keeps deliveries to the other end in order
+  }
+
+  /**
+   * Sends data to the other end of the connection.
+   *
+   * @param {Buffer|string} data
+   * @returns {boolean} False if the socket can no longer write
+   */
+  write(data) {
+    if (this.destroyed || this.writableEnded || !this.peer) {
+      return false;
+    }
+    this.network.deliver(this, "data", Buffer.from(data));
+    return true;
+  }
+
+  /**
+   * Half-closes the connection after sending any final data. The other end
+   * then finishes its own writes and closes too, as net sockets do by default.
+   *
+   * @param {Buffer|string} [data]
+   */
+  end(data) {
+    if (data !== undefined) {
+      this.write(data);
+    }
+    if (this.destroyed || this.writableEnded) {
+      return;
+    }
+    this.writableEnded = true;
+    if (this.peer) {
+      this.network.deliver(this, "end");
+    }
+    this.closeIfDone();
+  }
+
+  /**
+   * Closes the connection immediately.
+   */
+  destroy() {
+    if (this.destroyed) {
+      return;
+    }
+    if (this.peer && !this.writableEnded) {
+      this.network.deliver(this, "end");
+    }
+    this.close();
+  }
+
+  /**
+   * Handles an event delivered from the other end.
+   *
+   * @param {string} kind - "data" or "end"
+   * @param {Buffer} [data]
+   */
+  receive(kind, data) {
+    if (this.destroyed) {
+      return;
+    }
+    if (kind === "data") {
+      this.emit("data", data);
+    } else if (kind === "end") {
+      this.readableEnded = true;
+      this.emit("end");
+      this.end();
+      this.closeIfDone();
+    }
+  }
+
+  /**
+   * Emits "close" once both directions of the connection are finished.
+   */
+  closeIfDone() {
+    if (this.writableEnded && this.readableEnded) {
+      this.close();
+    }
+  }
+
+  /**
+   * Marks the socket destroyed and emits "close" (once).
+   *
+   * @param {Error} [error] - Emitted as "error" before "close" if given
+   */
+  close(error) {
+    if (this.destroyed) {
+      return;
+    }
+    this.destroyed = true;
+    this.network.unregisterSocket(this);
+    if (error) {
+      this.emit("error", error);
+    }
+    this.emit("close", Boolean(error));
+  }
+}
+
+/**
+ * VirtualServer class accepts in-memory connections on one host and port.
+ */
+class VirtualServer extends EventEmitter {
+  /**
+   * @param {VirtualNetwork} network
+   * @param {string} host - The IP address the server belongs to
+   * @param {Function} connectionListener - Called with each accepted socket
+   */
+  constructor(network, host, connectionListener) {
+    super();
+    this.network = network;
+    this.host = host;
+    this.port = null;
+    if (connectionListener) {
+      this.on("connection", connectionListener);
+    }
+  }
+
+  /**
+   * Starts listening. Port 0 picks the next free port on the host.
+   *
+   * @param {number} port
+   * @param {Function} [callback]
+   */
+  listen(port, callback) {
+    this.port = this.network.bindServer(this, port);
+    if (callback) {
+      this.network.clock.setTimeout(() => callback(), 0);
+    }
+  }
+
+  /**
+   * Returns the address the server is bound to.
+   *
+   * @returns {Object} { address, port }
+   */
+  address() {
+    return { address: this.host, port: this.port };
+  }
+
+  /**
+   * Stops accepting connections.
+   *
+   * @param {Function} [callback]
+   */
+  close(callback) {
+    this.network.unbindServer(this);
+    if (callback) {
+      this.network.clock.setTimeout(() => callback(), 0);
+    }
+  }
+}
+
+/**
+ * VirtualNetwork class connects the virtual transports of many simulated hosts.
+ * All deliveries are scheduled on the shared VirtualClock, and latencies are
+ * drawn from the seeded random source, so a run is repeatable.
+ */
+class VirtualNetwork {
+  /**
+   * @param {Object} options
+   * @param {VirtualClock} options.clock - The clock deliveries are scheduled on
+   * @param {Function} options.random - Returns a number in [0, 1), e.g. a seeded generator
+   * @param {number} [options.minLatency=5] - Minimum one-way latency in milliseconds
+   * @param {number} [options.maxLatency=50] - Maximum one-way latency in milliseconds
+   */
+  constructor(options) {
+    this.clock = options.clock;
+    this.random = options.random;
+    this.minLatency = options.minLatency === undefined ? 5 : options.minLatency;
+    this.maxLatency =
+      options.maxLatency === undefined ? 50 : options.maxLatency;
+    this.servers = new Map(); // "ip:port" -> VirtualServer
+    this.sockets = new Map(); // ip -> Set of VirtualSocket
+    this.nextPorts = new Map(); // ip -> next port handed out for port 0
+    this.crashedHosts = new Set();
+    this.lossRates = new Map(); // ip -> share of its messages that are dropped
+    this.connectionsOpened = 0; // Connection attempts, for measuring connection churn
+  }
+
+  /**
+   * Creates the transport used by one simulated host.
+   *
+   * @param {string} host - The host's IP address
+   * @returns {Object} A transport with createServer() and connect()
+   */
+  createTransport(host) {
+    return {
+      createServer: (connectionListener) =>
+        new VirtualServer(this, host, connectionListener),
+      connect: (port, remoteHost, connectListener) =>
+        this.connect(host, port, remoteHost, connectListener),
+    };
+  }
+
+  /**
+   * Opens a connection from one host to a listening server.
+   * Connections to crashed hosts or unbound ports fail with ECONNREFUSED.
+   *
+   * @param {string} localHost
+   * @param {number} port
+   * @param {string} remoteHost
+   * @param {Function} [connectListener]
+   * @returns {VirtualSocket}
+   */
+  connect(localHost, port, remoteHost, connectListener) {
+    const address = `${remoteHost}:${port}`;
+    const socket = new VirtualSocket(this, localHost, remoteHost, port);
+    this.connectionsOpened++;
+    if (connectListener) {
+      socket.once("connect", connectListener);
+    }
+    this.registerSocket(socket);
+
+    this.clock.setTimeout(() => {
+      if (socket.destroyed) {
+        return;
+      }
+      const server = this.servers.get(address);
+      if (
+        !server ||
+        this.crashedHosts.has(remoteHost) ||
+        this.crashedHosts.has(localHost)
+      ) {
+        socket.close(createSocketError("ECONNREFUSED", address));
+        return;
+      }
+      // Create the server's end of the connection
+      const serverSocket = new VirtualSocket(
+        this,
+        remoteHost,
+        localHost,
+        this.nextEphemeralPort(localHost)
+      );
+      socket.peer = serverSocket;
+      serverSocket.peer = socket;
+      this.registerSocket(serverSocket);
+      server.emit("connection", serverSocket);
+      socket.emit("connect");
+    }, this.latency());
+    return socket;
+  }
+
+  /**
+   * Schedules an event from one socket to arrive at the other end.
+   * Deliveries on a connection never overtake each other. Data to or from a
+   * lossy host may be dropped instead (see setLossRate()).
+   *
+   * @param {VirtualSocket} from - The sending socket
+   * @param {string} kind - "data" or "end"
+   * @param {Buffer} [data]
+   */
+  deliver(from, kind, data) {
+    const to = from.peer;
+    if (kind === "data" && this.isLost(from)) {
+      return;
+    }
+    const arrival = Math.max(
+      this.clock.now() + this.latency(),
+      from.lastDeliveryTime
+    );
+    from.lastDeliveryTime = arrival;
+    this.clock.setTimeout(
+      () => to.receive(kind, data),
+      arrival - this.clock.now()
+    );
+  }
+
+  /**
+   * Crashes a host: its servers stop listening, its open connections are
+   * closed and every later connection to or from it is refused.
+   *
+   * @param {string} host - The IP address of the host to crash
+   */
+  crashHost(host) {
+    this.crashedHosts.add(host);
+    this.servers.forEach((server, address) => {
+      if (server.host === host) {
+        this.servers.delete(address);
+      }
+    });
+    Array.from(this.sockets.get(host) || []).forEach((socket) =>
+      socket.destroy()
+    );
+  }
+
+  /**
+   * Makes a host's link lossy: each write to or from it is dropped with the
+   * given probability, though its connections stay open. Each write of a kPTP
+   * message is one whole message, so this models lost messages on plaintext
+   * connections; on encrypted ones a dropped frame breaks the rest of the stream.
+   *
+   * @param {string} host - The IP address of the host
+   * @param {number} rate - Probability in [0, 1] that a write is dropped (0 restores the link)
+   */
+  setLossRate(host, rate) {
+    if (rate > 0) {
+      this.lossRates.set(host, rate);
+    } else {
+      this.lossRates.delete(host);
+    }
+  }
+
+  /**
+   * Decides whether a write from a socket is dropped. Draws from the random
+   * source only when either end is lossy, so runs without loss are unchanged.
+   *
+   * @param {VirtualSocket} from - The sending socket
+   * @returns {boolean}
+   */
+  isLost(from) {
+    const rate = Math.max(
+      this.lossRates.get(from.localAddress) || 0,
+      this.lossRates.get(from.remoteAddress) || 0
+    );
+    return rate > 0 && this.random() < rate;
+  }
+
+  /**
+   * Returns a one-way latency drawn from the configured range.
+   *
+   * @returns {number} Latency in milliseconds
+   */
+  latency() {
+    return Math.round(
+      this.minLatency + this.random() * (this.maxLatency - this.minLatency)
+    );
+  }
+
+  bindServer(server, port) {
+    const boundPort = port || this.nextEphemeralPort(server.host);
+    this.servers.set(`${server.host}:${boundPort}`, server);
+    return boundPort;
+  }
+
+  unbindServer(server) {
+    this.servers.delete(`${server.host}:${server.port}`);
+  }
+
+  nextEphemeralPort(host) {
+    const port = this.nextPorts.get(host) || 30000;
+    this.nextPorts.set(host, port + 1);
+    return port;
+  }
+
+  registerSocket(socket) {
+    if (!this.sockets.has(socket.localAddress)) {
+      this.sockets.set(socket.localAddress, new Set());
+    }
+    this.sockets.get(socket.localAddress).add(socket);
+  }
+
+  unregisterSocket(socket) {
+    const sockets = this.sockets.get(socket.localAddress);
+    if (sockets) {
+      sockets.delete(socket);
+    }
+  }
+}
+
+module.exports = {
+  tcpTransport,
+  VirtualNetwork,
+};
@@ -0,0 +1,172 @@
+/**
+ * crawl.js
+ *
+ * This script maps a running DHT network (see Crawler.js). It:
+ * 1. Starts from one peer address and walks the network through every peer's
+ *    routing table
+ * 2. Writes the directed graph of who lists whom, with the bucket and XOR
+ *    distance of every entry, as JSON and/or Graphviz DOT
+ * 3. Prints a summary: peers that answered or not, and whether the overlay
+ *    is partitioned
+ *
+ * The graph goes to stdout in --format unless --json or --dot name files for
+ * it; the summary and the crawler's log go to stderr.
+ *
+ * The network's peer ID width is taken from the start peer's response.
+ *
+ * Usage: node crawl.js -p <ip:port> [--secure] [--format json|dot]
+ *                      [--json network.json] [--dot network.dot]
+ *                      [--concurrency 8] [--max-peers 10000] [--timeout 5]
+ *                      [--log-level warn]
+ */
+
+const fs = require("fs");
+const Singleton = require("./Singleton");
+const { Crawler, toDOT } = require("./Crawler");
+const { rootLogger } = require("./Logger");
+
+// ------------------------------
+// Parse command-line arguments
+// ------------------------------
+const args = process.argv.slice(2);
+let start = null; // Expected format: "ip:port"
+let secure = false; // Encrypt every connection (must match the network)
+let format = "json"; // Format written to stdout: "json" or "dot"
+let jsonFile = null; // File the graph is written to as JSON
+let dotFile = null; // File the graph is written to as DOT
+let concurrency = null; // Peers asked at the same time
+let maxPeers = null; // Most peers asked
+let timeout = null; // Seconds to wait for each response
+let logLevel = "warn"; // e.g. "debug" to see every peer listed (see Logger.js)
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "-p" && i + 1 < args.length) {
+    start = args[i + 1];
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--secure") {
+    secure = true;
+  } else if (args[i] === "--format" && i + 1 < args.length) {
+    format = args[i + 1];
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--json" && i + 1 < args.length) {
+    jsonFile = args[i + 1];
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--dot" && i + 1 < args.length) {
+    dotFile = args[i + 1];
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--concurrency" && i + 1 < args.length) {
+    concurrency = Number(args[i + 1]);
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--max-peers" && i + 1 < args.length) {
+    maxPeers = Number(args[i + 1]);
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--timeout" && i + 1 < args.length) {
+    timeout = Number(args[i + 1]);
+    i++; // Skip the next argument since we've used it
+  } else if (args[i] === "--log-level" && i + 1 < args.length) {
+    logLevel = args[i + 1];
+    i++; // Skip the next argument since we've used it
+  }
+}
+
+// Validate arguments
+if (!start) {
+  console.error("Error: Start peer (-p ip:port) is required.");
+  process.exit(1);
+}
+if (!parseAddress(start)) {
+  console.error("Error: Start peer (-p) must be given as ip:port.");
+  process.exit(1);
+}
+if (format !== "json" && format !== "dot") {
+  console.error("Error: Format (--format) must be json or dot.");
+  process.exit(1);
+}
+if (
+  concurrency !== null &&
+  !(Number.isInteger(concurrency) && concurrency >= 1)
+) {
+  console.error(
+    "Error: Concurrency (--concurrency) must be a positive integer."
+  );
+  process.exit(1);
+}
+if (maxPeers !== null && !(Number.isInteger(maxPeers) && maxPeers >= 1)) {
+  console.error("Error: Peer limit (--max-peers) must be a positive integer.");
+  process.exit(1);
+}
+if (timeout !== null && !(timeout > 0)) {
+  console.error(
+    "Error: Timeout (--timeout) must be a positive number of seconds."
+  );
+  process.exit(1);
+}
+// stdout may carry the graph, so every log record goes to stderr
+try {
+  rootLogger.configure({
+    level: logLevel,
+    sink: (line) => console.error(line),
+  });
+} catch (error) {
+  console.error(`Error: ${error.message} (--log-level).`);
+  process.exit(1);
+}
+
+/**
+ * Parses a peer address in the format "ip:port".
+ *
+ * @param {string} address
+ * @returns {Object|null} { ip, port }, or null if malformed
+ */
+function parseAddress(address) {
+  const parts = address.split(":");
+  const port = parseInt(parts[1], 10);
+  if (parts.length !== 2 || !(port >= 1 && port <= 65535)) {
+    return null;
+  }
+  return { ip: parts[0], port };
+}
+
+// ------------------------------
+// Crawl the network
+// ------------------------------
+Singleton.init();
+
+const crawler = new Crawler({
+  secure,
+  concurrency,
+  maxPeers,
+  policy: timeout ? { timeout: timeout * 1000 } : undefined,
+});
+
+crawler
+  .crawl(parseAddress(start))
+  .then((graph) => {
+    const json = JSON.stringify(graph, null, 2) + "\n";
+    if (jsonFile) {
+      fs.writeFileSync(jsonFile, json);
+    }
+    if (dotFile) {
+      fs.writeFileSync(dotFile, toDOT(graph));
+    }
+    if (!jsonFile && !dotFile) {
+      process.stdout.write(format === "dot" ? toDOT(graph) : json);
+    }
+    const { summary } = graph;
+    console.error(
+      `Crawled ${summary.peers} peer(s) from ${graph.start}: ${
+        summary.answered
+      } answered, ${summary.unreachable} unreachable, ${
+        summary.notCrawled
+      } not crawled; ${summary.edges} routing table entries; ${
+        summary.partitioned
+          ? `PARTITIONED into ${summary.components} components`
+          : "not partitioned"
+      }.`
+    );
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(`Error: Crawl failed: ${error.message}`);
+    process.exit(1);
+  });
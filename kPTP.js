@@ -1,10 +1,80 @@
+const singleton = require("./Singleton");
+const Identity = require("./Identity");
+
 const kPTP_VERSION = 18;
 const MESSAGE_TYPE = {
   WELCOME: 2,
   HELLO: 4,
   HEARTBEAT: 6,
   HEARTBEAT_RESPONSE: 8,
+  FIND_NODE: 10,
+  FIND_NODE_RESPONSE: 12,
+  STORE: 14,
+  FIND_VALUE: 16,
+  FIND_VALUE_RESPONSE: 18,
+  ERROR: 20,
+  KEY_EXCHANGE: 22,
+  GOODBYE: 24,
+  PROBE: 26,
+  PROBE_RESPONSE: 28,
+  ROUTING_TABLE: 30,
+  ROUTING_TABLE_RESPONSE: 32,
+};
+// The response each request type is answered with (Store has none)
+const RESPONSE_TYPE = {
+  [MESSAGE_TYPE.HELLO]: MESSAGE_TYPE.WELCOME,
+  [MESSAGE_TYPE.HEARTBEAT]: MESSAGE_TYPE.HEARTBEAT_RESPONSE,
+  [MESSAGE_TYPE.FIND_NODE]: MESSAGE_TYPE.FIND_NODE_RESPONSE,
+  [MESSAGE_TYPE.FIND_VALUE]: MESSAGE_TYPE.FIND_VALUE_RESPONSE,
+  [MESSAGE_TYPE.PROBE]: MESSAGE_TYPE.PROBE_RESPONSE,
+  [MESSAGE_TYPE.ROUTING_TABLE]: MESSAGE_TYPE.ROUTING_TABLE_RESPONSE,
 };
+// Message types that carry the sender's signed identity (see createSignedMessage)
+const SIGNED_TYPES = [
+  MESSAGE_TYPE.HELLO,
+  MESSAGE_TYPE.WELCOME,
+  MESSAGE_TYPE.GOODBYE,
+];
+// Codes carried by DecodeError and by Error messages (Message Type 20)
+const ERROR_CODE = {
+  BAD_LENGTH: "BAD_LENGTH", // Message Length field is impossible or disagrees with the data
+  TRUNCATED_HEADER: "TRUNCATED_HEADER", // Fewer bytes than a header
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION", // Version byte is not kPTP_VERSION
+  UNKNOWN_TYPE: "UNKNOWN_TYPE", // Type byte is not one of MESSAGE_TYPE
+  BAD_ID_LENGTH: "BAD_ID_LENGTH", // ID Length is not a supported ID width
+  TRUNCATED_PEER_LIST: "TRUNCATED_PEER_LIST", // Num Peers points past the end
+  NAME_LENGTH_OVERFLOW: "NAME_LENGTH_OVERFLOW", // Sender Name Length points past the end
+  TRUNCATED_FIELD: "TRUNCATED_FIELD", // A type-specific field runs past the end
+  BAD_FIELD: "BAD_FIELD", // A type-specific field holds an invalid value
+  BAD_TRAILER: "BAD_TRAILER", // Trailing bytes are not a valid selfInfo JSON object
+  BAD_SIGNATURE: "BAD_SIGNATURE", // Hello/Welcome signature does not verify against its key
+  // Codes a peer may send that are not about decoding
+  ID_WIDTH_MISMATCH: "ID_WIDTH_MISMATCH", // Sender uses a different peer ID width
+  UNEXPECTED_TYPE: "UNEXPECTED_TYPE", // Valid message the receiver does not accept here
+  BAD_IDENTITY: "BAD_IDENTITY", // Claimed peer ID is not the one derived from the public key
+  REPLAYED_NONCE: "REPLAYED_NONCE", // Hello nonce was already used
+  ENCRYPTION_REQUIRED: "ENCRYPTION_REQUIRED", // Receiver only accepts encrypted connections
+  ENCRYPTION_DISABLED: "ENCRYPTION_DISABLED", // Receiver does not accept encrypted connections
+  RATE_LIMITED: "RATE_LIMITED", // Sender exceeded the receiver's rate limit for this message type
+  BANNED: "BANNED", // Sender's address or peer ID is on the receiver's ban list
+};
+// Every message starts with a fixed-size header (see createHeader)
+const HEADER_LENGTH = 14;
+// Upper bound on the Message Length field, so a corrupt or hostile length
+// cannot make a stream decoder buffer without limit
+const MAX_MESSAGE_LENGTH = 16 * 1024 * 1024;
+// Num Peers is a single byte, so a message lists at most this many peers
+const MAX_PEERS = 255;
+// A Routing Table Response lists its sender first, so this many table entries
+// fit in one response
+const ROUTING_TABLE_PAGE_SIZE = MAX_PEERS - 1;
+// Key Exchange messages carry an X25519 public key of this many bytes
+const EXCHANGE_KEY_LENGTH = 32;
+// Hello, Welcome and Goodbye messages carry the sender's identity right after the
+// sender name: Ed25519 public key | nonce | signature (see signMessage)
+const NONCE_LENGTH = 16;
+const IDENTITY_LENGTH =
+  Identity.PUBLIC_KEY_LENGTH + NONCE_LENGTH + Identity.SIGNATURE_LENGTH;
 
 /**
  * Decodes a received kPTP message.
@@ -40,8 +110,8 @@ function encodePort(port) {
 }
 
 /**
- * Encodes a peerID (a hex string of 4 characters representing 16 bits)
- * into a 2-byte Buffer.
+ * Encodes a peerID (a hex string of idBits / 4 characters, e.g. 4 for 16 bits)
+ * into an idBits / 8 byte Buffer.
  * @param {string} peerID
  * @returns {Buffer}
  */
@@ -49,25 +119,45 @@ function encodePeerID(peerID) {
   return Buffer.from(peerID, "hex");
 }
 
+/**
+ * Encodes a UTF-8 string prefixed with its byte length (big-endian).
+ * @param {string} str
+ * @param {number} lengthBytes - Size of the length prefix: 2 for keys, 4 for values
+ * @returns {Buffer}
+ */
+function encodeString(str, lengthBytes) {
+  const strBuf = Buffer.from(str, "utf8");
+  const lenBuf = Buffer.alloc(lengthBytes);
+  lenBuf.writeUIntBE(strBuf.length, 0, lengthBytes);
+  return Buffer.concat([lenBuf, strBuf]);
+}
+
 /**
  * Creates a header for the kPTP message.
  * Format:
  *   1 byte: Version (set to 18)
  *   1 byte: Message Type (e.g., 2 for Welcome)
  *   1 byte: Number of Peers in the payload
+ *   1 byte: Peer ID Length (in bytes; the network-wide ID width / 8)
  *   2 bytes: Sender Name Length (in bytes)
+ *   4 bytes: Message Length (in bytes, header included)
+ *   4 bytes: Transaction ID (0 until set with setTransactionID)
  * @param {number} messageType
  * @param {number} numPeers
  * @param {string} senderName
+ * @param {number} messageLength - Total length of the message, header included
  * @returns {Buffer}
  */
-function createHeader(messageType, numPeers, senderName) {
-  const header = Buffer.alloc(5);
+function createHeader(messageType, numPeers, senderName, messageLength) {
+  const header = Buffer.alloc(HEADER_LENGTH);
   header.writeUInt8(kPTP_VERSION, 0);
   header.writeUInt8(messageType, 1);
   header.writeUInt8(numPeers, 2);
+  header.writeUInt8(singleton.getIDBits() / 8, 3);
   // Write sender name length as a 2-byte big-endian integer.
-  header.writeUInt16BE(Buffer.byteLength(senderName, "utf8"), 3);
+  header.writeUInt16BE(Buffer.byteLength(senderName, "utf8"), 4);
+  header.writeUInt32BE(messageLength, 6);
+  header.writeUInt32BE(0, 10);
   return header;
 }
 
@@ -76,7 +166,7 @@ function createHeader(messageType, numPeers, senderName) {
  * Each peer entry consists of:
  *   - 4 bytes: IP address
  *   - 2 bytes: Port number
- *   - 2 bytes: Peer ID
+ *   - ID Length bytes: Peer ID (2 bytes for 16-bit IDs)
  * @param {object} peer - { ip, port, peerID }
  * @returns {Buffer}
  */
@@ -90,15 +180,17 @@ function encodePeerInfo(peer) {
 /**
  * Creates a complete kPTP message.
  * Message structure:
- *   Header | (Peer Info repeated for each peer) | Sender Name (UTF8)
+ *   Header | (Peer Info repeated for each peer) | Sender Name (UTF8) | Extra fields
+ * The Message Length in the header covers all of it, so a receiver reading a
+ * TCP stream knows where this message ends and the next one begins.
  * @param {number} messageType - One of MESSAGE_TYPE
  * @param {string} senderName
  * @param {Array} peers - Array of peer objects: { ip, port, peerID }
+ * @param {Array<Buffer>} [extras] - Type-specific fields that follow the sender name
  * @returns {Buffer}
  */
-function createMessage(messageType, senderName, peers) {
+function createMessage(messageType, senderName, peers, extras = []) {
   const numPeers = peers.length;
-  const header = createHeader(messageType, numPeers, senderName);
 
   // Encode peer info blocks
   const peersBuffers = peers.map(encodePeerInfo);
@@ -109,35 +201,211 @@ function createMessage(messageType, senderName, peers) {
   // Encode sender name as UTF8
   const senderNameBuf = Buffer.from(senderName, "utf8");
 
-  return Buffer.concat([header, peersData, senderNameBuf]);
+  const body = Buffer.concat([peersData, senderNameBuf, ...extras]);
+  const header = createHeader(
+    messageType,
+    numPeers,
+    senderName,
+    HEADER_LENGTH + body.length
+  );
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Returns the offset of the Signature field of an encoded Hello, Welcome or Goodbye
+ * message, which follows the peer list, sender name, public key and nonce.
+ * @param {Buffer} message
+ * @returns {number}
+ */
+function getSignatureOffset(message) {
+  const numPeers = message.readUInt8(2);
+  const idLength = message.readUInt8(3);
+  const senderNameLength = message.readUInt16BE(4);
+  return (
+    HEADER_LENGTH +
+    numPeers * (6 + idLength) +
+    senderNameLength +
+    Identity.PUBLIC_KEY_LENGTH +
+    NONCE_LENGTH
+  );
+}
+
+/**
+ * Returns the bytes a Hello, Welcome or Goodbye signature covers: the whole message with
+ * its Transaction ID and Signature fields zeroed. The Transaction ID is left
+ * out because it is set after the message is signed (see setTransactionID).
+ * On an encrypted connection the connection's channel binding follows (see
+ * SecureChannel.js); it is not sent, since each end computes its own.
+ * @param {Buffer} message
+ * @param {number} signatureOffset
+ * @param {Buffer} [channelBinding]
+ * @returns {Buffer}
+ */
+function getSignedBytes(message, signatureOffset, channelBinding) {
+  const signed = Buffer.from(message);
+  signed.fill(0, 10, HEADER_LENGTH);
+  signed.fill(0, signatureOffset, signatureOffset + Identity.SIGNATURE_LENGTH);
+  return channelBinding ? Buffer.concat([signed, channelBinding]) : signed;
+}
+
+/**
+ * Signs an encoded Hello, Welcome or Goodbye message in place, filling its Signature field.
+ * @param {Buffer} message
+ * @param {Identity} identity - The sender's identity; must own the message's public key
+ * @param {Buffer} [channelBinding] - Binding of the encrypted connection the
+ *                                    message is sent on, if any
+ * @returns {Buffer} The same message
+ */
+function signMessage(message, identity, channelBinding) {
+  const signatureOffset = getSignatureOffset(message);
+  identity
+    .sign(getSignedBytes(message, signatureOffset, channelBinding))
+    .copy(message, signatureOffset);
+  return message;
+}
+
+/**
+ * Creates a signed Hello, Welcome or Goodbye message. The sender's identity follows the
+ * sender name:
+ *   32 bytes: Ed25519 public key (the sender's peer ID is derived from it)
+ *   16 bytes: Nonce
+ *   64 bytes: Signature over the message (see getSignedBytes)
+ * @param {number} messageType - MESSAGE_TYPE.HELLO, MESSAGE_TYPE.WELCOME or MESSAGE_TYPE.GOODBYE
+ * @param {string} senderName
+ * @param {Array} peers - Array of peer objects: { ip, port, peerID }
+ * @param {Identity} identity - The sender's identity
+ * @param {Buffer} nonce - 16 bytes
+ * @param {Array<Buffer>} [extras] - Fields that follow the identity
+ * @returns {Buffer}
+ */
+function createSignedMessage(
+  messageType,
+  senderName,
+  peers,
+  identity,
+  nonce,
+  extras = []
+) {
+  const message = createMessage(messageType, senderName, peers, [
+    identity.publicKey,
+    nonce,
+    Buffer.alloc(Identity.SIGNATURE_LENGTH),
+    ...extras,
+  ]);
+  return signMessage(message, identity);
+}
+
+/**
+ * DecodeError class describes why a received buffer is not a valid kPTP message.
+ * The code (one of ERROR_CODE) can be sent back to the sender in an Error message.
+ */
+class DecodeError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODE
+   * @param {string} message - Human-readable detail
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "DecodeError";
+    this.code = code;
+  }
+}
+
+/**
+ * StreamDecoder class reassembles kPTP messages from a TCP byte stream.
+ * A single read may hold part of a message or several messages; push() buffers
+ * partial reads and returns each message once all of its bytes have arrived.
+ */
+class StreamDecoder {
+  constructor() {
+    this.buffered = Buffer.alloc(0);
+  }
+
+  /**
+   * Adds a chunk read from the stream.
+   *
+   * @param {Buffer} chunk
+   * @returns {Array<Buffer>} The complete messages now available, in order
+   *                          (each can be passed to decodeMessage)
+   */
+  push(chunk) {
+    this.buffered = Buffer.concat([this.buffered, chunk]);
+    const messages = [];
+    while (this.buffered.length >= HEADER_LENGTH) {
+      const messageLength = this.buffered.readUInt32BE(6);
+      if (messageLength < HEADER_LENGTH || messageLength > MAX_MESSAGE_LENGTH) {
+        throw new DecodeError(
+          ERROR_CODE.BAD_LENGTH,
+          `Invalid message length ${messageLength}`
+        );
+      }
+      if (this.buffered.length < messageLength) {
+        break; // Wait for the rest of the message
+      }
+      messages.push(this.buffered.slice(0, messageLength));
+      this.buffered = this.buffered.slice(messageLength);
+    }
+    return messages;
+  }
 }
 
 // Exported functions for different message types:
 module.exports = {
+  MESSAGE_TYPE,
+  RESPONSE_TYPE,
+  SIGNED_TYPES,
+  ERROR_CODE,
+  HEADER_LENGTH,
+  MAX_MESSAGE_LENGTH,
+  NONCE_LENGTH,
+  MAX_PEERS,
+  ROUTING_TABLE_PAGE_SIZE,
+  DecodeError,
+  StreamDecoder,
+  signMessage,
+
   /**
-   * Creates a Welcome message (Message Type 2).
+   * Creates a signed Welcome message (Message Type 2).
+   * The nonce is the one from the Hello being answered, so the Hello's sender
+   * knows the signature was made for it and is not a replay.
    * @param {string} senderName
    * @param {Array} peers - Array of known peers ({ ip, port, peerID })
+   * @param {Identity} identity - The sender's identity
+   * @param {Buffer} nonce - The 16-byte nonce of the Hello being answered
    * @returns {Buffer}
    */
-  createWelcomeMessage: function (senderName, peers) {
-    return createMessage(MESSAGE_TYPE.WELCOME, senderName, peers);
+  createWelcomeMessage: function (senderName, peers, identity, nonce) {
+    return createSignedMessage(
+      MESSAGE_TYPE.WELCOME,
+      senderName,
+      peers,
+      identity,
+      nonce
+    );
   },
 
   /**
-   * Creates a Hello message (Message Type 4).
+   * Creates a signed Hello message (Message Type 4).
    * @param {string} senderName
    * @param {Array} peers - Array of known peers ({ ip, port, peerID })
+   * @param {Object} selfInfo - The sender's listening address and peer ID
+   * @param {Identity} identity - The sender's identity
+   * @param {Buffer} nonce - 16 fresh random bytes
    * @returns {Buffer}
    */
-  createHelloMessage: function (senderName, peers, selfInfo) {
-    // Build the base message as before
-    const baseMessage = createMessage(MESSAGE_TYPE.HELLO, senderName, peers);
+  createHelloMessage: function (senderName, peers, selfInfo, identity, nonce) {
     // Convert selfInfo (an object containing the correct listening IP and port) into a JSON string,
     // then into a Buffer.
     const selfInfoBuf = Buffer.from(JSON.stringify(selfInfo), "utf8");
-    // Append selfInfo to the base message.
-    return Buffer.concat([baseMessage, selfInfoBuf]);
+    // Append selfInfo after the identity; the Message Length marks where it ends.
+    return createSignedMessage(
+      MESSAGE_TYPE.HELLO,
+      senderName,
+      peers,
+      identity,
+      nonce,
+      [selfInfoBuf]
+    );
   },
 
   /**
@@ -190,18 +458,406 @@ module.exports = {
   },
 
   /**
-   * Decodes a received kPTP message.
+   * Creates a Find Node message (Message Type 10).
+   * The sender's own info is included as a single peer entry so the receiver
+   * can add it to its routing table, and the target ID follows the sender name.
+   * @param {string} senderName
+   * @param {string} senderIP
+   * @param {number|string} senderPort
+   * @param {string} senderPeerID
+   * @param {string} targetID - The peer ID being looked up
+   * @returns {Buffer}
+   */
+  createFindNodeMessage: function (
+    senderName,
+    senderIP,
+    senderPort,
+    senderPeerID,
+    targetID
+  ) {
+    const peers = [
+      {
+        ip: senderIP,
+        port: senderPort,
+        peerID: senderPeerID,
+      },
+    ];
+    return createMessage(MESSAGE_TYPE.FIND_NODE, senderName, peers, [
+      encodePeerID(targetID),
+    ]);
+  },
+
+  /**
+   * Creates a Find Node Response message (Message Type 12).
+   * @param {string} senderName
+   * @param {Array} peers - The closest known peers to the requested target ({ ip, port, peerID })
+   * @returns {Buffer}
+   */
+  createFindNodeResponse: function (senderName, peers) {
+    return createMessage(MESSAGE_TYPE.FIND_NODE_RESPONSE, senderName, peers);
+  },
+
+  /**
+   * Creates a Store message (Message Type 14).
+   * The sender's own info is included as a single peer entry, followed after the
+   * sender name by the key (2-byte length + UTF-8) and value (4-byte length + UTF-8).
+   * @param {string} senderName
+   * @param {string} senderIP
+   * @param {number|string} senderPort
+   * @param {string} senderPeerID
+   * @param {string} key
+   * @param {string} value
+   * @returns {Buffer}
+   */
+  createStoreMessage: function (
+    senderName,
+    senderIP,
+    senderPort,
+    senderPeerID,
+    key,
+    value
+  ) {
+    const peers = [
+      {
+        ip: senderIP,
+        port: senderPort,
+        peerID: senderPeerID,
+      },
+    ];
+    return createMessage(MESSAGE_TYPE.STORE, senderName, peers, [
+      encodeString(key, 2),
+      encodeString(value, 4),
+    ]);
+  },
+
+  /**
+   * Creates a Find Value message (Message Type 16).
+   * The sender's own info is included as a single peer entry, followed after the
+   * sender name by the requested key (2-byte length + UTF-8).
+   * @param {string} senderName
+   * @param {string} senderIP
+   * @param {number|string} senderPort
+   * @param {string} senderPeerID
+   * @param {string} key
+   * @returns {Buffer}
+   */
+  createFindValueMessage: function (
+    senderName,
+    senderIP,
+    senderPort,
+    senderPeerID,
+    key
+  ) {
+    const peers = [
+      {
+        ip: senderIP,
+        port: senderPort,
+        peerID: senderPeerID,
+      },
+    ];
+    return createMessage(MESSAGE_TYPE.FIND_VALUE, senderName, peers, [
+      encodeString(key, 2),
+    ]);
+  },
+
+  /**
+   * Creates a Find Value Response message (Message Type 18).
+   * If the value is known it is returned with an empty peer list; otherwise the
+   * closest known peers to the key are returned instead, as in Find Node.
+   * After the sender name: key (2-byte length + UTF-8), 1-byte found flag and,
+   * when found, the value (4-byte length + UTF-8).
+   * @param {string} senderName
+   * @param {string} key
+   * @param {string|null} value - The stored value, or null if not held by the sender
+   * @param {Array} peers - The closest known peers to the key ({ ip, port, peerID })
+   * @returns {Buffer}
+   */
+  createFindValueResponse: function (senderName, key, value, peers) {
+    const found = value !== null && value !== undefined;
+    const extras = [encodeString(key, 2), Buffer.from([found ? 1 : 0])];
+    if (found) {
+      extras.push(encodeString(value, 4));
+    }
+    return createMessage(
+      MESSAGE_TYPE.FIND_VALUE_RESPONSE,
+      senderName,
+      found ? [] : peers,
+      extras
+    );
+  },
+
+  /**
+   * Sets the Transaction ID of an encoded message. A request carries an ID
+   * chosen by its sender, and the response (or Error message) to it carries
+   * the same ID, so the sender can tell which request it answers.
+   * @param {Buffer} message - An encoded message; changed in place
+   * @param {number} transactionID - 32-bit unsigned ID
+   * @returns {Buffer} The same message
+   */
+  setTransactionID: function (message, transactionID) {
+    message.writeUInt32BE(transactionID >>> 0, 10);
+    return message;
+  },
+
+  /**
+   * Creates an Error message (Message Type 20), sent in reply to a message the
+   * receiver could not decode or will not accept.
+   * After the sender name: code (2-byte length + UTF-8) and description
+   * (2-byte length + UTF-8).
+   * @param {string} senderName
+   * @param {string} code - One of ERROR_CODE
+   * @param {string} description - Human-readable detail
+   * @returns {Buffer}
+   */
+  createErrorMessage: function (senderName, code, description) {
+    return createMessage(
+      MESSAGE_TYPE.ERROR,
+      senderName,
+      [],
+      [encodeString(code, 2), encodeString(description, 2)]
+    );
+  },
+
+  /**
+   * Creates a Key Exchange message (Message Type 22), the first message each
+   * end of an encrypted connection sends (see SecureChannel.js). It is never
+   * encrypted itself. After the sender name: 32-byte X25519 public key.
+   * @param {string} senderName
+   * @param {Buffer} exchangeKey - Raw X25519 public key
+   * @returns {Buffer}
+   */
+  createKeyExchangeMessage: function (senderName, exchangeKey) {
+    return createMessage(
+      MESSAGE_TYPE.KEY_EXCHANGE,
+      senderName,
+      [],
+      [exchangeKey]
+    );
+  },
+
+  /**
+   * Creates a signed Goodbye message (Message Type 24), which a peer sends to
+   * every peer in its routing table when it shuts down. The sender's own info
+   * is included as a single peer entry, and it is signed like a Hello so no
+   * other peer can make it leave anyone's routing table.
+   * @param {string} senderName
+   * @param {string} senderIP
+   * @param {number|string} senderPort
+   * @param {string} senderPeerID
+   * @param {Identity} identity - The sender's identity
+   * @param {Buffer} nonce - 16 fresh random bytes
+   * @returns {Buffer}
+   */
+  createGoodbyeMessage: function (
+    senderName,
+    senderIP,
+    senderPort,
+    senderPeerID,
+    identity,
+    nonce
+  ) {
+    const peers = [
+      {
+        ip: senderIP,
+        port: senderPort,
+        peerID: senderPeerID,
+      },
+    ];
+    return createSignedMessage(
+      MESSAGE_TYPE.GOODBYE,
+      senderName,
+      peers,
+      identity,
+      nonce
+    );
+  },
+
+  /**
+   * Creates a Probe message (Message Type 26), asking the receiver to check
+   * whether another peer is alive on the sender's behalf (an indirect probe).
+   * The sender's own info is the first peer entry and the peer to check the second.
+   * @param {string} senderName
+   * @param {string} senderIP
+   * @param {number|string} senderPort
+   * @param {string} senderPeerID
+   * @param {Object} target - The peer to check { ip, port, peerID }
+   * @returns {Buffer}
+   */
+  createProbeMessage: function (
+    senderName,
+    senderIP,
+    senderPort,
+    senderPeerID,
+    target
+  ) {
+    const peers = [
+      {
+        ip: senderIP,
+        port: senderPort,
+        peerID: senderPeerID,
+      },
+      target,
+    ];
+    return createMessage(MESSAGE_TYPE.PROBE, senderName, peers);
+  },
+
+  /**
+   * Creates a Probe Response message (Message Type 28).
+   * The checked peer is the single peer entry, and a 1-byte alive flag follows
+   * the sender name.
+   * @param {string} senderName
+   * @param {Object} target - The peer that was checked { ip, port, peerID }
+   * @param {boolean} alive - Whether it answered the sender's heartbeat
+   * @returns {Buffer}
+   */
+  createProbeResponse: function (senderName, target, alive) {
+    return createMessage(
+      MESSAGE_TYPE.PROBE_RESPONSE,
+      senderName,
+      [target],
+      [Buffer.from([alive ? 1 : 0])]
+    );
+  },
+
+  /**
+   * Creates a Routing Table message (Message Type 30), asking the receiver for
+   * the entries of its routing table, e.g. for a crawler mapping the network.
+   * It carries no peer entries: its sender need not be a peer.
+   * After the sender name: 2-byte index of the first entry wanted, counting
+   * the entries of every bucket in bucket order.
+   * @param {string} senderName
+   * @param {number} [start=0]
+   * @returns {Buffer}
+   */
+  createRoutingTableMessage: function (senderName, start = 0) {
+    const startBuf = Buffer.alloc(2);
+    startBuf.writeUInt16BE(start, 0);
+    return createMessage(
+      MESSAGE_TYPE.ROUTING_TABLE,
+      senderName,
+      [],
+      [startBuf]
+    );
+  },
+
+  /**
+   * Creates a Routing Table Response message (Message Type 32). The sender's
+   * own info is the first peer entry, followed by up to ROUTING_TABLE_PAGE_SIZE
+   * entries of its routing table from the requested index on. After the sender
+   * name: 2-byte bucket size (k), 2-byte number of entries in the whole table
+   * and 2-byte index of the first entry listed, so the requester knows whether
+   * to ask for the next page.
+   * @param {string} senderName
+   * @param {Object} sender - The sender's own info { ip, port, peerID }
+   * @param {Array} entries - The listed entries { ip, port, peerID }
+   * @param {Object} table - { bucketSize, total, start }
+   * @returns {Buffer}
+   */
+  createRoutingTableResponse: function (senderName, sender, entries, table) {
+    const fields = Buffer.alloc(6);
+    fields.writeUInt16BE(table.bucketSize, 0);
+    fields.writeUInt16BE(table.total, 2);
+    fields.writeUInt16BE(table.start, 4);
+    return createMessage(
+      MESSAGE_TYPE.ROUTING_TABLE_RESPONSE,
+      senderName,
+      [sender, ...entries],
+      [fields]
+    );
+  },
+
+  /**
+   * Decodes one complete kPTP message (use StreamDecoder to split a TCP stream
+   * into messages), checking every field against the bytes actually present.
    * Returns an object containing:
-   *  - version, messageType, numPeers, senderName, and an array of peer info objects.
-   * @param {Buffer} buffer
+   *  - version, messageType, numPeers, idBits, transactionID, senderName, and an array of peer info objects.
+   *  - targetID for Find Node messages.
+   *  - key for Store/Find Value messages, and value for Store messages and
+   *    Find Value Responses that found it.
+   *  - publicKey and nonce (hex) for Hello, Welcome and Goodbye messages, whose
+   *    signature has been verified.
+   *  - selfInfo for Hello messages that carry it.
+   *  - error { code, description } for Error messages.
+   *  - exchangeKey (hex) for Key Exchange messages.
+   *  - alive for Probe Responses.
+   *  - start for Routing Table messages, and bucketSize, total and start for
+   *    Routing Table Responses.
+   * @param {Buffer} message
+   * @param {Object} [options]
+   * @param {Buffer} [options.channelBinding] - Binding of the encrypted
+   *                                            connection the message arrived
+   *                                            on, which a signature must cover
+   *                                            (see getSignedBytes)
    * @returns {object}
+   * @throws {DecodeError} If the message is malformed
    */
-  decodeMessage: function (buffer) {
+  decodeMessage: function (message, options = {}) {
+    if (message.length < HEADER_LENGTH) {
+      throw new DecodeError(
+        ERROR_CODE.TRUNCATED_HEADER,
+        `Message is ${message.length} bytes; the header alone is ${HEADER_LENGTH}`
+      );
+    }
+    const messageLength = message.readUInt32BE(6);
+    if (messageLength < HEADER_LENGTH || messageLength > message.length) {
+      throw new DecodeError(
+        ERROR_CODE.BAD_LENGTH,
+        `Message Length ${messageLength} does not fit a ${message.length}-byte message`
+      );
+    }
+    // Ignore anything past the Message Length, so no field (in particular the
+    // trailing selfInfo JSON) can run into the next message
+    const buffer = message.slice(0, messageLength);
     const version = buffer.readUInt8(0);
+    if (version !== kPTP_VERSION) {
+      throw new DecodeError(
+        ERROR_CODE.UNSUPPORTED_VERSION,
+        `Version ${version} is not supported; expected ${kPTP_VERSION}`
+      );
+    }
     const messageType = buffer.readUInt8(1);
+    if (!Object.values(MESSAGE_TYPE).includes(messageType)) {
+      throw new DecodeError(
+        ERROR_CODE.UNKNOWN_TYPE,
+        `Unknown message type ${messageType}`
+      );
+    }
     const numPeers = buffer.readUInt8(2);
-    const senderNameLength = buffer.readUInt16BE(3);
-    let offset = 5;
+    const idLength = buffer.readUInt8(3);
+    if (!singleton.ID_BITS_OPTIONS.includes(idLength * 8)) {
+      throw new DecodeError(
+        ERROR_CODE.BAD_ID_LENGTH,
+        `ID Length ${idLength} bytes is not a supported ID width`
+      );
+    }
+    const senderNameLength = buffer.readUInt16BE(4);
+    const transactionID = buffer.readUInt32BE(10);
+    let offset = HEADER_LENGTH;
+
+    // Throws if fewer than `length` bytes remain at the current offset
+    const need = (length, code, field) => {
+      if (offset + length > buffer.length) {
+        throw new DecodeError(
+          code,
+          `${field} needs ${length} bytes at offset ${offset}, but the message ends at ${buffer.length}`
+        );
+      }
+    };
+    const readString = (lengthBytes, field) => {
+      need(lengthBytes, ERROR_CODE.TRUNCATED_FIELD, `${field} length`);
+      const length = buffer.readUIntBE(offset, lengthBytes);
+      offset += lengthBytes;
+      need(length, ERROR_CODE.TRUNCATED_FIELD, field);
+      const str = buffer.slice(offset, offset + length).toString("utf8");
+      offset += length;
+      return str;
+    };
+
+    need(
+      numPeers * (6 + idLength),
+      ERROR_CODE.TRUNCATED_PEER_LIST,
+      `Peer list of ${numPeers} peers`
+    );
     const peers = [];
     for (let i = 0; i < numPeers; i++) {
       const ipBuf = buffer.slice(offset, offset + 4);
@@ -209,30 +865,220 @@ module.exports = {
       offset += 4;
       const port = buffer.readUInt16BE(offset);
       offset += 2;
-      const peerID = buffer.slice(offset, offset + 2).toString("hex");
-      offset += 2;
+      const peerID = buffer.slice(offset, offset + idLength).toString("hex");
+      offset += idLength;
       peers.push({ ip, port, peerID });
     }
+    need(senderNameLength, ERROR_CODE.NAME_LENGTH_OVERFLOW, "Sender name");
     const senderName = buffer
       .slice(offset, offset + senderNameLength)
       .toString("utf8");
     offset += senderNameLength;
+    // Hello, Welcome and Goodbye messages carry the sender's signed identity.
+    let publicKey = null;
+    let nonce = null;
+    let signatureOffset = null;
+    if (SIGNED_TYPES.includes(messageType)) {
+      need(IDENTITY_LENGTH, ERROR_CODE.TRUNCATED_FIELD, "Identity");
+      publicKey = buffer.slice(offset, offset + Identity.PUBLIC_KEY_LENGTH);
+      offset += Identity.PUBLIC_KEY_LENGTH;
+      nonce = buffer.slice(offset, offset + NONCE_LENGTH);
+      offset += NONCE_LENGTH;
+      signatureOffset = offset;
+      offset += Identity.SIGNATURE_LENGTH;
+    }
+    // Find Node messages carry the target ID right after the sender name.
+    let targetID = null;
+    if (messageType === MESSAGE_TYPE.FIND_NODE) {
+      need(idLength, ERROR_CODE.TRUNCATED_FIELD, "Target ID");
+      targetID = buffer.slice(offset, offset + idLength).toString("hex");
+      offset += idLength;
+    }
+    // Store and Find Value messages carry a length-prefixed key (and possibly a value).
+    let key = null;
+    let value = null;
+    if (
+      messageType === MESSAGE_TYPE.STORE ||
+      messageType === MESSAGE_TYPE.FIND_VALUE ||
+      messageType === MESSAGE_TYPE.FIND_VALUE_RESPONSE
+    ) {
+      key = readString(2, "Key");
+      // Store always has a value; a Find Value Response has one only if found.
+      let hasValue = messageType === MESSAGE_TYPE.STORE;
+      if (messageType === MESSAGE_TYPE.FIND_VALUE_RESPONSE) {
+        need(1, ERROR_CODE.TRUNCATED_FIELD, "Found flag");
+        const found = buffer.readUInt8(offset);
+        if (found > 1) {
+          throw new DecodeError(
+            ERROR_CODE.BAD_FIELD,
+            `Found flag is ${found}; expected 0 or 1`
+          );
+        }
+        hasValue = found === 1;
+        offset += 1;
+      }
+      if (hasValue) {
+        value = readString(4, "Value");
+      }
+    }
+    // Key Exchange messages carry an X25519 public key.
+    let exchangeKey = null;
+    if (messageType === MESSAGE_TYPE.KEY_EXCHANGE) {
+      need(EXCHANGE_KEY_LENGTH, ERROR_CODE.TRUNCATED_FIELD, "Exchange key");
+      exchangeKey = buffer
+        .slice(offset, offset + EXCHANGE_KEY_LENGTH)
+        .toString("hex");
+      offset += EXCHANGE_KEY_LENGTH;
+    }
+    // Probe Responses carry a flag telling whether the probed peer answered.
+    let alive = null;
+    if (messageType === MESSAGE_TYPE.PROBE_RESPONSE) {
+      need(1, ERROR_CODE.TRUNCATED_FIELD, "Alive flag");
+      const flag = buffer.readUInt8(offset);
+      if (flag > 1) {
+        throw new DecodeError(
+          ERROR_CODE.BAD_FIELD,
+          `Alive flag is ${flag}; expected 0 or 1`
+        );
+      }
+      alive = flag === 1;
+      offset += 1;
+    }
+    // Routing Table messages carry the index of the first entry wanted, and
+    // their responses the bucket size, table size and index of the first entry.
+    let start = null;
+    let bucketSize = null;
+    let total = null;
+    if (messageType === MESSAGE_TYPE.ROUTING_TABLE) {
+      need(2, ERROR_CODE.TRUNCATED_FIELD, "Start index");
+      start = buffer.readUInt16BE(offset);
+      offset += 2;
+    }
+    if (messageType === MESSAGE_TYPE.ROUTING_TABLE_RESPONSE) {
+      need(6, ERROR_CODE.TRUNCATED_FIELD, "Routing table fields");
+      bucketSize = buffer.readUInt16BE(offset);
+      total = buffer.readUInt16BE(offset + 2);
+      start = buffer.readUInt16BE(offset + 4);
+      offset += 6;
+      if (numPeers === 0) {
+        throw new DecodeError(
+          ERROR_CODE.BAD_FIELD,
+          "Routing Table Response does not list its sender"
+        );
+      }
+      if (start + numPeers - 1 > total) {
+        throw new DecodeError(
+          ERROR_CODE.BAD_FIELD,
+          `Entries ${start} to ${
+            start + numPeers - 2
+          } do not fit a table of ${total}`
+        );
+      }
+    }
+    // Error messages carry a code and a description.
+    let error = null;
+    if (messageType === MESSAGE_TYPE.ERROR) {
+      error = {
+        code: readString(2, "Error code"),
+        description: readString(2, "Error description"),
+      };
+    }
+    // Only Hello messages may carry a trailer: the sender's selfInfo as a JSON
+    // object with a dotted IPv4 address, a port and a peer ID as wide as this
+    // message's (the receiving peer checks that width against its own).
     let selfInfo = null;
     if (offset < buffer.length) {
+      if (messageType !== MESSAGE_TYPE.HELLO) {
+        throw new DecodeError(
+          ERROR_CODE.BAD_TRAILER,
+          `${
+            buffer.length - offset
+          } unexpected bytes after a type ${messageType} message`
+        );
+      }
       try {
-        const extraPayload = buffer.slice(offset).toString("utf8");
-        selfInfo = JSON.parse(extraPayload);
+        selfInfo = JSON.parse(buffer.slice(offset).toString("utf8"));
       } catch (e) {
-        console.error("Failed to parse extra payload as JSON:", e);
+        throw new DecodeError(
+          ERROR_CODE.BAD_TRAILER,
+          `selfInfo is not valid JSON: ${e.message}`
+        );
+      }
+      if (
+        selfInfo === null ||
+        typeof selfInfo !== "object" ||
+        Array.isArray(selfInfo)
+      ) {
+        throw new DecodeError(
+          ERROR_CODE.BAD_TRAILER,
+          "selfInfo is not a JSON object"
+        );
+      }
+      const { ip, port, peerID } = selfInfo;
+      if (
+        typeof ip !== "string" ||
+        !/^\d{1,3}(\.\d{1,3}){3}$/.test(ip) ||
+        ip.split(".").some((octet) => Number(octet) > 255)
+      ) {
+        throw new DecodeError(
+          ERROR_CODE.BAD_TRAILER,
+          `selfInfo IP ${JSON.stringify(ip)} is not a dotted IPv4 address`
+        );
       }
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new DecodeError(
+          ERROR_CODE.BAD_TRAILER,
+          `selfInfo port ${JSON.stringify(port)} is not between 1 and 65535`
+        );
+      }
+      if (
+        typeof peerID !== "string" ||
+        !new RegExp(`^[0-9a-f]{${idLength * 2}}$`).test(peerID)
+      ) {
+        throw new DecodeError(
+          ERROR_CODE.BAD_TRAILER,
+          `selfInfo peer ID ${JSON.stringify(peerID)} is not ${
+            idLength * 2
+          } hex digits`
+        );
+      }
+    }
+    if (
+      signatureOffset !== null &&
+      !Identity.verify(
+        publicKey,
+        getSignedBytes(buffer, signatureOffset, options.channelBinding),
+        buffer.slice(
+          signatureOffset,
+          signatureOffset + Identity.SIGNATURE_LENGTH
+        )
+      )
+    ) {
+      throw new DecodeError(
+        ERROR_CODE.BAD_SIGNATURE,
+        "Signature does not verify against the sender's public key"
+      );
     }
     return {
       version,
       messageType,
       numPeers,
+      idBits: idLength * 8,
+      transactionID,
       senderName,
       peers,
+      publicKey: publicKey && publicKey.toString("hex"),
+      nonce: nonce && nonce.toString("hex"),
       selfInfo,
+      targetID,
+      key,
+      value,
+      error,
+      exchangeKey,
+      alive,
+      start,
+      bucketSize,
+      total,
     };
   },
 };
@@ -0,0 +1,167 @@
+/**
+ * simulate.js
+ *
+ * This script runs a DHT scenario in the in-process simulator (see Simulator.js)
+ * and prints a JSON summary. Scenarios:
+ *  - join: grow the network and measure routing table fill and lookup success
+ *  - churn: crash a fraction of the peers and measure how the tables recover
+ *  - eviction: crash one peer and measure how long until no table lists it
+ *
+ * Usage: node simulate.js [--scenario join|churn|eviction] [--peers 200]
+ *                         [--seed 1] [--k 1] [--churn 0.2] [--verbose]
+ */
+
+const { Simulator } = require("./Simulator");
+
+// ------------------------------
+// Parse command-line arguments
+// ------------------------------
+const args = process.argv.slice(2);
+const options = {
+  scenario: "join",
+  peers: 200,
+  seed: 1,
+  k: 1,
+  churn: 0.2,
+  verbose: false,
+};
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--verbose") {
+    options.verbose = true;
+  } else if (args[i] === "--scenario" && i + 1 < args.length) {
+    options.scenario = args[++i];
+  } else if (
+    ["--peers", "--seed", "--k", "--churn"].includes(args[i]) &&
+    i + 1 < args.length
+  ) {
+    options[args[i].slice(2)] = Number(args[++i]);
+  }
+}
+
+// Peers log every message they handle; keep the summary readable unless asked
+const print = console.log;
+if (!options.verbose) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+/**
+ * Runs lookups between random pairs of live peers.
+ *
+ * @param {Simulator} sim
+ * @param {number} count - Number of lookups to run
+ * @returns {Promise<Object>} { lookups, found } where found counts lookups whose
+ *                            closest result was the target itself
+ */
+async function measureLookups(sim, count) {
+  let found = 0;
+  for (let i = 0; i < count; i++) {
+    const source = sim.pick(sim.livePeers());
+    const target = sim.pick(sim.livePeers());
+    const result = await sim.runUntil(source.findNode(target.selfInfo.peerID));
+    if (
+      source === target ||
+      (result[0] && result[0].peerID === target.selfInfo.peerID)
+    ) {
+      found++;
+    }
+  }
+  return { lookups: count, found };
+}
+
+async function runJoin(sim) {
+  await sim.join(options.peers);
+  await sim.run(30000);
+  return Object.assign(sim.stats(), await measureLookups(sim, 20));
+}
+
+async function runChurn(sim) {
+  await sim.join(options.peers);
+  await sim.run(30000);
+  const before = sim.stats();
+  const victims = sim
+    .livePeers()
+    .filter(() => sim.random() < options.churn)
+    .slice(0, options.peers - 1);
+  victims.forEach((peer) => sim.crashPeer(peer));
+  const afterCrash = sim.stats();
+  // A crashed peer is suspected, probed and evicted within a few heartbeat cycles
+  await sim.run(80000);
+  return {
+    before,
+    afterCrash,
+    afterRecovery: Object.assign(sim.stats(), await measureLookups(sim, 20)),
+  };
+}
+
+async function runEviction(sim) {
+  await sim.join(options.peers);
+  await sim.run(30000);
+  // Crash the peer listed in the most routing tables, so the eviction is visible
+  const references = new Map();
+  sim.livePeers().forEach((peer) =>
+    peer.routingTable.kBuckets.flat().forEach((entry) => {
+      references.set(entry.peerID, (references.get(entry.peerID) || 0) + 1);
+    })
+  );
+  const victim = sim
+    .livePeers()
+    .reduce((best, peer) =>
+      (references.get(peer.selfInfo.peerID) || 0) >
+      (references.get(best.selfInfo.peerID) || 0)
+        ? peer
+        : best
+    );
+  sim.crashPeer(victim);
+  const crashedAt = sim.clock.now();
+  const timeline = [];
+  while (sim.stats().staleEntries > 0 && sim.clock.now() - crashedAt < 180000) {
+    await sim.run(5000);
+    timeline.push({
+      elapsed: sim.clock.now() - crashedAt,
+      staleEntries: sim.stats().staleEntries,
+    });
+  }
+  return {
+    victim: victim.selfInfo.peerID,
+    evictedAfter: sim.clock.now() - crashedAt,
+    timeline,
+  };
+}
+
+const scenarios = {
+  join: runJoin,
+  churn: runChurn,
+  eviction: runEviction,
+};
+
+async function main() {
+  const scenario = scenarios[options.scenario];
+  if (!scenario) {
+    print(`Unknown scenario "${options.scenario}".`);
+    process.exit(1);
+  }
+  const sim = new Simulator({ seed: options.seed, bucketSize: options.k });
+  const started = Date.now();
+  const result = await scenario(sim);
+  print(
+    JSON.stringify(
+      {
+        scenario: options.scenario,
+        seed: options.seed,
+        peers: options.peers,
+        k: options.k,
+        result,
+        wallClockMs: Date.now() - started,
+      },
+      null,
+      2
+    )
+  );
+  process.exit(0);
+}
+
+main().catch((err) => {
+  print("Simulation failed:", err);
+  process.exit(1);
+});
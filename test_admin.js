@@ -0,0 +1,351 @@
+/**
+ * test_admin.js
+ *
+ * This script tests the HTTP admin API (see AdminServer.js) against real peers
+ * talking over TCP on 127.0.0.1. It verifies:
+ *  - GET /status describes a peer before and after it joins
+ *  - POST /join joins the network through a given address
+ *  - GET /routing-table, /heartbeat and /connections report the joined peers,
+ *    their failure detector state and the pooled connections, and GET /metrics
+ *    counts their messages in the Prometheus text format
+ *  - POST /ping reaches a peer by ID or address, and reports a dead address
+ *  - POST /lookup runs Find Node and Find Value lookups
+ *  - POST /evict drops a peer from the routing table and its heartbeat state
+ *  - Unknown peers, malformed bodies, malformed and unknown paths and wrong
+ *    methods get error responses with matching status codes
+ *  - Requests naming another host, and POST bodies not sent as JSON, are
+ *    refused
+ *
+ * Usage: node test_admin.js
+ */
+
+const assert = require("assert");
+const http = require("http");
+const net = require("net");
+const Singleton = require("./Singleton");
+const Peer = require("./Peer");
+const AdminServer = require("./AdminServer");
+
+// Peers log every message they handle; only show the test's own output.
+const log = console.log;
+console.log = () => {};
+console.error = () => {};
+
+/**
+ * Sends a request to the admin API and parses its JSON response.
+ *
+ * @param {number} port - The admin server's port
+ * @param {string} method - "GET" or "POST"
+ * @param {string} path - e.g. "/status"
+ * @param {Object|string} [body] - Sent as JSON, or as is if it is a string
+ * @param {Object} [headers] - Headers to send instead of the defaults
+ * @returns {Promise<Object>} { status, headers, body }; body is parsed if it is JSON
+ */
+function call(port, method, path, body, headers = {}) {
+  const data =
+    body === undefined
+      ? ""
+      : typeof body === "string"
+      ? body
+      : JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const request = http.request(
+      {
+        host: "127.0.0.1",
+        port,
+        method,
+        path,
+        agent: false,
+        headers: Object.assign(
+          {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(data),
+          },
+          headers
+        ),
+      },
+      (response) => {
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("end", () => {
+          const text = Buffer.concat(chunks).toString("utf8");
+          resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            body: response.headers["content-type"].startsWith(
+              "application/json"
+            )
+              ? JSON.parse(text)
+              : text,
+          });
+        });
+      }
+    );
+    request.on("error", reject);
+    request.end(data);
+  });
+}
+
+/**
+ * Returns a TCP port nothing is listening on.
+ *
+ * @returns {Promise<number>}
+ */
+function getClosedPort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function runTests() {
+  log("Starting admin API tests for DHT P2P Application\n");
+
+  Singleton.init();
+  Singleton.setIDBits(16);
+  const options = { bucketSize: 4, saveRoutingTable: false, rateLimit: false };
+  const peerA = new Peer(Object.assign({ name: "adminA" }, options));
+  const peerB = new Peer(Object.assign({ name: "adminB" }, options));
+  const peerC = new Peer(Object.assign({ name: "adminC" }, options));
+  const admin = new AdminServer(peerC);
+  const { port } = await admin.listen(0);
+
+  try {
+    // ----- Test 1: Status -----
+    log("Test 1: Status");
+    let response = await call(port, "GET", "/status");
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.apiVersion, 1);
+    assert.strictEqual(response.body.running, false);
+    response = await call(port, "GET", "/routing-table");
+    assert.strictEqual(response.status, 503);
+    assert.strictEqual(response.body.error.code, "NOT_RUNNING");
+    await peerA.start();
+    await peerB.start();
+    await peerC.start();
+    await peerB.join(`127.0.0.1:${peerA.selfInfo.port}`);
+    response = await call(port, "GET", "/status");
+    assert.strictEqual(response.body.running, true);
+    assert.strictEqual(response.body.peerID, peerC.selfInfo.peerID);
+    assert.strictEqual(response.body.port, peerC.selfInfo.port);
+    assert.strictEqual(response.body.idBits, 16);
+    assert.strictEqual(response.body.bucketSize, 4);
+    assert.strictEqual(response.body.peers, 0);
+    log(
+      `Status of ${response.body.name} [${response.body.peerID}] reported.\n`
+    );
+
+    // ----- Test 2: Join -----
+    log("Test 2: Join");
+    response = await call(port, "POST", "/join", {
+      address: `127.0.0.1:${peerA.selfInfo.port}`,
+    });
+    assert.strictEqual(response.status, 200);
+    assert(
+      response.body.peers.some((peer) => peer.peerID === peerB.selfInfo.peerID),
+      "The Welcome did not list peer B"
+    );
+    response = await call(port, "POST", "/join", {
+      address: `127.0.0.1:${await getClosedPort()}`,
+    });
+    assert.strictEqual(response.status, 502);
+    assert.strictEqual(response.body.error.code, "JOIN_FAILED");
+    response = await call(port, "POST", "/join", { address: "nowhere" });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error.code, "BAD_REQUEST");
+    log("Joined through peer A; a dead or malformed address was refused.\n");
+
+    // ----- Test 3: Inspection -----
+    log("Test 3: Inspection");
+    response = await call(port, "GET", "/routing-table");
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.k, 4);
+    const listed = response.body.buckets.flatMap((bucket) =>
+      bucket.peers.map((peer) => peer.peerID)
+    );
+    assert.deepStrictEqual(
+      listed.sort(),
+      [peerA.selfInfo.peerID, peerB.selfInfo.peerID].sort()
+    );
+    response.body.buckets.forEach((bucket) =>
+      assert.strictEqual(
+        bucket.index,
+        peerC.routingTable.getBucketIndex(bucket.peers[0].peerID)
+      )
+    );
+    // Both peers were just heard from, so the cycle skips them and records an arrival
+    peerC.heartbeat.runCycle();
+    response = await call(port, "GET", "/heartbeat");
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.interval, 20000);
+    assert.strictEqual(response.body.peers.length, 2);
+    response.body.peers.forEach((state) => {
+      assert.strictEqual(state.missed, 0);
+      assert.strictEqual(state.suspect, false);
+      assert(state.phi < response.body.threshold, "A live peer is suspect");
+      assert(state.lastHeard !== null, "A joined peer was never heard from");
+    });
+    response = await call(port, "GET", "/connections");
+    assert.strictEqual(response.status, 200);
+    const toA = response.body.connections.find(
+      (connection) => connection.address === `127.0.0.1:${peerA.selfInfo.port}`
+    );
+    assert(toA && toA.connected, "No open connection to peer A");
+    assert.strictEqual(response.body.backoffs.length, 1);
+    // One Welcome from peer A on joining, one from peer B when it was verified
+    const metrics = await call(port, "GET", "/metrics");
+    assert.strictEqual(metrics.status, 200);
+    assert(metrics.headers["content-type"].startsWith("text/plain"));
+    assert(
+      metrics.body.includes(
+        '\ndht_messages_received_total{type="welcome"} 2\n'
+      ),
+      metrics.body
+    );
+    assert(metrics.body.includes("\n# TYPE dht_routing_table_peers gauge\n"));
+    log(
+      `${listed.length} peers in ${response.body.connections.length} connection(s) and 1 backoff reported.\n`
+    );
+
+    // ----- Test 4: Ping -----
+    log("Test 4: Ping");
+    response = await call(port, "POST", "/ping", {
+      peerID: peerB.selfInfo.peerID,
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.alive, true);
+    assert(response.body.rtt >= 0, "No round trip reported");
+    response = await call(port, "POST", "/ping", {
+      address: `127.0.0.1:${peerA.selfInfo.port}`,
+    });
+    assert.strictEqual(response.body.alive, true);
+    response = await call(port, "POST", "/ping", {
+      address: `127.0.0.1:${await getClosedPort()}`,
+    });
+    assert.strictEqual(response.body.alive, false);
+    assert.strictEqual(response.body.rtt, null);
+    const unknownID = ["0000", "ffff"].find(
+      (id) => id !== peerA.selfInfo.peerID && id !== peerB.selfInfo.peerID
+    );
+    response = await call(port, "POST", "/ping", { peerID: unknownID });
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(response.body.error.code, "PEER_NOT_FOUND");
+    response = await call(port, "POST", "/ping", { peerID: "xyz" });
+    assert.strictEqual(response.status, 400);
+    log("Live peers answered pings; a dead address and unknown ID did not.\n");
+
+    // ----- Test 5: Lookup -----
+    log("Test 5: Lookup");
+    response = await call(port, "POST", "/lookup", {
+      targetID: peerB.selfInfo.peerID,
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.peers[0].peerID, peerB.selfInfo.peerID);
+    await peerA.storeValue("colour", "blue");
+    response = await call(port, "POST", "/lookup", { key: "colour" });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.value, "blue");
+    response = await call(port, "POST", "/lookup", { key: "missing" });
+    assert.strictEqual(response.body.value, null);
+    log("Find Node found peer B; Find Value found a stored value.\n");
+
+    // ----- Test 6: Evict -----
+    log("Test 6: Evict");
+    response = await call(port, "POST", "/evict", {
+      peerID: peerB.selfInfo.peerID,
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.evicted.peerID, peerB.selfInfo.peerID);
+    assert(!peerC.routingTable.hasPeer(peerB.selfInfo.peerID));
+    assert.strictEqual(
+      peerC.heartbeat.getPeerState(peerB.selfInfo.peerID),
+      null
+    );
+    response = await call(port, "POST", "/evict", {
+      peerID: peerB.selfInfo.peerID,
+    });
+    assert.strictEqual(response.status, 404);
+    log("Peer B was evicted, and evicting it again was refused.\n");
+
+    // ----- Test 7: Errors -----
+    log("Test 7: Errors");
+    response = await call(port, "POST", "/ping", "{not json");
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error.code, "BAD_JSON");
+    response = await call(port, "POST", "/lookup", "[1, 2]");
+    assert.strictEqual(response.status, 400);
+    response = await call(port, "POST", "/lookup", "x".repeat(70 * 1024));
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual(response.body.error.code, "BODY_TOO_LARGE");
+    response = await call(port, "GET", "/nowhere");
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(response.body.error.code, "NOT_FOUND");
+    response = await call(port, "GET", "//");
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error.code, "BAD_REQUEST");
+    response = await call(port, "GET", "/status");
+    assert.strictEqual(
+      response.status,
+      200,
+      "A malformed path stopped the API"
+    );
+    response = await call(port, "GET", "/evict");
+    assert.strictEqual(response.status, 405);
+    assert.strictEqual(response.headers.allow, "POST");
+    response = await call(port, "POST", "/status");
+    assert.strictEqual(response.status, 405);
+    assert.strictEqual(response.headers.allow, "GET");
+    response = await call(port, "POST", "/evict", "peerID=0000", {
+      "Content-Type": "application/x-www-form-urlencoded",
+    });
+    assert.strictEqual(response.status, 415);
+    assert.strictEqual(response.body.error.code, "UNSUPPORTED_MEDIA_TYPE");
+    response = await call(
+      port,
+      "POST",
+      "/lookup",
+      { targetID: "0000" },
+      {
+        "Content-Type": "text/plain",
+      }
+    );
+    assert.strictEqual(response.status, 415);
+    response = await call(port, "GET", "/status", undefined, {
+      Host: `localhost:${port}`,
+    });
+    assert.strictEqual(response.status, 200);
+    response = await call(port, "GET", "/status", undefined, {
+      Host: `attacker.example:${port}`,
+    });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.error.code, "BAD_HOST");
+    response = await call(
+      port,
+      "POST",
+      "/evict",
+      { peerID: "0000" },
+      {
+        Host: "127.0.0.1",
+      }
+    );
+    assert.strictEqual(response.status, 403);
+    log(
+      "Bad bodies, malformed and unknown paths, wrong methods, other hosts and non-JSON bodies got error responses.\n"
+    );
+  } finally {
+    await admin.close();
+    await Promise.all([peerA.stop(), peerB.stop(), peerC.stop()]);
+  }
+
+  log("All admin API tests passed successfully.");
+}
+
+runTests()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    log("Test failed:", err);
+    process.exit(1);
+  });
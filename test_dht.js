@@ -2,33 +2,89 @@
  * test_dht.js
  *
  * This script automates testing of the DHT P2P application.
- * It spawns the server and client peers, then listens to their output to verify:
+ * It spawns the server and client peers, then listens to the events they log
+ * (as JSON lines, see Logger.js) to verify:
  *  - Server initialization and correct output formatting
  *  - Client connection to the server and processing of Welcome messages
  *  - Heartbeat cycles are initiated by the server
  *  - Unresponsive peers (simulated by killing a client) are removed from the DHT
  *  - Multiple peers connect simultaneously and update the DHT accordingly
+ *  - A peer started on a port that is taken exits with an error naming --port
+ *
+ * The peers run in a temporary directory, so the routing table and ban list
+ * files they save do not land in the repository.
  *
  * Usage: node test_dht.js
  */
 
 const { spawn } = require("child_process");
 const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Working directory of every spawned peer, removed when the test exits
+const WORK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "test_dht_"));
+process.on("exit", () => fs.rmSync(WORK_DIR, { recursive: true, force: true }));
+
+// Every peer logs JSON lines, at debug level, so the tests match on event
+// names and fields rather than on the wording of the text log
+const LOG_ARGS = ["--log-format", "json", "--log-level", "debug"];
+
+// Helper function: spawns a peer and records the events it logs, so an event
+// logged before the test starts waiting for it is not missed
+function spawnPeer(args) {
+  const child = spawn(
+    "node",
+    [path.join(__dirname, "DHTPeer.js")].concat(args, LOG_ARGS),
+    { cwd: WORK_DIR }
+  );
+  child.stdout.setEncoding("utf8");
+  child.stderr.setEncoding("utf8");
+  child.events = [];
+  child.waiters = [];
+  let partial = "";
+  child.stdout.on("data", (data) => {
+    // Uncomment the next line to log all output during testing.
+    // process.stdout.write(data);
+    const lines = (partial + data).split("\n");
+    partial = lines.pop();
+    lines.forEach((line) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        return; // Not a log record
+      }
+      child.events.push(record);
+      child.waiters = child.waiters.filter((waiter) => !waiter(record));
+    });
+  });
+  return child;
+}
 
-// Helper function: waits for a specific substring in the child process stdout
-function waitForOutput(child, substring, timeout = 10000) {
+// Helper function: waits for the child to log an event, optionally one whose
+// record passes a predicate. Events are consumed in order, so waiting for the
+// same event twice waits for two records.
+function waitForEvent(child, event, predicate = () => true, timeout = 10000) {
   return new Promise((resolve, reject) => {
-    let timer = setTimeout(() => {
-      reject(new Error(`Timeout waiting for output: "${substring}"`));
+    const matches = (record) => record.event === event && predicate(record);
+    const index = child.events.findIndex(matches);
+    if (index !== -1) {
+      resolve(child.events.splice(index, 1)[0]);
+      return;
+    }
+    const timer = setTimeout(() => {
+      reject(new Error(`Timeout waiting for event: "${event}"`));
     }, timeout);
-    child.stdout.on("data", (data) => {
-      const text = data.toString();
-      // Uncomment the next line to log all output during testing.
-      // process.stdout.write(text);
-      if (text.includes(substring)) {
-        clearTimeout(timer);
-        resolve(text);
+    child.waiters.push((record) => {
+      if (!matches(record)) {
+        return false;
       }
+      clearTimeout(timer);
+      child.events.splice(child.events.indexOf(record), 1);
+      resolve(record);
+      return true;
     });
   });
 }
@@ -39,49 +95,32 @@ async function runTests() {
   // ----- Test 1: Server Initialization -----
   console.log("Test 1: Server Initialization");
   // Spawn the server process with peer name "server"
-  let server = spawn("node", ["DHTPeer.js", "-n", "server"]);
-  server.stdout.setEncoding("utf8");
-  server.stderr.setEncoding("utf8");
-
-  // Wait for the server's startup output that includes the ephemeral port.
-  let serverOutput = await waitForOutput(server, "This peer address is", 10000);
-  console.log("Server output:\n", serverOutput);
-
-  // Extract ephemeral port using a regular expression.
-  let match = serverOutput.match(/127\.0\.0\.1:(\d+)/);
-  assert(match, "Failed to extract ephemeral port from server output");
-  let serverPort = match[1];
+  let server = spawnPeer(["-n", "server"]);
+
+  // Wait for the server's startup event, which carries the ephemeral port.
+  let started = await waitForEvent(server, "started");
+  console.log("Server output:\n", started.msg);
+  assert.strictEqual(started.peer, "server");
+  assert.strictEqual(started.subsystem, "peer");
+  assert(started.port > 0, "Failed to read ephemeral port from server output");
+  let serverPort = started.port;
   console.log("Extracted server port:", serverPort, "\n");
 
   // ----- Test 2: Client Connection and Welcome Message -----
   console.log("Test 2: Client Connection and Welcome Message");
   // Spawn a client process connecting to the server
-  let client = spawn("node", [
-    "DHTPeer.js",
-    "-n",
-    "peer2",
-    "-p",
-    `127.0.0.1:${serverPort}`,
-  ]);
-  client.stdout.setEncoding("utf8");
-  client.stderr.setEncoding("utf8");
-
-  // Wait for output confirming connection from the client.
-  let clientOutput = await waitForOutput(
-    client,
-    "Connected to target peer",
-    10000
-  );
-  console.log("Client connection output:\n", clientOutput);
+  let client = spawnPeer(["-n", "peer2", "-p", `127.0.0.1:${serverPort}`]);
+
+  // Wait for the event confirming connection from the client.
+  let connected = await waitForEvent(client, "connected");
+  console.log("Client connection output:\n", connected.msg);
+  assert.strictEqual(connected.port, serverPort);
 
   // Verify that the client processes the Welcome message.
-  let welcomeOutput = await waitForOutput(
-    client,
-    "Processing Welcome message",
-    10000
-  );
-  assert(
-    welcomeOutput.includes("Processing Welcome message"),
+  let welcome = await waitForEvent(client, "welcome_received");
+  assert.strictEqual(
+    welcome.from,
+    "server",
     "Welcome message was not processed by the client"
   );
   console.log("Client processed Welcome message successfully.\n");
@@ -89,31 +128,37 @@ async function runTests() {
   // ----- Test 3: Heartbeat Mechanism -----
   console.log("Test 3: Heartbeat Mechanism");
   // Wait for the server to log a heartbeat cycle.
-  let heartbeatOutput = await waitForOutput(
+  let cycle = await waitForEvent(
     server,
-    "Heartbeat cycle at timestamp",
+    "heartbeat_cycle",
+    (record) => record.peers > 0,
     25000
   );
-  assert(
-    heartbeatOutput.includes("Heartbeat cycle at timestamp"),
+  assert.strictEqual(
+    cycle.subsystem,
+    "heartbeat",
     "Heartbeat cycle not detected in server output"
   );
   console.log("Heartbeat cycle detected in server output.\n");
 
   // ----- Test 4: Removal of Unresponsive Peer -----
   console.log("Test 4: Removal of Unresponsive Peer");
-  // Simulate an unresponsive peer by killing the client process.
-  client.kill();
+  // Simulate an unresponsive peer by killing the client process. SIGKILL, since
+  // on SIGTERM the client would leave with a Goodbye instead.
+  client.kill("SIGKILL");
   console.log("Client process killed to simulate unresponsiveness.");
 
   // Wait for the server to log removal of the unresponsive peer.
-  // (The server removes a peer after 3 consecutive missed heartbeats; timeout adjusted accordingly.)
-  let removalOutput = await waitForOutput(server, "Removing peer", 80000);
-  assert(
-    removalOutput.includes("Removing peer"),
-    "Unresponsive peer was not removed as expected"
+  // (With no other peer to probe it through, the server removes it once its
+  // heartbeats fail and phi passes the threshold, within a few cycles.)
+  let clientID = (await waitForEvent(client, "started")).peerID;
+  let removal = await waitForEvent(
+    server,
+    "peer_failed",
+    (record) => record.peerID === clientID,
+    80000
   );
-  console.log("Unresponsive peer removal logged:\n", removalOutput, "\n");
+  console.log("Unresponsive peer removal logged:\n", removal.msg, "\n");
 
   // Kill the server process from Tests 1-4.
   server.kill();
@@ -121,22 +166,12 @@ async function runTests() {
   // ----- Test 5: Multiple Peer Connection and DHT Update -----
   console.log("Test 5: Multiple Peer Connection and DHT Update");
   // Spawn a new server process (for a fresh DHT) with peer name "server2"
-  let server2 = spawn("node", ["DHTPeer.js", "-n", "server2"]);
-  server2.stdout.setEncoding("utf8");
-  server2.stderr.setEncoding("utf8");
-
-  // Wait for the server2 startup output that includes the ephemeral port.
-  let server2Output = await waitForOutput(
-    server2,
-    "This peer address is",
-    10000
-  );
-  console.log("New server output:\n", server2Output);
+  let server2 = spawnPeer(["-n", "server2"]);
 
-  // Extract ephemeral port from server2 output.
-  let match2 = server2Output.match(/127\.0\.0\.1:(\d+)/);
-  assert(match2, "Failed to extract ephemeral port from new server output");
-  let server2Port = match2[1];
+  // Wait for the server2 startup event, which carries the ephemeral port.
+  let started2 = await waitForEvent(server2, "started");
+  console.log("New server output:\n", started2.msg);
+  let server2Port = started2.port;
   console.log("Extracted new server port:", server2Port, "\n");
 
   // Define multiple client names.
@@ -144,29 +179,57 @@ async function runTests() {
 
   // Spawn all clients concurrently, connecting to the new server.
   let clients = multipleClientNames.map((name) =>
-    spawn("node", ["DHTPeer.js", "-n", name, "-p", `127.0.0.1:${server2Port}`])
+    spawnPeer(["-n", name, "-p", `127.0.0.1:${server2Port}`])
   );
-  clients.forEach((client) => {
-    client.stdout.setEncoding("utf8");
-    client.stderr.setEncoding("utf8");
-  });
 
-  // Wait for server2 to log incoming connection messages for each new peer.
+  // Wait for server2 to log a Hello from each new peer.
+  const greeted = [];
   for (let i = 0; i < multipleClientNames.length; i++) {
-    let multiConnOutput = await waitForOutput(
+    let hello = await waitForEvent(
       server2,
-      "Incoming connection from",
+      "hello_received",
+      (record) => multipleClientNames.includes(record.name),
       15000
     );
+    greeted.push(hello.name);
     console.log(
       `Connection log from server2 for one of the peers:\n`,
-      multiConnOutput
+      hello.msg
     );
   }
+  assert.deepStrictEqual(greeted.sort(), multipleClientNames);
 
-  // Optionally, wait for a DHT update log from server2 (e.g., print of the updated Routing Table)
-  let dhtUpdateOutput = await waitForOutput(server2, "Routing Table:", 15000);
-  console.log("Server2 Routing Table update log:\n", dhtUpdateOutput);
+  // Wait for a DHT update log from server2 listing a new peer
+  let dhtUpdate = await waitForEvent(
+    server2,
+    "routing_table",
+    (record) => record.buckets.length > 0,
+    15000
+  );
+  console.log("Server2 Routing Table update log:\n", dhtUpdate.msg, "\n");
+
+  // ----- Test 6: Port in Use -----
+  console.log("Test 6: Port in Use");
+  // Spawn a peer on the port server2 is listening on
+  let busy = spawnPeer(["-n", "busy", "--port", String(server2Port)]);
+  let busyError = "";
+  busy.stderr.on("data", (data) => (busyError += data));
+  let exitCode = await new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error("Timeout waiting for the busy peer to exit")),
+      10000
+    );
+    busy.on("exit", (code) => {
+      clearTimeout(timer);
+      resolve(code);
+    });
+  });
+  assert.strictEqual(exitCode, 1);
+  assert(
+    busyError.startsWith("Error: ") && busyError.includes("(--port)"),
+    `Unexpected error output: ${busyError}`
+  );
+  console.log("Busy port reported:\n", busyError);
 
   // Cleanup: kill all client processes spawned in Test 5.
   clients.forEach((client) => client.kill());
@@ -0,0 +1,219 @@
+/**
+ * test_eclipse.js
+ *
+ * This script mounts eclipse attacks against simulated networks (see Simulator.js)
+ * and checks that routing table admission holds. It verifies:
+ *  - A malicious bootstrap peer whose Welcome lists made-up peers, or real peer
+ *    IDs at its own address, cannot get them into a newcomer's table
+ *  - Sybil peers on one subnet or one IP address take at most the per-bucket
+ *    limit of any bucket, where without limits they take more
+ *  - Long-lived peers keep their place during a Sybil flood
+ *  - Gossip cannot move a known peer to another address
+ *
+ * Usage: node test_eclipse.js
+ */
+
+const assert = require("assert");
+const { Simulator, createRandom } = require("./Simulator");
+
+// Peers log every message they handle; only show the test's own output.
+const log = console.log;
+console.log = () => {};
+console.error = () => {};
+
+const admission = { maxPerIP: 1, maxPerSubnet: 2, subnetBits: 24 };
+
+/**
+ * Builds a network of honest peers, each on its own /24 subnet.
+ *
+ * @param {number} seed
+ * @param {Object} [limits] - Admission limits for every peer (none by default)
+ * @returns {Promise<Object>} { sim, honest }
+ */
+async function buildNetwork(seed, limits) {
+  const sim = new Simulator({ seed, bucketSize: 4 });
+  const honest = [];
+  for (let i = 1; i <= 20; i++) {
+    const bootstrap = honest.length > 0 ? sim.pick(honest) : undefined;
+    honest.push(
+      sim.addPeer(bootstrap, { ip: `10.${i}.0.1`, admission: limits })
+    );
+    await sim.run(500);
+  }
+  await sim.run(20000);
+  return { sim, honest };
+}
+
+/**
+ * Returns every routing table entry of a peer.
+ *
+ * @param {Peer} peer
+ * @returns {Array}
+ */
+function entriesOf(peer) {
+  return peer.routingTable.kBuckets.flat();
+}
+
+/**
+ * Returns the largest number of entries matching a test in any one bucket.
+ *
+ * @param {Peer} peer
+ * @param {Function} test - Called with each entry
+ * @returns {number}
+ */
+function mostPerBucket(peer, test) {
+  return Math.max(
+    ...peer.routingTable.kBuckets.map((bucket) => bucket.filter(test).length)
+  );
+}
+
+/**
+ * Floods a peer with Sybil peers that all join through it.
+ *
+ * @param {Simulator} sim
+ * @param {Peer} victim
+ * @param {number} count - Number of Sybil peers
+ * @param {Function} ipOf - Returns the IP address of Sybil i
+ * @param {Object} [limits] - Admission limits for the Sybils themselves
+ * @returns {Promise<void>}
+ */
+async function flood(sim, victim, count, ipOf, limits) {
+  for (let i = 1; i <= count; i++) {
+    sim.addPeer(victim, { ip: ipOf(i), admission: limits });
+    await sim.run(100);
+  }
+  await sim.run(30000);
+}
+
+async function runTests() {
+  log("Starting eclipse attack tests for DHT P2P Application\n");
+
+  // ----- Test 1: Poisoned Welcome -----
+  log("Test 1: Poisoned Welcome");
+  const { sim, honest } = await buildNetwork(21, admission);
+  const attacker = sim.addPeer(honest[0], { ip: "10.66.0.1", admission });
+  await sim.run(2000);
+  const random = createRandom(99);
+  const honestIDs = new Set(honest.map((peer) => peer.selfInfo.peerID));
+  // Made-up IDs at addresses nobody listens on
+  const fakes = [];
+  while (fakes.length < 30) {
+    const peerID = Math.floor(random() * 65536)
+      .toString(16)
+      .padStart(4, "0");
+    if (!honestIDs.has(peerID)) {
+      fakes.push({ ip: `10.66.1.${fakes.length + 1}`, port: 4000, peerID });
+    }
+  }
+  // Real IDs at the attacker's own address
+  const hijacks = honest.slice(0, 5).map((peer) => ({
+    ip: attacker.ip,
+    port: attacker.selfInfo.port,
+    peerID: peer.selfInfo.peerID,
+  }));
+  // And a few genuine entries, so the Welcome looks plausible
+  const genuine = honest.slice(5, 8).map((peer) => ({
+    ip: peer.ip,
+    port: peer.selfInfo.port,
+    peerID: peer.selfInfo.peerID,
+  }));
+  attacker.getAllPeersArray = () => [...fakes, ...hijacks, ...genuine];
+  const newcomer = sim.addPeer(attacker, { ip: "10.200.0.1", admission });
+  await sim.run(30000);
+  const fakeIDs = new Set(fakes.map((peer) => peer.peerID));
+  const admitted = entriesOf(newcomer);
+  assert(
+    !admitted.some((entry) => fakeIDs.has(entry.peerID)),
+    "A made-up peer entered the newcomer's table"
+  );
+  // The attacker itself is in the table under its own ID, since it welcomed us
+  assert(
+    !admitted.some(
+      (entry) =>
+        entry.ip === attacker.ip && entry.peerID !== attacker.selfInfo.peerID
+    ),
+    "A real peer ID was admitted at the attacker's address"
+  );
+  assert(
+    genuine.every((peer) => newcomer.routingTable.hasPeer(peer.peerID)),
+    "Genuine peers from the Welcome were not admitted"
+  );
+  log(
+    `Welcome listed ${fakes.length} made-up and ${hijacks.length} hijacked entries; none were admitted, all ${genuine.length} genuine ones were.\n`
+  );
+
+  // ----- Test 2: Sybil Flood from One Subnet -----
+  log("Test 2: Sybil Flood from One Subnet");
+  const isSybil = (entry) => entry.ip.startsWith("10.66.0.");
+  const unlimited = await buildNetwork(22);
+  await flood(unlimited.sim, unlimited.honest[0], 60, (i) => `10.66.0.${i}`);
+  const withoutLimits = mostPerBucket(unlimited.honest[0], isSybil);
+  assert(
+    withoutLimits > admission.maxPerSubnet,
+    `Without limits the flood only took ${withoutLimits} slots of a bucket`
+  );
+  const limited = await buildNetwork(22, admission);
+  const victim = limited.honest[0];
+  const longLived = entriesOf(victim).map((entry) => entry.peerID);
+  await flood(limited.sim, victim, 60, (i) => `10.66.0.${i}`, admission);
+  const withLimits = mostPerBucket(victim, isSybil);
+  assert(
+    withLimits <= admission.maxPerSubnet,
+    `${withLimits} Sybils from one /24 share a bucket`
+  );
+  log(
+    `Most Sybils from one /24 in a bucket: ${withoutLimits} without limits, ${withLimits} with a limit of ${admission.maxPerSubnet}.\n`
+  );
+
+  // ----- Test 3: Long-Lived Peers Stay -----
+  log("Test 3: Long-Lived Peers Stay");
+  const kept = longLived.filter((peerID) =>
+    victim.routingTable.hasPeer(peerID)
+  );
+  assert.strictEqual(
+    kept.length,
+    longLived.length,
+    "The flood pushed long-lived peers out of the table"
+  );
+  log(`All ${longLived.length} long-lived peers are still in the table.\n`);
+
+  // ----- Test 4: Sybils on One Address -----
+  log("Test 4: Sybils on One Address");
+  const sameHost = await buildNetwork(23, admission);
+  const target = sameHost.honest[0];
+  await flood(sameHost.sim, target, 20, () => "10.77.0.1");
+  const perAddress = mostPerBucket(target, (entry) => entry.ip === "10.77.0.1");
+  assert(
+    perAddress <= admission.maxPerIP,
+    `${perAddress} peers at one IP address share a bucket`
+  );
+  log(`At most ${perAddress} of 20 peers at one address per bucket.\n`);
+
+  // ----- Test 5: Gossip Cannot Redirect Known Peers -----
+  log("Test 5: Gossip Cannot Redirect Known Peers");
+  const known = entriesOf(target)[0];
+  const address = `${known.ip}:${known.port}`;
+  await sameHost.sim.runUntil(
+    target.refreshBuckets(target.routingTable, [
+      { ip: "10.77.0.1", port: 4000, peerID: known.peerID },
+    ])
+  );
+  const after = entriesOf(target).find(
+    (entry) => entry.peerID === known.peerID
+  );
+  assert.strictEqual(
+    `${after.ip}:${after.port}`,
+    address,
+    "A gossiped address replaced a known peer's"
+  );
+  log(`Peer ${known.peerID} kept its address ${address}.\n`);
+
+  log("All eclipse attack tests passed successfully.");
+}
+
+runTests()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    log("Test failed:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,246 @@
+/**
+ * test_kptp.js
+ *
+ * This script tests the kPTP encoder/decoder without any network.
+ * It verifies:
+ *  - Every message type round-trips through decodeMessage
+ *  - A message split across many reads is reassembled by StreamDecoder
+ *  - Several messages arriving in one read are split apart, and the HELLO
+ *    selfInfo JSON does not run into the message after it
+ *  - A stream declaring an impossible message length is rejected
+ *  - Hello, Welcome and Goodbye signatures survive a Transaction ID and catch tampering
+ *  - Every entry in kptp_corpus.json decodes, or fails with its expected error code
+ *  - Randomly mutated messages only ever fail with a DecodeError
+ *
+ * Usage: node test_kptp.js
+ */
+
+const assert = require("assert");
+const Singleton = require("./Singleton");
+const kPTP = require("./kPTP");
+const Identity = require("./Identity");
+const { createRandom } = require("./Simulator");
+const corpus = require("./kptp_corpus.json");
+
+Singleton.init();
+Singleton.setIDBits(16);
+
+const identity = new Identity(Buffer.alloc(32, 1));
+const nonce = Buffer.alloc(kPTP.NONCE_LENGTH, 2);
+const self = { ip: "127.0.0.1", port: 4000, peerID: identity.getPeerID() };
+const peers = Array.from({ length: 200 }, (_, i) => ({
+  ip: `10.0.${i >> 8}.${i & 255}`,
+  port: 5000 + i,
+  peerID: (0x1000 + i).toString(16),
+}));
+
+function runTests() {
+  console.log("Starting tests for the kPTP protocol\n");
+
+  // ----- Test 1: Round Trip -----
+  console.log("Test 1: Round Trip");
+  const welcome = kPTP.decodeMessage(
+    kPTP.createWelcomeMessage("Peer1", peers, identity, nonce)
+  );
+  assert.strictEqual(welcome.messageType, kPTP.MESSAGE_TYPE.WELCOME);
+  assert.deepStrictEqual(welcome.peers, peers);
+  assert.strictEqual(welcome.nonce, nonce.toString("hex"));
+  const hello = kPTP.decodeMessage(
+    kPTP.createHelloMessage("Peer1", [], self, identity, nonce)
+  );
+  assert.deepStrictEqual(hello.selfInfo, self);
+  assert.strictEqual(hello.publicKey, identity.publicKey.toString("hex"));
+  assert.strictEqual(hello.transactionID, 0);
+  const tagged = kPTP.decodeMessage(
+    kPTP.setTransactionID(
+      kPTP.createHeartbeatResponse("Peer1", self.ip, self.port, self.peerID),
+      0xfffffffe
+    )
+  );
+  assert.strictEqual(tagged.transactionID, 0xfffffffe);
+  const findNode = kPTP.decodeMessage(
+    kPTP.createFindNodeMessage("Peer1", self.ip, self.port, self.peerID, "ffff")
+  );
+  assert.strictEqual(findNode.targetID, "ffff");
+  const store = kPTP.decodeMessage(
+    kPTP.createStoreMessage("Peer1", self.ip, self.port, self.peerID, "k", "v")
+  );
+  assert.strictEqual(store.key, "k");
+  assert.strictEqual(store.value, "v");
+  const found = kPTP.decodeMessage(
+    kPTP.createFindValueResponse("Peer1", "k", "v", peers)
+  );
+  assert.strictEqual(found.value, "v");
+  assert.strictEqual(found.peers.length, 0);
+  const goodbye = kPTP.decodeMessage(
+    kPTP.createGoodbyeMessage(
+      "Peer1",
+      self.ip,
+      self.port,
+      self.peerID,
+      identity,
+      nonce
+    )
+  );
+  assert.deepStrictEqual(goodbye.peers, [self]);
+  assert.strictEqual(goodbye.publicKey, identity.publicKey.toString("hex"));
+  const probe = kPTP.decodeMessage(
+    kPTP.createProbeMessage("Peer1", self.ip, self.port, self.peerID, peers[0])
+  );
+  assert.deepStrictEqual(probe.peers, [self, peers[0]]);
+  const probeResponse = kPTP.decodeMessage(
+    kPTP.createProbeResponse("Peer1", peers[0], true)
+  );
+  assert.deepStrictEqual(probeResponse.peers, [peers[0]]);
+  assert.strictEqual(probeResponse.alive, true);
+  assert.strictEqual(
+    kPTP.decodeMessage(kPTP.createProbeResponse("Peer1", peers[0], false))
+      .alive,
+    false
+  );
+  assert.strictEqual(
+    kPTP.decodeMessage(kPTP.createRoutingTableMessage("Crawler", 254)).start,
+    254
+  );
+  const table = kPTP.decodeMessage(
+    kPTP.createRoutingTableResponse("Peer1", self, peers, {
+      bucketSize: 4,
+      total: 454,
+      start: 254,
+    })
+  );
+  assert.deepStrictEqual(table.peers, [self, ...peers]);
+  assert.deepStrictEqual(
+    [table.bucketSize, table.total, table.start],
+    [4, 454, 254]
+  );
+  console.log("Every message type decodes to what was encoded.\n");
+
+  // ----- Test 2: Split Reads -----
+  console.log("Test 2: Split Reads");
+  const encoded = kPTP.createWelcomeMessage("Peer1", peers, identity, nonce);
+  const stream = new kPTP.StreamDecoder();
+  const received = [];
+  for (let i = 0; i < encoded.length; i += 7) {
+    received.push(...stream.push(encoded.slice(i, i + 7)));
+  }
+  assert.strictEqual(received.length, 1, "Expected exactly one message");
+  assert.deepStrictEqual(kPTP.decodeMessage(received[0]).peers, peers);
+  console.log(`A ${encoded.length}-byte Welcome survived 7-byte reads.\n`);
+
+  // ----- Test 3: Coalesced Reads -----
+  console.log("Test 3: Coalesced Reads");
+  const batch = Buffer.concat([
+    kPTP.createHelloMessage("Peer1", [], self, identity, nonce),
+    kPTP.createHeartbeatMessage("Peer1", self.ip, self.port, self.peerID),
+    kPTP.createHelloMessage("Peer2", [], self, identity, nonce),
+  ]);
+  const messages = new kPTP.StreamDecoder().push(batch).map(kPTP.decodeMessage);
+  assert.deepStrictEqual(
+    messages.map((message) => message.messageType),
+    [
+      kPTP.MESSAGE_TYPE.HELLO,
+      kPTP.MESSAGE_TYPE.HEARTBEAT,
+      kPTP.MESSAGE_TYPE.HELLO,
+    ]
+  );
+  assert.deepStrictEqual(messages[0].selfInfo, self);
+  assert.strictEqual(messages[1].selfInfo, null);
+  assert.strictEqual(messages[2].senderName, "Peer2");
+  console.log("Three messages in one read decoded separately.\n");
+
+  // ----- Test 4: Invalid Length -----
+  console.log("Test 4: Invalid Length");
+  const corrupt = kPTP.createHeartbeatMessage(
+    "Peer1",
+    self.ip,
+    self.port,
+    self.peerID
+  );
+  corrupt.writeUInt32BE(3, 6);
+  assert.throws(
+    () => new kPTP.StreamDecoder().push(corrupt),
+    (err) => err instanceof kPTP.DecodeError && err.code === "BAD_LENGTH"
+  );
+  console.log("A message length shorter than the header was rejected.\n");
+
+  // ----- Test 5: Signatures -----
+  console.log("Test 5: Signatures");
+  const signed = kPTP.createHelloMessage("Peer1", peers, self, identity, nonce);
+  // The Transaction ID is set after signing and is not covered by the signature
+  kPTP.decodeMessage(kPTP.setTransactionID(signed, 0x12345678));
+  // Any other byte after the header is
+  for (let i = kPTP.HEADER_LENGTH; i < signed.length; i += 97) {
+    const tampered = Buffer.from(signed);
+    tampered[i] ^= 0x80;
+    assert.throws(
+      () => kPTP.decodeMessage(tampered),
+      (err) => err instanceof kPTP.DecodeError,
+      `Flipping byte ${i} was not detected`
+    );
+  }
+  // A message re-signed by another key no longer matches the peer ID it claims
+  const impostor = new Identity(Buffer.alloc(32, 9));
+  const forged = kPTP.decodeMessage(
+    kPTP.createHelloMessage("Peer1", [], self, impostor, nonce)
+  );
+  assert.strictEqual(forged.selfInfo.peerID, self.peerID);
+  assert.notStrictEqual(
+    Singleton.getPeerIDFromPublicKey(Buffer.from(forged.publicKey, "hex")),
+    self.peerID
+  );
+  console.log("Signatures verify, and tampered messages are rejected.\n");
+
+  // ----- Test 6: Corpus -----
+  console.log("Test 6: Corpus");
+  corpus.forEach((entry) => {
+    let code = null;
+    try {
+      kPTP.decodeMessage(Buffer.from(entry.hex, "hex"));
+    } catch (err) {
+      assert(err instanceof kPTP.DecodeError, `${entry.name}: threw ${err}`);
+      code = err.code;
+    }
+    assert.strictEqual(code, entry.error, `${entry.name}: got ${code}`);
+  });
+  console.log(`All ${corpus.length} corpus entries decoded as expected.\n`);
+
+  // ----- Test 7: Fuzzing -----
+  console.log("Test 7: Fuzzing");
+  const random = createRandom(18);
+  const seeds = corpus.map((entry) => Buffer.from(entry.hex, "hex"));
+  const iterations = 20000;
+  let rejected = 0;
+  for (let i = 0; i < iterations; i++) {
+    const input = Buffer.from(seeds[Math.floor(random() * seeds.length)]);
+    // Overwrite a few random bytes, then sometimes cut the message short
+    const flips = 1 + Math.floor(random() * 4);
+    for (let j = 0; j < flips && input.length > 0; j++) {
+      input[Math.floor(random() * input.length)] = Math.floor(random() * 256);
+    }
+    const cut =
+      random() < 0.3 ? Math.floor(random() * input.length) : input.length;
+    try {
+      kPTP.decodeMessage(input.slice(0, cut));
+    } catch (err) {
+      assert(
+        err instanceof kPTP.DecodeError,
+        `Input ${input.slice(0, cut).toString("hex")} threw ${err}`
+      );
+      rejected++;
+    }
+  }
+  console.log(
+    `${iterations} mutated messages: ${rejected} rejected with a DecodeError, none crashed the decoder.\n`
+  );
+
+  console.log("All kPTP tests passed successfully.");
+}
+
+try {
+  runTests();
+  process.exit(0);
+} catch (err) {
+  console.error("Test failed:", err);
+  process.exit(1);
+}
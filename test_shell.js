@@ -0,0 +1,129 @@
+/**
+ * test_shell.js
+ *
+ * This script tests the interactive command shell (see Shell.js) against real
+ * peers talking over TCP on 127.0.0.1. It verifies:
+ *  - join, table, peers, ping, lookup, evict and stats act on the peer and
+ *    describe the result
+ *  - Unknown commands and malformed arguments answer with an error and usage
+ *  - Commands read from a stream run in order, and the stream ending quits
+ *
+ * Usage: node test_shell.js
+ */
+
+const assert = require("assert");
+const { PassThrough } = require("stream");
+const Singleton = require("./Singleton");
+const Peer = require("./Peer");
+const Shell = require("./Shell");
+
+// Peers log every message they handle; only show the test's own output.
+const log = console.log;
+console.log = () => {};
+console.error = () => {};
+
+async function runTests() {
+  log("Starting shell tests for DHT P2P Application\n");
+
+  Singleton.init();
+  Singleton.setIDBits(16);
+  const options = { bucketSize: 4, saveRoutingTable: false, rateLimit: false };
+  const peerA = new Peer(Object.assign({ name: "shellA" }, options));
+  const peerB = new Peer(Object.assign({ name: "shellB" }, options));
+  const peerC = new Peer(Object.assign({ name: "shellC" }, options));
+  const shell = new Shell(peerC, { onQuit: () => Promise.resolve() });
+
+  try {
+    await peerA.start();
+    await peerB.start();
+    await peerC.start();
+    await peerB.join(`127.0.0.1:${peerA.selfInfo.port}`);
+    const idA = peerA.selfInfo.peerID;
+    const idB = peerB.selfInfo.peerID;
+
+    // ----- Test 1: Commands -----
+    log("Test 1: Commands");
+    let output = await shell.execute(`join 127.0.0.1:${peerA.selfInfo.port}`);
+    assert(output.startsWith("Joined through"), output);
+    assert(peerC.routingTable.hasPeer(idA) && peerC.routingTable.hasPeer(idB));
+    output = await shell.execute("table");
+    assert(output.includes(`${idA} 127.0.0.1:${peerA.selfInfo.port} (shellA)`));
+    assert(output.includes(idB), output);
+    output = await shell.execute("peers");
+    assert.strictEqual(output.split("\n").length, 2, output);
+    output = await shell.execute(`ping ${idB}`);
+    assert(output.startsWith(`${idB} answered in`), output);
+    output = await shell.execute(`LOOKUP ${idB.toUpperCase()}`);
+    assert.strictEqual(
+      output.split("\n")[1],
+      `  ${idB} 127.0.0.1:${peerB.selfInfo.port}`
+    );
+    output = await shell.execute("stats");
+    assert(output.includes("Peers:       2 in"), output);
+    output = await shell.execute(`evict ${idB}`);
+    assert(output.startsWith(`Evicted ${idB}`), output);
+    assert(!peerC.routingTable.hasPeer(idB), "The evicted peer is still known");
+    log(
+      "join, table, peers, ping, lookup, stats and evict acted on the peer.\n"
+    );
+
+    // ----- Test 2: Errors -----
+    log("Test 2: Errors");
+    output = await shell.execute("frobnicate");
+    assert(output.startsWith('Error: Unknown command "frobnicate"'), output);
+    output = await shell.execute(`evict ${idB}`);
+    assert.strictEqual(
+      output,
+      `Error: Peer ${idB} is not in the routing table`
+    );
+    output = await shell.execute("ping nowhere");
+    assert(output.startsWith("Error: Usage: ping <id|ip:port>"), output);
+    output = await shell.execute("join 127.0.0.1");
+    assert.strictEqual(output, "Error: Usage: join <ip:port>");
+    assert.strictEqual(await shell.execute("   "), "");
+    log("Unknown commands and bad arguments got errors with usage.\n");
+
+    // ----- Test 3: Input Stream -----
+    log("Test 3: Input Stream");
+    const input = new PassThrough();
+    const written = new PassThrough();
+    let text = "";
+    written.on("data", (chunk) => (text += chunk));
+    let quit = false;
+    const streamed = new Shell(peerC, {
+      input,
+      output: written,
+      onQuit: () => {
+        quit = true;
+        return Promise.resolve();
+      },
+    });
+    streamed.start();
+    input.end(`stats\nping ${idA}\nhelp\n`);
+    for (let waited = 0; !quit && waited < 5000; waited += 50) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    assert(quit, "The end of the input did not quit");
+    const stats = text.indexOf("Peers:");
+    const ping = text.indexOf(`${idA} answered in`);
+    const help = text.indexOf("quit  ");
+    assert(
+      stats !== -1 && stats < ping && ping < help,
+      `Commands ran out of order:\n${text}`
+    );
+    assert(text.startsWith("shellC> "), "No prompt was shown");
+    log("Three streamed commands ran in order, then the end of input quit.\n");
+  } finally {
+    shell.stop();
+    await Promise.all([peerA.stop(), peerB.stop(), peerC.stop()]);
+  }
+
+  log("All shell tests passed successfully.");
+}
+
+runTests()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    log("Test failed:", err);
+    process.exit(1);
+  });
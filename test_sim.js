@@ -0,0 +1,1350 @@
+/**
+ * test_sim.js
+ *
+ * This script tests DHT behavior in the in-process simulator (see Simulator.js).
+ * It builds virtual networks and verifies:
+ *  - Peers joining through random bootstrap peers fill their routing tables
+ *  - Lookups locate existing peers
+ *  - Heartbeats reuse pooled connections instead of opening new ones
+ *  - Crashed peers are evicted once their heartbeats fail and no indirect probe
+ *    reaches them (with peerEvicted events)
+ *  - Runs with the same seed produce identical routing tables
+ *  - A malformed message, or a Hello with a bad selfInfo, is answered with an
+ *    Error message, and the peer goes on welcoming new peers
+ *  - Requests time out and retry per their policy, and a peer that accepts
+ *    connections but never answers is evicted on those timeouts
+ *  - A Hello retried after its Welcome was lost is accepted, not refused as a
+ *    replay
+ *  - Hellos claiming another peer's ID, or replaying a nonce, are refused, a
+ *    Hello's sender is entered under the IP it connected from, and unverified
+ *    requests cannot overwrite routing table entries
+ *  - Encrypted peers join each other without plaintext on the wire, a
+ *    mismatch with a plaintext peer fails with a clear error code either way,
+ *    and a relay that runs its own key exchange with each end cannot pass a
+ *    join through
+ *  - Requests beyond a host's rate limit are refused, a host that keeps
+ *    exceeding it is banned for a while, and bans in the ban file keep peers
+ *    out of the routing table
+ *  - A peer restarted with a data directory keeps its ID and rejoins through
+ *    the saved peers that still answer, without a bootstrap address
+ *  - Bootstrapping skips dead bootstrap peers, retries with backoff until one
+ *    comes up, and starts again when the routing table empties
+ *  - A joining peer looks up its own ID, so its nearest peers learn of it, and
+ *    refreshes untouched buckets with lookups for random IDs in their range
+ *  - A peer that leaves with a Goodbye is dropped from every routing table at
+ *    once, and forged or replayed Goodbyes are refused
+ *  - A healthy peer on a lossy link stays in every routing table, because the
+ *    failure detector adapts to its late responses and other peers vouch for
+ *    it, while a crashed peer is still evicted
+ *  - Any message from a peer counts as a sign of life, so heartbeats go only
+ *    to peers that have been silent, and fewer are sent the busier the network
+ *  - Peers log JSON records with event names and fields, on the virtual
+ *    clock, filtered by level per subsystem
+ *  - Metrics count messages and bytes by type, routing table fill, heartbeat
+ *    round trips, misses and evictions, and decode failures, and are written
+ *    to a snapshot file at intervals
+ *  - A crawler started from one peer maps every routing table entry, with its
+ *    bucket and XOR distance, reports peers that do not answer, and detects a
+ *    group of peers no one else lists as a partition; a table longer than one
+ *    response is fetched page by page, and a Routing Table request is answered
+ *    whatever ID width it gives
+ *  - A Probe is answered by pinging only a peer listed in the routing table at
+ *    the probed address, and a ping answered by another peer ID fails
+ *  - A peer whose routing table holds more peers than a message can list
+ *    welcomes and greets others with the ones closest to them
+ *
+ * Usage: node test_sim.js
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Simulator } = require("./Simulator");
+const kPTP = require("./kPTP");
+const Singleton = require("./Singleton");
+const Identity = require("./Identity");
+const { Logger } = require("./Logger");
+const { Crawler, toDOT } = require("./Crawler");
+const { createSecureTransport } = require("./SecureChannel");
+const RoutingTable = require("./RoutingTable");
+
+// Peers log every message they handle; only show the test's own output.
+const log = console.log;
+console.log = () => {};
+console.error = () => {};
+
+// Helper function: fills a peer's routing table with entries for peers that
+// do not exist, until it holds the given number of peers. The peer needs a
+// bucket size large enough to take them.
+function fillRoutingTable(peer, size, avoidIDs = []) {
+  const idWidth = Singleton.getIDBits() / 4;
+  for (let i = 0; peer.getAllPeersArray().length < size; i++) {
+    const peerID = (i * 97).toString(16).padStart(idWidth, "0");
+    if (peerID !== peer.selfInfo.peerID && !avoidIDs.includes(peerID)) {
+      peer.routingTable.pushBucket({
+        ip: `10.77.${i >> 8}.${i & 255}`,
+        port: 4000,
+        peerID,
+        lastSeen: Singleton.getTimestamp(),
+      });
+    }
+  }
+}
+
+async function runTests() {
+  log("Starting simulator tests for DHT P2P Application\n");
+
+  // ----- Test 1: Join -----
+  log("Test 1: Join");
+  const sim = new Simulator({ seed: 42, bucketSize: 4 });
+  await sim.join(60);
+  await sim.run(30000);
+  const joinStats = sim.stats();
+  assert.strictEqual(joinStats.livePeers, 60, "Not all peers started");
+  sim.livePeers().forEach((peer) => {
+    assert(
+      peer.routingTable.kBuckets.some((bucket) => bucket.length > 0),
+      `Peer ${peer.selfInfo.peerID} has an empty routing table`
+    );
+  });
+  log("Every peer has a non-empty routing table:", joinStats, "\n");
+
+  // ----- Test 2: Lookup -----
+  log("Test 2: Lookup");
+  let found = 0;
+  const lookups = 20;
+  for (let i = 0; i < lookups; i++) {
+    const source = sim.pick(sim.livePeers());
+    const target = sim.pick(sim.livePeers());
+    const result = await sim.runUntil(source.findNode(target.selfInfo.peerID));
+    if (
+      source === target ||
+      (result[0] && result[0].peerID === target.selfInfo.peerID)
+    ) {
+      found++;
+    }
+  }
+  assert(found >= lookups * 0.9, `Only ${found}/${lookups} lookups succeeded`);
+  log(`${found}/${lookups} lookups located their target.\n`);
+
+  // ----- Test 3: Connection Reuse -----
+  log("Test 3: Connection Reuse");
+  const openedBefore = sim.network.connectionsOpened;
+  await sim.run(60000);
+  const opened = sim.network.connectionsOpened - openedBefore;
+  assert(
+    opened < sim.livePeers().length,
+    `${opened} connections were opened during three heartbeat cycles`
+  );
+  log(`${opened} new connections during three heartbeat cycles.\n`);
+
+  // ----- Test 4: Eviction of Crashed Peers -----
+  log("Test 4: Eviction of Crashed Peers");
+  const victims = sim.livePeers().slice(0, 5);
+  const victimIDs = new Set(victims.map((peer) => peer.selfInfo.peerID));
+  let evictedEvents = 0;
+  sim.livePeers().forEach((peer) =>
+    peer.on("peerEvicted", (evicted) => {
+      if (victimIDs.has(evicted.peerID)) {
+        evictedEvents++;
+      }
+    })
+  );
+  victims.forEach((peer) => sim.crashPeer(peer));
+  const listed = () =>
+    sim
+      .livePeers()
+      .filter((peer) =>
+        peer.routingTable.kBuckets
+          .flat()
+          .some((entry) => victimIDs.has(entry.peerID))
+      ).length;
+  const listedBefore = listed();
+  assert(listedBefore > 0, "Crashed peers were not in any routing table");
+  // Once phi passes its threshold, a crashed peer is probed and evicted
+  // within two or three 20-second heartbeat cycles
+  await sim.run(65000);
+  const listedAfter = listed();
+  assert(
+    listedAfter < listedBefore,
+    "Crashed peers were not evicted after three heartbeat cycles"
+  );
+  assert(evictedEvents > 0, "No peerEvicted events were emitted");
+  log(
+    `Peers listing a crashed peer: ${listedBefore} before, ${listedAfter} after 65 s.\n`
+  );
+
+  // ----- Test 5: Deterministic Runs -----
+  log("Test 5: Deterministic Runs");
+  const runOnce = async () => {
+    const run = new Simulator({ seed: 7, bucketSize: 2 });
+    await run.join(30);
+    await run.run(20000);
+    return JSON.stringify(run.snapshot());
+  };
+  const first = await runOnce();
+  const second = await runOnce();
+  assert.strictEqual(first, second, "Same seed produced different networks");
+  log("Two runs with seed 7 produced identical routing tables.\n");
+
+  // ----- Test 6: Error Replies -----
+  log("Test 6: Error Replies");
+  const errorSim = new Simulator({ seed: 5 });
+  const target = errorSim.addPeer();
+  await errorSim.run(100);
+  const malformed = kPTP.createHeartbeatMessage(
+    "tester",
+    "10.9.9.9",
+    4000,
+    "abcd"
+  );
+  malformed[0] = 1; // Unsupported version
+  const replies = new kPTP.StreamDecoder();
+  const received = [];
+  const socket = errorSim.network.connect(
+    "10.9.9.9",
+    target.selfInfo.port,
+    target.ip,
+    () => socket.write(malformed)
+  );
+  socket.on("data", (data) => received.push(...replies.push(data)));
+  await errorSim.run(1000);
+  assert.strictEqual(received.length, 1, "Expected one reply");
+  const reply = kPTP.decodeMessage(received[0]);
+  assert.strictEqual(reply.messageType, kPTP.MESSAGE_TYPE.ERROR);
+  assert.strictEqual(reply.error.code, kPTP.ERROR_CODE.UNSUPPORTED_VERSION);
+  assert(socket.destroyed, "The peer did not close the connection");
+  // A signed Hello whose selfInfo names an impossible port is refused, and
+  // new peers are still welcomed afterwards
+  const badHelloSender = new Identity(Buffer.alloc(32, 9));
+  const badHello = kPTP.createHelloMessage(
+    "tester",
+    [],
+    { ip: "10.9.9.8", port: 70000, peerID: badHelloSender.getPeerID() },
+    badHelloSender,
+    Buffer.alloc(kPTP.NONCE_LENGTH, 9)
+  );
+  const trailerReplies = new kPTP.StreamDecoder();
+  const trailerReceived = [];
+  const trailerSocket = errorSim.network.connect(
+    "10.9.9.8",
+    target.selfInfo.port,
+    target.ip,
+    () => trailerSocket.write(badHello)
+  );
+  trailerSocket.on("data", (data) =>
+    trailerReceived.push(...trailerReplies.push(data))
+  );
+  await errorSim.run(1000);
+  assert.strictEqual(trailerReceived.length, 1, "Expected one reply");
+  const trailerReply = kPTP.decodeMessage(trailerReceived[0]);
+  assert.strictEqual(trailerReply.error.code, kPTP.ERROR_CODE.BAD_TRAILER);
+  assert(
+    !target.routingTable.hasPeer(badHelloSender.getPeerID()),
+    "The bad Hello's sender was added"
+  );
+  const latecomer = errorSim.addPeer(target);
+  await errorSim.run(2000);
+  assert(
+    target.routingTable.hasPeer(latecomer.selfInfo.peerID),
+    "A peer joining after the bad Hello was not welcomed"
+  );
+  log(
+    `Malformed message answered with Error ${reply.error.code}; a Hello with a bad selfInfo got ${trailerReply.error.code}, and later peers still join.\n`
+  );
+
+  // ----- Test 7: Timeouts and Retries -----
+  log("Test 7: Timeouts and Retries");
+  const hangSim = new Simulator({ seed: 9 });
+  const asker = hangSim.addPeer();
+  await hangSim.run(100);
+  const hung = hangSim.addPeer(asker);
+  await hangSim.run(2000);
+  assert(
+    asker.routingTable.hasPeer(hung.selfInfo.peerID),
+    "Hung peer never joined"
+  );
+  // The hung peer still accepts connections but ignores every message
+  hung.heartbeat.stop();
+  hung.handleMessage = () => {};
+  const started = hangSim.clock.now();
+  const failure = await hangSim.runUntil(
+    asker.pool
+      .request(
+        hung.selfInfo,
+        kPTP.createHeartbeatMessage("tester", asker.ip, 1, "abcd"),
+        kPTP.MESSAGE_TYPE.HEARTBEAT_RESPONSE,
+        { timeout: 1000, retries: 2, retryDelay: 0 }
+      )
+      .catch((err) => err)
+  );
+  const elapsed = hangSim.clock.now() - started;
+  assert.strictEqual(failure.code, "ETIMEDOUT");
+  assert(elapsed >= 3000 && elapsed < 3200, `Gave up after ${elapsed} ms`);
+  await hangSim.run(80000);
+  assert(
+    !asker.routingTable.hasPeer(hung.selfInfo.peerID),
+    "Hung peer was not evicted after its heartbeats timed out"
+  );
+  // Lose the first Welcome, so the joining peer has to retry its Hello
+  const welcomer = hangSim.addPeer();
+  await hangSim.run(100);
+  let lostWelcomes = 0;
+  const hangDeliver = hangSim.network.deliver.bind(hangSim.network);
+  hangSim.network.deliver = (from, kind, data) => {
+    if (
+      lostWelcomes === 0 &&
+      kind === "data" &&
+      from.localAddress === welcomer.ip &&
+      data[1] === kPTP.MESSAGE_TYPE.WELCOME
+    ) {
+      lostWelcomes++;
+      return;
+    }
+    hangDeliver(from, kind, data);
+  };
+  const retrier = hangSim.addPeer();
+  const retryErrors = [];
+  retrier.on("messageReceived", (message) => {
+    if (message.messageType === kPTP.MESSAGE_TYPE.ERROR) {
+      retryErrors.push(message.error.code);
+    }
+  });
+  await hangSim.run(100);
+  const retried = await hangSim.runUntil(
+    retrier.join(welcomer.selfInfo).catch((err) => err)
+  );
+  hangSim.network.deliver = hangDeliver;
+  assert.strictEqual(lostWelcomes, 1, "No Welcome was lost");
+  assert(Array.isArray(retried), `The retried join failed: ${retried.message}`);
+  assert.deepStrictEqual(retryErrors, [], "The retried Hello was refused");
+  assert(welcomer.routingTable.hasPeer(retrier.selfInfo.peerID));
+  log(
+    `Three 1 s attempts gave up after ${elapsed} ms; hung peer evicted; a Hello retried after a lost Welcome was accepted.\n`
+  );
+
+  // ----- Test 8: Signed Identities -----
+  log("Test 8: Signed Identities");
+  const idSim = new Simulator({ seed: 11, bucketSize: 4 });
+  const host = idSim.addPeer();
+  await idSim.run(100);
+  const victim = idSim.addPeer(host);
+  await idSim.run(2000);
+  const victimID = victim.selfInfo.peerID;
+  assert(host.routingTable.hasPeer(victimID), "Victim never joined");
+  // Sends messages from an attacker host on one connection; resolves with the replies
+  const exchange = async (messages) => {
+    const stream = new kPTP.StreamDecoder();
+    const answers = [];
+    const conn = idSim.network.connect(
+      "10.6.6.6",
+      host.selfInfo.port,
+      host.ip,
+      () => messages.forEach((message) => conn.write(message))
+    );
+    conn.on("data", (data) => answers.push(...stream.push(data)));
+    await idSim.run(1000);
+    return answers.map(kPTP.decodeMessage);
+  };
+  const attacker = new Identity(Buffer.alloc(32, 6));
+  const nonce = Buffer.alloc(kPTP.NONCE_LENGTH, 1);
+  const forgedInfo = { ip: "10.6.6.6", port: 6666, peerID: victimID };
+  const [refused] = await exchange([
+    kPTP.createHelloMessage("attacker", [], forgedInfo, attacker, nonce),
+  ]);
+  assert.strictEqual(refused.error.code, kPTP.ERROR_CODE.BAD_IDENTITY);
+  // A valid Hello is accepted once, but not replayed
+  const ownInfo = { ip: "10.6.6.6", port: 6666, peerID: attacker.getPeerID() };
+  const hello = kPTP.createHelloMessage(
+    "attacker",
+    [],
+    ownInfo,
+    attacker,
+    nonce
+  );
+  const [welcomed] = await exchange([hello]);
+  assert.strictEqual(welcomed.messageType, kPTP.MESSAGE_TYPE.WELCOME);
+  assert.strictEqual(welcomed.nonce, nonce.toString("hex"));
+  const [replayed] = await exchange([hello]);
+  assert.strictEqual(replayed.error.code, kPTP.ERROR_CODE.REPLAYED_NONCE);
+  // A Hello claiming another host's IP is entered under the IP it came from
+  const elsewhere = new Identity(Buffer.alloc(32, 7));
+  const elsewhereInfo = {
+    ip: "10.7.7.7",
+    port: 7777,
+    peerID: elsewhere.getPeerID(),
+  };
+  await exchange([
+    kPTP.createHelloMessage(
+      "attacker",
+      [],
+      elsewhereInfo,
+      elsewhere,
+      Buffer.alloc(kPTP.NONCE_LENGTH, 7)
+    ),
+  ]);
+  const elsewhereEntry = host.routingTable.kBuckets
+    .flat()
+    .find((peer) => peer.peerID === elsewhere.getPeerID());
+  assert(elsewhereEntry, "The Hello claiming another IP was not welcomed");
+  assert.strictEqual(elsewhereEntry.ip, "10.6.6.6");
+  // A request naming the victim as its sender does not move the victim's entry
+  await exchange([
+    kPTP.createFindNodeMessage("attacker", "10.6.6.6", 6666, victimID, "0000"),
+  ]);
+  const entry = host.routingTable.kBuckets
+    .flat()
+    .find((peer) => peer.peerID === victimID);
+  assert.strictEqual(entry.ip, victim.ip, "Victim's entry was overwritten");
+  log(
+    "Forged and replayed Hellos were refused; a claimed IP was not believed; the victim's entry is intact.\n"
+  );
+
+  // ----- Test 9: Encrypted Connections -----
+  log("Test 9: Encrypted Connections");
+  const secureSim = new Simulator({ seed: 13 });
+  const sniffed = [];
+  const deliver = secureSim.network.deliver.bind(secureSim.network);
+  secureSim.network.deliver = (from, kind, data) => {
+    if (data) {
+      sniffed.push(data);
+    }
+    deliver(from, kind, data);
+  };
+  const secureHost = secureSim.addPeer(undefined, { secure: true });
+  await secureSim.run(100);
+  const secureGuest = secureSim.addPeer(secureHost, { secure: true });
+  await secureSim.run(2000);
+  assert(
+    secureHost.routingTable.hasPeer(secureGuest.selfInfo.peerID),
+    "Encrypted peer never joined"
+  );
+  assert(
+    !sniffed.some((data) => data.includes('"senderName"')),
+    "A Hello crossed the network unencrypted"
+  );
+  const plainPeer = secureSim.addPeer();
+  await secureSim.run(100);
+  const required = await secureSim.runUntil(
+    plainPeer.join(secureHost.selfInfo).catch((err) => err)
+  );
+  assert.strictEqual(required.code, kPTP.ERROR_CODE.ENCRYPTION_REQUIRED);
+  const disabled = await secureSim.runUntil(
+    secureGuest.join(plainPeer.selfInfo).catch((err) => err)
+  );
+  assert.strictEqual(disabled.code, kPTP.ERROR_CODE.ENCRYPTION_DISABLED);
+  // A relay decrypts what each end sends and encrypts it again for the other
+  const relayTransport = createSecureTransport(
+    secureSim.network.createTransport("10.66.0.1"),
+    "relay"
+  );
+  relayTransport
+    .createServer((inbound) => {
+      const outbound = relayTransport.connect(
+        secureHost.selfInfo.port,
+        secureHost.ip
+      );
+      inbound.on("data", (data) => outbound.write(data));
+      outbound.on("data", (data) => inbound.write(data));
+      inbound.on("error", () => outbound.destroy());
+      outbound.on("error", () => inbound.destroy());
+    })
+    .listen(4000);
+  const relayed = secureSim.addPeer(undefined, { secure: true });
+  const refusals = [];
+  relayed.on("messageReceived", (message) => {
+    if (message.messageType === kPTP.MESSAGE_TYPE.ERROR) {
+      refusals.push(message.error.code);
+    }
+  });
+  await secureSim.run(100);
+  const relayError = await secureSim.runUntil(
+    relayed.join("10.66.0.1:4000").then(
+      () => null,
+      (err) => err
+    )
+  );
+  assert(relayError, "A join through a relay succeeded");
+  assert(
+    refusals.includes(kPTP.ERROR_CODE.BAD_SIGNATURE),
+    `The relayed Hello was not refused for its signature (${refusals})`
+  );
+  assert(
+    !secureHost.routingTable.hasPeer(relayed.selfInfo.peerID) &&
+      !relayed.routingTable.hasPeer(secureHost.selfInfo.peerID),
+    "A join was relayed through another key exchange"
+  );
+  log(
+    `Encrypted join succeeded; mismatches failed with ${required.code} and ${disabled.code}, a relayed Hello with ${refusals[0]}.\n`
+  );
+
+  // ----- Test 10: Rate Limits and Bans -----
+  log("Test 10: Rate Limits and Bans");
+  const banFile = path.join(os.tmpdir(), `test_sim_bans_${process.pid}.json`);
+  const limitSim = new Simulator({ seed: 17 });
+  const guarded = limitSim.addPeer(undefined, {
+    banFile,
+    rateLimit: {
+      limits: { [kPTP.MESSAGE_TYPE.HEARTBEAT]: { rate: 1, burst: 5 } },
+      strikeLimit: 3,
+    },
+  });
+  await limitSim.run(100);
+  const neighbor = limitSim.addPeer(guarded);
+  await limitSim.run(2000);
+  assert(guarded.routingTable.hasPeer(neighbor.selfInfo.peerID));
+  const banned = [];
+  guarded.on("peerBanned", (ban) => banned.push(ban));
+  // Sends ten heartbeats from a flooding host; resolves with the replies
+  const floodHeartbeats = async () => {
+    const stream = new kPTP.StreamDecoder();
+    const answers = [];
+    const conn = limitSim.network.connect(
+      "10.7.7.7",
+      guarded.selfInfo.port,
+      guarded.ip,
+      () => {
+        for (let i = 1; i <= 10; i++) {
+          conn.write(
+            kPTP.setTransactionID(
+              kPTP.createHeartbeatMessage("flooder", "10.7.7.7", 7777, "abcd"),
+              i
+            )
+          );
+        }
+      }
+    );
+    conn.on("data", (data) => answers.push(...stream.push(data)));
+    await limitSim.run(1000);
+    return answers.map(kPTP.decodeMessage);
+  };
+  const firstFlood = await floodHeartbeats();
+  assert.strictEqual(
+    firstFlood.filter(
+      (reply) => reply.messageType === kPTP.MESSAGE_TYPE.HEARTBEAT_RESPONSE
+    ).length,
+    5,
+    "Expected the burst of five heartbeats to be answered"
+  );
+  assert.strictEqual(
+    firstFlood[firstFlood.length - 1].error.code,
+    kPTP.ERROR_CODE.RATE_LIMITED
+  );
+  assert.strictEqual(banned.length, 0, "Banned after a single burst");
+  await floodHeartbeats();
+  await floodHeartbeats();
+  assert.strictEqual(banned.length, 1, "Flooder was not banned");
+  const [refusedFlood] = await floodHeartbeats();
+  assert.strictEqual(refusedFlood.error.code, kPTP.ERROR_CODE.BANNED);
+  const saved = JSON.parse(fs.readFileSync(banFile, "utf8"));
+  assert(saved.some((ban) => ban.ip === "10.7.7.7" && ban.until));
+  // An operator bans the neighbor by editing the file
+  saved.push({ peerID: neighbor.selfInfo.peerID, reason: "operator" });
+  fs.writeFileSync(banFile, JSON.stringify(saved));
+  guarded.routingTable.pushBucket(Object.assign({}, neighbor.selfInfo));
+  assert(
+    !guarded.routingTable.hasPeer(neighbor.selfInfo.peerID),
+    "Banned peer is still in the routing table"
+  );
+  const rejoin = await limitSim.runUntil(
+    neighbor.join(guarded.selfInfo).catch((err) => err)
+  );
+  assert.strictEqual(rejoin.code, kPTP.ERROR_CODE.BANNED);
+  // The flooder's ban is temporary
+  await limitSim.run(guarded.banDuration);
+  const [afterBan] = await floodHeartbeats();
+  assert.strictEqual(
+    afterBan.messageType,
+    kPTP.MESSAGE_TYPE.HEARTBEAT_RESPONSE
+  );
+  fs.unlinkSync(banFile);
+  log(
+    `Flood refused with ${firstFlood[firstFlood.length - 1].error.code}, then ${
+      refusedFlood.error.code
+    } until the ban expired; file bans keep peers out.\n`
+  );
+
+  // ----- Test 11: Warm Restart -----
+  log("Test 11: Warm Restart");
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "test_sim_data_"));
+  const restartSim = new Simulator({ seed: 19, bucketSize: 4 });
+  await restartSim.join(10);
+  const durable = restartSim.addPeer(restartSim.pick(restartSim.livePeers()), {
+    dataDir,
+    saveRoutingTable: true,
+  });
+  await restartSim.run(30000);
+  const savedIDs = durable.getAllPeersArray().map((peer) => peer.peerID);
+  assert(savedIDs.length > 1, "Durable peer has too few peers to restore");
+  const departed = restartSim
+    .livePeers()
+    .find((peer) => peer.selfInfo.peerID === savedIDs[0]);
+  restartSim.crashPeer(departed);
+  const restarted = await restartSim.restartPeer(durable);
+  assert.strictEqual(restarted.selfInfo.peerID, durable.selfInfo.peerID);
+  assert.strictEqual(restarted.selfInfo.port, durable.selfInfo.port);
+  assert(
+    !restarted.routingTable.hasPeer(departed.selfInfo.peerID),
+    "A saved peer that no longer answers was restored"
+  );
+  const restoredIDs = savedIDs.filter((peerID) =>
+    restarted.routingTable.hasPeer(peerID)
+  );
+  assert.strictEqual(
+    restoredIDs.length,
+    savedIDs.length - 1,
+    "Saved peers that still answer were not restored"
+  );
+  fs.rmSync(dataDir, { recursive: true });
+  log(
+    `Restarted peer kept ID ${restarted.selfInfo.peerID} and restored ${restoredIDs.length} of ${savedIDs.length} saved peers.\n`
+  );
+
+  // ----- Test 12: Bootstrap Retry -----
+  log("Test 12: Bootstrap Retry");
+  const bootSim = new Simulator({ seed: 23, bucketSize: 4 });
+  const seedPeer = bootSim.addPeer();
+  await bootSim.run(100);
+  bootSim.addPeer(seedPeer);
+  await bootSim.run(2000);
+  const dead = { ip: "10.99.0.1", port: 4000 };
+  const late = { ip: "10.99.0.2", port: 4000 };
+  // In order: a dead bootstrap peer is skipped
+  const newcomer = bootSim.addPeer();
+  await bootSim.run(100);
+  await bootSim.runUntil(newcomer.bootstrap([dead, seedPeer.selfInfo]));
+  assert(
+    seedPeer.routingTable.hasPeer(newcomer.selfInfo.peerID),
+    "Newcomer did not join through the live bootstrap peer"
+  );
+  // In parallel: rounds are retried with backoff until a bootstrap peer comes up
+  const waiter = bootSim.addPeer();
+  await bootSim.run(100);
+  const waitStarted = bootSim.clock.now();
+  const waiting = waiter.bootstrap([dead, late], { parallel: true });
+  await bootSim.run(5000);
+  const lateBootstrap = bootSim.addPeer(seedPeer, late);
+  await bootSim.runUntil(waiting);
+  const waited = bootSim.clock.now() - waitStarted;
+  assert(waited > 5000, `Bootstrap finished after only ${waited} ms`);
+  assert(
+    lateBootstrap.routingTable.hasPeer(waiter.selfInfo.peerID),
+    "Waiter did not join once its bootstrap peer came up"
+  );
+  // Once heartbeats evict every peer it knows, the waiter bootstraps again,
+  // until its bootstrap peer is back
+  let emptied = false;
+  waiter.on("peerEvicted", () => {
+    emptied = emptied || waiter.getAllPeersArray().length === 0;
+  });
+  const known = waiter.getAllPeersArray().map((entry) => entry.peerID);
+  assert(known.length > 0, "Waiter learned no peers from its bootstrap peer");
+  bootSim
+    .livePeers()
+    .filter(
+      (peer) => peer !== lateBootstrap && known.includes(peer.selfInfo.peerID)
+    )
+    .forEach((peer) => bootSim.crashPeer(peer));
+  await bootSim.stopPeer(lateBootstrap);
+  await bootSim.run(90000);
+  assert(emptied, "Waiter's routing table never emptied");
+  const backUp = await bootSim.restartPeer(lateBootstrap);
+  let rejoined = false;
+  backUp.on("messageReceived", (message) => {
+    rejoined =
+      rejoined ||
+      (message.messageType === kPTP.MESSAGE_TYPE.HELLO &&
+        message.senderName === waiter.name);
+  });
+  await bootSim.run(90000);
+  assert(rejoined, "Waiter did not bootstrap again after its table emptied");
+  log(
+    `Joined past a dead bootstrap peer, waited ${waited} ms for a late one, and rejoined once the table emptied.\n`
+  );
+
+  // ----- Test 13: Self-Lookup and Bucket Refresh -----
+  log("Test 13: Self-Lookup and Bucket Refresh");
+  const refreshSim = new Simulator({ seed: 29, bucketSize: 4 });
+  await refreshSim.join(30);
+  await refreshSim.run(20000);
+  const existing = refreshSim.livePeers();
+  const entryPeer = refreshSim.pick(existing);
+  const refresher = refreshSim.addPeer(entryPeer, { refreshInterval: 600000 });
+  const control = refreshSim.addPeer(entryPeer);
+  await refreshSim.run(5000);
+  // The self-lookup reaches the peer nearest to the newcomer's ID
+  const nearest = existing
+    .slice()
+    .sort((a, b) =>
+      Singleton.compareDistance(
+        refresher.selfInfo.peerID,
+        a.selfInfo,
+        b.selfInfo
+      )
+    )[0];
+  assert(
+    nearest.routingTable.hasPeer(refresher.selfInfo.peerID),
+    "The self-lookup did not introduce the newcomer to its nearest peer"
+  );
+  const emptyAfterJoin = refresher.routingTable.kBuckets
+    .map((bucket, index) => (bucket.length === 0 ? index : -1))
+    .filter((index) => index !== -1);
+  const targets = [];
+  const findNode = refresher.findNode.bind(refresher);
+  refresher.findNode = (targetID) => {
+    targets.push(targetID);
+    return findNode(targetID);
+  };
+  // The network grows through the existing peers, then the refresh is due
+  for (let i = 0; i < 40; i++) {
+    refreshSim.addPeer(refreshSim.pick(existing));
+    await refreshSim.run(500);
+  }
+  await refreshSim.run(700000);
+  const refreshed = new Set(
+    targets.map((targetID) => refresher.routingTable.getBucketIndex(targetID))
+  );
+  assert(
+    emptyAfterJoin.every((index) => refreshed.has(index)),
+    "An empty bucket was never refreshed"
+  );
+  assert.deepStrictEqual(
+    refresher.routingTable.getStaleBuckets(600000),
+    [],
+    "Buckets are still stale after the refresh"
+  );
+  const withRefresh = refresher.getAllPeersArray().length;
+  const withoutRefresh = control.getAllPeersArray().length;
+  assert(
+    withRefresh > withoutRefresh,
+    `Refreshing peer knows ${withRefresh} peers, the control ${withoutRefresh}`
+  );
+  log(
+    `Nearest peer learned of the newcomer; refresh looked up ${targets.length} bucket range(s) and grew the table to ${withRefresh} entries (${withoutRefresh} without).\n`
+  );
+
+  // ----- Test 14: Graceful Leave -----
+  log("Test 14: Graceful Leave");
+  const leaveSim = new Simulator({ seed: 31, bucketSize: 4 });
+  await leaveSim.join(20);
+  await leaveSim.run(20000);
+  const leaver = leaveSim.pick(leaveSim.livePeers());
+  const leaverID = leaver.selfInfo.peerID;
+  const holders = leaveSim
+    .livePeers()
+    .filter((peer) => peer.routingTable.hasPeer(leaverID));
+  assert(holders.length > 0, "No peer knows the peer that will leave");
+  // Sends one message from an attacker host to a holder; resolves with the replies
+  const sendToHolder = async (message) => {
+    const stream = new kPTP.StreamDecoder();
+    const answers = [];
+    const conn = leaveSim.network.connect(
+      "10.6.6.6",
+      holders[0].selfInfo.port,
+      holders[0].ip,
+      () => conn.write(message)
+    );
+    conn.on("data", (data) => answers.push(...stream.push(data)));
+    await leaveSim.run(1000);
+    return answers.map(kPTP.decodeMessage);
+  };
+  const impostor = new Identity(Buffer.alloc(32, 7));
+  const [forgedGoodbye] = await sendToHolder(
+    kPTP.createGoodbyeMessage(
+      "attacker",
+      "10.6.6.6",
+      6666,
+      leaverID,
+      impostor,
+      Buffer.alloc(kPTP.NONCE_LENGTH, 3)
+    )
+  );
+  assert.strictEqual(forgedGoodbye.error.code, kPTP.ERROR_CODE.BAD_IDENTITY);
+  assert(
+    holders[0].routingTable.hasPeer(leaverID),
+    "A forged Goodbye removed a peer"
+  );
+  const ownGoodbye = kPTP.createGoodbyeMessage(
+    "attacker",
+    "10.6.6.6",
+    6666,
+    impostor.getPeerID(),
+    impostor,
+    Buffer.alloc(kPTP.NONCE_LENGTH, 4)
+  );
+  assert.deepStrictEqual(await sendToHolder(ownGoodbye), []);
+  const [replayedGoodbye] = await sendToHolder(ownGoodbye);
+  assert.strictEqual(
+    replayedGoodbye.error.code,
+    kPTP.ERROR_CODE.REPLAYED_NONCE
+  );
+  // A real Goodbye removes the leaver long before its heartbeats would fail
+  const leftAt = leaveSim.clock.now();
+  await leaveSim.leavePeer(leaver);
+  await leaveSim.run(1000);
+  holders.forEach((peer) => {
+    assert(
+      !peer.routingTable.hasPeer(leaverID),
+      `${peer.name} still lists the peer that left`
+    );
+    assert.strictEqual(peer.heartbeat.detector.getStats(leaverID), null);
+  });
+  const leaveTime = leaveSim.clock.now() - leftAt;
+  assert(leaveTime < 20000, `Leaving took ${leaveTime} ms`);
+  log(
+    `Forged and replayed Goodbyes were refused; ${holders.length} peers dropped the leaver within ${leaveTime} ms.\n`
+  );
+
+  // ----- Test 15: Lossy Links -----
+  log("Test 15: Lossy Links");
+  const lossySim = new Simulator({ seed: 33, bucketSize: 4 });
+  await lossySim.join(20);
+  await lossySim.run(30000);
+  // The two peers listed in the most routing tables: one gets a lossy link,
+  // the other crashes
+  const holdersOf = (peerID) =>
+    lossySim.livePeers().filter((peer) => peer.routingTable.hasPeer(peerID));
+  const [lossy, crashed] = lossySim
+    .livePeers()
+    .slice()
+    .sort(
+      (a, b) =>
+        holdersOf(b.selfInfo.peerID).length -
+        holdersOf(a.selfInfo.peerID).length
+    );
+  const lossyHolders = holdersOf(lossy.selfInfo.peerID);
+  const crashedHolders = holdersOf(crashed.selfInfo.peerID);
+  let probes = 0;
+  lossySim.peers.forEach((peer) =>
+    peer.on("messageReceived", (message) => {
+      if (message.messageType === kPTP.MESSAGE_TYPE.PROBE) {
+        probes++;
+      }
+    })
+  );
+  lossySim.degradePeer(lossy, 0.3);
+  lossySim.crashPeer(crashed);
+  await lossySim.run(600000);
+  const kept = lossyHolders.filter((peer) =>
+    peer.routingTable.hasPeer(lossy.selfInfo.peerID)
+  );
+  assert.strictEqual(
+    kept.length,
+    lossyHolders.length,
+    `Only ${kept.length} of ${lossyHolders.length} peers kept the lossy peer`
+  );
+  assert(
+    crashedHolders.every(
+      (peer) => !peer.routingTable.hasPeer(crashed.selfInfo.peerID)
+    ),
+    "The crashed peer was not evicted"
+  );
+  assert(probes > 0, "No suspect was probed indirectly");
+  // Late and lost responses widen the lossy peer's intervals, on average over
+  // the peers that hold it, beyond those of the other peers they hold
+  const meanSpread = (pairs) =>
+    pairs.reduce(
+      (sum, [holder, peerID]) =>
+        sum + holder.heartbeat.detector.getStats(peerID).stdDeviation,
+      0
+    ) / pairs.length;
+  const lossySpread = meanSpread(
+    kept.map((holder) => [holder, lossy.selfInfo.peerID])
+  );
+  const steadySpread = meanSpread(
+    kept.flatMap((holder) =>
+      holder
+        .getAllPeersArray()
+        .filter(
+          (entry) =>
+            entry.peerID !== lossy.selfInfo.peerID &&
+            holder.heartbeat.detector.getStats(entry.peerID)
+        )
+        .map((entry) => [holder, entry.peerID])
+    )
+  );
+  assert(
+    lossySpread > steadySpread,
+    `The failure detector did not adapt to the lossy link (spread ${lossySpread} vs ${steadySpread} ms)`
+  );
+  log(
+    `With 30% loss for 10 minutes, all ${lossyHolders.length} peers kept the lossy peer (${probes} indirect probes); the crashed one left all ${crashedHolders.length} tables.\n`
+  );
+
+  // ----- Test 16: Piggybacked Liveness -----
+  log("Test 16: Piggybacked Liveness");
+  const busySim = new Simulator({ seed: 35, bucketSize: 4 });
+  await busySim.join(20);
+  await busySim.run(30000);
+  let heartbeats = 0;
+  busySim.peers.forEach((peer) =>
+    peer.on("messageReceived", (message) => {
+      if (message.messageType === kPTP.MESSAGE_TYPE.HEARTBEAT) {
+        heartbeats++;
+      }
+    })
+  );
+  const entries = busySim
+    .livePeers()
+    .reduce((sum, peer) => sum + peer.getAllPeersArray().length, 0);
+  // Idle: a peer's heartbeat to another tells that one it is alive, so only
+  // one of each pair still has to send them
+  await busySim.run(60000);
+  const idleHeartbeats = heartbeats;
+  assert(
+    idleHeartbeats < entries * 3,
+    `${idleHeartbeats} heartbeats in three idle cycles for ${entries} entries`
+  );
+  // Busy: every peer runs a lookup every 2 seconds
+  heartbeats = 0;
+  for (let i = 0; i < 30; i++) {
+    busySim
+      .livePeers()
+      .forEach((peer) =>
+        peer.findNode(busySim.pick(busySim.livePeers()).selfInfo.peerID)
+      );
+    await busySim.run(2000);
+  }
+  const busyHeartbeats = heartbeats;
+  assert(
+    busyHeartbeats < idleHeartbeats / 2,
+    `${busyHeartbeats} heartbeats while busy, ${idleHeartbeats} while idle`
+  );
+  // A lookup request counts as a sign of life of its sender
+  const listener = busySim
+    .livePeers()
+    .find((peer) => peer.getAllPeersArray().length > 0);
+  const talked = listener.getAllPeersArray()[0];
+  const speaker = busySim.peers.find(
+    (peer) => peer.selfInfo.peerID === talked.peerID
+  );
+  const askedAt = busySim.clock.now();
+  await busySim.runUntil(
+    speaker.sendRequest(
+      listener.selfInfo,
+      kPTP.createFindNodeMessage(
+        speaker.selfInfo.senderName,
+        speaker.ip,
+        speaker.selfInfo.port,
+        speaker.selfInfo.peerID,
+        "0000"
+      ),
+      kPTP.MESSAGE_TYPE.FIND_NODE_RESPONSE
+    )
+  );
+  assert(
+    listener.heartbeat.lastHeard.get(talked.peerID) >= askedAt,
+    "A Find Node did not count as a sign of life"
+  );
+  log(
+    `${idleHeartbeats} heartbeats in three idle cycles for ${entries} entries, ${busyHeartbeats} in three busy ones; a Find Node counted as a sign of life.\n`
+  );
+
+  // ----- Test 17: Structured Logs -----
+  log("Test 17: Structured Logs");
+  const logSim = new Simulator({ seed: 17, bucketSize: 4 });
+  await logSim.join(10);
+  const records = [];
+  const logger = new Logger({
+    format: "json",
+    level: "info,heartbeat=debug,wire=warn",
+    sink: (line) => records.push(JSON.parse(line)),
+  });
+  const logged = logSim.addPeer(logSim.pick(logSim.livePeers()), {
+    name: "logged",
+    logger,
+  });
+  await logSim.run(25000);
+  const events = (event) => records.filter((record) => record.event === event);
+  const [startedRecord] = events("started");
+  assert.strictEqual(startedRecord.subsystem, "peer");
+  assert.strictEqual(startedRecord.peer, "logged");
+  assert.strictEqual(startedRecord.peerID, logged.selfInfo.peerID);
+  assert.strictEqual(events("connected").length, 1);
+  assert(events("welcome_received")[0].peers > 0, "No Welcome was logged");
+  assert(events("heartbeat_cycle").length > 0, "No heartbeat cycle was logged");
+  records.forEach((record) => {
+    assert(record.time <= logSim.clock.now(), "A record is not on the clock");
+    assert(typeof record.msg === "string" && record.msg, "A record has no msg");
+    assert(
+      record.level !== "debug" || record.subsystem === "heartbeat",
+      `A ${record.subsystem} debug record passed the filter`
+    );
+    assert(
+      record.subsystem !== "wire" || record.level !== "info",
+      "A wire info record passed the filter"
+    );
+  });
+  // A crashed peer's removal carries its ID
+  const silent = logged.getAllPeersArray()[0];
+  logSim.crashPeer(
+    logSim.peers.find((peer) => peer.selfInfo.peerID === silent.peerID)
+  );
+  await logSim.run(65000);
+  assert(
+    events("peer_failed").some((record) => record.peerID === silent.peerID),
+    "The crashed peer's removal was not logged"
+  );
+  // Text records are the message alone; unknown names are refused
+  const lines = [];
+  const text = new Logger({ sink: (line) => lines.push(line) });
+  text.child({ subsystem: "join" }).info("leaving", "Leaving the network");
+  text.child({ subsystem: "join" }).debug("hidden", "Not at info level");
+  assert.deepStrictEqual(lines, ["Leaving the network"]);
+  ["loud", "gossip=debug"].forEach((level) =>
+    assert.throws(() => text.configure({ level }), { code: "EINVAL" })
+  );
+  assert.throws(() => text.configure({ format: "xml" }), { code: "EINVAL" });
+  log(
+    `${records.length} JSON records logged; heartbeat debug records passed, other debug and wire info records did not.\n`
+  );
+
+  // ----- Test 18: Metrics -----
+  log("Test 18: Metrics");
+  const metricsDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "test_sim_metrics_")
+  );
+  const metricsFile = path.join(metricsDir, "metrics.prom");
+  const metricsSim = new Simulator({ seed: 18, bucketSize: 4 });
+  await metricsSim.join(10);
+  const measured = metricsSim.addPeer(metricsSim.pick(metricsSim.livePeers()), {
+    metricsFile,
+    metricsInterval: 5000,
+  });
+  await metricsSim.run(45000);
+  const value = (name, labels) =>
+    measured.metrics.getMetric(name).get(labels) || 0;
+  assert(value("dht_messages_sent_total", { type: "hello" }) > 0);
+  assert(value("dht_messages_received_total", { type: "welcome" }) > 0);
+  assert(value("dht_sent_bytes_total") > 0);
+  assert(value("dht_received_bytes_total") > 0);
+  const fill = measured.metrics.getMetric("dht_routing_table_peers");
+  assert.strictEqual(fill.values.size, 16, "Not every bucket was listed");
+  assert.strictEqual(
+    Array.from(fill.values.values()).reduce((sum, e) => sum + e.value, 0),
+    measured.getAllPeersArray().length
+  );
+  const rtts = value("dht_heartbeat_rtt_seconds");
+  assert(rtts.count > 0, "No heartbeat round trip was recorded");
+  assert(rtts.count <= value("dht_heartbeats_sent_total"));
+  // A crashed peer's missed heartbeats and eviction are counted
+  const gone = measured.getAllPeersArray()[0];
+  metricsSim.crashPeer(
+    metricsSim.peers.find((peer) => peer.selfInfo.peerID === gone.peerID)
+  );
+  await metricsSim.run(65000);
+  assert(!measured.routingTable.hasPeer(gone.peerID), "Crashed peer was kept");
+  assert(value("dht_heartbeats_missed_total") > 0);
+  assert(value("dht_peers_evicted_total") > 0);
+  assert(value("dht_routing_table_peers_removed_total") > 0);
+  // A malformed message is counted as a decode failure
+  const garbage = kPTP.createHeartbeatMessage(
+    "tester",
+    "10.9.9.9",
+    4000,
+    "abcd"
+  );
+  garbage[0] = 1; // Unsupported version
+  const sentErrors = value("dht_messages_sent_total", { type: "error" });
+  const probe = metricsSim.network.connect(
+    "10.9.9.9",
+    measured.selfInfo.port,
+    measured.ip,
+    () => probe.write(garbage)
+  );
+  await metricsSim.run(1000);
+  assert.strictEqual(
+    value("dht_decode_failures_total", {
+      code: kPTP.ERROR_CODE.UNSUPPORTED_VERSION,
+    }),
+    1
+  );
+  assert.strictEqual(
+    value("dht_messages_sent_total", { type: "error" }),
+    sentErrors + 1
+  );
+  // The snapshot file is rewritten while the peer runs, and once more on stop
+  await metricsSim.runUntil(measured.stop());
+  const snapshot = fs.readFileSync(metricsFile, "utf8");
+  assert(snapshot.includes("# TYPE dht_heartbeat_rtt_seconds histogram"));
+  assert(snapshot.includes("\ndht_routing_table_bucket_capacity 4\n"));
+  assert(
+    snapshot.includes(
+      `\ndht_decode_failures_total{code="${kPTP.ERROR_CODE.UNSUPPORTED_VERSION}"} 1\n`
+    ),
+    "The snapshot file is out of date"
+  );
+  fs.rmSync(metricsDir, { recursive: true });
+  log(
+    `${value("dht_messages_received_total", {
+      type: "heartbeat",
+    })} heartbeats received, ${rtts.count} round trips timed, ${value(
+      "dht_peers_evicted_total"
+    )} eviction(s) and 1 decode failure counted.\n`
+  );
+
+  // ----- Test 19: Topology Crawl -----
+  log("Test 19: Topology Crawl");
+  const crawlSim = new Simulator({ seed: 19, bucketSize: 2 });
+  await crawlSim.join(12);
+  await crawlSim.run(30000);
+  const crawlFrom = (peer) =>
+    crawlSim.runUntil(
+      new Crawler({
+        transport: crawlSim.network.createTransport("10.99.0.1"),
+        clock: crawlSim.clock,
+      }).crawl({ ip: peer.ip, port: peer.selfInfo.port })
+    );
+  const mapped = crawlSim.livePeers();
+  let graph = await crawlFrom(mapped[0]);
+  assert.strictEqual(graph.summary.answered, mapped.length);
+  mapped.forEach((peer) => {
+    const peerID = peer.selfInfo.peerID;
+    const edges = graph.edges.filter((edge) => edge.from === peerID);
+    assert.deepStrictEqual(
+      edges.map((edge) => edge.to).sort(),
+      peer
+        .getAllPeersArray()
+        .map((entry) => entry.peerID)
+        .sort(),
+      `The crawl does not match the routing table of ${peerID}`
+    );
+    edges.forEach((edge) => {
+      assert.strictEqual(
+        edge.bucket,
+        peer.routingTable.getBucketIndex(edge.to)
+      );
+      assert.strictEqual(
+        BigInt(`0x${edge.distance}`),
+        Singleton.getDistance(peerID, edge.to)
+      );
+    });
+    assert.deepStrictEqual(
+      graph.nodes.find((node) => node.peerID === peerID).emptyBuckets,
+      peer.routingTable.kBuckets
+        .map((bucket, index) => (bucket.length === 0 ? index : -1))
+        .filter((index) => index >= 0)
+    );
+  });
+  assert.strictEqual(graph.summary.partitioned, false);
+  // A crashed peer is still listed, but cannot answer
+  const crashedEntry = mapped.find((peer) =>
+    mapped[0].routingTable.hasPeer(peer.selfInfo.peerID)
+  );
+  crawlSim.crashPeer(crashedEntry);
+  graph = await crawlFrom(mapped[0]);
+  const crashedNode = graph.nodes.find(
+    (node) => node.peerID === crashedEntry.selfInfo.peerID
+  );
+  assert.strictEqual(crashedNode.status, "unreachable");
+  assert(crashedNode.error, "No reason was given for the unreachable peer");
+  assert.strictEqual(graph.summary.answered, mapped.length - 1);
+  // A group that lists the other peers, but that none of them list, is a
+  // component of its own
+  const island = crawlSim.addPeer();
+  crawlSim.addPeer(island);
+  crawlSim.addPeer(island);
+  await crawlSim.run(5000);
+  island.routingTable.pushBucket(
+    Object.assign({}, mapped[0].selfInfo, {
+      lastSeen: Singleton.getTimestamp(),
+    })
+  );
+  graph = await crawlFrom(island);
+  assert.strictEqual(graph.summary.partitioned, true);
+  assert.strictEqual(graph.components.length, 2);
+  assert(graph.components[1].includes(island.selfInfo.peerID));
+  assert.strictEqual(graph.components[1].length, 3);
+  const dot = toDOT(graph);
+  assert(dot.startsWith("digraph kademlia {\n"));
+  assert(dot.includes("subgraph cluster_1 {"), "Components are not drawn");
+  const edge = graph.edges[0];
+  assert(
+    dot.includes(
+      `"${edge.from}" -> "${edge.to}" [label="bucket ${edge.bucket}\\nxor ${edge.distance}"];`
+    ),
+    dot
+  );
+  // A table longer than one Routing Table Response is fetched page by page
+  const paged = crawlSim.addPeer(undefined, { bucketSize: 400 });
+  await crawlSim.run(100);
+  fillRoutingTable(paged, 600);
+  let pages = 0;
+  paged.on("messageReceived", (message) => {
+    if (message.messageType === kPTP.MESSAGE_TYPE.ROUTING_TABLE) {
+      pages++;
+    }
+  });
+  const pagedGraph = await crawlSim.runUntil(
+    new Crawler({
+      transport: crawlSim.network.createTransport("10.99.0.2"),
+      clock: crawlSim.clock,
+      maxPeers: 1,
+    }).crawl({ ip: paged.ip, port: paged.selfInfo.port })
+  );
+  const pageCount = pages;
+  assert.strictEqual(pageCount, 3);
+  assert.deepStrictEqual(
+    pagedGraph.edges.map((edge) => edge.to).sort(),
+    paged
+      .getAllPeersArray()
+      .map((entry) => entry.peerID)
+      .sort()
+  );
+  assert.strictEqual(pagedGraph.summary.notCrawled, 600);
+  // The crawler need not know the ID width: a request giving another one is
+  // answered, in the network's width
+  const wideRequest = kPTP.createRoutingTableMessage("tester");
+  wideRequest[3] = 8; // ID Length of 64-bit IDs
+  const wideReplies = new kPTP.StreamDecoder();
+  const wideReceived = [];
+  const wideSocket = crawlSim.network.connect(
+    "10.99.0.3",
+    paged.selfInfo.port,
+    paged.ip,
+    () => wideSocket.write(wideRequest)
+  );
+  wideSocket.on("data", (data) => wideReceived.push(...wideReplies.push(data)));
+  await crawlSim.run(1000);
+  const wideResponse = kPTP.decodeMessage(wideReceived[0]);
+  assert.strictEqual(
+    wideResponse.messageType,
+    kPTP.MESSAGE_TYPE.ROUTING_TABLE_RESPONSE
+  );
+  assert.strictEqual(wideResponse.idBits, Singleton.getIDBits());
+  log(
+    `Crawled ${graph.summary.peers} peers and ${graph.summary.edges} entries; 1 unreachable peer and a partition of 3 found; a 600-entry table took ${pageCount} pages.\n`
+  );
+
+  // ----- Test 20: Probe Targets -----
+  log("Test 20: Probe Targets");
+  const probeSim = new Simulator({ seed: 20 });
+  await probeSim.join(4);
+  await probeSim.run(30000);
+  const prober = probeSim.livePeers()[0];
+  const [probed, other] = probeSim
+    .livePeers()
+    .filter((peer) => prober.routingTable.hasPeer(peer.selfInfo.peerID));
+  // A server at an address no routing table lists counts connections to it
+  let decoyConnections = 0;
+  probeSim.network
+    .createTransport("10.60.0.1")
+    .createServer(() => decoyConnections++)
+    .listen(probed.selfInfo.port);
+  const probeFor = (target) => {
+    const answers = new kPTP.StreamDecoder();
+    const probeReplies = [];
+    const probeSocket = probeSim.network.connect(
+      "10.9.9.8",
+      prober.selfInfo.port,
+      prober.ip,
+      () =>
+        probeSocket.write(
+          kPTP.createProbeMessage("tester", "10.9.9.8", 4000, "abcd", target)
+        )
+    );
+    probeSocket.on("data", (data) => probeReplies.push(...answers.push(data)));
+    return probeSim.run(20000).then(() => {
+      assert.strictEqual(probeReplies.length, 1, "Expected one Probe Response");
+      return kPTP.decodeMessage(probeReplies[0]).alive;
+    });
+  };
+  const probedID = probed.selfInfo.peerID;
+  assert.strictEqual(
+    await probeFor({
+      ip: probed.ip,
+      port: probed.selfInfo.port,
+      peerID: probedID,
+    }),
+    true
+  );
+  assert.strictEqual(
+    await probeFor({
+      ip: "10.60.0.1",
+      port: probed.selfInfo.port,
+      peerID: probedID,
+    }),
+    false
+  );
+  assert.strictEqual(
+    decoyConnections,
+    0,
+    "A Probe reached an unlisted address"
+  );
+  // The probed peer's address, but another peer's ID
+  const misnamed = probeSim.runUntil(
+    prober.pingPeer({
+      ip: probed.ip,
+      port: probed.selfInfo.port,
+      peerID: other.selfInfo.peerID,
+    })
+  );
+  assert.strictEqual(
+    await misnamed,
+    false,
+    "A ping answered by another peer ID counted"
+  );
+  log(
+    "Probes reach only routing table entries at their address; a ping answered by another ID fails.\n"
+  );
+
+  // ----- Test 21: Large Routing Tables -----
+  log("Test 21: Large Routing Tables");
+  const largeSim = new Simulator({ seed: 21, bucketSize: 400 });
+  const crowded = largeSim.addPeer();
+  const joiner = largeSim.addPeer();
+  await largeSim.run(100);
+  // Fill the table past one message's peer list
+  fillRoutingTable(crowded, 300, [joiner.selfInfo.peerID]);
+  const listedPeers = await largeSim.runUntil(
+    joiner.join(crowded.selfInfo).catch((err) => err)
+  );
+  assert(Array.isArray(listedPeers), `The join failed: ${listedPeers.message}`);
+  assert.strictEqual(listedPeers.length, kPTP.MAX_PEERS);
+  const closestIDs = crowded.routingTable
+    .getClosestPeers(joiner.selfInfo.peerID, kPTP.MAX_PEERS + 1)
+    .map((peer) => peer.peerID)
+    .filter((peerID) => peerID !== joiner.selfInfo.peerID);
+  assert.deepStrictEqual(
+    listedPeers.map((peer) => peer.peerID).sort(),
+    closestIDs.sort(),
+    "The Welcome did not list the peers closest to the joiner"
+  );
+  // The crowded peer greets another with a Hello of its own
+  const greeted = largeSim.addPeer();
+  await largeSim.run(100);
+  const greeting = await largeSim.runUntil(
+    crowded.routingTable.pushUnverified(greeted.selfInfo)
+  );
+  assert.strictEqual(greeting, true, "The crowded peer could not greet a peer");
+  // A verification that throws instead of rejecting still fails cleanly
+  const throwing = new RoutingTable("0000", {
+    verifyFunction: () => {
+      throw new RangeError("Too many peers");
+    },
+  });
+  const unverified = { ip: "10.77.9.9", port: 4000, peerID: "ffff" };
+  assert.strictEqual(await throwing.pushUnverified(unverified), false);
+  assert.strictEqual(
+    throwing.pendingVerifications.size,
+    0,
+    "A verification that threw stayed pending"
+  );
+  log(
+    `A ${
+      crowded.getAllPeersArray().length
+    }-peer routing table welcomed and greeted peers with its ${
+      kPTP.MAX_PEERS
+    } closest.\n`
+  );
+
+  log("All simulator tests passed successfully.");
+}
+
+runTests()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    log("Test failed:", err);
+    process.exit(1);
+  });